@@ -1,23 +1,44 @@
-import { useState, useRef, useCallback, useEffect } from 'react';
+import { useState, useRef, useCallback, useEffect, useMemo } from 'react';
 import { NODE_SCHEMA } from './gridview/nodeSchema';
-import { SCOPE_BUFFER_SIZE } from './gridview/constants';
-import { quantizeFreq, getPortPos, getParamPortPos, computeLiveNodes, cablePath, getNodeWidth } from './gridview/utils';
+import { SCOPE_BUFFER_SIZE, FEEDBACK_GAIN, FEEDBACK_GAIN_MAX, MOD_DEPTH_DEFAULT, MOD_DEPTH_MAX } from './gridview/constants';
+import {
+  quantizeFreq, computeLiveNodes, findFeedbackConnections, isScheduledSource, cablePath, getNodeWidth, getOutputValue,
+  canMapRange, defaultCableRange,
+} from './gridview/utils';
+import { inScope, innerNodeIds, portEnd, cableEnds, withoutNode } from './gridview/macros';
 import { useAudioEngine } from './gridview/hooks/useAudioEngine';
 import { useAudioRouting } from './gridview/hooks/useAudioRouting';
 import { useMidi } from './gridview/hooks/useMidi';
+import { useMidiOut } from './gridview/hooks/useMidiOut';
+import { useMidiLearn } from './gridview/hooks/useMidiLearn';
+import { useAudioInput } from './gridview/hooks/useAudioInput';
+import { useSynthDefs } from './gridview/hooks/useSynthDefs';
 import { useNodeDrag } from './gridview/hooks/useNodeDrag';
+import { useCanvasView } from './gridview/hooks/useCanvasView';
 import { useRecording } from './gridview/hooks/useRecording';
+import { useBounce } from './gridview/hooks/useBounce';
+import { useHistory } from './gridview/hooks/useHistory';
+import { useClipboard } from './gridview/hooks/useClipboard';
 import { usePatchIO } from './gridview/hooks/usePatchIO';
+import { usePatchLibrary } from './gridview/hooks/usePatchLibrary';
 import { usePulser } from './gridview/hooks/usePulser';
 import { useSequencer } from './gridview/hooks/useSequencer';
 import { useSamplePlayer } from './gridview/hooks/useSamplePlayer';
 import { useDaphne } from './gridview/hooks/useDaphne';
+import { useMacros } from './gridview/hooks/useMacros';
+import { useControlDispatch } from './gridview/hooks/useControlDispatch';
+import { LookaheadScheduler } from './audio/lookaheadScheduler';
+import { Transport } from './audio/transport';
+import { MPE_OUTPUTS } from './audio/midiListener';
 import Toolbar from './gridview/components/Toolbar';
 import InstrumentPanel from './gridview/components/InstrumentPanel';
 import ModuleDetailsPanel from './gridview/components/ModuleDetailsPanel';
 import PrintConsole from './gridview/components/PrintConsole';
 import DaphnePanel from './gridview/components/DaphnePanel';
 import NodeRenderer from './gridview/components/NodeRenderer';
+import MacroNode from './gridview/components/MacroNode';
+import Minimap from './gridview/components/Minimap';
+import CableRangeEditor from './gridview/components/CableRangeEditor';
 import './GridView.css';
 
 // ═══════════════════════════════════════════════════════════
@@ -33,9 +54,16 @@ export default function GridView() {
   // Connection state
   const [connecting, setConnecting] = useState(null); // { fromNodeId, fromPortIndex }
   const [mousePos, setMousePos] = useState({ x: 0, y: 0 });
+  const [rangeConnId, setRangeConnId] = useState(null); // control cable whose range editor is open
 
   // Module details panel state
   const [selectedNodeId, setSelectedNodeId] = useState(null);
+  const [selectedIds, setSelectedIds] = useState(new Set()); // multi-selection (drag, copy, duplicate)
+
+  // Macro being edited (drilled into); null shows the top level.
+  // Falls back to the top level once that macro is gone (undo, load).
+  const [macroScope, setMacroScope] = useState(null);
+  const scope = nodes[macroScope]?.type === 'macro' ? macroScope : null;
 
   // Script runtime state
   const [runningScripts, setRunningScripts] = useState(new Set());
@@ -53,6 +81,12 @@ export default function GridView() {
   // Instrument panel state
   const [panelOpen, setPanelOpen] = useState(false);
 
+  // Name / tags of the working patch and its library entry (if saved there)
+  const [patchMeta, setPatchMeta] = useState({ name: 'Untitled Patch', tags: [], libraryId: null });
+
+  // Canvas minimap overlay
+  const [minimapOpen, setMinimapOpen] = useState(true);
+
   // Print console state
   const [consoleOpen, setConsoleOpen] = useState(false);
   const [printLogs, setPrintLogs] = useState([]);
@@ -65,6 +99,9 @@ export default function GridView() {
   const [midiDevices, setMidiDevices] = useState([]);
   const [midiActivity, setMidiActivity] = useState({});
 
+  // Poly voice state
+  const [polyVoiceCounts, setPolyVoiceCounts] = useState({}); // nodeId → held voices
+
   // Scope state
   const scopeBuffersRef = useRef(new Map());
 
@@ -75,11 +112,21 @@ export default function GridView() {
     }
   }, [printLogs, consoleOpen]);
 
+  // ── Control scheduling ─────────────────────────────────
+  // Clock of the control runners; their output is delivered by
+  // useControlDispatch through controlOutRef. The transport's beat
+  // grid runs on the same clock.
+  const [scheduler] = useState(() => new LookaheadScheduler());
+  const [transport] = useState(() => new Transport(scheduler));
+  const controlOutRef = useRef(null);
+
   // ── Pulser hook ──────────────────────────────────────────
   const { pulserRunnerRef } = usePulser({
     nodes,
     connections,
-    setNodes,
+    scheduler,
+    transport,
+    controlOutRef,
     runningPulsers,
     setRunningPulsers,
   });
@@ -89,6 +136,9 @@ export default function GridView() {
     nodes,
     connections,
     setNodes,
+    scheduler,
+    transport,
+    controlOutRef,
     runningSequencers,
     setRunningSequencers,
   });
@@ -98,12 +148,15 @@ export default function GridView() {
     engineRef,
     scriptRunnerRef,
     envelopeRunnerRef,
+    polyVoiceRef,
     nextId,
     status,
     booted,
     booting,
+    oscRate,
     handleBoot,
     addNode,
+    releaseNode,
     removeNode,
     setStatus,
   } = useAudioEngine({
@@ -118,17 +171,30 @@ export default function GridView() {
     setRunningSequencers,
     setScriptLogs,
     setMidiDevices,
+    setPolyVoiceCounts,
     midiListenersRef,
     pulserRunnerRef,
     sequencerRunnerRef,
+    scheduler,
+    transport,
+    controlOutRef,
+  });
+
+  // ── SynthDef loading hook ──────────────────────────────
+  const { synthDefs, synthDefStatus, retrySynthDefs } = useSynthDefs({
+    nodes,
+    engineRef,
+    booted,
   });
 
   // ── Audio routing hook ─────────────────────────────────
-  const { modAmpScaleRef } = useAudioRouting({
+  useAudioRouting({
     nodes,
     connections,
+    synthDefs,
     engineRef,
     scopeBuffersRef,
+    polyVoiceRef,
   });
 
   // ── MIDI hook ──────────────────────────────────────────
@@ -137,19 +203,32 @@ export default function GridView() {
     setNodes,
     setMidiActivity,
     midiListenersRef,
+    polyVoiceRef,
+  });
+  const { midiOutsRef } = useMidiOut({
+    nodes,
+    connections,
+    setMidiActivity,
   });
 
-  // ── Node drag hook ─────────────────────────────────────
-  const { dragId, startDrag, onCanvasMouseMove, onCanvasMouseUp } = useNodeDrag({
-    canvasRef,
-    setNodes,
-    setSelectedNodeId,
-    connecting,
-    setMousePos,
+  // ── Live audio input hook ──────────────────────────────
+  const { audioInput, retryAudioInput } = useAudioInput({
+    nodes,
+    engineRef,
+    booted,
   });
 
-  // ── Recording hook ─────────────────────────────────────
-  const { recording, recordingTime, handleToggleRecording } = useRecording({
+  // ── Offline bounce hook ────────────────────────────────
+  const {
+    bouncing,
+    bounceSeconds,
+    setBounceSeconds,
+    bounceBitDepth,
+    setBounceBitDepth,
+    handleBounce,
+  } = useBounce({
+    nodes,
+    connections,
     engineRef,
     setStatus,
   });
@@ -160,8 +239,10 @@ export default function GridView() {
     samplePlayheads,
     sampleFileInputRef,
     sampleLoadTargetRef,
+    loadSampleFile,
     handleSampleFileSelect,
     handleLoadBuiltinSample,
+    restoreSample,
     handleSampleRegionChange,
     handleSampleTrigger,
     handleSampleLoopToggle,
@@ -172,8 +253,140 @@ export default function GridView() {
     setStatus,
   });
 
+  // ── Send a param value to the engine ──────────────────
+  // Applies freq quantization.
+  const sendParam = useCallback((node, param, value) => {
+    const sent = (param === 'freq' && node?.quantize) ? quantizeFreq(value) : value;
+    engineRef.current?.setParam(node.id, param, sent);
+  }, [engineRef]);
+
+  // ── Undo / redo history ───────────────────────────────
+  // Routing follows the restored graph by itself; this releases
+  // nodes that vanished, re-sends params that changed and reloads
+  // the samples of sample players that came back.
+  const restoreEngineState = useCallback((prevNodes, nextNodes) => {
+    for (const id of Object.keys(prevNodes)) {
+      if (!nextNodes[id]) releaseNode(Number(id));
+    }
+    for (const [id, node] of Object.entries(nextNodes)) {
+      const before = prevNodes[id];
+      if (!before) {
+        if (node.type === 'sample_player' && node.sampleName &&
+            engineRef.current?.getBuffer(node.id) == null) {
+          restoreSample(node.id, node);
+        }
+        continue;
+      }
+      if (before.params === node.params && before.quantize === node.quantize) continue;
+      for (const [param, value] of Object.entries(node.params)) {
+        if (before.params[param] !== value || (param === 'freq' && before.quantize !== node.quantize)) {
+          sendParam(node, param, value);
+        }
+      }
+    }
+  }, [engineRef, releaseNode, restoreSample, sendParam]);
+
+  const history = useHistory({
+    nodes,
+    connections,
+    setNodes,
+    setConnections,
+    onRestore: restoreEngineState,
+  });
+  const { record } = history;
+
+  const nodeLabel = useCallback(
+    (id) => nodesRef.current[id]?.macro?.name ?? NODE_SCHEMA[nodesRef.current[id]?.type]?.label ?? 'module',
+    []
+  );
+
+  // Modules added while editing a macro go inside it
+  const handleAddNode = useCallback((type) => {
+    record(`Add ${NODE_SCHEMA[type]?.label ?? type}`);
+    const id = addNode(type);
+    if (scope != null) setNodes((prev) => ({ ...prev, [id]: { ...prev[id], macroId: scope } }));
+    return id;
+  }, [record, addNode, scope]);
+
+  // A macro is removed with its modules; a module removed from a
+  // macro takes its exposed ports with it
+  const handleRemoveNode = useCallback((id) => {
+    record(`Remove ${nodeLabel(id)}`);
+    const node = nodesRef.current[id];
+    if (node?.type === 'macro') {
+      for (const inner of innerNodeIds(nodesRef.current, id)) removeNode(inner);
+    } else if (node?.macroId != null) {
+      setNodes((prev) => (prev[node.macroId]
+        ? { ...prev, [node.macroId]: { ...prev[node.macroId], macro: withoutNode(prev[node.macroId].macro, id) } }
+        : prev));
+    }
+    removeNode(id);
+  }, [record, removeNode, nodeLabel]);
+
+  // ── Canvas zoom / pan hook ────────────────────────────
+  const {
+    view,
+    spaceHeld,
+    panning,
+    toWorld,
+    zoomBy,
+    resetZoom,
+    zoomToFit,
+    centerOn,
+    onPanMouseDownCapture,
+  } = useCanvasView({ canvasRef });
+
+  // ── Node drag hook ─────────────────────────────────────
+  const { band, startDrag, onCanvasMouseDown, onCanvasMouseMove, onCanvasMouseUp } = useNodeDrag({
+    canvasRef,
+    toWorld,
+    setNodes,
+    setSelectedNodeId,
+    selectedIds,
+    setSelectedIds,
+    connecting,
+    setMousePos,
+    onMove: (ids) => record(
+      ids.length > 1 ? `Move ${ids.length} modules` : `Move ${nodeLabel(ids[0])}`,
+      `move:${ids.join(',')}`
+    ),
+  });
+
+  // ── Recording hook ─────────────────────────────────────
+  const {
+    recording,
+    recordingTime,
+    recFormat,
+    setRecFormat,
+    takes,
+    auditionId,
+    handleToggleRecording,
+    handleAuditionTake,
+    handleUpdateTake,
+    handleDeleteTake,
+    handleDownloadTake,
+    handleTakeToSampler,
+  } = useRecording({
+    engineRef,
+    setStatus,
+    addNode: handleAddNode,
+    loadSampleFile,
+  });
+  const samplerIds = useMemo(
+    () => Object.values(nodes).filter((n) => n.type === 'sample_player').map((n) => n.id),
+    [nodes]
+  );
+
   // ── Patch I/O hook ─────────────────────────────────────
-  const { fileInputRef, handleSavePatch, handleLoadPatch, handleFileSelect, applyPatchData } = usePatchIO({
+  const {
+    fileInputRef,
+    handleSavePatch,
+    handleLoadPatch,
+    handleFileSelect,
+    applyPatchData,
+    patchReport,
+    setPatchReport,
+  } = usePatchIO({
     nodes,
     connections,
     nextId,
@@ -183,6 +396,7 @@ export default function GridView() {
     envelopeRunnerRef,
     pulserRunnerRef,
     sequencerRunnerRef,
+    polyVoiceRef,
     midiListenersRef,
     scopeBuffersRef,
     setNodes,
@@ -195,7 +409,65 @@ export default function GridView() {
     setSelectedNodeId,
     setMidiActivity,
     setStatus,
-    handleLoadBuiltinSample,
+    restoreSample,
+    clearHistory: history.clearHistory,
+    setSelectedIds,
+    setMacroScope,
+    patchMeta,
+    setPatchMeta,
+    transport,
+  });
+
+  // ── Patch library / autosave hook ─────────────────────
+  const library = usePatchLibrary({
+    nodes,
+    connections,
+    nextId,
+    connId,
+    engineRef,
+    canvasRef,
+    patchMeta,
+    setPatchMeta,
+    applyPatchData,
+    setStatus,
+    transport,
+  });
+
+  // ── Clipboard hook (copy / paste / duplicate) ─────────
+  const { insertFragment } = useClipboard({
+    nodes,
+    connections,
+    selectedIds,
+    setSelectedIds,
+    scope,
+    setSelectedNodeId,
+    nextId,
+    connId,
+    setNodes,
+    setConnections,
+    record,
+    restoreSample,
+    setStatus,
+  });
+
+  // ── Macro (subpatch) hook ─────────────────────────────
+  const macros = useMacros({
+    nodes,
+    connections,
+    setNodes,
+    setConnections,
+    nextId,
+    engineRef,
+    canvasRef,
+    toWorld,
+    scope,
+    setMacroScope,
+    selectedIds,
+    setSelectedIds,
+    setSelectedNodeId,
+    insertFragment,
+    record,
+    setStatus,
   });
 
   // ── Daphne AI assistant hook ──────────────────────────
@@ -203,13 +475,10 @@ export default function GridView() {
 
   // ── Param change ──────────────────────────────────────
   const handleParamChange = useCallback((nodeId, param, value) => {
+    record(`${nodeLabel(nodeId)} ${NODE_SCHEMA[nodesRef.current[nodeId]?.type]?.params[param]?.label ?? param}`, `param:${nodeId}:${param}`);
     setNodes((prev) => {
       const node = prev[nodeId];
-      const sent = (param === 'freq' && node?.quantize) ? quantizeFreq(value) : value;
-      const actualSent = (param === 'amp' && modAmpScaleRef.current[nodeId])
-        ? sent * modAmpScaleRef.current[nodeId]
-        : sent;
-      engineRef.current?.setParam(nodeId, param, actualSent);
+      sendParam(node, param, value);
       return {
         ...prev,
         [nodeId]: {
@@ -218,15 +487,25 @@ export default function GridView() {
         },
       };
     });
-  }, []);
+  }, [record, nodeLabel, sendParam]);
+
+  // ── MIDI Learn hook ───────────────────────────────────
+  const midiLearn = useMidiLearn({
+    nodes,
+    setNodes,
+    handleParamChange,
+    record,
+    nodeLabel,
+  });
 
   // ── Script code change ────────────────────────────────
   const handleCodeChange = useCallback((nodeId, code) => {
+    record(`Edit ${nodeLabel(nodeId)} code`, `code:${nodeId}`);
     setNodes((prev) => ({
       ...prev,
       [nodeId]: { ...prev[nodeId], code },
     }));
-  }, []);
+  }, [record, nodeLabel]);
 
   // ── Script run/stop ───────────────────────────────────
   const handleRunScript = useCallback((nodeId, code) => {
@@ -250,6 +529,7 @@ export default function GridView() {
 
   // ── Quantize toggle ───────────────────────────────────
   const handleQuantizeToggle = useCallback((nodeId, enabled) => {
+    record(`${enabled ? 'Quantize' : 'Unquantize'} ${nodeLabel(nodeId)}`);
     setNodes((prev) => {
       const node = prev[nodeId];
       const updated = { ...node, quantize: enabled };
@@ -259,7 +539,7 @@ export default function GridView() {
       }
       return { ...prev, [nodeId]: updated };
     });
-  }, []);
+  }, [record, nodeLabel]);
 
   // ── Print module handlers ─────────────────────────────
   const handlePrintPrefix = useCallback((nodeId, prefix) => {
@@ -282,25 +562,56 @@ export default function GridView() {
 
   // ── Envelope handlers ─────────────────────────────────
   const handleBreakpointsChange = useCallback((nodeId, breakpoints, curves) => {
+    record(`Edit ${nodeLabel(nodeId)} breakpoints`, `breakpoints:${nodeId}`);
     setNodes((prev) => ({
       ...prev,
       [nodeId]: { ...prev[nodeId], breakpoints, curves },
     }));
-  }, []);
+  }, [record, nodeLabel]);
 
   const handleEnvelopeDuration = useCallback((nodeId, duration) => {
+    record(`${nodeLabel(nodeId)} duration`, `duration:${nodeId}`);
     setNodes((prev) => ({
       ...prev,
       [nodeId]: { ...prev[nodeId], duration },
     }));
-  }, []);
+  }, [record, nodeLabel]);
 
   const handleEnvelopeLoop = useCallback((nodeId, loop) => {
+    record(`${loop ? 'Loop' : 'Unloop'} ${nodeLabel(nodeId)}`);
     setNodes((prev) => ({
       ...prev,
       [nodeId]: { ...prev[nodeId], loop },
     }));
-  }, []);
+  }, [record, nodeLabel]);
+
+  // Pulser, Sequencer and Envelope: follow the transport's beats
+  const handleSyncToggle = useCallback((nodeId, sync) => {
+    record(`${sync ? 'Sync' : 'Unsync'} ${nodeLabel(nodeId)}`);
+    setNodes((prev) => ({
+      ...prev,
+      [nodeId]: { ...prev[nodeId], sync },
+    }));
+  }, [record, nodeLabel]);
+
+  // ── MIDI In mode ──────────────────────────────────────
+  // MPE opens a port per dimension; leaving it drops the extra ports,
+  // their cables and their values
+  const handleMidiModeChange = useCallback((nodeId, mode) => {
+    record(`${nodeLabel(nodeId)} mode ${mode}`);
+    const numOutputs = mode === 'mpe' ? MPE_OUTPUTS.length : 1;
+    setNodes((prev) => {
+      const node = prev[nodeId];
+      if (!node) return prev;
+      const params = Object.fromEntries(
+        Object.entries(node.params).filter(([k]) => numOutputs > 1 || !k.startsWith('out_'))
+      );
+      return { ...prev, [nodeId]: { ...node, midiMode: mode, numOutputs, params } };
+    });
+    setConnections((prev) =>
+      prev.filter((c) => !(c.fromNodeId === nodeId && c.fromPortIndex >= numOutputs))
+    );
+  }, [record, nodeLabel]);
 
   const handleEnvelopeTrigger = useCallback((nodeId) => {
     const runner = envelopeRunnerRef.current;
@@ -314,7 +625,9 @@ export default function GridView() {
         node.breakpoints,
         node.curves,
         node.duration,
-        node.loop
+        node.loop,
+        undefined,
+        node.sync
       );
       return prev;
     });
@@ -380,7 +693,7 @@ export default function GridView() {
     const onMove = (me) => {
       const info = bangResizing.current;
       if (!info) return;
-      const delta = me.clientY - info.startY;
+      const delta = (me.clientY - info.startY) / view.zoom;
       const newSize = Math.max(36, Math.min(200, info.startSize + delta));
       setNodes((prev) => ({
         ...prev,
@@ -394,7 +707,7 @@ export default function GridView() {
     };
     window.addEventListener('mousemove', onMove);
     window.addEventListener('mouseup', onUp);
-  }, []);
+  }, [view.zoom]);
 
   // ── Script module resize ──────────────────────────────
   const scriptResizing = useRef(null);
@@ -406,7 +719,7 @@ export default function GridView() {
     const onMove = (me) => {
       const info = scriptResizing.current;
       if (!info) return;
-      const delta = me.clientX - info.startX;
+      const delta = (me.clientX - info.startX) / view.zoom;
       const newWidth = Math.max(140, Math.min(400, info.startWidth + delta));
       setNodes((prev) => ({
         ...prev,
@@ -420,9 +733,38 @@ export default function GridView() {
     };
     window.addEventListener('mousemove', onMove);
     window.addEventListener('mouseup', onUp);
-  }, []);
+  }, [view.zoom]);
+
+  // ── Envelope trigger ──────────────────────────────────
+  // Starts an envelope now or at `time` (lookahead scheduler clock)
+  const triggerEnvelope = useCallback((envId, envNode, time) => {
+    const runner = envelopeRunnerRef.current;
+    if (!runner) return;
+    runner.trigger(
+      envId,
+      envNode.breakpoints,
+      envNode.curves,
+      envNode.duration,
+      envNode.loop,
+      time,
+      envNode.sync
+    );
+    setRunningEnvelopes((s) => new Set(s).add(envId));
+
+    const check = setInterval(() => {
+      if (!envelopeRunnerRef.current?.isRunning(envId)) {
+        clearInterval(check);
+        setRunningEnvelopes((s) => {
+          const next = new Set(s);
+          next.delete(envId);
+          return next;
+        });
+      }
+    }, 100);
+  }, [envelopeRunnerRef]);
 
   // ── External trigger detection (rising-edge on modulated trig param) ──
+  // Scheduled sources trigger through useControlDispatch instead
   const prevTrigVals = useRef({});
 
   useEffect(() => {
@@ -439,37 +781,14 @@ export default function GridView() {
 
       const srcSchema = NODE_SCHEMA[sourceNode.type];
       if (srcSchema?.category !== 'control' && srcSchema?.category !== 'script') continue;
+      if (isScheduledSource(sourceNode.type)) continue;
 
-      const value = srcSchema?.category === 'script'
-        ? (sourceNode.params[`out_${conn.fromPortIndex}`] ?? sourceNode.params.value ?? 0)
-        : (sourceNode.params.value ?? 0);
+      const value = getOutputValue(sourceNode, conn.fromPortIndex);
       const prevValue = prev[conn.toNodeId] ?? 0;
 
       if (value >= 0.5 && prevValue < 0.5) {
         if (targetNode.type === 'envelope') {
-          const runner = envelopeRunnerRef.current;
-          if (runner) {
-            const envId = conn.toNodeId;
-            runner.trigger(
-              envId,
-              targetNode.breakpoints,
-              targetNode.curves,
-              targetNode.duration,
-              targetNode.loop
-            );
-            setRunningEnvelopes((s) => new Set(s).add(envId));
-
-            const check = setInterval(() => {
-              if (!envelopeRunnerRef.current?.isRunning(envId)) {
-                clearInterval(check);
-                setRunningEnvelopes((s) => {
-                  const next = new Set(s);
-                  next.delete(envId);
-                  return next;
-                });
-              }
-            }, 100);
-          }
+          triggerEnvelope(conn.toNodeId, targetNode);
         } else if (targetNode.type === 'sample_player') {
           // Trigger sample playback
           handleSampleTrigger(conn.toNodeId);
@@ -478,7 +797,21 @@ export default function GridView() {
 
       prev[conn.toNodeId] = value;
     }
-  }, [nodes, connections, handleSampleTrigger]);
+  }, [nodes, connections, handleSampleTrigger, triggerEnvelope]);
+
+  // ── Scheduled control output ──────────────────────────
+  useControlDispatch({
+    scheduler,
+    controlOutRef,
+    nodes,
+    connections,
+    setNodes,
+    engineRef,
+    sequencerRunnerRef,
+    midiOutsRef,
+    triggerEnvelope,
+    handleSampleTrigger,
+  });
 
   // ── Param port click (modulation connect/disconnect) ──
   const handleParamPortClick = useCallback(
@@ -501,9 +834,22 @@ export default function GridView() {
         const targetHasModInput = targetSchema?.modInputs?.includes(paramKey);
         const isAudioRate = sourceIsAudio && targetHasModInput;
 
+        // Audio-rate modulators sum into a param; a control value
+        // replaces whatever drove it
+        const from = connecting;
+        const exists = isAudioRate && connections.some(
+          (c) => c.toNodeId === nodeId && c.toParam === paramKey && c.isAudioRate &&
+            c.fromNodeId === from.fromNodeId && c.fromPortIndex === from.fromPortIndex
+        );
+        if (exists) {
+          setConnecting(null);
+          return;
+        }
+
+        record(`Connect ${sourceSchema?.label ?? 'module'} → ${targetSchema?.label ?? 'module'} ${paramKey}`);
         setConnections((prev) => {
           const filtered = prev.filter(
-            (c) => !(c.toNodeId === nodeId && c.toParam === paramKey)
+            (c) => !(c.toNodeId === nodeId && c.toParam === paramKey && !(isAudioRate && c.isAudioRate))
           );
           return [
             ...filtered,
@@ -520,6 +866,9 @@ export default function GridView() {
         });
         setConnecting(null);
       } else {
+        if (connections.some((c) => c.toNodeId === nodeId && c.toParam === paramKey)) {
+          record(`Disconnect ${nodeLabel(nodeId)} ${paramKey}`);
+        }
         setConnections((prev) =>
           prev.filter(
             (c) => !(c.toNodeId === nodeId && c.toParam === paramKey)
@@ -527,7 +876,7 @@ export default function GridView() {
         );
       }
     },
-    [connecting, nodes]
+    [connecting, connections, nodes, record, nodeLabel]
   );
 
   // ── Port click (connect/disconnect) ───────────────────
@@ -537,11 +886,8 @@ export default function GridView() {
 
       if (connecting) {
         if (portType === 'input') {
+          // Patching a module into itself makes a feedback loop
           const from = connecting;
-          if (from.fromNodeId === nodeId) {
-            setConnecting(null);
-            return;
-          }
           const exists = connections.some(
             (c) =>
               c.fromNodeId === from.fromNodeId &&
@@ -549,34 +895,31 @@ export default function GridView() {
               c.toNodeId === nodeId &&
               c.toPortIndex === portIndex
           );
+          // Inputs take any number of cables; they sum at the port
           if (!exists) {
-            setConnections((prev) => {
-              const filtered = prev.filter(
-                (c) => !(c.toNodeId === nodeId && c.toPortIndex === portIndex)
-              );
-              return [
-                ...filtered,
-                {
-                  id: connId.current++,
-                  fromNodeId: from.fromNodeId,
-                  fromPortIndex: from.fromPortIndex,
-                  toNodeId: nodeId,
-                  toPortIndex: portIndex,
-                },
-              ];
-            });
+            record(`Connect ${nodeLabel(from.fromNodeId)} → ${nodeLabel(nodeId)}`);
+            setConnections((prev) => [
+              ...prev,
+              {
+                id: connId.current++,
+                fromNodeId: from.fromNodeId,
+                fromPortIndex: from.fromPortIndex,
+                toNodeId: nodeId,
+                toPortIndex: portIndex,
+              },
+            ]);
           }
         }
         setConnecting(null);
       } else {
         if (portType === 'output') {
           setConnecting({ fromNodeId: nodeId, fromPortIndex: portIndex });
-          const node = nodes[nodeId];
-          if (node) {
-            const pos = getPortPos(node, 'output', portIndex);
-            setMousePos(pos);
-          }
+          const start = portEnd(nodes, nodeId, 'output', portIndex, scope);
+          if (start) setMousePos(start.pos);
         } else if (portType === 'input') {
+          if (connections.some((c) => c.toNodeId === nodeId && c.toPortIndex === portIndex)) {
+            record(`Disconnect ${nodeLabel(nodeId)} input`);
+          }
           setConnections((prev) =>
             prev.filter(
               (c) => !(c.toNodeId === nodeId && c.toPortIndex === portIndex)
@@ -585,58 +928,100 @@ export default function GridView() {
         }
       }
     },
-    [connecting, connections, nodes]
+    [connecting, connections, nodes, scope, record, nodeLabel]
   );
 
-  // Cancel connection on canvas click
+  // ── Feedback cable gain ───────────────────────────────
+  const handleFeedbackGain = useCallback((id, gain) => {
+    record('Feedback gain', `feedback:${id}`);
+    setConnections((prev) => prev.map((c) => (c.id === id ? { ...c, feedbackGain: gain } : c)));
+  }, [record]);
+
+  // ── Audio-rate modulation depth ─────────────────────
+  const handleModDepth = useCallback((id, depth) => {
+    record('Mod depth', `moddepth:${id}`);
+    setConnections((prev) => prev.map((c) => (c.id === id ? { ...c, modDepth: depth } : c)));
+  }, [record]);
+
+  // ── Control-rate cable range ────────────────────────
+  // null removes the range: source values go through unchanged
+  const handleCableRange = useCallback((id, range) => {
+    record(range ? 'Cable range' : 'Remove cable range', `range:${id}`);
+    setConnections((prev) => prev.map((c) => {
+      if (c.id !== id) return c;
+      if (range) return { ...c, range };
+      const { range: _removed, ...rest } = c;
+      return rest;
+    }));
+  }, [record]);
+
+  // ── Remove a single cable ─────────────────────────────
+  // Right-click on the cable; clicking an input port clears them all
+  const handleRemoveCable = useCallback((conn) => {
+    record(`Disconnect ${nodeLabel(conn.fromNodeId)} → ${nodeLabel(conn.toNodeId)}`);
+    setConnections((prev) => prev.filter((c) => c.id !== conn.id));
+    setRangeConnId((open) => (open === conn.id ? null : open));
+  }, [record, nodeLabel]);
+
+  // Cancel connection (and close the range editor) on canvas click
   const handleCanvasClick = useCallback(
     (e) => {
-      if (connecting && e.target === canvasRef.current) {
-        setConnecting(null);
-      }
+      if (e.target !== canvasRef.current) return;
+      if (connecting) setConnecting(null);
+      setRangeConnId(null);
     },
     [connecting]
   );
 
   // ── Render cables ─────────────────────────────────────
+  // Cables into a collapsed macro end at its exposed ports; inside a
+  // macro only the wiring between its own modules is drawn.
   const renderCables = () => {
     const paths = [];
 
     for (const conn of connections) {
-      const fromNode = nodes[conn.fromNodeId];
-      const toNode = nodes[conn.toNodeId];
-      if (!fromNode || !toNode) continue;
-
-      const from = getPortPos(fromNode, 'output', conn.fromPortIndex);
-      const toSchema = NODE_SCHEMA[toNode.type];
-      const to = conn.toParam
-        ? getParamPortPos(toNode, toSchema, conn.toParam)
-        : getPortPos(toNode, 'input', conn.toPortIndex);
+      const ends = cableEnds(nodes, conn, scope);
+      if (!ends) continue;
+      const { from, to } = ends;
 
-      const accent = NODE_SCHEMA[fromNode.type]?.accent || '#7a7570';
+      const accent = NODE_SCHEMA[nodes[conn.fromNodeId].type]?.accent || '#7a7570';
       const isMod = !!conn.toParam;
       const isAudioRateMod = conn.isAudioRate && isMod;
+      const isFeedback = feedbackIds.has(conn.id);
 
+      const d = cablePath(from.x, from.y, to.x, to.y);
       paths.push(
         <path
           key={conn.id}
-          d={cablePath(from.x, from.y, to.x, to.y)}
+          d={d}
           stroke={accent}
           strokeWidth={isAudioRateMod ? 2 : isMod ? 1.5 : 2.5}
           fill="none"
           opacity={isAudioRateMod ? 0.65 : isMod ? 0.6 : 0.7}
-          strokeDasharray={isMod && !isAudioRateMod ? '4 3' : undefined}
-          className={`sense-cable${isAudioRateMod ? ' audio-rate-mod' : ''}`}
-        />
+          strokeDasharray={isFeedback ? '1 5' : isMod && !isAudioRateMod ? '4 3' : undefined}
+          className={`sense-cable${isAudioRateMod ? ' audio-rate-mod' : ''}${isFeedback ? ' feedback' : ''}`}
+        />,
+        // Wider invisible stroke so the cable is easy to hit
+        <path
+          key={`hit-${conn.id}`}
+          d={d}
+          className="sense-cable-hit"
+          onContextMenu={(e) => {
+            e.preventDefault();
+            handleRemoveCable(conn);
+          }}
+        >
+          <title>Right-click to remove this cable</title>
+        </path>
       );
     }
 
     // Preview cable while connecting
     if (connecting) {
-      const fromNode = nodes[connecting.fromNodeId];
-      if (fromNode) {
-        const from = getPortPos(fromNode, 'output', connecting.fromPortIndex);
-        const accent = NODE_SCHEMA[fromNode.type]?.accent || '#7a7570';
+      const start = portEnd(nodes, connecting.fromNodeId, 'output', connecting.fromPortIndex, scope);
+      if (start) {
+        const from = start.pos;
+        const accent = NODE_SCHEMA[nodes[connecting.fromNodeId].type]?.accent || '#7a7570';
         paths.push(
           <path
             key="preview"
@@ -654,8 +1039,103 @@ export default function GridView() {
     return paths;
   };
 
+  // Gain handle at the middle of each feedback cable
+  const renderFeedbackHandles = () => connections.map((conn) => {
+    if (!feedbackIds.has(conn.id)) return null;
+    const ends = cableEnds(nodes, conn, scope);
+    if (!ends) return null;
+    const gain = conn.feedbackGain ?? FEEDBACK_GAIN;
+    return (
+      <div
+        key={conn.id}
+        className="feedback-handle"
+        style={{ left: (ends.from.x + ends.to.x) / 2, top: (ends.from.y + ends.to.y) / 2 }}
+        onMouseDown={(e) => e.stopPropagation()}
+        title="Feedback: this cable closes a loop and arrives one block late"
+      >
+        <span className="feedback-handle-label">fb</span>
+        <input
+          type="range"
+          min={0}
+          max={FEEDBACK_GAIN_MAX}
+          step={0.01}
+          value={gain}
+          onChange={(e) => handleFeedbackGain(conn.id, parseFloat(e.target.value))}
+        />
+        <span className="feedback-handle-val">{gain.toFixed(2)}</span>
+      </div>
+    );
+  });
+
+  // Attenuverter at the middle of each audio-rate modulation cable
+  const renderModDepthHandles = () => connections.map((conn) => {
+    if (!conn.isAudioRate || !conn.toParam) return null;
+    const ends = cableEnds(nodes, conn, scope);
+    if (!ends) return null;
+    const depth = conn.modDepth ?? MOD_DEPTH_DEFAULT;
+    return (
+      <div
+        key={conn.id}
+        className="feedback-handle mod-depth-handle"
+        style={{ left: (ends.from.x + ends.to.x) / 2, top: (ends.from.y + ends.to.y) / 2 }}
+        onMouseDown={(e) => e.stopPropagation()}
+        onDoubleClick={() => handleModDepth(conn.id, MOD_DEPTH_DEFAULT)}
+        title="Modulation depth: negative inverts (double-click to reset)"
+      >
+        <span className="feedback-handle-label">depth</span>
+        <input
+          type="range"
+          min={-MOD_DEPTH_MAX}
+          max={MOD_DEPTH_MAX}
+          step={0.01}
+          value={depth}
+          onChange={(e) => handleModDepth(conn.id, parseFloat(e.target.value))}
+        />
+        <span className="feedback-handle-val">{depth.toFixed(2)}</span>
+      </div>
+    );
+  });
+
+  // Range chip at the middle of each control-rate cable into a synth
+  // param; clicking it opens the cable's range editor
+  const compact = (v) => (Math.abs(v) >= 1000 ? `${+(v / 1000).toFixed(1)}k` : `${+v.toFixed(2)}`);
+  const renderRangeHandles = () => connections.map((conn) => {
+    if (!canMapRange(conn, nodes)) return null;
+    const ends = cableEnds(nodes, conn, scope);
+    if (!ends) return null;
+    const pos = { left: (ends.from.x + ends.to.x) / 2, top: (ends.from.y + ends.to.y) / 2 };
+    const { range } = conn;
+    return (
+      <div key={conn.id}>
+        <div
+          className={`feedback-handle range-handle${range ? ' mapped' : ''}`}
+          style={pos}
+          onMouseDown={(e) => e.stopPropagation()}
+          onClick={() => setRangeConnId((open) => (open === conn.id ? null : conn.id))}
+          title="Click to edit how this cable maps its source onto the param"
+        >
+          <span className="feedback-handle-label">{range?.invert ? 'inv' : 'range'}</span>
+          <span className="feedback-handle-val">
+            {range ? `${compact(range.min)}–${compact(range.max)}${range.curve === 'exp' ? ' exp' : ''}` : 'raw'}
+          </span>
+        </div>
+        {rangeConnId === conn.id && (
+          <CableRangeEditor
+            conn={conn}
+            defaultRange={defaultCableRange(conn, nodes)}
+            onChange={(next) => handleCableRange(conn.id, next)}
+            onClose={() => setRangeConnId(null)}
+            style={pos}
+          />
+        )}
+      </div>
+    );
+  });
+
   // ── Compute live nodes for rendering ──────────────────
   const liveNodes = computeLiveNodes(nodes, connections);
+  const feedbackIds = findFeedbackConnections(nodes, connections);
+  const visibleNodes = Object.values(nodes).filter((n) => inScope(n, scope));
 
   // ── Main render ───────────────────────────────────────
   return (
@@ -676,6 +1156,22 @@ export default function GridView() {
           daphneOpen={daphne.daphneOpen}
           recording={recording}
           recordingTime={recordingTime}
+          recFormat={recFormat}
+          takes={takes}
+          auditionId={auditionId}
+          samplerIds={samplerIds}
+          history={history}
+          library={library}
+          midiLearn={midiLearn}
+          patchMeta={patchMeta}
+          setPatchMeta={setPatchMeta}
+          patchReport={patchReport}
+          setPatchReport={setPatchReport}
+          transport={transport}
+          midiDevices={midiDevices}
+          bouncing={bouncing}
+          bounceSeconds={bounceSeconds}
+          bounceBitDepth={bounceBitDepth}
           fileInputRef={fileInputRef}
           handleBoot={handleBoot}
           setPanelOpen={setPanelOpen}
@@ -685,60 +1181,162 @@ export default function GridView() {
           handleLoadPatch={handleLoadPatch}
           handleFileSelect={handleFileSelect}
           handleToggleRecording={handleToggleRecording}
+          setRecFormat={setRecFormat}
+          handleAuditionTake={handleAuditionTake}
+          handleUpdateTake={handleUpdateTake}
+          handleDeleteTake={handleDeleteTake}
+          handleDownloadTake={handleDownloadTake}
+          handleTakeToSampler={handleTakeToSampler}
+          setBounceSeconds={setBounceSeconds}
+          setBounceBitDepth={setBounceBitDepth}
+          handleBounce={handleBounce}
         />
 
         {/* Canvas */}
         <div
-          className={`sense-canvas${connecting ? ' connecting' : ''}`}
+          className={`sense-canvas${connecting ? ' connecting' : ''}${spaceHeld || panning ? ' panning' : ''}${panning ? ' grabbing' : ''}`}
           ref={canvasRef}
+          style={{
+            backgroundSize: `${24 * view.zoom}px ${24 * view.zoom}px, 100% 100%`,
+            backgroundPosition: `${view.x}px ${view.y}px, 0 0`,
+          }}
+          onMouseDownCapture={onPanMouseDownCapture}
+          onMouseDown={onCanvasMouseDown}
           onMouseMove={onCanvasMouseMove}
           onMouseUp={onCanvasMouseUp}
           onClick={handleCanvasClick}
         >
-          <svg className="sense-cables" width="2000" height="2000">
-            {renderCables()}
-          </svg>
-          {Object.values(nodes).map((node) => (
-            <NodeRenderer
-              key={node.id}
-              node={node}
+          <div
+            className="sense-world"
+            style={{ transform: `translate(${view.x}px, ${view.y}px) scale(${view.zoom})` }}
+          >
+            <svg className="sense-cables" width="2000" height="2000">
+              {renderCables()}
+            </svg>
+            {band && (
+              <div
+                className="selection-band"
+                style={{
+                  left: Math.min(band.x0, band.x1),
+                  top: Math.min(band.y0, band.y1),
+                  width: Math.abs(band.x1 - band.x0),
+                  height: Math.abs(band.y1 - band.y0),
+                }}
+              />
+            )}
+            {visibleNodes.map((node) => (node.type === 'macro' ? (
+              <MacroNode
+                key={node.id}
+                node={node}
+                nodes={nodes}
+                connections={connections}
+                connecting={connecting}
+                selected={selectedNodeId === node.id || selectedIds.has(node.id)}
+                isLive={innerNodeIds(nodes, node.id).some((id) => liveNodes.has(id))}
+                startDrag={startDrag}
+                handlePortClick={handlePortClick}
+                handleParamPortClick={handleParamPortClick}
+                handleParamChange={handleParamChange}
+                midiLearning={midiLearn.learning}
+                handleMidiLearn={midiLearn.startLearn}
+                removeNode={handleRemoveNode}
+                enterMacro={macros.enterMacro}
+              />
+            ) : (
+              <NodeRenderer
+                key={node.id}
+                node={node}
+                nodes={nodes}
+                connections={connections}
+                connecting={connecting}
+                selectedNodeId={selectedNodeId}
+                selectedIds={selectedIds}
+                runningScripts={runningScripts}
+                runningEnvelopes={runningEnvelopes}
+                runningPulsers={runningPulsers}
+                runningSequencers={runningSequencers}
+                midiActivity={midiActivity}
+                polyVoiceCounts={polyVoiceCounts}
+                audioInput={audioInput}
+                retryAudioInput={retryAudioInput}
+                synthDefStatus={synthDefStatus[node.id]}
+                retrySynthDefs={retrySynthDefs}
+                midiListenersRef={midiListenersRef}
+                scopeBuffersRef={scopeBuffersRef}
+                scopeBufferSize={SCOPE_BUFFER_SIZE}
+                isLive={liveNodes.has(node.id)}
+                startDrag={startDrag}
+                handlePortClick={handlePortClick}
+                handleParamPortClick={handleParamPortClick}
+                handleParamChange={handleParamChange}
+                midiLearning={midiLearn.learning}
+                handleMidiLearn={midiLearn.startLearn}
+                handleBang={handleBang}
+                handleBangResizeStart={handleBangResizeStart}
+                handleScriptResizeStart={handleScriptResizeStart}
+                handleBreakpointsChange={handleBreakpointsChange}
+                handleEnvelopeTrigger={handleEnvelopeTrigger}
+                handleEnvelopeStop={handleEnvelopeStop}
+                handleEnvelopeDuration={handleEnvelopeDuration}
+                handleEnvelopeLoop={handleEnvelopeLoop}
+                handleSyncToggle={handleSyncToggle}
+                getEnvelopeProgress={getEnvelopeProgress}
+                removeNode={handleRemoveNode}
+                setSelectedNodeId={setSelectedNodeId}
+                sampleData={sampleData}
+                samplePlayheads={samplePlayheads}
+                sampleFileInputRef={sampleFileInputRef}
+                sampleLoadTargetRef={sampleLoadTargetRef}
+                handleSampleRegionChange={handleSampleRegionChange}
+                handleSampleTrigger={handleSampleTrigger}
+                handleSampleLoopToggle={handleSampleLoopToggle}
+              />
+            )))}
+            {renderFeedbackHandles()}
+            {renderModDepthHandles()}
+            {renderRangeHandles()}
+          </div>
+
+          {scope != null ? (
+            <div className="macro-bar">
+              <button className="view-btn" onClick={macros.exitMacro} title="Back to the patch (Esc)">‹ Patch</button>
+              <span className="macro-bar-name">{nodes[scope].macro.name}</span>
+              <span className="macro-bar-info">
+                {nodes[scope].macro.inputs.length} in · {nodes[scope].macro.outputs.length} out · {nodes[scope].macro.params.length} params exposed
+              </span>
+            </div>
+          ) : selectedIds.size > 1 && (
+            <div className="macro-bar">
+              <button className="view-btn" onClick={macros.collapseSelection} title="Collapse the selection into a macro (Ctrl+G)">
+                Make macro
+              </button>
+            </div>
+          )}
+
+          {minimapOpen && Object.keys(nodes).length > 0 && (
+            <Minimap
+              canvasRef={canvasRef}
               nodes={nodes}
-              connections={connections}
-              connecting={connecting}
-              selectedNodeId={selectedNodeId}
-              runningScripts={runningScripts}
-              runningEnvelopes={runningEnvelopes}
-              runningPulsers={runningPulsers}
-              runningSequencers={runningSequencers}
-              midiActivity={midiActivity}
-              midiListenersRef={midiListenersRef}
-              scopeBuffersRef={scopeBuffersRef}
-              scopeBufferSize={SCOPE_BUFFER_SIZE}
-              isLive={liveNodes.has(node.id)}
-              startDrag={startDrag}
-              handlePortClick={handlePortClick}
-              handleParamPortClick={handleParamPortClick}
-              handleParamChange={handleParamChange}
-              handleBang={handleBang}
-              handleBangResizeStart={handleBangResizeStart}
-              handleScriptResizeStart={handleScriptResizeStart}
-              handleBreakpointsChange={handleBreakpointsChange}
-              handleEnvelopeTrigger={handleEnvelopeTrigger}
-              handleEnvelopeStop={handleEnvelopeStop}
-              handleEnvelopeDuration={handleEnvelopeDuration}
-              handleEnvelopeLoop={handleEnvelopeLoop}
-              getEnvelopeProgress={getEnvelopeProgress}
-              removeNode={removeNode}
-              setSelectedNodeId={setSelectedNodeId}
-              sampleData={sampleData}
-              samplePlayheads={samplePlayheads}
-              sampleFileInputRef={sampleFileInputRef}
-              sampleLoadTargetRef={sampleLoadTargetRef}
-              handleSampleRegionChange={handleSampleRegionChange}
-              handleSampleTrigger={handleSampleTrigger}
-              handleSampleLoopToggle={handleSampleLoopToggle}
+              selectedIds={selectedIds}
+              view={view}
+              centerOn={centerOn}
             />
-          ))}
+          )}
+          <div className="canvas-view-controls">
+            <button className="view-btn" onClick={() => zoomBy(1 / 1.2)} title="Zoom out (Ctrl+wheel)">−</button>
+            <button className="view-btn zoom-level" onClick={resetZoom} title="Reset to 100%">
+              {Math.round(view.zoom * 100)}%
+            </button>
+            <button className="view-btn" onClick={() => zoomBy(1.2)} title="Zoom in (Ctrl+wheel)">+</button>
+            <button className="view-btn" onClick={zoomToFit} title="Zoom to fit all modules">Fit</button>
+            <button
+              className={`view-btn${minimapOpen ? ' active' : ''}`}
+              onClick={() => setMinimapOpen((o) => !o)}
+              title="Toggle minimap · hold Space and drag to pan"
+            >
+              Map
+            </button>
+          </div>
 
           {Object.keys(nodes).length === 0 && (
             <div className="canvas-empty">
@@ -756,7 +1354,8 @@ export default function GridView() {
         <InstrumentPanel
           panelOpen={panelOpen}
           setPanelOpen={setPanelOpen}
-          onAddModule={addNode}
+          onAddModule={handleAddNode}
+          macros={macros}
         />
 
         {/* Module Details Panel */}
@@ -774,12 +1373,15 @@ export default function GridView() {
           handleRunScript={handleRunScript}
           handleStopScript={handleStopScript}
           handleQuantizeToggle={handleQuantizeToggle}
+          handleMidiModeChange={handleMidiModeChange}
+          midiLearn={midiLearn}
           handlePrintPrefix={handlePrintPrefix}
           handlePrintColor={handlePrintColor}
           sampleData={sampleData}
           sampleFileInputRef={sampleFileInputRef}
           sampleLoadTargetRef={sampleLoadTargetRef}
           handleLoadBuiltinSample={handleLoadBuiltinSample}
+          macros={macros}
         />
 
         {/* Daphne AI Panel */}
@@ -821,6 +1423,14 @@ export default function GridView() {
         <div className="sense-status">
           <div className={`status-indicator${booted ? ' on' : ''}`} />
           <span>{status}</span>
+          {oscRate && (
+            <span
+              className="status-osc"
+              title="Outgoing OSC per second: messages, bundles, redundant param updates skipped · synths running"
+            >
+              {oscRate.messages} msg/s · {oscRate.bundles} bundles/s · {oscRate.skipped} skipped/s · {oscRate.synths} synths
+            </span>
+          )}
         </div>
 
         {/* Footer */}
@@ -0,0 +1,67 @@
+// ════════════════════════════════════════════════════════════
+//  buildControlMapDef.js
+//
+//  Generates the binary SynthDef for ora_cmap, the range mapping
+//  of a control-rate cable. The cable's source writes its raw
+//  value onto a control bus of the cable's own; ora_cmap scales
+//  and offsets it into 0–1, optionally inverts it, spreads it over
+//  lo–hi on a linear or exponential curve, slews it and writes it
+//  onto the control bus of the param the cable modulates.
+//
+//  `ratio` is hi / lo, worked out by the caller so the synth never
+//  divides: it stays 1 while `exp` is 0, and the exponential curve
+//  is only switched on when lo and hi have the same sign.
+//
+//  Equivalent SuperCollider source:
+//
+//    SynthDef(\ora_cmap, {
+//        var u = (In.kr(\in_bus.kr(0)) * \scale.kr(1) + \offset.kr(0)).clip(0, 1);
+//        var lo = \lo.kr(0), hi = \hi.kr(1);
+//        var lin, exp;
+//        u = u + (\invert.kr(0) * (1 - (2 * u)));
+//        lin = lo + ((hi - lo) * u);
+//        exp = lo * pow(\ratio.kr(1), u);
+//        Out.kr(\out_bus.kr(0), Lag.kr(lin + (\exp.kr(0) * (exp - lin)), \slew.kr(0)));
+//    });
+// ════════════════════════════════════════════════════════════
+
+import {
+  RATE_CONTROL, OP_ADD, OP_SUB, OP_MUL, OP_MIN, OP_MAX, OP_POW, ugen, konst, ugenGraph, encodeSynthDef,
+} from './synthDefWriter';
+
+export function buildControlMapDef() {
+  const params = [
+    ['in_bus', 0], ['out_bus', 0],
+    ['scale', 1], ['offset', 0], ['invert', 0],
+    ['lo', 0], ['hi', 1], ['ratio', 1], ['exp', 0],
+    ['slew', 0],
+  ];
+  const control = (paramName) => ugen(0, params.findIndex(([p]) => p === paramName));
+
+  // Constants: [0] = 0, [1] = 1, [2] = 2
+  const ZERO = konst(0);
+  const ONE = konst(1);
+  const TWO = konst(2);
+
+  const { ugens, add, op } = ugenGraph();
+  const k = (special, a, b) => ugen(op(special, RATE_CONTROL, a, b));
+  add('Control', RATE_CONTROL, [], params.length);
+
+  // u = clip(in * scale + offset, 0, 1), inverted to 1 - u on demand
+  const input = ugen(add('In', RATE_CONTROL, [control('in_bus')], 1));
+  const shifted = k(OP_ADD, k(OP_MUL, input, control('scale')), control('offset'));
+  const clipped = k(OP_MIN, k(OP_MAX, shifted, ZERO), ONE);
+  const flip = k(OP_MUL, control('invert'), k(OP_SUB, ONE, k(OP_MUL, clipped, TWO)));
+  const u = k(OP_ADD, clipped, flip);
+
+  // lin + exp * (lo * ratio^u - lin)
+  const lo = control('lo');
+  const lin = k(OP_ADD, lo, k(OP_MUL, k(OP_SUB, control('hi'), lo), u));
+  const expo = k(OP_MUL, lo, k(OP_POW, control('ratio'), u));
+  const out = k(OP_ADD, lin, k(OP_MUL, control('exp'), k(OP_SUB, expo, lin)));
+
+  const slewed = add('Lag', RATE_CONTROL, [out, control('slew')]);
+  add('Out', RATE_CONTROL, [control('out_bus'), ugen(slewed)], 0);
+
+  return encodeSynthDef({ name: 'ora_cmap', constants: [0, 1, 2], params, ugens });
+}
@@ -0,0 +1,39 @@
+// ════════════════════════════════════════════════════════════
+//  buildFeedbackDef.js
+//
+//  Generates the binary SynthDefs that close feedback loops:
+//  ora_feedback (stereo) and ora_feedback_mono. One runs at the
+//  head of the FX group for each feedback cable, before anything
+//  in the loop, so InFeedback picks up what the cable's source
+//  wrote during the previous block. The signal is scaled by the
+//  cable's gain and written onto the input port it feeds.
+//
+//  Equivalent SuperCollider source (stereo):
+//
+//    SynthDef(\ora_feedback, {
+//        var sig = InFeedback.ar(\in_bus.kr(0), 2);
+//        Out.ar(\out_bus.kr(0), sig * Lag.kr(\gain.kr(0.5), 0.02));
+//    });
+// ════════════════════════════════════════════════════════════
+
+import {
+  RATE_CONTROL, RATE_AUDIO, OP_MUL, ugen, konst, ugenGraph, encodeSynthDef,
+} from './synthDefWriter';
+
+export function feedbackDefName(channels) {
+  return channels === 1 ? 'ora_feedback_mono' : 'ora_feedback';
+}
+
+export function buildFeedbackDef(channels) {
+  const params = [['in_bus', 0], ['out_bus', 0], ['gain', 0.5]];
+  const { ugens, add, op } = ugenGraph();
+
+  add('Control', RATE_CONTROL, [], params.length);
+  const input = add('InFeedback', RATE_AUDIO, [ugen(0, 0)], channels);
+  const gain = add('Lag', RATE_CONTROL, [ugen(0, 2), konst(0)]);
+  const outs = Array.from({ length: channels }, (_, ch) =>
+    ugen(op(OP_MUL, RATE_AUDIO, ugen(input, ch), ugen(gain))));
+  add('Out', RATE_AUDIO, [ugen(0, 1), ...outs], 0);
+
+  return encodeSynthDef({ name: feedbackDefName(channels), constants: [0.02], params, ugens });
+}
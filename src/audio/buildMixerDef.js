@@ -0,0 +1,92 @@
+// ════════════════════════════════════════════════════════════
+//  buildMixerDef.js
+//
+//  Generates the binary SynthDef for ora_mixer, the Mixer
+//  module: MIXER_CHANNELS stereo inputs, each with level, pan,
+//  mute and solo, summed onto one stereo output. Any channel in
+//  solo silences every channel that isn't.
+//
+//  Equivalent SuperCollider source (shown for 4 channels):
+//
+//    SynthDef(\ora_mixer, {
+//        var solos = [\solo_1.kr(0), \solo_2.kr(0), \solo_3.kr(0), \solo_4.kr(0)];
+//        var anySolo = solos.reduce(\max);
+//        var mix = 4.collect { |i|
+//            var n = i + 1;
+//            var sig = In.ar(("in_bus_" ++ n).asSymbol.kr(0), 2);
+//            var gate = (1 - ("mute_" ++ n).asSymbol.kr(0))
+//                * (1 - (anySolo * (1 - solos[i])));
+//            var level = Lag.kr(("level_" ++ n).asSymbol.kr(1) * gate, 0.02);
+//            Balance2.ar(sig[0], sig[1], ("pan_" ++ n).asSymbol.kr(0), level);
+//        }.sum;
+//        Out.ar(\out_bus.kr(0), mix * Lag.kr(\amp.kr(1), 0.02));
+//    });
+// ════════════════════════════════════════════════════════════
+
+import {
+  RATE_CONTROL, RATE_AUDIO, OP_ADD, OP_SUB, OP_MUL, OP_MAX, ugen, konst, ugenGraph, encodeSynthDef,
+} from './synthDefWriter';
+
+export const MIXER_CHANNELS = 4;
+
+export function buildMixerDef() {
+  const channels = Array.from({ length: MIXER_CHANNELS }, (_, i) => i + 1);
+
+  // ── Parameters (grouped by kind, channel order within) ──
+  const params = [
+    ...channels.map((n) => [`in_bus_${n}`, 0]),
+    ...channels.map((n) => [`level_${n}`, 1]),
+    ...channels.map((n) => [`pan_${n}`, 0]),
+    ...channels.map((n) => [`mute_${n}`, 0]),
+    ...channels.map((n) => [`solo_${n}`, 0]),
+    ['amp', 1],
+    ['out_bus', 0],
+  ];
+  const control = (paramName) => ugen(0, params.findIndex(([p]) => p === paramName));
+
+  // Constants: [0] = 1 (for 1 - x), [1] = 0.02 (lag time)
+  const ONE = konst(0);
+  const LAG = konst(1);
+
+  // ── UGens ──
+  const { ugens, add, op } = ugenGraph();
+  add('Control', RATE_CONTROL, [], params.length);
+
+  // anySolo = max of every solo
+  let anySolo = control('solo_1');
+  for (const n of channels.slice(1)) {
+    anySolo = ugen(op(OP_MAX, RATE_CONTROL, anySolo, control(`solo_${n}`)));
+  }
+
+  // One Balance2 per channel
+  const strips = channels.map((n) => {
+    const input = add('In', RATE_AUDIO, [control(`in_bus_${n}`)], 2);
+    const unmuted = op(OP_SUB, RATE_CONTROL, ONE, control(`mute_${n}`));
+    const unsoloed = op(OP_SUB, RATE_CONTROL, ONE, control(`solo_${n}`));
+    const silenced = op(OP_MUL, RATE_CONTROL, anySolo, ugen(unsoloed));
+    const audible = op(OP_SUB, RATE_CONTROL, ONE, ugen(silenced));
+    const gate = op(OP_MUL, RATE_CONTROL, ugen(unmuted), ugen(audible));
+    const gated = op(OP_MUL, RATE_CONTROL, control(`level_${n}`), ugen(gate));
+    const level = add('Lag', RATE_CONTROL, [ugen(gated), LAG]);
+    return add('Balance2', RATE_AUDIO, [ugen(input, 0), ugen(input, 1), control(`pan_${n}`), ugen(level)], 2);
+  });
+
+  // Sum the strips per side, then apply the master level
+  const sum = (side) => strips.slice(1).reduce(
+    (acc, strip) => ugen(op(OP_ADD, RATE_AUDIO, acc, ugen(strip, side))),
+    ugen(strips[0], side),
+  );
+  const left = sum(0);
+  const right = sum(1);
+  const master = add('Lag', RATE_CONTROL, [control('amp'), LAG]);
+  const outL = op(OP_MUL, RATE_AUDIO, left, ugen(master));
+  const outR = op(OP_MUL, RATE_AUDIO, right, ugen(master));
+  add('Out', RATE_AUDIO, [control('out_bus'), ugen(outL), ugen(outR)], 0);
+
+  return encodeSynthDef({
+    name: 'ora_mixer',
+    constants: [1.0, 0.02],
+    params,
+    ugens,
+  });
+}
@@ -35,82 +35,11 @@
 //    });
 // ════════════════════════════════════════════════════════════
 
-// ── SCgf v2 binary format helpers ─────────────────────────
-
-const RATE_SCALAR = 0;
-const RATE_CONTROL = 1;
-const RATE_AUDIO = 2;
-
-class SynthDefWriter {
-  constructor() {
-    this.chunks = [];
-  }
-
-  writeInt8(v) {
-    const buf = new ArrayBuffer(1);
-    new DataView(buf).setInt8(0, v);
-    this.chunks.push(new Uint8Array(buf));
-  }
-
-  writeInt16(v) {
-    const buf = new ArrayBuffer(2);
-    new DataView(buf).setInt16(0, v, false); // big-endian
-    this.chunks.push(new Uint8Array(buf));
-  }
-
-  writeInt32(v) {
-    const buf = new ArrayBuffer(4);
-    new DataView(buf).setInt32(0, v, false);
-    this.chunks.push(new Uint8Array(buf));
-  }
-
-  writeFloat32(v) {
-    const buf = new ArrayBuffer(4);
-    new DataView(buf).setFloat32(0, v, false);
-    this.chunks.push(new Uint8Array(buf));
-  }
-
-  writePstring(s) {
-    const bytes = new TextEncoder().encode(s);
-    this.writeInt8(bytes.length);
-    this.chunks.push(bytes);
-  }
-
-  writeBytes(bytes) {
-    this.chunks.push(new Uint8Array(bytes));
-  }
-
-  toUint8Array() {
-    let totalLen = 0;
-    for (const c of this.chunks) totalLen += c.length;
-    const result = new Uint8Array(totalLen);
-    let offset = 0;
-    for (const c of this.chunks) {
-      result.set(c, offset);
-      offset += c.length;
-    }
-    return result;
-  }
-}
+import { RATE_CONTROL, RATE_AUDIO, ugen, konst, encodeSynthDef } from './synthDefWriter';
 
 // ── Build the sample_player SynthDef ──────────────────────
 
 export function buildSamplePlayerDef() {
-  const w = new SynthDefWriter();
-
-  // ── File header ──
-  w.writeBytes([0x53, 0x43, 0x67, 0x66]); // "SCgf"
-  w.writeInt32(2);  // version 2
-  w.writeInt16(1);  // 1 synthdef
-
-  // ── SynthDef name ──
-  w.writePstring('sample_player');
-
-  // ── Constants ──
-  const constants = [0.0, 1.0, 0.005, 2.0];
-  w.writeInt32(constants.length);
-  for (const c of constants) w.writeFloat32(c);
-
   // ── Parameters ──
   //  0: buf        = 0
   //  1: rate       = 1
@@ -123,28 +52,13 @@ export function buildSamplePlayerDef() {
   //  8: t_trig     = 0  (trigger control)
   //  9: rate_mod   = 0  (audio control)
   // 10: amp_mod    = 0  (audio control)
-  const paramDefaults = [0, 1, 0, 1, 1, 0.5, 0, 0, 0, 0, 0];
-  w.writeInt32(paramDefaults.length);
-  for (const p of paramDefaults) w.writeFloat32(p);
-
-  // ── Parameter names ──
-  const paramNames = [
-    ['buf', 0], ['rate', 1], ['start_pos', 2], ['end_pos', 3],
-    ['loop', 4], ['amp', 5], ['pan', 6], ['out_bus', 7],
-    ['t_trig', 8], ['rate_mod', 9], ['amp_mod', 10],
+  const params = [
+    ['buf', 0], ['rate', 1], ['start_pos', 0], ['end_pos', 1],
+    ['loop', 1], ['amp', 0.5], ['pan', 0], ['out_bus', 0],
+    ['t_trig', 0], ['rate_mod', 0], ['amp_mod', 0],
   ];
-  w.writeInt32(paramNames.length);
-  for (const [name, idx] of paramNames) {
-    w.writePstring(name);
-    w.writeInt32(idx);
-  }
 
   // ── UGens ──
-  // Helper: input from another UGen
-  const ugen = (idx, outIdx = 0) => [idx, outIdx];
-  // Helper: input from constants table
-  const konst = (idx) => [-1, idx];
-
   const ugens = [
     // UGen 0: Control.kr — 8 control-rate parameter outputs
     {
@@ -295,24 +209,10 @@ export function buildSamplePlayerDef() {
     },
   ];
 
-  w.writeInt32(ugens.length);
-  for (const u of ugens) {
-    w.writePstring(u.name);
-    w.writeInt8(u.rate);
-    w.writeInt32(u.inputs.length);
-    w.writeInt32(u.outputs.length);
-    w.writeInt16(u.special);
-    for (const [ugenIdx, outIdx] of u.inputs) {
-      w.writeInt32(ugenIdx);
-      w.writeInt32(outIdx);
-    }
-    for (const outRate of u.outputs) {
-      w.writeInt8(outRate);
-    }
-  }
-
-  // ── Variants ──
-  w.writeInt16(0); // no variants
-
-  return w.toUint8Array();
+  return encodeSynthDef({
+    name: 'sample_player',
+    constants: [0.0, 1.0, 0.005, 2.0],
+    params,
+    ugens,
+  });
 }
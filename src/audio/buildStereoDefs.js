@@ -0,0 +1,87 @@
+// ════════════════════════════════════════════════════════════
+//  buildStereoDefs.js
+//
+//  Generates the binary SynthDefs of the stereo signal path:
+//
+//    ora_pan    Pan module — places a mono input in the field
+//    ora_width  Width module — mid/side stereo width
+//    ora_route  routing helper — one mono channel from a stereo
+//               pair, as l * gain_l + r * gain_r. Feeds mono
+//               inputs (a channel pick, or a downmix)
+//
+//  Equivalent SuperCollider source:
+//
+//    SynthDef(\ora_pan, {
+//        var sig = In.ar(\in_bus.kr(0), 1);
+//        Out.ar(\out_bus.kr(0), Pan2.ar(sig, \pan.kr(0), Lag.kr(\amp.kr(1), 0.02)));
+//    });
+//
+//    SynthDef(\ora_width, {
+//        var sig = In.ar(\in_bus.kr(0), 2);
+//        var mid = (sig[0] + sig[1]) * 0.5;
+//        var side = (sig[0] - sig[1]) * 0.5 * Lag.kr(\width.kr(1), 0.02);
+//        var amp = Lag.kr(\amp.kr(1), 0.02);
+//        Out.ar(\out_bus.kr(0), [mid + side, mid - side] * amp);
+//    });
+//
+//    SynthDef(\ora_route, {
+//        var sig = In.ar(\in_bus.kr(0), 2);
+//        Out.ar(\out_bus.kr(0), (sig[0] * \gain_l.kr(1)) + (sig[1] * \gain_r.kr(0)));
+//    });
+// ════════════════════════════════════════════════════════════
+
+import {
+  RATE_CONTROL, RATE_AUDIO, OP_ADD, OP_SUB, OP_MUL, ugen, konst, ugenGraph, encodeSynthDef,
+} from './synthDefWriter';
+
+export function buildPanDef() {
+  const params = [['in_bus', 0], ['out_bus', 0], ['pan', 0], ['amp', 1]];
+  const { ugens, add } = ugenGraph();
+
+  add('Control', RATE_CONTROL, [], params.length);
+  const input = add('In', RATE_AUDIO, [ugen(0, 0)], 1);
+  const amp = add('Lag', RATE_CONTROL, [ugen(0, 3), konst(0)]);
+  const panned = add('Pan2', RATE_AUDIO, [ugen(input), ugen(0, 2), ugen(amp)], 2);
+  add('Out', RATE_AUDIO, [ugen(0, 1), ugen(panned, 0), ugen(panned, 1)], 0);
+
+  return encodeSynthDef({ name: 'ora_pan', constants: [0.02], params, ugens });
+}
+
+export function buildWidthDef() {
+  const params = [['in_bus', 0], ['out_bus', 0], ['width', 1], ['amp', 1]];
+  const { ugens, add, op } = ugenGraph();
+  const HALF = konst(1);
+
+  add('Control', RATE_CONTROL, [], params.length);
+  const input = add('In', RATE_AUDIO, [ugen(0, 0)], 2);
+  const width = add('Lag', RATE_CONTROL, [ugen(0, 2), konst(0)]);
+  const amp = add('Lag', RATE_CONTROL, [ugen(0, 3), konst(0)]);
+
+  const sum = op(OP_ADD, RATE_AUDIO, ugen(input, 0), ugen(input, 1));
+  const mid = op(OP_MUL, RATE_AUDIO, ugen(sum), HALF);
+  const diff = op(OP_SUB, RATE_AUDIO, ugen(input, 0), ugen(input, 1));
+  const halfDiff = op(OP_MUL, RATE_AUDIO, ugen(diff), HALF);
+  const side = op(OP_MUL, RATE_AUDIO, ugen(halfDiff), ugen(width));
+
+  const left = op(OP_ADD, RATE_AUDIO, ugen(mid), ugen(side));
+  const right = op(OP_SUB, RATE_AUDIO, ugen(mid), ugen(side));
+  const outL = op(OP_MUL, RATE_AUDIO, ugen(left), ugen(amp));
+  const outR = op(OP_MUL, RATE_AUDIO, ugen(right), ugen(amp));
+  add('Out', RATE_AUDIO, [ugen(0, 1), ugen(outL), ugen(outR)], 0);
+
+  return encodeSynthDef({ name: 'ora_width', constants: [0.02, 0.5], params, ugens });
+}
+
+export function buildRouteDef() {
+  const params = [['in_bus', 0], ['out_bus', 0], ['gain_l', 1], ['gain_r', 0]];
+  const { ugens, add, op } = ugenGraph();
+
+  add('Control', RATE_CONTROL, [], params.length);
+  const input = add('In', RATE_AUDIO, [ugen(0, 0)], 2);
+  const left = op(OP_MUL, RATE_AUDIO, ugen(input, 0), ugen(0, 2));
+  const right = op(OP_MUL, RATE_AUDIO, ugen(input, 1), ugen(0, 3));
+  const mono = op(OP_ADD, RATE_AUDIO, ugen(left), ugen(right));
+  add('Out', RATE_AUDIO, [ugen(0, 1), ugen(mono)], 0);
+
+  return encodeSynthDef({ name: 'ora_route', constants: [], params, ugens });
+}
@@ -2,9 +2,13 @@
 //  ENVELOPE RUNNER
 //
 //  JavaScript-based breakpoint envelope playback engine.
-//  Interpolates envelope values at ~30fps and outputs via
-//  callback (which writes to scsynth control buses through
-//  the existing modulation system).
+//  Interpolates envelope values at ~30fps on the lookahead
+//  scheduler's clock and outputs them via callback, each with
+//  the time it's due (written to scsynth control buses as
+//  timestamped bundles).
+//
+//  Synced to the transport, the duration is counted in beats
+//  and the envelope stretches to follow tempo changes.
 //
 //  Uses SuperCollider's curve interpolation formula:
 //    linear (curve ~ 0): lerp(a, b, t)
@@ -62,19 +66,28 @@ export function interpolateEnvelope(t, breakpoints, curves) {
 
 // ── Runner class ────────────────────────────────────────────
 
+const FRAME = 1 / 30; // seconds between output values (~30fps)
+
 export class EnvelopeRunner {
   /**
-   * @param {(nodeId: number, value: number) => void} onOutput
+   * @param {(nodeId: number, value: number, time: number) => void} onOutput
+   * @param {import('./lookaheadScheduler').LookaheadScheduler} scheduler
+   * @param {import('./transport').Transport} transport
    */
-  constructor(onOutput) {
+  constructor(onOutput, scheduler, transport) {
     this._onOutput = onOutput;
+    this._scheduler = scheduler;
+    this._transport = transport;
     this._contexts = new Map(); // nodeId → ctx
+    this._unsubscribe = transport.subscribe(() => this._retime());
   }
 
   /**
-   * Trigger (start/restart) envelope playback for a node.
+   * Trigger (start/restart) envelope playback for a node, at `time`
+   * on the scheduler clock (default: now). With `sync` the duration
+   * is in beats of the transport.
    */
-  trigger(nodeId, breakpoints, curves, duration, loop = false) {
+  trigger(nodeId, breakpoints, curves, duration, loop = false, time = this._scheduler.now(), sync = false) {
     this.stop(nodeId);
 
     if (!breakpoints || breakpoints.length < 2) return;
@@ -82,39 +95,31 @@ export class EnvelopeRunner {
     const ctx = {
       breakpoints,
       curves,
-      duration: Math.max(0.01, duration),
+      duration: Math.max(0.01, sync ? duration * this._transport.secondsPerBeat() : duration),
+      beats: sync ? duration : null,
       loop,
-      startTime: performance.now(),
-      stopped: false,
-      interval: null,
+      startTime: time,
     };
+    this._contexts.set(nodeId, ctx);
 
-    // Emit initial value
-    this._onOutput(nodeId, breakpoints[0].value);
-
-    ctx.interval = setInterval(() => {
-      if (ctx.stopped) return;
-
-      const elapsed = (performance.now() - ctx.startTime) / 1000;
-      let normT = elapsed / ctx.duration;
+    this._scheduler.add(`envelope:${nodeId}`, time, (t) => {
+      let normT = (t - ctx.startTime) / ctx.duration;
 
       if (normT >= 1) {
         if (loop) {
-          ctx.startTime = performance.now();
-          normT = 0;
+          ctx.startTime += Math.floor(normT) * ctx.duration;
+          normT %= 1;
         } else {
-          const finalVal = breakpoints[breakpoints.length - 1].value;
-          this._onOutput(nodeId, finalVal);
-          this.stop(nodeId);
-          return;
+          this._onOutput(nodeId, breakpoints[breakpoints.length - 1].value, t);
+          // Finished: the runner is free again, the last value still plays
+          this._contexts.delete(nodeId);
+          return null;
         }
       }
 
-      const value = interpolateEnvelope(normT, breakpoints, curves);
-      this._onOutput(nodeId, value);
-    }, 33); // ~30fps (matches ScriptRunner cadence)
-
-    this._contexts.set(nodeId, ctx);
+      this._onOutput(nodeId, interpolateEnvelope(normT, breakpoints, curves), t);
+      return t + FRAME;
+    });
   }
 
   /**
@@ -123,9 +128,9 @@ export class EnvelopeRunner {
    */
   getProgress(nodeId) {
     const ctx = this._contexts.get(nodeId);
-    if (!ctx || ctx.stopped) return null;
+    if (!ctx) return null;
 
-    const elapsed = (performance.now() - ctx.startTime) / 1000;
+    const elapsed = Math.max(0, this._scheduler.now() - ctx.startTime);
     let normT = elapsed / ctx.duration;
 
     if (ctx.loop) {
@@ -144,11 +149,8 @@ export class EnvelopeRunner {
   }
 
   stop(nodeId) {
-    const ctx = this._contexts.get(nodeId);
-    if (!ctx) return;
-
-    ctx.stopped = true;
-    if (ctx.interval != null) clearInterval(ctx.interval);
+    if (!this._contexts.has(nodeId)) return;
+    this._scheduler.remove(`envelope:${nodeId}`);
     this._contexts.delete(nodeId);
   }
 
@@ -161,4 +163,25 @@ export class EnvelopeRunner {
       this.stop(nodeId);
     }
   }
+
+  dispose() {
+    this.stopAll();
+    this._unsubscribe();
+  }
+
+  // Stretch synced envelopes to the new tempo, keeping the
+  // position they've reached
+  _retime() {
+    const now = this._scheduler.now();
+    for (const ctx of this._contexts.values()) {
+      if (ctx.beats == null) continue;
+      const duration = Math.max(0.01, ctx.beats * this._transport.secondsPerBeat());
+      if (duration === ctx.duration) continue;
+      if (now > ctx.startTime) {
+        const normT = (now - ctx.startTime) / ctx.duration;
+        ctx.startTime = now - normT * duration;
+      }
+      ctx.duration = duration;
+    }
+  }
 }
@@ -0,0 +1,271 @@
+// ════════════════════════════════════════════════════════════
+//  flacEncoder.js
+//
+//  Small FLAC encoder for recorded takes (16 or 24 bit, any
+//  channel count up to 8). Each channel of each block is coded
+//  independently as whichever is smallest of:
+//
+//    CONSTANT  — silence / DC blocks
+//    FIXED     — polynomial predictor, order 0–4, with a single
+//                Rice partition (RICE2, 5-bit parameters)
+//    VERBATIM  — raw samples, when prediction doesn't pay off
+//
+//  No LPC, stereo decorrelation or MD5 (STREAMINFO leaves the
+//  signature zeroed, which the spec reserves for "unknown"), so
+//  files are larger than the reference encoder's but decode
+//  bit-exact everywhere.
+// ════════════════════════════════════════════════════════════
+
+export const FLAC_BIT_DEPTHS = [16, 24];
+
+const BLOCK_SIZE = 4096;
+const MAX_RICE_PARAM = 30; // 31 is the RICE2 escape code
+
+// ── Bit writer ─────────────────────────────────────────────
+
+class BitWriter {
+  constructor(capacity = 1 << 16) {
+    this.bytes = new Uint8Array(capacity);
+    this.pos = 0;      // bytes written
+    this.acc = 0;      // pending bits (fewer than 8 between writes)
+    this.accBits = 0;
+  }
+
+  _ensure(n) {
+    if (this.pos + n <= this.bytes.length) return;
+    let size = this.bytes.length * 2;
+    while (size < this.pos + n) size *= 2;
+    const next = new Uint8Array(size);
+    next.set(this.bytes.subarray(0, this.pos));
+    this.bytes = next;
+  }
+
+  // Write the low `n` bits of `value` (two's complement for negatives)
+  write(value, n) {
+    while (n > 24) {
+      n -= 24;
+      this.write(Math.floor(value / 2 ** n) & 0xffffff, 24);
+      value = value % 2 ** n;
+    }
+    if (n === 0) return;
+    this._ensure(4);
+    this.acc = (this.acc << n) | (value & ((1 << n) - 1));
+    this.accBits += n;
+    while (this.accBits >= 8) {
+      this.accBits -= 8;
+      this.bytes[this.pos++] = (this.acc >>> this.accBits) & 0xff;
+    }
+    this.acc &= (1 << this.accBits) - 1;
+  }
+
+  // `q` zero bits followed by a one
+  writeUnary(q) {
+    while (q >= 24) {
+      this.write(0, 24);
+      q -= 24;
+    }
+    this.write(1, q + 1);
+  }
+
+  // Pad with zero bits to the next byte boundary
+  align() {
+    if (this.accBits > 0) this.write(0, 8 - this.accBits);
+  }
+
+  writeBytes(arr) {
+    this._ensure(arr.length);
+    this.bytes.set(arr, this.pos);
+    this.pos += arr.length;
+  }
+
+  result() {
+    return this.bytes.slice(0, this.pos);
+  }
+}
+
+// ── CRCs ───────────────────────────────────────────────────
+
+function crc8(bytes, start, end) {
+  let crc = 0;
+  for (let i = start; i < end; i++) {
+    crc ^= bytes[i];
+    for (let b = 0; b < 8; b++) {
+      crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xff : (crc << 1) & 0xff;
+    }
+  }
+  return crc;
+}
+
+function crc16(bytes, start, end) {
+  let crc = 0;
+  for (let i = start; i < end; i++) {
+    crc ^= bytes[i] << 8;
+    for (let b = 0; b < 8; b++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x8005) & 0xffff : (crc << 1) & 0xffff;
+    }
+  }
+  return crc;
+}
+
+// ── Prediction ─────────────────────────────────────────────
+
+function fixedResidual(x, order, i) {
+  switch (order) {
+    case 0: return x[i];
+    case 1: return x[i] - x[i - 1];
+    case 2: return x[i] - 2 * x[i - 1] + x[i - 2];
+    case 3: return x[i] - 3 * x[i - 1] + 3 * x[i - 2] - x[i - 3];
+    default: return x[i] - 4 * x[i - 1] + 6 * x[i - 2] - 4 * x[i - 3] + x[i - 4];
+  }
+}
+
+const zigzag = (r) => (r >= 0 ? 2 * r : -2 * r - 1);
+
+// Best fixed order and Rice parameter for one channel block,
+// with the exact size in bits of the resulting subframe
+function planFixed(x, bps) {
+  const n = x.length;
+  let best = null;
+
+  for (let order = 0; order <= Math.min(4, n - 1); order++) {
+    let sum = 0;
+    for (let i = order; i < n; i++) sum += zigzag(fixedResidual(x, order, i));
+    const count = n - order;
+
+    let k = 0;
+    while (k < MAX_RICE_PARAM && count * 2 ** (k + 1) < sum) k++;
+
+    let bits = 0;
+    for (let i = order; i < n; i++) {
+      bits += Math.floor(zigzag(fixedResidual(x, order, i)) / 2 ** k);
+    }
+    bits += count * (k + 1) + order * bps + 8 + 2 + 4 + 5;
+
+    if (!best || bits < best.bits) best = { order, k, bits };
+  }
+  return best;
+}
+
+// ── Subframes ──────────────────────────────────────────────
+
+function writeSubframe(w, x, bps) {
+  const n = x.length;
+
+  let constant = true;
+  for (let i = 1; i < n; i++) {
+    if (x[i] !== x[0]) { constant = false; break; }
+  }
+  if (constant) {
+    w.write(0b00000000, 8); // CONSTANT
+    w.write(x[0], bps);
+    return;
+  }
+
+  const plan = planFixed(x, bps);
+  if (plan.bits >= 8 + n * bps) {
+    w.write(0b00000010, 8); // VERBATIM
+    for (let i = 0; i < n; i++) w.write(x[i], bps);
+    return;
+  }
+
+  const { order, k } = plan;
+  w.write(0b00010000 | (order << 1), 8); // FIXED, order in the low type bits
+  for (let i = 0; i < order; i++) w.write(x[i], bps);
+  w.write(0b01, 2);   // RICE2 residual coding
+  w.write(0, 4);      // partition order 0
+  w.write(k, 5);
+  const div = 2 ** k;
+  for (let i = order; i < n; i++) {
+    const u = zigzag(fixedResidual(x, order, i));
+    const q = Math.floor(u / div);
+    w.writeUnary(q);
+    w.write(u - q * div, k);
+  }
+}
+
+// Frame numbers are coded like (extended) UTF-8
+function writeUtf8Number(w, value) {
+  if (value < 0x80) {
+    w.write(value, 8);
+    return;
+  }
+  let bytes = 2;
+  while (value >= 2 ** (5 * bytes + 1)) bytes++;
+  const lead = (0xff << (8 - bytes)) & 0xff;
+  w.write(lead | Math.floor(value / 2 ** (6 * (bytes - 1))), 8);
+  for (let i = bytes - 2; i >= 0; i--) {
+    w.write(0x80 | (Math.floor(value / 2 ** (6 * i)) & 0x3f), 8);
+  }
+}
+
+// ── Encoder ────────────────────────────────────────────────
+
+/**
+ * Encode channels as a FLAC file.
+ *
+ * channels: Float32Array[] (one per channel, equal length)
+ * Returns a Uint8Array.
+ */
+export function encodeFlac(channels, sampleRate, bitDepth = 24) {
+  if (!FLAC_BIT_DEPTHS.includes(bitDepth)) {
+    throw new Error(`Unsupported FLAC bit depth: ${bitDepth}`);
+  }
+  const numChannels = channels.length;
+  if (numChannels < 1 || numChannels > 8) {
+    throw new Error(`Unsupported FLAC channel count: ${numChannels}`);
+  }
+
+  const numFrames = channels[0].length;
+  const scale = 2 ** (bitDepth - 1) - 1;
+  const w = new BitWriter(Math.max(1 << 16, numFrames * numChannels * (bitDepth / 8)));
+
+  // ── Stream header ──
+  w.writeBytes(new TextEncoder().encode('fLaC'));
+  w.write(1, 1);          // last metadata block
+  w.write(0, 7);          // STREAMINFO
+  w.write(34, 24);
+  w.write(BLOCK_SIZE, 16); // min block size (the last block may be shorter)
+  w.write(BLOCK_SIZE, 16); // max block size
+  w.write(0, 24);         // min frame size (unknown)
+  w.write(0, 24);         // max frame size (unknown)
+  w.write(sampleRate, 20);
+  w.write(numChannels - 1, 3);
+  w.write(bitDepth - 1, 5);
+  w.write(numFrames, 36);
+  for (let i = 0; i < 16; i++) w.write(0, 8); // MD5 (unknown)
+
+  // ── Frames ──
+  const block = new Int32Array(BLOCK_SIZE);
+  let frameNumber = 0;
+
+  for (let start = 0; start < numFrames; start += BLOCK_SIZE) {
+    const size = Math.min(BLOCK_SIZE, numFrames - start);
+    const frameStart = w.pos;
+
+    w.write(0b11111111111110, 14); // sync
+    w.write(0, 1);                 // reserved
+    w.write(0, 1);                 // fixed block size
+    w.write(0b0111, 4);            // block size in 16 bits after the header
+    w.write(0b0000, 4);            // sample rate from STREAMINFO
+    w.write(numChannels - 1, 4);   // independent channels
+    w.write(bitDepth === 16 ? 0b100 : 0b110, 3);
+    w.write(0, 1);                 // reserved
+    writeUtf8Number(w, frameNumber++);
+    w.write(size - 1, 16);
+    w.write(crc8(w.bytes, frameStart, w.pos), 8);
+
+    for (let ch = 0; ch < numChannels; ch++) {
+      const src = channels[ch];
+      const x = block.subarray(0, size);
+      for (let i = 0; i < size; i++) {
+        x[i] = Math.round(Math.max(-1, Math.min(1, src[start + i])) * scale);
+      }
+      writeSubframe(w, x, bitDepth);
+    }
+
+    w.align();
+    w.write(crc16(w.bytes, frameStart, w.pos), 16);
+  }
+
+  return w.result();
+}
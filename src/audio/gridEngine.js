@@ -8,92 +8,79 @@
 //
 //  Source synths live in Group 1 (processed first).
 //  FX synths live in Group 2 (processed after sources).
-//  Audio buses 16+ are used for routing between nodes.
+//  Audio buses 16+ are used for routing between nodes. A node
+//  feeding several cables, or cables of another width, gets
+//  send synths copying its output onto them.
 //
 //  Uses SuperSonic (scsynth WebAssembly) for all audio.
 // ════════════════════════════════════════════════════════════
 
 import { SuperSonic } from 'supersonic-scsynth';
 import { buildSamplePlayerDef } from './buildSamplePlayerDef';
-
-const SOURCE_DEFS = [
-  'sine',
-  'saw_osc',
-  'pulse_osc',
-  'tri_osc',
-  'blip_osc',
-  'formant_osc',
-  'dust',
-  'crackle',
-  'lfnoise0',
-  'lfnoise1',
-  'lfnoise2',
-  'lfo',
-  'white_noise',
-  'pink_noise',
-  'buchla_osc',
-  'sonic-pi-beep',
-  'sonic-pi-saw',
-  'sonic-pi-pretty_bell',
-  'sonic-pi-pluck',
-  'sonic-pi-dark_ambience',
-  'sonic-pi-hollow',
-  'sonic-pi-blade',
-  'sonic-pi-bnoise',
-];
-
-const FX_DEFS = [
-  'sonic-pi-fx_reverb',
-  'sonic-pi-fx_echo',
-  'sonic-pi-fx_lpf',
-  'sonic-pi-fx_hpf',
-  'sonic-pi-fx_bpf',
-  'sonic-pi-fx_rlpf',
-  'sonic-pi-fx_rhpf',
-  'sonic-pi-fx_rbpf',
-  'sonic-pi-fx_nlpf',
-  'sonic-pi-fx_nhpf',
-  'sonic-pi-fx_nbpf',
-  'sonic-pi-fx_nrlpf',
-  'sonic-pi-fx_nrhpf',
-  'sonic-pi-fx_nrbpf',
-  'moog',
-  'moogff',
-  'sonic-pi-fx_distortion',
-  'sonic-pi-fx_flanger',
-  'resonz',
-  'comb',
-  'lowpass_gate',
-  'multiply',
-  'ora_gain',
-  'ora_attenuator',
-  'print',
-  'ora_scope',
-  'spectral_freeze',
-];
-
+import { buildMixerDef } from './buildMixerDef';
+import { buildPanDef, buildWidthDef, buildRouteDef } from './buildStereoDefs';
+import { buildFeedbackDef, feedbackDefName } from './buildFeedbackDef';
+import { buildControlMapDef } from './buildControlMapDef';
+
+// SynthDefs the engine needs whatever is on the grid, loaded at
+// boot: the master limiter, and ora_gain for the sends routing
+// copies buses with. Module SynthDefs are loaded on first use
+// (ensureSynthDef; the grid's registry is synthDefRegistry).
 const SYSTEM_DEFS = [
   'master_limiter',
+  'ora_gain',
 ];
 
+// Buffer allocations SuperSonic only handles through sonic.send(),
+// which rewrites them to /b_allocPtr; packed into a bundle they'd
+// reach scsynth unchanged and allocate nothing (see _send)
+const UNBUNDLED_COMMANDS = new Set(['/b_alloc', '/b_allocRead', '/b_allocReadChannel', '/b_allocFile']);
+
+// Seconds a control bus stays with the lookahead scheduler after
+// its latest timestamped write (see setControlBus)
+const SCHEDULED_BUS_HOLD = 0.25;
+
 export class GridEngine {
-  constructor() {
+  // options.audioContext — render into an existing context instead of
+  // creating one. options.offline — the context is an OfflineAudioContext
+  // (no resume, no polling, quiet logging); used by the WAV bounce.
+  constructor({ audioContext = null, offline = false } = {}) {
     this.sonic = null;
+    this.offline = offline;
+    this._audioContext = audioContext;
     this._nextId = 3000;
     this._active = new Map(); // graphNodeId → scsynth nodeId
+    this._sent = new Map(); // graphNodeId → Map(param → last value sent)
     this._idToGraph = new Map(); // scsynth nodeId → graphNodeId (reverse lookup)
     this.booted = false;
     this.onStatus = null;
     this.onPrint = null; // callback for print module messages: (graphId, value) => void
     this.onScope = null; // callback for scope module samples: (graphId, Float32Array) => void
+    this.onSynthDefStatus = null; // callback when a SynthDef starts loading, arrives or fails: (name, { status, error }) => void
+
+    // SynthDefs: name → { status: 'loading' | 'loaded' | 'failed', error, load }
+    this._defs = new Map();
 
     // Control bus allocator (buses 0–4095 available, separate from audio buses)
     this._nextControlBus = 0;
     this._controlBuses = new Map(); // allocationKey → busIndex
+    this._scheduledBuses = new Map(); // busIndex → time of its latest timestamped write
 
     // Buffer allocator for sample players
     this._nextBuffer = 100; // Start high to avoid conflicts
     this._buffers = new Map(); // graphNodeId → bufNum
+    this._sampleData = new Map(); // graphNodeId → raw file bytes (for offline bounce)
+
+    // Live audio input (Audio In modules): { stream, source, upmix }
+    // while open; _inputRequest marks a getUserMedia still pending
+    this._input = null;
+    this._inputRequest = null;
+
+    // Outgoing OSC: an open bundle (see bundle()) and running totals
+    // for getDiagnostics. `skipped` counts /n_set calls dropped
+    // because the synth already had that value.
+    this._bundle = null;
+    this._stats = { messages: 0, bundles: 0, skipped: 0 };
   }
 
   async boot() {
@@ -104,10 +91,11 @@ export class GridEngine {
       workerBaseURL: '/supersonic/workers/',
       sampleBaseURL: '/supersonic/samples/',
       synthdefBaseURL: '/supersonic/synthdefs/',
-      debug: true,
-      debugScsynth: true,
-      debugOscIn: true,
-      debugOscOut: true,
+      ...(this._audioContext && { audioContext: this._audioContext }),
+      debug: !this.offline,
+      debugScsynth: !this.offline,
+      debugOscIn: !this.offline,
+      debugOscOut: !this.offline,
     });
 
     this.sonic.on('error', (e) => console.error('[GridEngine error]', e));
@@ -155,7 +143,8 @@ export class GridEngine {
     this._scopePollingInterval = null;
 
     await this.sonic.init();
-    await this.sonic.resume();
+    // An OfflineAudioContext can't be resumed before it starts rendering
+    if (!this.offline) await this.sonic.resume();
 
     // Group 1: source synths (processed first)
     this.sonic.send('/g_new', 1, 0, 0);
@@ -164,16 +153,18 @@ export class GridEngine {
     // Group 3: master output (processed last, for safety limiting)
     this.sonic.send('/g_new', 3, 3, 2);
 
-    const allDefs = [...SOURCE_DEFS, ...FX_DEFS, ...SYSTEM_DEFS];
-    for (const def of allDefs) {
-      this.onStatus?.(`Loading ${def.replace('sonic-pi-', '')}…`);
-      await this.sonic.loadSynthDef(def);
-    }
+    this.onStatus?.('Loading system SynthDefs…');
+    await Promise.all(SYSTEM_DEFS.map((def) => this.ensureSynthDef(def)));
 
-    // Load the runtime-built sample_player SynthDef via /d_recv
-    this.onStatus?.('Loading sample_player...');
-    const samplePlayerDef = buildSamplePlayerDef();
-    this.sonic.send('/d_recv', samplePlayerDef);
+    // Load the runtime-built SynthDefs via /d_recv
+    this._recvSynthDef('sample_player', buildSamplePlayerDef());
+    this._recvSynthDef('ora_mixer', buildMixerDef());
+    this._recvSynthDef('ora_pan', buildPanDef());
+    this._recvSynthDef('ora_width', buildWidthDef());
+    this._recvSynthDef('ora_route', buildRouteDef());
+    this._recvSynthDef(feedbackDefName(2), buildFeedbackDef(2));
+    this._recvSynthDef(feedbackDefName(1), buildFeedbackDef(1));
+    this._recvSynthDef('ora_cmap', buildControlMapDef());
 
     // Start the master limiter (always running, clips bus 0 output)
     this.sonic.send('/s_new', 'master_limiter', 2999, 0, 3);
@@ -182,40 +173,114 @@ export class GridEngine {
     this.onStatus?.('Ready · add modules and connect to Output');
   }
 
+  // ── SynthDefs ───────────────────────────────────────
+  // Load a SynthDef file once; later calls share the load. A failed
+  // load stays failed until retrySynthDef, rather than being fetched
+  // again on every routing pass.
+  ensureSynthDef(name) {
+    const def = this._defs.get(name);
+    if (def) return def.load;
+
+    const load = this.sonic.loadSynthDef(name).then(
+      () => this._setDefStatus(name, { status: 'loaded', error: null, load }),
+      (e) => {
+        console.error(`[GridEngine] ${name} failed to load`, e);
+        this._setDefStatus(name, { status: 'failed', error: e?.message || String(e), load });
+        throw e;
+      },
+    );
+    load.catch(() => {}); // reported through the status; callers may not wait
+    this._setDefStatus(name, { status: 'loading', error: null, load });
+    return load;
+  }
+
+  // Load several SynthDefs in parallel (the grid's modules as they
+  // appear, the offline bounce before its single routing pass)
+  loadSynthDefs(names) {
+    return Promise.all([...new Set(names)].filter(Boolean).map((n) => this.ensureSynthDef(n)));
+  }
+
+  // Forget a failed load and try again
+  retrySynthDef(name) {
+    if (this._defs.get(name)?.status === 'failed') this._defs.delete(name);
+    return this.ensureSynthDef(name);
+  }
+
+  // 'loading' | 'loaded' | 'failed', or undefined if never requested
+  synthDefStatus(name) {
+    return this._defs.get(name)?.status;
+  }
+
+  _setDefStatus(name, def) {
+    this._defs.set(name, def);
+    this.onSynthDefStatus?.(name, { status: def.status, error: def.error });
+  }
+
+  // Send a runtime-built SynthDef; scsynth handles /d_recv ahead of
+  // any /s_new after it, so it counts as loaded straight away
+  _recvSynthDef(name, bytes) {
+    this.sonic.send('/d_recv', bytes);
+    this._setDefStatus(name, { status: 'loaded', error: null, load: Promise.resolve() });
+  }
+
+  // True when synthDef can be played now. Otherwise its load starts
+  // and the synth is skipped: onSynthDefStatus lets the routing run
+  // again once it's there.
+  _defReady(synthDef) {
+    if (this._defs.get(synthDef)?.status === 'loaded') return true;
+    this.ensureSynthDef(synthDef);
+    return false;
+  }
+
   // Start a source synth (group 1)
   play(graphId, synthDef, params) {
-    if (!this.booted || !synthDef) return;
+    if (!this.booted || !synthDef || !this._defReady(synthDef)) return;
     if (this._active.has(graphId)) return; // already playing
 
-    const id = this._nextId++;
-    this._active.set(graphId, id);
-    this._idToGraph.set(id, graphId);
-
-    const flat = [];
-    for (const [k, v] of Object.entries(params)) {
-      flat.push(k, v);
-    }
-
     // addAction 0 = addToHead, target = group 1
-    this.sonic.send('/s_new', synthDef, id, 0, 1, ...flat);
+    this._spawn(graphId, synthDef, params, 0, 1);
   }
 
   // Start an FX synth (group 2, added to tail for correct chain ordering)
   playFx(graphId, synthDef, params) {
-    if (!this.booted || !synthDef) return;
+    if (!this.booted || !synthDef || !this._defReady(synthDef)) return;
     if (this._active.has(graphId)) return;
 
+    // addAction 1 = addToTail of group 2
+    this._spawn(graphId, synthDef, params, 1, 2);
+  }
+
+  // Start a send: a helper synth copying one bus onto another
+  // (see planSends in applyRouting), keyed like a graph node (e.g.
+  // 'send:12:40'). Sends of sources go to the tail of group 1 so
+  // they run after every source; sends of FX go to group 2 and
+  // reorderFx puts each one right after its FX. `head` puts it at
+  // the head of group 2 instead, ahead of every FX (feedback returns).
+  // `after` puts it right behind that graph node's synth (audio-rate
+  // modulation sends, ahead of the sources they modulate).
+  playSend(key, synthDef, params, { fx = false, head = false, after = null } = {}) {
+    if (!this.booted) return;
+    if (this._active.has(key)) return;
+
+    // addAction 0 = addToHead, 1 = addToTail, 3 = addAfter
+    const afterId = after != null ? this._active.get(after) : null;
+    if (afterId != null) this._spawn(key, synthDef, params, 3, afterId);
+    else if (head) this._spawn(key, synthDef, params, 0, 2);
+    else this._spawn(key, synthDef, params, 1, fx ? 2 : 1);
+  }
+
+  _spawn(graphId, synthDef, params, addAction, target) {
     const id = this._nextId++;
     this._active.set(graphId, id);
     this._idToGraph.set(id, graphId);
+    this._sent.set(graphId, new Map(Object.entries(params)));
 
     const flat = [];
     for (const [k, v] of Object.entries(params)) {
       flat.push(k, v);
     }
 
-    // addAction 1 = addToTail of group 2
-    this.sonic.send('/s_new', synthDef, id, 1, 2, ...flat);
+    this._send('/s_new', synthDef, id, addAction, target, ...flat);
   }
 
   // Reorder FX nodes in group 2 to match the desired chain order.
@@ -227,7 +292,7 @@ export class GridEngine {
       const thisId = this._active.get(fxGraphIds[i]);
       const prevId = this._active.get(fxGraphIds[i - 1]);
       if (thisId != null && prevId != null) {
-        this.sonic.send('/n_after', thisId, prevId);
+        this._send('/n_after', thisId, prevId);
       }
     }
   }
@@ -238,26 +303,68 @@ export class GridEngine {
     if (id == null) return;
 
     try {
-      this.sonic.send('/n_set', id, 'amp', 0.001);
+      this._send('/n_set', id, 'amp', 0.001);
     } catch { /* ignore */ }
 
     const capturedId = id;
-    const sonic = this.sonic;
     const idToGraph = this._idToGraph;
     setTimeout(() => {
-      try { sonic.send('/n_free', capturedId); } catch { /* ignore */ }
+      try { this._send('/n_free', capturedId); } catch { /* ignore */ }
       idToGraph.delete(capturedId);
     }, 400);
 
     this._active.delete(graphId);
+    this._sent.delete(graphId);
   }
 
-  // Update a single parameter on a running synth
+  // Update a single parameter on a running synth. Values the synth
+  // already has are not sent again.
   setParam(graphId, param, value) {
     const id = this._active.get(graphId);
-    if (id != null) {
-      try { this.sonic.send('/n_set', id, param, value); } catch { /* ignore */ }
+    if (id == null) return;
+    const sent = this._sent.get(graphId);
+    if (sent.has(param) && sent.get(param) === value) {
+      this._stats.skipped++;
+      return;
+    }
+    sent.set(param, value);
+    try { this._send('/n_set', id, param, value); } catch { /* ignore */ }
+  }
+
+  // ── Voice methods (Poly Voice allocator) ─────────────────
+  // Voices are transient synths owned by PolyVoiceAllocator. They are
+  // not tracked in _active, so they never collide with a graph node.
+
+  // Spawn a voice synth in group 1 and return its scsynth node ID
+  startVoice(synthDef, params) {
+    if (!this.booted || !synthDef || !this._defReady(synthDef)) return null;
+
+    const id = this._nextId++;
+    const flat = [];
+    for (const [k, v] of Object.entries(params)) {
+      flat.push(k, v);
     }
+
+    this._send('/s_new', synthDef, id, 0, 1, ...flat);
+    return id;
+  }
+
+  setVoiceParam(id, param, value) {
+    if (!this.booted) return;
+    try { this._send('/n_set', id, param, value); } catch { /* ignore */ }
+  }
+
+  // Fade a voice to silence over releaseTime (Sonic Pi synths honour amp_slide)
+  releaseVoice(id, releaseTime) {
+    if (!this.booted) return;
+    try {
+      this._send('/n_set', id, 'amp_slide', Math.max(0.005, releaseTime), 'amp', 0);
+    } catch { /* ignore */ }
+  }
+
+  freeVoice(id) {
+    if (!this.booted) return;
+    try { this._send('/n_free', id); } catch { /* ignore */ }
   }
 
   // ── Control bus methods ──────────────────────────────────
@@ -275,17 +382,34 @@ export class GridEngine {
     this._controlBuses.delete(key);
   }
 
-  // Set the value of a control bus (/c_set)
+  // The control bus allocated for a key, or null
+  getControlBus(key) {
+    return this._controlBuses.get(key) ?? null;
+  }
+
+  // Set the value of a control bus (/c_set). A bus the lookahead
+  // scheduler is writing to ignores this until its timestamped
+  // writes have played: an immediate value would land out of order.
   setControlBus(busIndex, value) {
     if (!this.booted) return;
-    try { this.sonic.send('/c_set', busIndex, value); } catch { /* ignore */ }
+    const scheduled = this._scheduledBuses.get(busIndex);
+    if (scheduled != null && scheduled + SCHEDULED_BUS_HOLD > performance.now() / 1000) return;
+    try { this._send('/c_set', busIndex, value); } catch { /* ignore */ }
+  }
+
+  // Set a control bus at `time` (see sendAt)
+  setControlBusAt(busIndex, value, time) {
+    if (!this.booted) return;
+    this._scheduledBuses.set(busIndex, time);
+    this.sendAt(time, [['/c_set', busIndex, value]]);
   }
 
   // Map a synth parameter to read from a control bus (/n_map)
   mapParam(graphId, param, busIndex) {
     const id = this._active.get(graphId);
     if (id != null) {
-      try { this.sonic.send('/n_map', id, param, busIndex); } catch { /* ignore */ }
+      this._sent.get(graphId).delete(param);
+      try { this._send('/n_map', id, param, busIndex); } catch { /* ignore */ }
     }
   }
 
@@ -294,9 +418,10 @@ export class GridEngine {
     const id = this._active.get(graphId);
     if (id != null) {
       try {
-        this.sonic.send('/n_map', id, param, -1);  // -1 = unmap
-        this.sonic.send('/n_set', id, param, value);
+        this._send('/n_map', id, param, -1);  // -1 = unmap
+        this._send('/n_set', id, param, value);
       } catch { /* ignore */ }
+      this._sent.get(graphId).set(param, value);
     }
   }
 
@@ -307,7 +432,8 @@ export class GridEngine {
   mapParamToAudioBus(graphId, param, audioBusIndex) {
     const id = this._active.get(graphId);
     if (id != null) {
-      try { this.sonic.send('/n_mapa', id, param, audioBusIndex); } catch { /* ignore */ }
+      this._sent.get(graphId).delete(param);
+      try { this._send('/n_mapa', id, param, audioBusIndex); } catch { /* ignore */ }
     }
   }
 
@@ -316,9 +442,10 @@ export class GridEngine {
     const id = this._active.get(graphId);
     if (id != null) {
       try {
-        this.sonic.send('/n_mapa', id, param, -1);  // -1 = unmap
-        this.sonic.send('/n_set', id, param, value);
+        this._send('/n_mapa', id, param, -1);  // -1 = unmap
+        this._send('/n_set', id, param, value);
       } catch { /* ignore */ }
+      this._sent.get(graphId).set(param, value);
     }
   }
 
@@ -332,6 +459,119 @@ export class GridEngine {
     return this.sonic?.node ?? null;
   }
 
+  // ── Live audio input ─────────────────────────────────
+  // Opens the microphone / line in and feeds it into scsynth's
+  // hardware input buses, where sonic-pi-sound_in_stereo reads it.
+  // Browser processing (echo cancellation, noise suppression, gain
+  // control) is off: it's an instrument input, not a call. A mono
+  // device is upmixed onto both channels.
+  async startAudioInput() {
+    if (this._input || this.offline || !this.booted) return;
+    const request = {};
+    this._inputRequest = request;
+    const stream = await navigator.mediaDevices.getUserMedia({
+      audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false },
+    });
+    // Stopped (or restarted) while the permission prompt was up
+    if (this._inputRequest !== request || !this.booted) {
+      for (const track of stream.getTracks()) track.stop();
+      return;
+    }
+    this._inputRequest = null;
+    const ctx = this.sonic.audioContext;
+    const source = ctx.createMediaStreamSource(stream);
+    const upmix = ctx.createGain();
+    upmix.channelCount = 2;
+    upmix.channelCountMode = 'explicit';
+    upmix.channelInterpretation = 'speakers';
+    source.connect(upmix);
+    upmix.connect(this.sonic.node.input);
+    this._input = { stream, source, upmix };
+  }
+
+  stopAudioInput() {
+    this._inputRequest = null;
+    if (!this._input) return;
+    const { stream, source, upmix } = this._input;
+    source.disconnect();
+    upmix.disconnect();
+    for (const track of stream.getTracks()) track.stop();
+    this._input = null;
+  }
+
+  // Pause (false) or run (true) every group at once. Synths created
+  // while paused sit idle, so a bounce can start them on one block.
+  setGroupsRunning(running) {
+    if (!this.sonic) return;
+    const flag = running ? 1 : 0;
+    this.sonic.send('/n_run', 1, flag, 2, flag, 3, flag);
+  }
+
+  // Resolves once scsynth has processed everything sent so far,
+  // including sample files still being decoded for /b_allocFile
+  sync() {
+    return this.sonic.sync();
+  }
+
+  // Tear down SuperSonic and its workers. Only the offline bounce
+  // does this — the live engine lives as long as the page.
+  async shutdown() {
+    this.stopAudioInput();
+    this.booted = false;
+    clearInterval(this._printPollingInterval);
+    clearInterval(this._scopePollingInterval);
+    try {
+      await this.sonic?.destroy();
+    } catch { /* OfflineAudioContext has no close() — nothing left to free */ }
+    this.sonic = null;
+  }
+
+  // ── Outgoing OSC ─────────────────────────────────────
+
+  // Run fn with every message it sends gathered into one OSC bundle,
+  // so scsynth applies them together on the same block. Nested calls
+  // join the outer bundle.
+  bundle(fn) {
+    if (this._bundle || !this.sonic) return fn();
+    this._bundle = [];
+    try {
+      return fn();
+    } finally {
+      const packets = this._bundle;
+      this._bundle = null;
+      if (packets.length > 0) {
+        this._stats.bundles++;
+        this.sonic.sendOSC(SuperSonic.osc.encodeBundle(1, packets));
+      }
+    }
+  }
+
+  _send(address, ...args) {
+    this._stats.messages++;
+    if (this._bundle && !UNBUNDLED_COMMANDS.has(address)) this._bundle.push([address, ...args]);
+    else this.sonic.send(address, ...args);
+  }
+
+  // Send messages as a bundle timestamped for `time`, in seconds on
+  // the performance.now() clock (the LookaheadScheduler's). scsynth
+  // runs it on the sample that time falls on; bundles far enough
+  // ahead wait in SuperSonic's prescheduler worker until then.
+  sendAt(time, packets) {
+    if (!this.booted || packets.length === 0) return;
+    const ntpTime = SuperSonic.osc.ntpNow() + (time - performance.now() / 1000);
+    this._stats.messages += packets.length;
+    this._stats.bundles++;
+    try {
+      this.sonic.sendOSC(SuperSonic.osc.encodeBundle(ntpTime, packets));
+    } catch { /* ignore */ }
+  }
+
+  // Running totals of outgoing OSC (messages, bundles, skipped
+  // redundant /n_set) and the number of synths the graph owns
+  getDiagnostics() {
+    return { ...this._stats, synths: this._active.size };
+  }
+
   isPlaying(graphId) {
     return this._active.has(graphId);
   }
@@ -351,12 +591,12 @@ export class GridEngine {
     this._printBusToGraph.set(busIndex, graphId);
 
     // Start polling if not already running
-    if (!this._printPollingInterval) {
+    if (!this._printPollingInterval && !this.offline) {
       this._printPollingInterval = setInterval(() => {
         for (const bus of this._printBusToGraph.keys()) {
           if (this.booted) {
             try {
-              this.sonic.send('/c_get', bus);
+              this._send('/c_get', bus);
             } catch { /* ignore */ }
           }
         }
@@ -406,16 +646,16 @@ export class GridEngine {
 
     // Allocate buffer in scsynth: bufnum, numFrames, numChannels
     try {
-      this.sonic.send('/b_alloc', bufnum, GridEngine.SCOPE_BUF_FRAMES, 1);
+      this._send('/b_alloc', bufnum, GridEngine.SCOPE_BUF_FRAMES, 1);
     } catch { /* ignore */ }
 
     // Start polling if not already running
-    if (!this._scopePollingInterval) {
+    if (!this._scopePollingInterval && !this.offline) {
       this._scopePollingInterval = setInterval(() => {
         if (!this.booted) return;
         for (const buf of this._scopeBufToGraph.keys()) {
           try {
-            this.sonic.send('/b_getn', buf, 0, GridEngine.SCOPE_BUF_FRAMES);
+            this._send('/b_getn', buf, 0, GridEngine.SCOPE_BUF_FRAMES);
           } catch { /* ignore */ }
         }
       }, 33); // ~30 Hz — must be >= buffer fill time (1024/44100 ≈ 23ms)
@@ -468,6 +708,7 @@ export class GridEngine {
   loadSampleBuffer(graphId, audioData) {
     if (!this.booted) return null;
     const bufNum = this.allocBuffer(graphId);
+    this._sampleData.set(graphId, audioData);
     try {
       this.sonic.send('/b_allocFile', bufNum, audioData);
     } catch (e) {
@@ -485,6 +726,7 @@ export class GridEngine {
       const resp = await fetch(`/supersonic/samples/${sampleName}.flac`);
       if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
       const data = new Uint8Array(await resp.arrayBuffer());
+      this._sampleData.set(graphId, data);
       this.sonic.send('/b_allocFile', bufNum, data);
     } catch (e) {
       console.error(`[GridEngine] Failed to load sample "${sampleName}":`, e);
@@ -499,13 +741,23 @@ export class GridEngine {
       try { this.sonic.send('/b_free', buf); } catch { /* ignore */ }
       this._buffers.delete(graphId);
     }
+    this._sampleData.delete(graphId);
+  }
+
+  // Raw file bytes last loaded into a node's buffer (or null)
+  getSampleData(graphId) {
+    return this._sampleData.get(graphId) ?? null;
   }
 
-  // Send a trigger to a running synth's t_trig parameter
-  triggerSample(graphId) {
+  // Send a trigger to a running synth's t_trig parameter, now or
+  // at `time` (see sendAt)
+  triggerSample(graphId, time = null) {
     const id = this._active.get(graphId);
-    if (id != null) {
-      try { this.sonic.send('/n_set', id, 't_trig', 1); } catch { /* ignore */ }
+    if (id == null) return;
+    if (time != null) {
+      this.sendAt(time, [['/n_set', id, 't_trig', 1]]);
+      return;
     }
+    try { this._send('/n_set', id, 't_trig', 1); } catch { /* ignore */ }
   }
 }
@@ -0,0 +1,105 @@
+// ════════════════════════════════════════════════════════════
+//  LOOKAHEAD SCHEDULER
+//
+//  Shared clock for the control runners (Pulser, Envelope,
+//  Sequencer, Script patterns). A main-thread timer wakes every
+//  TICK_MS and asks each stream for the events due within the
+//  next LOOKAHEAD seconds. Those go to scsynth as timestamped
+//  OSC bundles, so they land on the sample they're due however
+//  late the timer itself ran. Visual state follows at the event
+//  time through at().
+//
+//  Times are seconds on the performance.now() clock.
+// ════════════════════════════════════════════════════════════
+
+export const LOOKAHEAD = 0.1;
+const TICK_MS = 25;
+
+export class LookaheadScheduler {
+  constructor() {
+    this._streams = new Map();  // key → { next, fire }
+    this._timeouts = new Map(); // key → Set of at() timeout ids
+    this._timer = null;
+  }
+
+  now() {
+    return performance.now() / 1000;
+  }
+
+  /**
+   * Add (or replace) a stream of events starting at `start`.
+   * `fire(time)` emits the event due at `time` and returns when the
+   * next one is due, or null when the stream is over.
+   */
+  add(key, start, fire) {
+    this._streams.set(key, { next: start, fire });
+    this._tick();
+    if (this._streams.size > 0 && !this._timer) {
+      this._timer = setInterval(() => this._tick(), TICK_MS);
+    }
+  }
+
+  /**
+   * Run fn on the main thread once `time` arrives. Cancelled along
+   * with the stream by remove(key).
+   */
+  at(key, time, fn) {
+    let ids = this._timeouts.get(key);
+    if (!ids) {
+      ids = new Set();
+      this._timeouts.set(key, ids);
+    }
+    const id = setTimeout(() => {
+      ids.delete(id);
+      if (ids.size === 0 && this._timeouts.get(key) === ids) this._timeouts.delete(key);
+      fn();
+    }, Math.max(0, (time - this.now()) * 1000));
+    ids.add(id);
+  }
+
+  /**
+   * Stop a stream and drop its pending at() callbacks. Bundles
+   * already sent inside the lookahead window still play.
+   */
+  remove(key) {
+    this._streams.delete(key);
+    for (const id of this._timeouts.get(key) ?? []) clearTimeout(id);
+    this._timeouts.delete(key);
+    this._idle();
+  }
+
+  has(key) {
+    return this._streams.has(key);
+  }
+
+  stopAll() {
+    for (const key of new Set([...this._streams.keys(), ...this._timeouts.keys()])) {
+      this.remove(key);
+    }
+  }
+
+  // ── Internals ─────────────────────────────────────────
+
+  _tick() {
+    const horizon = this.now() + LOOKAHEAD;
+    for (const [key, stream] of this._streams) {
+      while (stream.next != null && stream.next < horizon) {
+        const next = stream.fire(stream.next);
+        // fire() may have removed or replaced its own stream
+        if (this._streams.get(key) !== stream) break;
+        stream.next = next;
+      }
+      if (stream.next == null && this._streams.get(key) === stream) {
+        this._streams.delete(key);
+      }
+    }
+    this._idle();
+  }
+
+  _idle() {
+    if (this._streams.size === 0 && this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+}
@@ -3,22 +3,41 @@
 //
 //  Wraps the Web MIDI API for use by MIDI input modules.
 //  Each listener instance monitors a specific device, channel,
-//  and message type (CC or Note), emitting values via callback.
+//  and message type, emitting values via callback.
 //
 //  Modes:
-//    'cc'   — Outputs CC value (0–127) for a specific controller number
-//    'note' — Outputs note-on velocity (0 = note-off) for any key,
-//             plus the note number on a separate callback
+//    'cc'         — CC value (0–127) for a specific controller number
+//    'note'       — note-on velocity (0 = note-off) for any key,
+//                   plus the note number on a separate callback
+//    'bend'       — pitch bend (0–127, 64 = centre, 14-bit resolution)
+//    'aftertouch' — channel pressure (0–127)
+//    'poly_at'    — polyphonic key pressure (0–127) of any key
+//    'program'    — program change number (0–127)
+//    'cc14'       — 14-bit CC pair: MSB on ccNumber (0–31), LSB on
+//                   ccNumber + 32, scaled to 0–127 with fractions
+//    'nrpn'       — NRPN nrpnNumber (0–16383) selected by CC 99/98,
+//                   data entry CC 6/38, scaled like cc14
+//    'mpe'        — per-note pitch, pressure, timbre and gate from an
+//                   MPE zone (one note per member channel); the most
+//                   recent note held drives the outputs, notes still
+//                   go out on the note callback
+//  Fractional values are 14-bit data divided by 128.
 //
-//  Also provides MidiClockIn / MidiClockOut for MIDI clock sync.
+//  learnNextCc() hands the next Control Change from any device and
+//  channel to a callback once, for MIDI Learn.
+//
+//  Also provides MidiOutput for MIDI output modules, and
+//  MidiClockIn / MidiClockOut for MIDI clock sync.
 //    MIDI clock: 24 ppqn (pulses per quarter note)
 //    System Realtime: 0xF8 = tick, 0xFA = start, 0xFB = continue, 0xFC = stop
+//    Song Position Pointer: 0xF2 lsb msb, in 16th notes
 // ════════════════════════════════════════════════════════════
 
 let _midiAccess = null;
 let _midiAccessPromise = null;
 const _listeners = new Set();
 const _clockListeners = new Set();
+const _learners = new Set();
 const _deviceChangeCallbacks = new Set();
 
 // Request MIDI access once, shared across all listeners
@@ -93,36 +112,21 @@ function handleMidiMessage(event) {
   const channel = (status & 0x0F) + 1; // MIDI channels are 1-based in UI
   const msgType = status & 0xF0;
 
+  if (msgType === 0xB0) {
+    for (const learner of _learners) {
+      _learners.delete(learner);
+      learner({ deviceId: inputId ?? null, channel, ccNumber: data[1], value: data[2] });
+    }
+  }
+
   for (const listener of _listeners) {
     // Filter by device (if set)
     if (listener.deviceId && listener.deviceId !== inputId) continue;
-    // Filter by channel (0 = omni / all channels)
-    if (listener.channel !== 0 && listener.channel !== channel) continue;
-
-    if (listener.mode === 'cc' && msgType === 0xB0) {
-      // Control Change: data[1] = CC number, data[2] = value
-      const ccNum = data[1];
-      const ccVal = data[2];
-      if (listener.ccNumber === ccNum) {
-        listener.onValue(ccVal);
-      }
-    } else if (listener.mode === 'note') {
-      if (msgType === 0x90) {
-        // Note On: data[1] = note, data[2] = velocity
-        const note = data[1];
-        const velocity = data[2];
-        if (velocity > 0) {
-          listener.onNote(note, velocity);
-        } else {
-          // Velocity 0 = note off
-          listener.onNote(note, 0);
-        }
-      } else if (msgType === 0x80) {
-        // Note Off: data[1] = note, data[2] = release velocity
-        const note = data[1];
-        listener.onNote(note, 0);
-      }
-    }
+    // Filter by channel (0 = omni / all channels). MPE spreads notes
+    // over the zone's member channels, so it listens on all of them.
+    if (listener.mode !== 'mpe' && listener.channel !== 0 && listener.channel !== channel) continue;
+
+    listener._handle(msgType, channel, data);
   }
 }
 
@@ -134,15 +138,33 @@ function bindInputs() {
   }
 }
 
+export const MIDI_IN_MODES = ['cc', 'note', 'bend', 'aftertouch', 'poly_at', 'program', 'cc14', 'nrpn', 'mpe'];
+
+// Output ports of a MIDI In module in MPE mode
+export const MPE_OUTPUTS = ['pitch', 'press', 'timbre', 'gate'];
+
+// Per-note pitch bend range in MPE mode (semitones, the MPE default)
+const MPE_BEND_RANGE = 48;
+// MPE timbre is CC 74
+const MPE_TIMBRE_CC = 74;
+
+const to14 = (msb, lsb) => (msb * 128 + lsb) / 128;
+
 export class MidiListener {
-  constructor({ mode = 'cc', channel = 0, ccNumber = 1, deviceId = null, onValue, onNote }) {
+  constructor({
+    mode = 'cc', channel = 0, ccNumber = 1, nrpnNumber = 0, deviceId = null,
+    onValue, onNote, onOutputs,
+  }) {
     this.mode = mode;
     this.channel = channel;       // 0 = omni, 1-16 = specific channel
-    this.ccNumber = ccNumber;     // 0-127, only used in CC mode
+    this.ccNumber = ccNumber;     // 0-127, CC mode (0-31 for 14-bit CC)
+    this.nrpnNumber = nrpnNumber; // 0-16383, only used in NRPN mode
     this.deviceId = deviceId;     // null = any device
     this.onValue = onValue || (() => {});
     this.onNote = onNote || (() => {});
+    this.onOutputs = onOutputs || (() => {}); // MPE: one value per MPE_OUTPUTS port
     this._active = false;
+    this._resetState();
   }
 
   async start() {
@@ -159,12 +181,153 @@ export class MidiListener {
   }
 
   // Update configuration without stop/start
-  setMode(mode) { this.mode = mode; }
+  setMode(mode) {
+    if (mode === this.mode) return;
+    this.mode = mode;
+    this._resetState();
+  }
   setChannel(channel) { this.channel = channel; }
   setCcNumber(ccNumber) { this.ccNumber = ccNumber; }
+  setNrpnNumber(nrpnNumber) { this.nrpnNumber = nrpnNumber; }
   setDeviceId(deviceId) { this.deviceId = deviceId; }
 
   get isActive() { return this._active; }
+
+  // ── Internals ─────────────────────────────────────────
+
+  _resetState() {
+    this._msb = 0;               // cc14 / nrpn data MSB
+    this._nrpn = null;           // selected NRPN parameter (null = none)
+    this._paramMsb = 0;
+    this._mpeNotes = new Map();  // channel → { note, bend, pressure, timbre }
+    this._mpeOrder = [];         // channels with a held note, oldest first
+  }
+
+  // One channel message that passed the device and channel filters
+  _handle(msgType, channel, data) {
+    switch (this.mode) {
+      case 'cc':
+        // Control Change: data[1] = CC number, data[2] = value
+        if (msgType === 0xB0 && data[1] === this.ccNumber) this.onValue(data[2]);
+        break;
+      case 'note':
+        if (msgType === 0x90) {
+          // Note On: data[1] = note, data[2] = velocity (0 = note off)
+          this.onNote(data[1], data[2]);
+        } else if (msgType === 0x80) {
+          // Note Off: data[1] = note, data[2] = release velocity
+          this.onNote(data[1], 0);
+        }
+        break;
+      case 'bend':
+        // Pitch Bend: data[1] = LSB, data[2] = MSB
+        if (msgType === 0xE0) this.onValue(to14(data[2], data[1]));
+        break;
+      case 'aftertouch':
+        if (msgType === 0xD0) this.onValue(data[1]);
+        break;
+      case 'poly_at':
+        // Poly Key Pressure: data[1] = note, data[2] = pressure
+        if (msgType === 0xA0) this.onValue(data[2]);
+        break;
+      case 'program':
+        if (msgType === 0xC0) this.onValue(data[1]);
+        break;
+      case 'cc14':
+        if (msgType === 0xB0) this._cc14(data[1], data[2]);
+        break;
+      case 'nrpn':
+        if (msgType === 0xB0) this._nrpnCc(data[1], data[2]);
+        break;
+      case 'mpe':
+        this._mpe(msgType, channel, data);
+        break;
+    }
+  }
+
+  // A new MSB resets the LSB (per the MIDI spec), so both halves emit
+  _cc14(cc, value) {
+    if (cc === this.ccNumber) {
+      this._msb = value;
+      this.onValue(to14(value, 0));
+    } else if (cc === this.ccNumber + 32) {
+      this.onValue(to14(this._msb, value));
+    }
+  }
+
+  _nrpnCc(cc, value) {
+    if (cc === 99) {
+      this._paramMsb = value;
+      this._nrpn = null;
+    } else if (cc === 98) {
+      this._nrpn = this._paramMsb * 128 + value;
+    } else if (cc === 101 || cc === 100) {
+      this._nrpn = null; // an RPN is being selected instead
+    } else if (this._nrpn === this.nrpnNumber) {
+      if (cc === 6) {
+        this._msb = value;
+        this.onValue(to14(value, 0));
+      } else if (cc === 38) {
+        this.onValue(to14(this._msb, value));
+      }
+    }
+  }
+
+  _mpe(msgType, channel, data) {
+    const notes = this._mpeNotes;
+    if (msgType === 0x90 && data[2] > 0) {
+      // Bend, pressure and timbre sent before the note-on belong to it
+      const pending = notes.get(channel);
+      notes.set(channel, {
+        note: data[1],
+        bend: pending?.bend ?? 0,
+        pressure: pending?.pressure ?? 0,
+        timbre: pending?.timbre ?? 64,
+        held: true,
+      });
+      this._mpeOrder = [...this._mpeOrder.filter((c) => c !== channel), channel];
+      this.onNote(data[1], data[2]);
+    } else if (msgType === 0x80 || msgType === 0x90) {
+      const voice = notes.get(channel);
+      if (!voice?.held || voice.note !== data[1]) return;
+      voice.held = false;
+      this._mpeOrder = this._mpeOrder.filter((c) => c !== channel);
+      this.onNote(data[1], 0);
+    } else {
+      const voice = notes.get(channel) ?? { note: null, bend: 0, pressure: 0, timbre: 64, held: false };
+      notes.set(channel, voice);
+      if (msgType === 0xE0) voice.bend = (to14(data[2], data[1]) - 64) / 64;
+      else if (msgType === 0xD0) voice.pressure = data[1];
+      else if (msgType === 0xB0 && data[1] === MPE_TIMBRE_CC) voice.timbre = data[2];
+      else return;
+    }
+    this._emitMpe(channel);
+  }
+
+  // Outputs follow the most recent held note; when it's released the
+  // gate closes but the rest holds its last values
+  _emitMpe(channel) {
+    const latest = this._mpeOrder[this._mpeOrder.length - 1];
+    const voice = this._mpeNotes.get(latest ?? channel);
+    if (!voice || voice.note == null) return;
+    if (latest != null && latest !== channel && this._mpeNotes.get(channel)?.held) return;
+    this.onOutputs([
+      voice.note + voice.bend * MPE_BEND_RANGE,
+      voice.pressure,
+      voice.timbre,
+      voice.held ? 1 : 0,
+    ]);
+  }
+}
+
+/**
+ * Call `callback({ deviceId, channel, ccNumber, value })` with the
+ * next Control Change received, once. Returns a cancel function.
+ */
+export function learnNextCc(callback) {
+  _learners.add(callback);
+  ensureMidiAccess().then(bindInputs).catch(() => { /* no Web MIDI — never fires */ });
+  return () => _learners.delete(callback);
 }
 
 // Initialize MIDI access eagerly (non-blocking)
@@ -194,6 +357,164 @@ export function getOutputDevices() {
   return devices;
 }
 
+// Output by id, or the first one for null
+function resolveOutput(deviceId) {
+  if (!_midiAccess) return null;
+  if (!deviceId) return _midiAccess.outputs.values().next().value || null;
+  return _midiAccess.outputs.get(deviceId) || null;
+}
+
+// ════════════════════════════════════════════════════════════
+//  MIDI OUTPUT
+//
+//  Turns the control values reaching a MIDI Out module into
+//  messages on one device and channel. Values come in by input
+//  name through set(); a value that carries a time (seconds on
+//  the performance.now() clock, from a scheduled source) is sent
+//  with that timestamp so the device plays it on time.
+//
+//  Modes:
+//    'note'    — gate rising = note on (value = note number,
+//                velocity input), gate falling = note off; a new
+//                note number while the gate is held moves the note
+//    'cc'      — value (0–127) as CC ccNumber
+//    'bend'    — value (0–127, 64 = centre) as 14-bit pitch bend
+//    'program' — value (0–127) as program change
+//  Only changes are sent.
+// ════════════════════════════════════════════════════════════
+export const MIDI_OUT_MODES = ['note', 'cc', 'bend', 'program'];
+
+export class MidiOutput {
+  constructor({ mode = 'note', channel = 1, ccNumber = 1, deviceId = null } = {}) {
+    this.mode = mode;
+    this.channel = channel;       // 1-16
+    this.ccNumber = ccNumber;     // 0-127, only used in CC mode
+    this.deviceId = deviceId;     // null = first output
+    this._output = null;
+    this._inputs = { value: null, gate: 0, velocity: 100 };
+    this._sent = null;            // last value sent (CC / bend / program)
+    this._heldNote = null;        // sounding note in note mode
+    this.onSend = null;           // optional callback for UI activity
+  }
+
+  async start() {
+    await ensureMidiAccess();
+    this._output = resolveOutput(this.deviceId);
+  }
+
+  /**
+   * Feed an input ('value', 'gate' or 'velocity') its latest value.
+   * @param {number} [time] - when it's due (scheduler clock, seconds)
+   */
+  set(input, value, time) {
+    if (!(input in this._inputs)) return;
+    const prev = this._inputs[input];
+    this._inputs[input] = value;
+    if (value === prev) return;
+
+    if (this.mode === 'note') {
+      if (input === 'gate') {
+        if (value >= 0.5 && !(prev >= 0.5)) this._noteOn(time);
+        else if (value < 0.5 && prev >= 0.5) this._noteOff(time);
+      } else if (input === 'value' && this._heldNote != null && toByte(value) !== this._heldNote) {
+        this._noteOff(time);
+        this._noteOn(time);
+      }
+      return;
+    }
+    if (input === 'value') this._sendValue(time);
+  }
+
+  // Update configuration without stop/start. Anything held on the
+  // old channel or device is released first.
+  setMode(mode) {
+    if (mode === this.mode) return;
+    this.allNotesOff();
+    this.mode = mode;
+    this._sent = null;
+  }
+
+  setChannel(channel) {
+    if (channel === this.channel) return;
+    this.allNotesOff();
+    this.channel = channel;
+    this._sent = null;
+  }
+
+  setCcNumber(ccNumber) {
+    if (ccNumber === this.ccNumber) return;
+    this.ccNumber = ccNumber;
+    this._sent = null;
+  }
+
+  setDeviceId(deviceId) {
+    if (deviceId === this.deviceId) return;
+    this.allNotesOff();
+    this.deviceId = deviceId;
+    this._output = resolveOutput(deviceId);
+    this._sent = null;
+  }
+
+  allNotesOff() {
+    this._noteOff();
+  }
+
+  stop() {
+    this.allNotesOff();
+    this._output = null;
+  }
+
+  // ── Internals ─────────────────────────────────────────
+
+  _send(bytes, time) {
+    if (!this._output) return;
+    try {
+      if (time != null) this._output.send(bytes, time * 1000);
+      else this._output.send(bytes);
+    } catch { /* device went away */ }
+    this.onSend?.();
+  }
+
+  _status(type) {
+    return type | (Math.max(1, Math.min(16, this.channel || 1)) - 1);
+  }
+
+  _noteOn(time) {
+    const note = toByte(this._inputs.value ?? 60);
+    const velocity = Math.max(1, toByte(this._inputs.velocity));
+    this._heldNote = note;
+    this._send([this._status(0x90), note, velocity], time);
+  }
+
+  _noteOff(time) {
+    if (this._heldNote == null) return;
+    this._send([this._status(0x80), this._heldNote, 0], time);
+    this._heldNote = null;
+  }
+
+  _sendValue(time) {
+    const value = this._inputs.value ?? 0;
+    if (this.mode === 'bend') {
+      // 0 → 0, 64 → 8192 (centre), 127 → 16383
+      const v = Math.max(0, Math.min(127, value));
+      const bend = Math.round(v <= 64 ? v / 64 * 8192 : 8192 + (v - 64) / 63 * 8191);
+      if (bend === this._sent) return;
+      this._sent = bend;
+      this._send([this._status(0xE0), bend & 0x7F, bend >> 7], time);
+      return;
+    }
+    const byte = toByte(value);
+    if (byte === this._sent) return;
+    this._sent = byte;
+    if (this.mode === 'cc') this._send([this._status(0xB0), this.ccNumber, byte], time);
+    else if (this.mode === 'program') this._send([this._status(0xC0), byte], time);
+  }
+}
+
+function toByte(v) {
+  return Math.max(0, Math.min(127, Math.round(v) || 0));
+}
+
 // ════════════════════════════════════════════════════════════
 //  MIDI CLOCK IN
 //
@@ -288,7 +609,8 @@ export class MidiClockIn {
 //  MIDI CLOCK OUT
 //
 //  Sends MIDI clock messages (24 ppqn) to an output device
-//  at a given BPM. Also sends Start/Stop transport messages.
+//  at a given BPM. Also sends Start/Continue/Stop transport
+//  messages and Song Position Pointer.
 // ════════════════════════════════════════════════════════════
 export class MidiClockOut {
   constructor({ deviceId = null, bpm = 120 } = {}) {
@@ -302,7 +624,11 @@ export class MidiClockOut {
     this.onBeat = null;
   }
 
-  async start() {
+  /**
+   * Start sending clock. From the top it's a MIDI Start; from
+   * `position` (16th notes) it's Song Position Pointer + Continue.
+   */
+  async start(position = 0) {
     if (this._running) return;
     await ensureMidiAccess();
     this._resolveOutput();
@@ -310,11 +636,22 @@ export class MidiClockOut {
 
     this._running = true;
     this._tickCount = 0;
-    // Send MIDI Start
-    this._output.send([0xFA]);
+    if (position > 0) {
+      this.songPosition(position);
+      this._output.send([0xFB]);
+    } else {
+      this._output.send([0xFA]);
+    }
     this._startTimer();
   }
 
+  /** Send Song Position Pointer (16th notes, 0–16383). */
+  songPosition(position) {
+    if (!this._output) return;
+    const p = Math.max(0, Math.min(16383, Math.round(position)));
+    try { this._output.send([0xF2, p & 0x7F, p >> 7]); } catch { /* ignore */ }
+  }
+
   stop() {
     this._running = false;
     if (this._timerId != null) {
@@ -343,14 +680,7 @@ export class MidiClockOut {
   }
 
   _resolveOutput() {
-    if (!_midiAccess) { this._output = null; return; }
-    if (!this.deviceId) {
-      // Use first available output
-      const first = _midiAccess.outputs.values().next().value;
-      this._output = first || null;
-    } else {
-      this._output = _midiAccess.outputs.get(this.deviceId) || null;
-    }
+    this._output = resolveOutput(this.deviceId);
   }
 
   _startTimer() {
@@ -0,0 +1,67 @@
+// ════════════════════════════════════════════════════════════
+//  PCM CAPTURE WORKLET
+//
+//  Runs on the audio thread. Copies every input block into a
+//  per-channel batch and posts it to the main thread once
+//  BATCH_FRAMES have been collected, so a take costs one message
+//  per ~85 ms instead of one per 128-frame block.
+//
+//  Messages in:  { type: 'stop' } — flush the partial batch, reply 'done'
+//  Messages out: { type: 'chunk', channels: Float32Array[] }
+//                { type: 'done' }
+// ════════════════════════════════════════════════════════════
+
+const BATCH_FRAMES = 4096;
+
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    this.numChannels = options.processorOptions?.numChannels ?? 2;
+    this.batch = this._newBatch();
+    this.filled = 0;
+    this.stopped = false;
+
+    this.port.onmessage = (e) => {
+      if (e.data?.type === 'stop') {
+        this._flush();
+        this.stopped = true;
+        this.port.postMessage({ type: 'done' });
+      }
+    };
+  }
+
+  _newBatch() {
+    return Array.from({ length: this.numChannels }, () => new Float32Array(BATCH_FRAMES));
+  }
+
+  _flush() {
+    if (this.filled === 0) return;
+    const channels = this.batch.map((ch) => ch.slice(0, this.filled));
+    this.port.postMessage({ type: 'chunk', channels }, channels.map((ch) => ch.buffer));
+    this.batch = this._newBatch();
+    this.filled = 0;
+  }
+
+  process(inputs) {
+    if (this.stopped) return false;
+    const input = inputs[0];
+    const frames = input?.[0]?.length ?? 0;
+    if (frames === 0) return true;
+
+    let offset = 0;
+    while (offset < frames) {
+      const n = Math.min(frames - offset, BATCH_FRAMES - this.filled);
+      for (let ch = 0; ch < this.numChannels; ch++) {
+        // Mono inputs are duplicated so every take has numChannels channels
+        const src = input[ch] ?? input[0];
+        this.batch[ch].set(src.subarray(offset, offset + n), this.filled);
+      }
+      this.filled += n;
+      offset += n;
+      if (this.filled === BATCH_FRAMES) this._flush();
+    }
+    return true;
+  }
+}
+
+registerProcessor('ora-pcm-capture', PcmCaptureProcessor);
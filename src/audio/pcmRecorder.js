@@ -0,0 +1,92 @@
+// ════════════════════════════════════════════════════════════
+//  PCM RECORDER
+//
+//  Lossless capture of an AudioNode's output. An AudioWorklet
+//  (pcmCaptureWorklet.js) copies raw Float32 blocks off the audio
+//  thread; this class gathers them and hands back planar channel
+//  data when stopped, ready for the WAV or FLAC encoder.
+//
+//  The capture node is connected to the destination so the graph
+//  keeps pulling it, but it never writes its output — it adds
+//  nothing to what you hear.
+// ════════════════════════════════════════════════════════════
+
+const WORKLET_URL = new URL('./pcmCaptureWorklet.js', import.meta.url);
+
+// AudioContexts that already have the capture module loaded
+const loadedContexts = new WeakSet();
+
+export class PcmRecorder {
+  constructor(ctx, sourceNode, numChannels = 2) {
+    this._ctx = ctx;
+    this._source = sourceNode;
+    this._numChannels = numChannels;
+    this._node = null;
+    this._chunks = [];     // Float32Array[] per posted batch
+    this._onDone = null;
+  }
+
+  /**
+   * Load the worklet (once per context) and start capturing.
+   */
+  async start() {
+    if (!loadedContexts.has(this._ctx)) {
+      await this._ctx.audioWorklet.addModule(WORKLET_URL);
+      loadedContexts.add(this._ctx);
+    }
+
+    this._chunks = [];
+    this._node = new AudioWorkletNode(this._ctx, 'ora-pcm-capture', {
+      numberOfInputs: 1,
+      numberOfOutputs: 1,
+      outputChannelCount: [this._numChannels],
+      channelCount: this._numChannels,
+      channelCountMode: 'explicit',
+      processorOptions: { numChannels: this._numChannels },
+    });
+    this._node.port.onmessage = (e) => {
+      if (e.data.type === 'chunk') this._chunks.push(e.data.channels);
+      else if (e.data.type === 'done') this._onDone?.();
+    };
+
+    this._source.connect(this._node);
+    this._node.connect(this._ctx.destination);
+  }
+
+  /**
+   * Stop capturing. Resolves with { channels: Float32Array[], sampleRate }.
+   */
+  stop() {
+    const node = this._node;
+    if (!node) return Promise.resolve({ channels: [], sampleRate: this._ctx.sampleRate });
+
+    return new Promise((resolve) => {
+      this._onDone = () => {
+        this._onDone = null;
+        try { this._source.disconnect(node); } catch { /* already gone */ }
+        node.disconnect();
+        node.port.onmessage = null;
+        this._node = null;
+        resolve({ channels: this._join(), sampleRate: this._ctx.sampleRate });
+      };
+      node.port.postMessage({ type: 'stop' });
+    });
+  }
+
+  // Concatenate posted batches into one Float32Array per channel
+  _join() {
+    const total = this._chunks.reduce((n, c) => n + c[0].length, 0);
+    const channels = [];
+    for (let ch = 0; ch < this._numChannels; ch++) {
+      const out = new Float32Array(total);
+      let offset = 0;
+      for (const chunk of this._chunks) {
+        out.set(chunk[ch], offset);
+        offset += chunk[ch].length;
+      }
+      channels.push(out);
+    }
+    this._chunks = [];
+    return channels;
+  }
+}
@@ -0,0 +1,212 @@
+// ════════════════════════════════════════════════════════════
+//  POLY VOICE ALLOCATOR
+//
+//  Spawns and frees one scsynth synth per held note for Poly
+//  Voice modules. Notes arrive from MIDI In (note mode) or from
+//  script noteOn()/noteOff() calls on any node patched into the
+//  module's notes port.
+//
+//  Voices write to the same out_bus the routing pass assigns to
+//  the Poly Voice node itself, so downstream FX and the output
+//  see a single source no matter how many notes are sounding.
+//
+//  Steal policies (applied when every voice is held):
+//    'oldest'   — release the voice that started first
+//    'quietest' — release the voice with the lowest velocity
+//    'none'     — drop the incoming note
+// ════════════════════════════════════════════════════════════
+
+// Fade applied to a stolen voice so it frees without a click
+const STEAL_RELEASE = 0.02;
+
+// Params owned by the allocator — never forwarded from node params
+const VOICE_PARAMS = new Set(['voices', 'notes']);
+
+export class PolyVoiceAllocator {
+  constructor(engine, onChange) {
+    this._engine = engine;           // GridEngine
+    this._onChange = onChange;       // (nodeId, activeCount) => void
+    this._contexts = new Map();      // nodeId → { config, voices: [] }
+  }
+
+  /**
+   * Update a Poly Voice node's configuration. Called on every
+   * routing pass; running voices follow bus, pan and param changes.
+   *
+   * config: { live, synthDef, params, maxVoices, steal, outBus, pan, sources }
+   */
+  configure(nodeId, config) {
+    let ctx = this._contexts.get(nodeId);
+    if (!ctx) {
+      ctx = { config, voices: [] };
+      this._contexts.set(nodeId, ctx);
+      return;
+    }
+
+    const prev = ctx.config;
+    ctx.config = config;
+
+    if (!config.live || config.synthDef !== prev.synthDef) {
+      this.releaseAll(nodeId);
+      return;
+    }
+
+    for (const voice of ctx.voices) {
+      if (config.outBus !== prev.outBus) {
+        this._engine.setVoiceParam(voice.id, 'out_bus', config.outBus);
+      }
+      if (config.pan !== prev.pan) {
+        this._engine.setVoiceParam(voice.id, 'pan', config.pan);
+      }
+      if (voice.released) continue;
+      for (const [k, v] of Object.entries(config.params)) {
+        if (VOICE_PARAMS.has(k) || prev.params[k] === v) continue;
+        this._engine.setVoiceParam(voice.id, k, k === 'amp' ? v * voice.velocity / 127 : v);
+      }
+    }
+
+    // Shrinking the voice count releases the surplus oldest voices
+    const held = ctx.voices.filter((v) => !v.released);
+    for (let i = 0; i < held.length - config.maxVoices; i++) {
+      this._release(ctx, held[i], config.params.release ?? 1);
+    }
+    this._notify(nodeId, ctx);
+  }
+
+  /**
+   * Route a note event from a source node (MIDI In, Script) to every
+   * Poly Voice node whose notes port is patched from that source.
+   * A velocity of 0 is a note-off.
+   */
+  dispatch(sourceId, note, velocity) {
+    for (const [nodeId, ctx] of this._contexts) {
+      if (!ctx.config.sources?.includes(sourceId)) continue;
+      if (velocity > 0) this.noteOn(nodeId, note, velocity);
+      else this.noteOff(nodeId, note);
+    }
+  }
+
+  /**
+   * Start a voice for the given note, stealing one if needed.
+   */
+  noteOn(nodeId, note, velocity = 100) {
+    const ctx = this._contexts.get(nodeId);
+    if (!ctx || !ctx.config.live || !ctx.config.synthDef) return;
+    const { config } = ctx;
+
+    // Retriggering a held note releases the old voice first
+    const same = ctx.voices.find((v) => v.note === note && !v.released);
+    if (same) this._release(ctx, same, STEAL_RELEASE);
+
+    const held = ctx.voices.filter((v) => !v.released);
+    if (held.length >= config.maxVoices) {
+      const victim = this._pickVictim(held, config.steal);
+      if (!victim) return;
+      this._release(ctx, victim, STEAL_RELEASE);
+    }
+
+    const params = {};
+    for (const [k, v] of Object.entries(config.params)) {
+      if (!VOICE_PARAMS.has(k)) params[k] = v;
+    }
+    params.note = note;
+    params.amp = (config.params.amp ?? 0.5) * velocity / 127;
+    params.sustain = 9999; // held until note-off
+    params.out_bus = config.outBus;
+    params.pan = config.pan;
+
+    const id = this._engine.startVoice(config.synthDef, params);
+    if (id == null) return;
+
+    ctx.voices.push({ id, note, velocity, released: false, freeTimer: null });
+    this._notify(nodeId, ctx);
+  }
+
+  /**
+   * Release the voice holding the given note (release tail follows).
+   */
+  noteOff(nodeId, note) {
+    const ctx = this._contexts.get(nodeId);
+    if (!ctx) return;
+    const voice = ctx.voices.find((v) => v.note === note && !v.released);
+    if (!voice) return;
+    this._release(ctx, voice, ctx.config.params.release ?? 1);
+    this._notify(nodeId, ctx);
+  }
+
+  /**
+   * Release every held voice on a node.
+   */
+  releaseAll(nodeId) {
+    const ctx = this._contexts.get(nodeId);
+    if (!ctx) return;
+    for (const voice of ctx.voices) {
+      if (!voice.released) this._release(ctx, voice, ctx.config.params.release ?? 1);
+    }
+    this._notify(nodeId, ctx);
+  }
+
+  /**
+   * Number of voices currently held (excludes release tails).
+   */
+  activeCount(nodeId) {
+    const ctx = this._contexts.get(nodeId);
+    return ctx ? ctx.voices.filter((v) => !v.released).length : 0;
+  }
+
+  /**
+   * Free all voices on a node immediately and forget it.
+   */
+  remove(nodeId) {
+    const ctx = this._contexts.get(nodeId);
+    if (!ctx) return;
+    for (const voice of ctx.voices) {
+      clearTimeout(voice.freeTimer);
+      this._engine.freeVoice(voice.id);
+    }
+    this._contexts.delete(nodeId);
+    this._onChange?.(nodeId, 0);
+  }
+
+  /**
+   * Remove contexts for nodes that no longer exist.
+   */
+  prune(keepIds) {
+    for (const nodeId of [...this._contexts.keys()]) {
+      if (!keepIds.has(nodeId)) this.remove(nodeId);
+    }
+  }
+
+  /**
+   * Free every voice on every node.
+   */
+  stopAll() {
+    for (const nodeId of [...this._contexts.keys()]) {
+      this.remove(nodeId);
+    }
+  }
+
+  // ── Internals ─────────────────────────────────────────
+
+  _pickVictim(held, steal) {
+    if (steal === 'none' || held.length === 0) return null;
+    if (steal === 'quietest') {
+      return held.reduce((min, v) => (v.velocity < min.velocity ? v : min), held[0]);
+    }
+    return held[0]; // 'oldest' — voices are kept in start order
+  }
+
+  _release(ctx, voice, releaseTime) {
+    voice.released = true;
+    this._engine.releaseVoice(voice.id, releaseTime);
+    voice.freeTimer = setTimeout(() => {
+      this._engine.freeVoice(voice.id);
+      const idx = ctx.voices.indexOf(voice);
+      if (idx !== -1) ctx.voices.splice(idx, 1);
+    }, releaseTime * 1000 + 100);
+  }
+
+  _notify(nodeId, ctx) {
+    this._onChange?.(nodeId, ctx.voices.filter((v) => !v.released).length);
+  }
+}
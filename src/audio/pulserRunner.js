@@ -12,71 +12,83 @@
 //
 //  Output: alternating 0/1 values at the specified rate (Hz).
 //  A pulse consists of a 1 value followed by a 0 value,
-//  each lasting half the period.
+//  each lasting half the period. Edges are timed by the
+//  LookaheadScheduler and reported with the time they're due.
+//
+//  Synced to the transport, the rate counts pulses per beat
+//  instead and the edges sit on the beat grid: pulsing runs
+//  only while the transport plays and follows tempo changes.
 // ════════════════════════════════════════════════════════════
 
 export class PulserRunner {
   /**
-   * @param {(nodeId: number, value: number) => void} onOutput
+   * @param {(nodeId: number, value: number, time: number) => void} onOutput
+   * @param {import('./lookaheadScheduler').LookaheadScheduler} scheduler
+   * @param {import('./transport').Transport} transport
    */
-  constructor(onOutput) {
+  constructor(onOutput, scheduler, transport) {
     this._onOutput = onOutput;
+    this._scheduler = scheduler;
+    this._transport = transport;
     this._contexts = new Map(); // nodeId → ctx
+    this._unsubscribe = transport.subscribe(() => this._resync());
   }
 
   /**
    * Start the pulser for a given node.
    * @param {number} nodeId
-   * @param {number} rate - pulses per second (Hz)
+   * @param {number} rate - pulses per second (Hz), or per beat when synced
+   * @param {boolean} [sync] - lock to the transport's beat grid
    */
-  start(nodeId, rate) {
+  start(nodeId, rate, sync = false) {
     this.stop(nodeId);
 
-    const hz = Math.max(0.01, rate || 1);
-    const halfPeriodMs = Math.max(10, 500 / hz);
-
     const ctx = {
-      rate: hz,
+      rate,
+      halfPeriod: halfPeriod(rate),
+      sync,
       phase: 0,       // 0 or 1
-      interval: null,
-      stopped: false,
+      lastEdge: -Infinity, // time of the latest edge handed out
     };
-
-    // Emit initial low value
-    this._onOutput(nodeId, 0);
-
-    ctx.interval = setInterval(() => {
-      if (ctx.stopped) return;
-      ctx.phase = 1 - ctx.phase;
-      this._onOutput(nodeId, ctx.phase);
-    }, halfPeriodMs);
-
     this._contexts.set(nodeId, ctx);
+
+    // Emit initial low value, then toggle every half period
+    const start = this._scheduler.now();
+    this._onOutput(nodeId, 0, start);
+    if (sync) this._runSynced(nodeId, ctx);
+    else this._runFree(nodeId, ctx, start + ctx.halfPeriod);
   }
 
   /**
-   * Update the pulse rate without restarting phase.
+   * Update the pulse rate without restarting phase. The edge
+   * already scheduled keeps its time; the ones after it follow
+   * the new rate. Synced pulsers move to the new grid.
    */
   setRate(nodeId, rate) {
     const ctx = this._contexts.get(nodeId);
-    if (!ctx) return;
-
-    const hz = Math.max(0.01, rate || 1);
-    if (Math.abs(ctx.rate - hz) < 0.001) return; // no change
+    if (!ctx || ctx.rate === rate) return;
+    ctx.rate = rate;
+    ctx.halfPeriod = halfPeriod(rate);
+    if (ctx.sync) this._runSynced(nodeId, ctx);
+  }
 
-    // Restart with new rate (preserves running state)
-    this.start(nodeId, hz);
+  /**
+   * Switch between free-running (Hz) and transport sync (per beat).
+   */
+  setSync(nodeId, sync) {
+    const ctx = this._contexts.get(nodeId);
+    if (!ctx || ctx.sync === sync) return;
+    ctx.sync = sync;
+    if (sync) this._runSynced(nodeId, ctx);
+    else this._runFree(nodeId, ctx, this._scheduler.now() + ctx.halfPeriod);
   }
 
   /**
    * Stop the pulser for a given node.
    */
   stop(nodeId) {
-    const ctx = this._contexts.get(nodeId);
-    if (!ctx) return;
-
-    ctx.stopped = true;
-    if (ctx.interval != null) clearInterval(ctx.interval);
+    if (!this._contexts.has(nodeId)) return;
+    this._scheduler.remove(`pulser:${nodeId}`);
     this._contexts.delete(nodeId);
   }
 
@@ -103,4 +115,62 @@ export class PulserRunner {
       this.stop(nodeId);
     }
   }
+
+  /**
+   * Stop all pulsers and stop following the transport.
+   */
+  dispose() {
+    this.stopAll();
+    this._unsubscribe();
+  }
+
+  // ── Internals ─────────────────────────────────────────
+
+  _runFree(nodeId, ctx, start) {
+    this._scheduler.add(`pulser:${nodeId}`, start, (time) => {
+      ctx.phase = 1 - ctx.phase;
+      ctx.lastEdge = time;
+      this._onOutput(nodeId, ctx.phase, time);
+      return time + ctx.halfPeriod;
+    });
+  }
+
+  // Edge k falls on beat k * step; even edges rise, odd ones fall.
+  // Planned from the transport's current grid, so this re-runs
+  // whenever the transport changes. The new grid starts at the
+  // change (so play lands on the downbeat) but after any edge
+  // already handed out inside the lookahead window.
+  _runSynced(nodeId, ctx) {
+    const key = `pulser:${nodeId}`;
+    const transport = this._transport;
+    this._scheduler.remove(key);
+    if (!transport.playing) {
+      if (ctx.phase === 1) {
+        ctx.phase = 0;
+        this._onOutput(nodeId, 0, this._scheduler.now());
+      }
+      return;
+    }
+    const step = 0.5 / Math.max(0.01, ctx.rate || 1);
+    const from = Math.max(transport.anchorTime, ctx.lastEdge + 1e-6);
+    let edge = Math.ceil(transport.beatAt(from) / step - 1e-9);
+    this._scheduler.add(key, transport.timeAtBeat(edge * step), (time) => {
+      ctx.phase = edge % 2 === 0 ? 1 : 0;
+      ctx.lastEdge = time;
+      this._onOutput(nodeId, ctx.phase, time);
+      edge++;
+      return transport.timeAtBeat(edge * step);
+    });
+  }
+
+  _resync() {
+    for (const [nodeId, ctx] of this._contexts) {
+      if (ctx.sync) this._runSynced(nodeId, ctx);
+    }
+  }
+}
+
+function halfPeriod(rate) {
+  const hz = Math.max(0.01, rate || 1);
+  return Math.max(0.01, 0.5 / hz);
 }
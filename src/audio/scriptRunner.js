@@ -4,7 +4,11 @@
 //  Sandboxed runtime for Script module code. Scripts execute
 //  in a restricted scope with a small API for outputting
 //  values (which flow through the existing modulation bus
-//  system) and time-based patterns/routines.
+//  system) and time-based patterns/routines. pattern() and
+//  tuplet() run on the lookahead scheduler, so their values are
+//  reported ahead with the time they're due. With { sync: true }
+//  their durations count beats of the global transport instead
+//  of seconds, starting on the next beat while it plays.
 //
 //  API available inside scripts:
 //
@@ -12,14 +16,21 @@
 //    out(value)                   — send value to output 0
 //    out(index, value)            — send value to output <index>
 //    pattern(values, durations)   — cycle values on output 0
+//    pattern(values, durs, { sync: true }) — durations in beats
 //    routine(generatorFn)         — generator coroutine
 //    lfo(rate, min, max)          — sine-wave oscillator on output 0
 //    ramp(from, to, duration)     — linear ramp on output 0
 //    tuplet(divisions, duration)  — nested tuplet pattern (loops)
+//    tuplet(divs, dur, { sync: true })     — cycle length in beats
+//    bpm()                        — transport tempo
+//    beats(n)                     — n beats in seconds at that tempo
 //    w(weight, content)           — weighted subdivision for tuplet()
 //    random(min, max)             — random float
 //    randomInt(min, max)          — random integer
 //    log(…args)                   — print to console
+//    noteOn(note, velocity)       — start a note on connected Poly Voices
+//    noteOff(note)                — release a note on connected Poly Voices
+//    playNote(note, dur, vel)     — noteOn now, noteOff after dur seconds
 //    note('C#3')                  — parse note name → MIDI number
 //    C4, Cs4, Db4, …              — bare MIDI note constants (C0–G9)
 //    r                            — rest (skip a subdivision)
@@ -62,11 +73,14 @@ const _SEMI_MAP = {
 };
 
 export class ScriptRunner {
-  constructor({ onOutput, onLog, onSetOutputs }) {
-    this._onOutput = onOutput;         // (nodeId, outputIndex, value) => void
+  constructor({ onOutput, onLog, onSetOutputs, onNote, scheduler, transport }) {
+    this._onOutput = onOutput;         // (nodeId, outputIndex, value, time?) => void
     this._onLog = onLog;               // (nodeId, ...args) => void
     this._onSetOutputs = onSetOutputs; // (nodeId, count) => void
-    this._contexts = new Map();        // nodeId → { timers: Set, stopped: bool }
+    this._onNote = onNote;             // (nodeId, note, velocity) => void — velocity 0 = off
+    this._scheduler = scheduler;       // LookaheadScheduler for pattern() / tuplet()
+    this._transport = transport;       // Transport for bpm() / beats() and synced patterns
+    this._contexts = new Map();        // nodeId → { timers: Set, streams: Set, stopped: bool, heldNotes: Set }
   }
 
   /**
@@ -75,7 +89,7 @@ export class ScriptRunner {
   run(nodeId, code) {
     this.stop(nodeId);
 
-    const ctx = { timers: new Set(), stopped: false };
+    const ctx = { timers: new Set(), streams: new Set(), stopped: false, heldNotes: new Set() };
     this._contexts.set(nodeId, ctx);
 
     // ── Build the sandboxed API ─────────────────────────
@@ -99,8 +113,43 @@ export class ScriptRunner {
         // out(value)
         value = indexOrValue;
       }
+      emit(outputIndex, value);
+    }
+
+    // Output a value at `time` on the scheduler clock (default: now)
+    function emit(outputIndex, value, time) {
       const v = typeof value === 'number' ? value : parseFloat(value) || 0;
-      self._onOutput(nodeId, outputIndex, v);
+      self._onOutput(nodeId, outputIndex, v, time);
+    }
+
+    // Run a scheduler stream owned by this script (see stop)
+    function addStream(start, fire) {
+      const key = `script:${nodeId}:${ctx.streams.size}`;
+      ctx.streams.add(key);
+      self._scheduler.add(key, start, fire);
+    }
+
+    // Run a stream whose step lengths come back from fire(time) in
+    // seconds, or in beats (at the transport's tempo as each step
+    // falls due) when synced; a synced stream waits for the next
+    // beat if the transport is playing
+    function addTimedStream(sync, fire) {
+      const transport = self._transport;
+      const start = sync && transport.playing
+        ? transport.timeAtBeat(Math.ceil(transport.beatAt() - 1e-9))
+        : self._scheduler.now();
+      addStream(start, (time) => {
+        const dur = fire(time);
+        return time + (sync ? dur * transport.secondsPerBeat() : dur);
+      });
+    }
+
+    function bpm() {
+      return self._transport.bpm;
+    }
+
+    function beats(n) {
+      return (n ?? 1) * self._transport.secondsPerBeat();
     }
 
     function log(...args) {
@@ -112,31 +161,46 @@ export class ScriptRunner {
       ctx.timers.add({ id, type });
     }
 
-    function pattern(values, durations) {
+    // ── Note events (consumed by Poly Voice modules) ────
+    function noteOn(n, velocity) {
+      if (ctx.stopped) return;
+      const num = note(n);
+      const vel = Math.max(1, Math.min(127, Math.round(velocity ?? 100)));
+      ctx.heldNotes.add(num);
+      self._onNote?.(nodeId, num, vel);
+    }
+
+    function noteOff(n) {
+      if (ctx.stopped) return;
+      const num = note(n);
+      ctx.heldNotes.delete(num);
+      self._onNote?.(nodeId, num, 0);
+    }
+
+    function playNote(n, duration, velocity) {
+      if (ctx.stopped) return;
+      noteOn(n, velocity);
+      const ms = Math.max(10, (duration ?? 0.25) * 1000);
+      const id = setTimeout(() => noteOff(n), ms);
+      addTimer(id, 'timeout');
+    }
+
+    function pattern(values, durations, { sync = false } = {}) {
       if (ctx.stopped) return;
       if (!Array.isArray(values) || values.length === 0) {
         log('pattern: values must be a non-empty array');
         return;
       }
-      // durations can be a single number or an array of numbers (seconds)
+      // durations can be a single number or an array of numbers (seconds, or beats when synced)
       const durs = Array.isArray(durations) ? durations : [durations || 0.5];
+      const min = sync ? 0.01 / beats(1) : 0.01;
       let i = 0;
-      // Emit first value immediately
-      out(values[0]);
-      i = 1;
-
-      function step() {
-        if (ctx.stopped) return;
-        const ms = Math.max(10, (durs[(i - 1) % durs.length]) * 1000);
-        const id = setTimeout(() => {
-          if (ctx.stopped) return;
-          out(values[i % values.length]);
-          i++;
-          step();
-        }, ms);
-        addTimer(id, 'timeout');
-      }
-      step();
+      addTimedStream(sync, (time) => {
+        emit(0, values[i % values.length], time);
+        const dur = Math.max(min, durs[i % durs.length]);
+        i++;
+        return dur;
+      });
     }
 
     function routine(genFn) {
@@ -279,7 +343,7 @@ export class ScriptRunner {
       }
     }
 
-    function tuplet(divisions, duration) {
+    function tuplet(divisions, duration, { sync = false } = {}) {
       if (ctx.stopped) return;
       if (!Array.isArray(divisions) || divisions.length === 0) {
         log('tuplet: divisions must be a non-empty array');
@@ -308,25 +372,17 @@ export class ScriptRunner {
         } else {
           dt = events[next].time - events[j].time;
         }
-        delays.push(Math.max(0.01, dt * dur)); // seconds, min 10ms
+        delays.push(Math.max(sync ? 0.01 / beats(1) : 0.01, dt * dur)); // seconds (or beats), min 10ms
       }
 
-      // Emit first event immediately
+      // First event now (or on the next beat), then loop through the delays
       let i = 0;
-      out(events[0].value);
-
-      function step() {
-        if (ctx.stopped) return;
-        const ms = delays[i] * 1000;
-        const id = setTimeout(() => {
-          if (ctx.stopped) return;
-          i = (i + 1) % events.length;
-          out(events[i].value);
-          step();
-        }, ms);
-        addTimer(id, 'timeout');
-      }
-      step();
+      addTimedStream(sync, (time) => {
+        emit(0, events[i].value, time);
+        const delay = delays[i];
+        i = (i + 1) % events.length;
+        return delay;
+      });
     }
 
     // ── Evaluate the script ─────────────────────────────
@@ -335,10 +391,12 @@ export class ScriptRunner {
     const apiNames = [
       'setOutputs', 'out', 'log', 'pattern', 'routine', 'lfo', 'ramp',
       'random', 'randomInt', 'tuplet', 'w', 'r', '_', 'Math', 'note',
+      'noteOn', 'noteOff', 'playNote', 'bpm', 'beats',
     ];
     const apiValues = [
       setOutputs, out, log, pattern, routine, lfo, ramp,
       random, randomInt, tuplet, w, REST, TIE, Math, note,
+      noteOn, noteOff, playNote, bpm, beats,
     ];
 
     try {
@@ -360,6 +418,11 @@ export class ScriptRunner {
     if (!ctx) return;
 
     ctx.stopped = true;
+    // Release any notes the script left hanging
+    for (const num of ctx.heldNotes) {
+      this._onNote?.(nodeId, num, 0);
+    }
+    ctx.heldNotes.clear();
     for (const entry of ctx.timers) {
       if (entry.type === 'interval') {
         clearInterval(entry.id);
@@ -368,6 +431,8 @@ export class ScriptRunner {
       }
     }
     ctx.timers.clear();
+    for (const key of ctx.streams) this._scheduler.remove(key);
+    ctx.streams.clear();
     this._contexts.delete(nodeId);
   }
 
@@ -13,16 +13,27 @@
 //
 //  The sequencer is clocked externally — typically by a
 //  Pulser module, but any control source works (envelope,
-//  script, bang, MIDI, etc.).
+//  script, bang, MIDI, etc.). A trigger that carries a time
+//  (from a scheduled source) is passed on with the step it
+//  advances to.
+//
+//  Synced to the transport, it also steps once per beat while
+//  the transport plays, on the step the beat position points
+//  to (so locating the transport moves it too).
 // ════════════════════════════════════════════════════════════
 
 export class SequencerRunner {
   /**
-   * @param {(nodeId: number, value: number) => void} onOutput
+   * @param {(nodeId: number, value: number, time?: number) => void} onOutput
+   * @param {import('./lookaheadScheduler').LookaheadScheduler} scheduler
+   * @param {import('./transport').Transport} transport
    */
-  constructor(onOutput) {
+  constructor(onOutput, scheduler, transport) {
     this._onOutput = onOutput;
+    this._scheduler = scheduler;
+    this._transport = transport;
     this._contexts = new Map(); // nodeId → ctx
+    this._unsubscribe = transport.subscribe(() => this._resync());
   }
 
   /**
@@ -30,8 +41,9 @@ export class SequencerRunner {
    * @param {number} nodeId
    * @param {number[]} steps - array of 5 voltage values
    * @param {number} length - active step count (3, 4, or 5)
+   * @param {boolean} [sync] - also step on every transport beat
    */
-  start(nodeId, steps, length) {
+  start(nodeId, steps, length, sync = false) {
     this.stop(nodeId);
 
     const ctx = {
@@ -39,6 +51,8 @@ export class SequencerRunner {
       length: Math.max(3, Math.min(5, length || 5)),
       currentStep: 0,
       prevTrigger: 0,
+      sync,
+      lastBeatTime: -Infinity, // time of the latest synced step handed out
       stopped: false,
     };
 
@@ -46,6 +60,18 @@ export class SequencerRunner {
 
     // Emit initial step value
     this._onOutput(nodeId, ctx.steps[0]);
+    if (sync) this._runSynced(nodeId, ctx);
+  }
+
+  /**
+   * Turn stepping on transport beats on or off.
+   */
+  setSync(nodeId, sync) {
+    const ctx = this._contexts.get(nodeId);
+    if (!ctx || ctx.sync === sync) return;
+    ctx.sync = sync;
+    if (sync) this._runSynced(nodeId, ctx);
+    else this._scheduler.remove(`sequencer:${nodeId}`);
   }
 
   /**
@@ -54,9 +80,12 @@ export class SequencerRunner {
   setSteps(nodeId, steps) {
     const ctx = this._contexts.get(nodeId);
     if (!ctx) return;
+    const current = ctx.steps[ctx.currentStep];
     ctx.steps = steps.slice(0, 5);
-    // Re-emit current step value in case it changed
-    this._onOutput(nodeId, ctx.steps[ctx.currentStep]);
+    // Re-emit current step value if it changed
+    if (ctx.steps[ctx.currentStep] !== current) {
+      this._onOutput(nodeId, ctx.steps[ctx.currentStep]);
+    }
   }
 
   /**
@@ -78,8 +107,9 @@ export class SequencerRunner {
    * Call this whenever the connected trigger source value changes.
    * @param {number} nodeId
    * @param {number} trigValue - current trigger value (0 or 1)
+   * @param {number} [time] - when the trigger is due (scheduler clock)
    */
-  updateTrigger(nodeId, trigValue) {
+  updateTrigger(nodeId, trigValue, time) {
     const ctx = this._contexts.get(nodeId);
     if (!ctx || ctx.stopped) return;
 
@@ -90,7 +120,7 @@ export class SequencerRunner {
     // Rising edge: advance to next step
     if (wasLow && isHigh) {
       ctx.currentStep = (ctx.currentStep + 1) % ctx.length;
-      this._onOutput(nodeId, ctx.steps[ctx.currentStep]);
+      this._onOutput(nodeId, ctx.steps[ctx.currentStep], time);
     }
   }
 
@@ -121,6 +151,7 @@ export class SequencerRunner {
     const ctx = this._contexts.get(nodeId);
     if (!ctx) return;
     ctx.stopped = true;
+    if (ctx.sync) this._scheduler.remove(`sequencer:${nodeId}`);
     this._contexts.delete(nodeId);
   }
 
@@ -139,4 +170,48 @@ export class SequencerRunner {
       this.stop(nodeId);
     }
   }
+
+  /**
+   * Stop all sequencers and stop following the transport.
+   */
+  dispose() {
+    this.stopAll();
+    this._unsubscribe();
+  }
+
+  // ── Internals ─────────────────────────────────────────
+
+  // Jump to the step of the current beat, then step on each
+  // beat boundary while the transport plays. Re-run whenever
+  // the transport changes; like a synced Pulser, the new grid
+  // starts at the change but after steps already handed out.
+  _runSynced(nodeId, ctx) {
+    const key = `sequencer:${nodeId}`;
+    const transport = this._transport;
+    this._scheduler.remove(key);
+
+    const stepAt = (beat) => Math.max(0, Math.floor(beat + 1e-9)) % ctx.length;
+    const step = stepAt(transport.beatAt());
+    if (step !== ctx.currentStep) {
+      ctx.currentStep = step;
+      this._onOutput(nodeId, ctx.steps[step]);
+    }
+    if (!transport.playing) return;
+
+    const from = Math.max(transport.anchorTime, ctx.lastBeatTime + 1e-6);
+    let beat = Math.ceil(transport.beatAt(from) - 1e-9);
+    this._scheduler.add(key, transport.timeAtBeat(beat), (time) => {
+      ctx.currentStep = stepAt(beat);
+      ctx.lastBeatTime = time;
+      this._onOutput(nodeId, ctx.steps[ctx.currentStep], time);
+      beat++;
+      return transport.timeAtBeat(beat);
+    });
+  }
+
+  _resync() {
+    for (const [nodeId, ctx] of this._contexts) {
+      if (ctx.sync) this._runSynced(nodeId, ctx);
+    }
+  }
 }
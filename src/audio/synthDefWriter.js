@@ -0,0 +1,139 @@
+// ════════════════════════════════════════════════════════════
+//  synthDefWriter.js
+//
+//  Encodes SynthDefs in the binary SCgf v2 format so defs can be
+//  built at runtime (we can't compile .scd without sclang) and
+//  sent to the engine via /d_recv.
+// ════════════════════════════════════════════════════════════
+
+export const RATE_SCALAR = 0;
+export const RATE_CONTROL = 1;
+export const RATE_AUDIO = 2;
+
+// BinaryOpUGen special indices
+export const OP_ADD = 0;
+export const OP_SUB = 1;
+export const OP_MUL = 2;
+export const OP_MIN = 12;
+export const OP_MAX = 13;
+export const OP_POW = 25;
+
+// UGen input helpers: another UGen's output, or the constants table
+export const ugen = (idx, outIdx = 0) => [idx, outIdx];
+export const konst = (idx) => [-1, idx];
+
+// Collects UGens in graph order for encodeSynthDef. add() appends
+// one and returns its index; op() appends a BinaryOpUGen.
+export function ugenGraph() {
+  const ugens = [];
+  const add = (name, rate, inputs, outputs = 1, special = 0) => {
+    ugens.push({ name, rate, inputs, outputs: Array(outputs).fill(rate), special });
+    return ugens.length - 1;
+  };
+  const op = (special, rate, a, b) => add('BinaryOpUGen', rate, [a, b], 1, special);
+  return { ugens, add, op };
+}
+
+export class SynthDefWriter {
+  constructor() {
+    this.chunks = [];
+  }
+
+  writeInt8(v) {
+    const buf = new ArrayBuffer(1);
+    new DataView(buf).setInt8(0, v);
+    this.chunks.push(new Uint8Array(buf));
+  }
+
+  writeInt16(v) {
+    const buf = new ArrayBuffer(2);
+    new DataView(buf).setInt16(0, v, false); // big-endian
+    this.chunks.push(new Uint8Array(buf));
+  }
+
+  writeInt32(v) {
+    const buf = new ArrayBuffer(4);
+    new DataView(buf).setInt32(0, v, false);
+    this.chunks.push(new Uint8Array(buf));
+  }
+
+  writeFloat32(v) {
+    const buf = new ArrayBuffer(4);
+    new DataView(buf).setFloat32(0, v, false);
+    this.chunks.push(new Uint8Array(buf));
+  }
+
+  writePstring(s) {
+    const bytes = new TextEncoder().encode(s);
+    this.writeInt8(bytes.length);
+    this.chunks.push(bytes);
+  }
+
+  writeBytes(bytes) {
+    this.chunks.push(new Uint8Array(bytes));
+  }
+
+  toUint8Array() {
+    let totalLen = 0;
+    for (const c of this.chunks) totalLen += c.length;
+    const result = new Uint8Array(totalLen);
+    let offset = 0;
+    for (const c of this.chunks) {
+      result.set(c, offset);
+      offset += c.length;
+    }
+    return result;
+  }
+}
+
+/**
+ * Encode a single SynthDef file. `params` is [[name, default], …]
+ * in control order; each UGen is { name, rate, inputs, outputs,
+ * special } with inputs built by ugen() / konst() and outputs a
+ * list of rates.
+ */
+export function encodeSynthDef({ name, constants, params, ugens }) {
+  const w = new SynthDefWriter();
+
+  // ── File header ──
+  w.writeBytes([0x53, 0x43, 0x67, 0x66]); // "SCgf"
+  w.writeInt32(2);  // version 2
+  w.writeInt16(1);  // 1 synthdef
+
+  w.writePstring(name);
+
+  // ── Constants ──
+  w.writeInt32(constants.length);
+  for (const c of constants) w.writeFloat32(c);
+
+  // ── Parameters and their names ──
+  w.writeInt32(params.length);
+  for (const [, value] of params) w.writeFloat32(value);
+  w.writeInt32(params.length);
+  params.forEach(([paramName], idx) => {
+    w.writePstring(paramName);
+    w.writeInt32(idx);
+  });
+
+  // ── UGens ──
+  w.writeInt32(ugens.length);
+  for (const u of ugens) {
+    w.writePstring(u.name);
+    w.writeInt8(u.rate);
+    w.writeInt32(u.inputs.length);
+    w.writeInt32(u.outputs.length);
+    w.writeInt16(u.special);
+    for (const [ugenIdx, outIdx] of u.inputs) {
+      w.writeInt32(ugenIdx);
+      w.writeInt32(outIdx);
+    }
+    for (const outRate of u.outputs) {
+      w.writeInt8(outRate);
+    }
+  }
+
+  // ── Variants ──
+  w.writeInt16(0); // no variants
+
+  return w.toUint8Array();
+}
@@ -0,0 +1,246 @@
+// ════════════════════════════════════════════════════════════
+//  TRANSPORT
+//
+//  Global tempo clock shared by the time-based modules. Tracks
+//  BPM, time signature and play/stop/position as a beat count
+//  anchored to a time on the LookaheadScheduler's clock, so any
+//  beat maps to the exact time it falls due (and back).
+//
+//  A beat is one note of the time signature's unit (a quarter
+//  in 4/4, an eighth in 6/8); BPM counts those beats.
+//
+//  Synced Pulsers, Sequencers, Envelopes and Script patterns
+//  read the beat grid from here and subscribe() to re-plan
+//  their events whenever it moves (play, stop, locate, tempo).
+//
+//  Clock sources:
+//    'internal' — tempo set in the toolbar
+//    'midi'     — slaved to MidiClockIn (tempo, start/continue/
+//                 stop and beat phase follow the external clock)
+//  With clock out enabled, MidiClockOut follows the transport:
+//  Start from the top, Song Position + Continue from anywhere
+//  else, Stop, and Song Position on locate while stopped.
+// ════════════════════════════════════════════════════════════
+
+import { MidiClockIn, MidiClockOut } from './midiListener';
+
+export const BPM_MIN = 20;
+export const BPM_MAX = 300;
+
+// Re-anchor to an incoming MIDI beat only past this much drift
+// (in beats), so tick jitter doesn't re-plan every stream
+const MIDI_PHASE_TOLERANCE = 0.02;
+
+export class Transport {
+  /**
+   * @param {import('./lookaheadScheduler').LookaheadScheduler} scheduler
+   */
+  constructor(scheduler) {
+    this._scheduler = scheduler;
+    this.bpm = 120;
+    this.beatsPerBar = 4;
+    this.beatUnit = 4;
+    this.playing = false;
+    this.source = 'internal';
+    this.clockInDevice = null;
+    this.clockOutDevice = null; // null = clock out off
+    this._anchorTime = scheduler.now(); // scheduler time of _anchorBeat
+    this._anchorBeat = 0;
+    this._listeners = new Set();
+    this._clockIn = null;
+    this._clockOut = null;
+  }
+
+  // ── Beat grid ─────────────────────────────────────────
+
+  /** Beat position at `time` (frozen while stopped). */
+  beatAt(time = this._scheduler.now()) {
+    if (!this.playing) return this._anchorBeat;
+    return this._anchorBeat + (time - this._anchorTime) * this.bpm / 60;
+  }
+
+  /** Time a beat falls due at the current tempo, as if playing. */
+  timeAtBeat(beat) {
+    return this._anchorTime + (beat - this._anchorBeat) * 60 / this.bpm;
+  }
+
+  /** Time of the latest play, locate or tempo change. */
+  get anchorTime() {
+    return this._anchorTime;
+  }
+
+  secondsPerBeat() {
+    return 60 / this.bpm;
+  }
+
+  /** Position as { bar, beat } (both 1-based) plus the raw beat count. */
+  position(time) {
+    const beats = this.beatAt(time);
+    const whole = Math.floor(beats);
+    return {
+      beats,
+      bar: Math.floor(whole / this.beatsPerBar) + 1,
+      beat: (whole % this.beatsPerBar) + 1,
+    };
+  }
+
+  // ── Controls ──────────────────────────────────────────
+
+  play() {
+    if (this.playing) return;
+    this._anchorTime = this._scheduler.now();
+    this.playing = true;
+    this._clockOut?.start(this._sixteenths());
+    this._notify();
+  }
+
+  stop() {
+    if (!this.playing) return;
+    this._anchorBeat = this.beatAt();
+    this._anchorTime = this._scheduler.now();
+    this.playing = false;
+    this._clockOut?.stop();
+    this._notify();
+  }
+
+  /** Locate to a beat (0 = top of bar 1), playing or not. */
+  setPosition(beat) {
+    this._anchorBeat = Math.max(0, beat);
+    this._anchorTime = this._scheduler.now();
+    if (!this.playing) this._clockOut?.songPosition(this._sixteenths());
+    this._notify();
+  }
+
+  /** Change tempo from now on; beats already passed keep their time. */
+  setBpm(bpm) {
+    const next = Math.max(BPM_MIN, Math.min(BPM_MAX, +bpm || 120));
+    if (next === this.bpm) return;
+    this._anchorBeat = this.beatAt();
+    this._anchorTime = this._scheduler.now();
+    this.bpm = next;
+    this._clockOut?.setBpm(this._quarterBpm());
+    this._notify();
+  }
+
+  setMeter(beatsPerBar, beatUnit) {
+    this.beatsPerBar = Math.max(1, Math.min(16, Math.round(beatsPerBar) || 4));
+    this.beatUnit = [2, 4, 8, 16].includes(beatUnit) ? beatUnit : 4;
+    this._clockOut?.setBpm(this._quarterBpm());
+    this._notify();
+  }
+
+  // ── MIDI clock ────────────────────────────────────────
+
+  /**
+   * Switch clock source. 'midi' slaves the transport to MIDI clock
+   * from `deviceId` (null = any input).
+   */
+  async setSource(source, deviceId = null) {
+    this._clockIn?.stop();
+    this._clockIn = null;
+    this.source = source === 'midi' ? 'midi' : 'internal';
+    this.clockInDevice = deviceId;
+    this._notify();
+    if (this.source !== 'midi') return;
+
+    const clockIn = new MidiClockIn({
+      deviceId,
+      onBpmChange: (bpm) => this.setBpm(bpm * this.beatUnit / 4),
+      onBeat: (quarters) => this._followMidiBeat(quarters),
+      onTransport: (msg) => {
+        if (msg === 'start') this.setPosition(0);
+        if (msg === 'stop') this.stop();
+        else this.play();
+      },
+    });
+    this._clockIn = clockIn;
+    try {
+      await clockIn.start();
+    } catch {
+      // No Web MIDI: stay on the internal clock
+      if (this._clockIn === clockIn) this.setSource('internal');
+    }
+  }
+
+  /** Send MIDI clock to `deviceId`, or stop sending with null. */
+  async setClockOut(deviceId) {
+    this._clockOut?.stop();
+    this._clockOut = null;
+    this.clockOutDevice = deviceId;
+    this._notify();
+    if (deviceId == null) return;
+
+    const clockOut = new MidiClockOut({ deviceId, bpm: this._quarterBpm() });
+    this._clockOut = clockOut;
+    if (this.playing) await clockOut.start(this._sixteenths());
+  }
+
+  dispose() {
+    this._clockIn?.stop();
+    this._clockOut?.stop();
+    this._clockIn = null;
+    this._clockOut = null;
+  }
+
+  // ── State for the UI and patches ──────────────────────
+
+  getState() {
+    return {
+      bpm: this.bpm,
+      beatsPerBar: this.beatsPerBar,
+      beatUnit: this.beatUnit,
+      playing: this.playing,
+      source: this.source,
+      clockInDevice: this.clockInDevice,
+      clockOutDevice: this.clockOutDevice,
+    };
+  }
+
+  /** Tempo and meter as saved with a patch. */
+  toJSON() {
+    return { bpm: this.bpm, beatsPerBar: this.beatsPerBar, beatUnit: this.beatUnit };
+  }
+
+  /** Restore saved tempo and meter (ignored while slaved to MIDI clock). */
+  load(settings) {
+    if (!settings) return;
+    if (settings.beatsPerBar != null || settings.beatUnit != null) {
+      this.setMeter(settings.beatsPerBar ?? this.beatsPerBar, settings.beatUnit ?? this.beatUnit);
+    }
+    if (settings.bpm != null && this.source === 'internal') this.setBpm(settings.bpm);
+  }
+
+  /**
+   * Call fn on every transport change (play, stop, locate, tempo,
+   * meter, clock source). Returns the unsubscribe function.
+   */
+  subscribe(fn) {
+    this._listeners.add(fn);
+    return () => this._listeners.delete(fn);
+  }
+
+  // ── Internals ─────────────────────────────────────────
+
+  _notify() {
+    for (const fn of this._listeners) fn(this);
+  }
+
+  // MidiClockOut counts in quarter notes
+  _quarterBpm() {
+    return this.bpm * 4 / this.beatUnit;
+  }
+
+  // Position for Song Position Pointer
+  _sixteenths() {
+    return this.beatAt() * 16 / this.beatUnit;
+  }
+
+  _followMidiBeat(quarters) {
+    if (!this.playing) return;
+    const beat = quarters * this.beatUnit / 4;
+    if (Math.abs(this.beatAt() - beat) < MIDI_PHASE_TOLERANCE) return;
+    this._anchorBeat = beat;
+    this._anchorTime = this._scheduler.now();
+    this._notify();
+  }
+}
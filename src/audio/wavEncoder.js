@@ -0,0 +1,85 @@
+// ════════════════════════════════════════════════════════════
+//  wavEncoder.js
+//
+//  Encodes planar Float32 channel data as a RIFF/WAVE file.
+//
+//    16 / 24 bit — integer PCM (format 1), clipped to ±1 and
+//                  rounded; no dither, so identical input always
+//                  produces identical bytes.
+//    32 bit      — IEEE float (format 3), samples written as-is.
+// ════════════════════════════════════════════════════════════
+
+export const WAV_BIT_DEPTHS = [16, 24, 32];
+
+const FORMAT_PCM = 1;
+const FORMAT_FLOAT = 3;
+
+function writeString(view, offset, s) {
+  for (let i = 0; i < s.length; i++) {
+    view.setUint8(offset + i, s.charCodeAt(i));
+  }
+}
+
+/**
+ * Encode channels as a WAV file.
+ *
+ * channels: Float32Array[] (one per channel, equal length)
+ * Returns an ArrayBuffer.
+ */
+export function encodeWav(channels, sampleRate, bitDepth = 24) {
+  if (!WAV_BIT_DEPTHS.includes(bitDepth)) {
+    throw new Error(`Unsupported WAV bit depth: ${bitDepth}`);
+  }
+
+  const numChannels = channels.length;
+  const numFrames = channels[0]?.length ?? 0;
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = numChannels * bytesPerSample;
+  const dataSize = numFrames * blockAlign;
+  const isFloat = bitDepth === 32;
+
+  const buffer = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(buffer);
+
+  // ── RIFF header ──
+  writeString(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(view, 8, 'WAVE');
+
+  // ── fmt chunk ──
+  writeString(view, 12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, isFloat ? FORMAT_FLOAT : FORMAT_PCM, true);
+  view.setUint16(22, numChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+
+  // ── data chunk (interleaved) ──
+  writeString(view, 36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  let offset = 44;
+  for (let i = 0; i < numFrames; i++) {
+    for (let ch = 0; ch < numChannels; ch++) {
+      const sample = channels[ch][i];
+      if (isFloat) {
+        view.setFloat32(offset, sample, true);
+      } else {
+        const s = Math.max(-1, Math.min(1, sample));
+        if (bitDepth === 16) {
+          view.setInt16(offset, Math.round(s * 32767), true);
+        } else {
+          const v = Math.round(s * 8388607);
+          view.setUint8(offset, v & 0xff);
+          view.setUint8(offset + 1, (v >> 8) & 0xff);
+          view.setUint8(offset + 2, (v >> 16) & 0xff);
+        }
+      }
+      offset += bytesPerSample;
+    }
+  }
+
+  return buffer;
+}
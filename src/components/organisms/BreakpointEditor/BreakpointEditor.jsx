@@ -243,9 +243,10 @@ export default function BreakpointEditor({
     const resize = () => {
       const dpr = window.devicePixelRatio || 1;
       dprRef.current = dpr;
-      const rect = wrap.getBoundingClientRect();
-      canvas.width = rect.width * dpr;
-      canvas.height = rect.height * dpr;
+      // Layout size, not getBoundingClientRect(): the grid canvas may be
+      // CSS-scaled, which ResizeObserver doesn't report
+      canvas.width = wrap.clientWidth * dpr;
+      canvas.height = wrap.clientHeight * dpr;
       draw();
     };
 
@@ -294,9 +295,10 @@ export default function BreakpointEditor({
     const canvas = canvasRef.current;
     if (!canvas) return { x: 0, y: 0 };
     const rect = canvas.getBoundingClientRect();
+    const scale = rect.width > 0 ? canvas.offsetWidth / rect.width : 1; // undo canvas zoom
     return {
-      x: e.clientX - rect.left,
-      y: e.clientY - rect.top,
+      x: (e.clientX - rect.left) * scale,
+      y: (e.clientY - rect.top) * scale,
     };
   }, []);
 
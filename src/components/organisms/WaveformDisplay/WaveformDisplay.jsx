@@ -156,7 +156,8 @@ export default function WaveformDisplay({
   const getCanvasX = useCallback((e) => {
     const rect = canvasRef.current?.getBoundingClientRect();
     if (!rect) return 0;
-    return Math.max(0, Math.min(width, e.clientX - rect.left));
+    const scale = rect.width > 0 ? width / rect.width : 1; // undo canvas zoom
+    return Math.max(0, Math.min(width, (e.clientX - rect.left) * scale));
   }, [width]);
 
   const handleMouseDown = useCallback((e) => {
@@ -0,0 +1,665 @@
+import { NODE_SCHEMA } from './nodeSchema';
+import { MOD_DEPTH_SCALES, MOD_DEPTH_DEFAULT, FEEDBACK_GAIN } from './constants';
+import {
+  computeLiveNodes, quantizeFreq, getPortChannels, findFeedbackConnections, getOutputValue, canMapRange, controlBusKey,
+} from './utils';
+import { feedbackDefName } from '../audio/buildFeedbackDef';
+
+// ════════════════════════════════════════════════════════════
+//  ROUTING PASS
+//
+//  Reconciles a GridEngine's scsynth node tree with the grid
+//  graph: assigns buses, starts/stops synths, orders FX and
+//  applies modulation. Used by useAudioRouting for the live
+//  engine and by the offline bounce for its private engine.
+//
+//  `state` carries what the previous pass produced so it can
+//  diff against it — { topology, prevRouting, prevMod, prevSends,
+//  prevRanges, controlMapped } from createRoutingState(). Each pass
+//  replaces its fields in place, so the caller keeps one object.
+//
+//  Most graph changes only touch control values (a knob, or a
+//  script / envelope / MIDI output at ~30 Hz). When the topology
+//  is the same as last pass, only the values pass runs: it sets
+//  params and control buses, and the engine drops any value the
+//  synth already has. Everything a pass sends goes out as a
+//  single OSC bundle.
+// ════════════════════════════════════════════════════════════
+
+export function createRoutingState() {
+  return {
+    topology: null,
+    prevRouting: {},
+    prevMod: {},
+    prevSends: {},
+    prevRanges: {},
+    controlMapped: new Set(),
+  };
+}
+
+// Everything the routing pass reads except control values: which
+// modules exist, what they are and how they're patched. Equal keys
+// mean the values pass alone is enough.
+function topologyKey(nodes, connections) {
+  const parts = Object.values(nodes).map((n) => `${n.id}:${n.type}:${n.polyVoiceType ?? ''}`);
+  for (const c of connections) {
+    parts.push(`${c.id}:${c.fromNodeId}.${c.fromPortIndex}>${c.toNodeId}.${c.toParam ?? c.toPortIndex}${c.isAudioRate ? '~' : ''}${c.range ? '%' : ''}`);
+  }
+  return parts.join('|');
+}
+
+// A synth stopped behind the routing's back (a patch load, a removed
+// module) means the node tree no longer matches the last pass
+function engineInSync(engine, nodes, state) {
+  for (const id of Object.keys(state.prevRouting)) {
+    // A module whose SynthDef is still loading (or failed to) can't be
+    // playing yet; its arrival sets off another pass (useSynthDefs)
+    const def = NODE_SCHEMA[nodes[id]?.type]?.synthDef;
+    if (def && engine.synthDefStatus(def) === 'loaded' && !engine.isPlaying(Number(id))) return false;
+  }
+  return Object.keys(state.prevSends).every((key) => engine.isPlaying(key));
+}
+
+// Modules with several inputs (the Mixer) read input N from in_bus_N
+function portInBuses(routing) {
+  if (routing.inBuses.length < 2) return {};
+  return Object.fromEntries(routing.inBuses.map((bus, i) => [`in_bus_${i + 1}`, bus]));
+}
+
+// Sends copying a tap bus (`channels` wide) onto each destination
+// cable. Keyed by node and cable so a send survives bus renumbering.
+function planSends(id, tapBus, channels, outs) {
+  const sends = [];
+  for (const out of outs) {
+    const key = `send:${id}:${out.connId}`;
+    if (channels === 2 && out.channels === 2) {
+      sends.push({ key, synthDef: 'ora_gain', params: { in_bus: tapBus, out_bus: out.bus, amp: 1 } });
+      continue;
+    }
+    // One ora_route per destination channel: l * gain_l + r * gain_r
+    for (let ch = 0; ch < out.channels; ch++) {
+      let gains;
+      if (channels === 1) gains = [1, 0];
+      else if (out.channels === 2) gains = ch === 0 ? [1, 0] : [0, 1];
+      else if (out.pick != null) gains = out.pick === 0 ? [1, 0] : [0, 1];
+      else gains = [0.5, 0.5];
+      sends.push({
+        key: `${key}:${ch}`,
+        synthDef: 'ora_route',
+        params: { in_bus: tapBus, out_bus: out.bus + ch, gain_l: gains[0], gain_r: gains[1] },
+      });
+    }
+  }
+  return sends;
+}
+
+export function applyRouting(engine, nodes, connections, state, options = {}) {
+  const topology = topologyKey(nodes, connections);
+  engine.bundle(() => {
+    if (topology === state.topology && engineInSync(engine, nodes, state)) {
+      applyValues(engine, nodes, connections, state, options);
+    } else {
+      state.topology = applyTopology(engine, nodes, connections, state, options) ? topology : null;
+    }
+  });
+}
+
+// Gain of an audio-rate modulation cable: its attenuverter depth
+// times the deviation the target param needs at full depth
+function modGain(conn) {
+  return (conn.modDepth ?? MOD_DEPTH_DEFAULT) * (MOD_DEPTH_SCALES[conn.toParam] ?? 1);
+}
+
+// A modulator feeds each param it modulates through a send of its
+// own, which scales it by that cable's depth. Every cable into the
+// same param writes onto the param's modulation bus, so they sum.
+function planModSends(tapBus, modConns, connBus) {
+  return modConns.map((conn) => ({
+    key: `mod:${conn.id}`,
+    synthDef: 'ora_route',
+    params: { in_bus: tapBus, out_bus: connBus[conn.id], gain_l: modGain(conn), gain_r: 0 },
+  }));
+}
+
+// ora_cmap controls for a cable's range (see canMapRange). The
+// exponential curve needs min and max on the same side of zero;
+// anything else falls back to linear.
+function rangeParams(range) {
+  const exp = range.curve === 'exp' && range.min * range.max > 0;
+  return {
+    scale: range.scale,
+    offset: range.offset,
+    invert: range.invert ? 1 : 0,
+    lo: range.min,
+    hi: range.max,
+    ratio: exp ? range.max / range.min : 1,
+    exp: exp ? 1 : 0,
+    slew: range.slew,
+  };
+}
+
+// Poly Voice nodes have no synth of their own; their voices are
+// spawned per note and follow the routing computed for the node.
+function configurePolyVoices(polyVoice, nodes, connections, nodeRouting) {
+  const polyIds = new Set();
+  for (const node of Object.values(nodes)) {
+    if (node.type !== 'poly_voice') continue;
+    polyIds.add(node.id);
+    const routing = nodeRouting[node.id];
+    polyVoice.configure(node.id, {
+      live: !!routing,
+      synthDef: NODE_SCHEMA[node.polyVoiceType]?.synthDef ?? null,
+      params: node.params,
+      maxVoices: Math.max(1, Math.round(node.params.voices ?? 8)),
+      steal: node.polySteal || 'oldest',
+      outBus: routing?.effectiveOutBus ?? 0,
+      pan: routing?.pan ?? 0,
+      sources: connections
+        .filter((c) => c.toNodeId === node.id && c.toParam === 'notes')
+        .map((c) => c.fromNodeId),
+    });
+  }
+  polyVoice.prune(polyIds);
+}
+
+// ── Values pass ──
+// Pushes the current control values onto the synths and control
+// buses the last topology pass set up.
+function applyValues(engine, nodes, connections, state, { polyVoice } = {}) {
+  const nodeRouting = state.prevRouting;
+
+  for (const [key, routing] of Object.entries(nodeRouting)) {
+    const id = Number(key);
+    const node = nodes[id];
+    if (!node || !engine.isPlaying(id)) continue;
+    if (routing.isFx) {
+      for (const [k, v] of Object.entries(node.params)) {
+        if (!state.controlMapped.has(`${id}:${k}`)) engine.setParam(id, k, v);
+      }
+    } else if (!state.controlMapped.has(`${id}:amp`)) {
+      engine.setParam(id, 'amp', node.params.amp);
+    }
+  }
+
+  if (polyVoice) configurePolyVoices(polyVoice, nodes, connections, nodeRouting);
+
+  for (const conn of connections) {
+    const key = `fb:${conn.id}`;
+    if (key in state.prevSends) engine.setParam(key, 'gain', conn.feedbackGain ?? FEEDBACK_GAIN);
+    if (`mod:${conn.id}` in state.prevSends) engine.setParam(`mod:${conn.id}`, 'gain_l', modGain(conn));
+
+    if (!conn.toParam || conn.isAudioRate) continue;
+    const ranged = state.prevRanges[conn.id];
+    if (ranged) {
+      for (const [k, v] of Object.entries(rangeParams(conn.range))) engine.setParam(`cmap:${conn.id}`, k, v);
+    }
+    const mod = ranged ?? state.prevMod[`${conn.toNodeId}:${conn.toParam}`];
+    const sourceNode = nodes[conn.fromNodeId];
+    if (!mod || mod.isAudioRate || !sourceNode) continue;
+
+    const value = getOutputValue(sourceNode, conn.fromPortIndex);
+    if (value !== mod.value) {
+      engine.setControlBus(mod.busIndex, value);
+      mod.value = value;
+    }
+  }
+}
+
+// ── Topology pass ──
+// Returns false when there is nothing to route (no Output module).
+function applyTopology(engine, nodes, connections, state, { polyVoice, scopeBuffers } = {}) {
+  const live = computeLiveNodes(nodes, connections);
+  const outNode = Object.values(nodes).find((n) => n.type === 'audioOut');
+  if (!outNode) return false;
+
+  // ── 0. Identify audio-rate modulators ──
+  const audioRateModConns = connections.filter((c) => c.isAudioRate && c.toParam);
+  const modulatorIds = new Set(audioRateModConns.map((c) => c.fromNodeId));
+
+  // Add modulators to live set if their carriers are live.
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const conn of audioRateModConns) {
+      if (live.has(conn.toNodeId) && !live.has(conn.fromNodeId)) {
+        live.add(conn.fromNodeId);
+        changed = true;
+      }
+    }
+  }
+
+  // ── 0b. Identify sink nodes (print/scope modules) and their input chains ──
+  const sinkModules = Object.entries(nodes).filter(([, n]) => n.type === 'print' || n.type === 'scope');
+  for (const [printId, ] of sinkModules) {
+    const printNodeId = parseInt(printId);
+
+    const hasInput = connections.some(
+      (c) => c.toNodeId === printNodeId && !c.toParam
+    );
+    if (!hasInput) continue;
+
+    const toVisit = [printNodeId];
+    const visited = new Set();
+
+    while (toVisit.length > 0) {
+      const currentId = toVisit.pop();
+      if (visited.has(currentId)) continue;
+      visited.add(currentId);
+
+      live.add(currentId);
+
+      const inputConns = connections.filter(
+        (c) => c.toNodeId === currentId && !c.toParam
+      );
+      for (const conn of inputConns) {
+        if (!visited.has(conn.fromNodeId)) {
+          toVisit.push(conn.fromNodeId);
+        }
+      }
+    }
+  }
+
+  // ── 1. Assign audio buses to each connection ──
+  // Every cable into the same input port shares that port's bus,
+  // so their signals sum there (Out.ar adds onto a bus). Stereo
+  // ports get a pair of buses, mono ports one; the Output's L and
+  // R ports are the hardware buses 0 and 1.
+  //
+  // Audio-rate modulation cables into the same param likewise share
+  // that param's (mono) modulation bus, read through /n_mapa.
+  //
+  // A feedback cable (one closing a loop) gets a private bus of its
+  // own instead. Its return synth, at the head of the FX group,
+  // reads that a block late with InFeedback and adds it onto the
+  // port, so the loop is broken for ordering (step 4).
+  const feedbackIds = findFeedbackConnections(nodes, connections);
+  const feedbackReturns = [];
+  const connBus = {};
+  const portBus = {}; // `${nodeId}:${portIndex}` → first bus
+  const modBus = {};  // `${nodeId}:${param}` → modulation bus
+  let nextBus = 16;
+  const allocBus = (channels) => {
+    const bus = nextBus;
+    nextBus += channels;
+    return bus;
+  };
+  const inputPortBus = (conn) => {
+    const port = `${conn.toNodeId}:${conn.toPortIndex}`;
+    if (portBus[port] == null) {
+      portBus[port] = allocBus(getPortChannels(nodes[conn.toNodeId], 'input', conn.toPortIndex));
+    }
+    return portBus[port];
+  };
+  const paramModBus = (conn) => {
+    const param = `${conn.toNodeId}:${conn.toParam}`;
+    if (modBus[param] == null) modBus[param] = allocBus(1);
+    return modBus[param];
+  };
+  for (const conn of connections) {
+    if (conn.toParam && !conn.isAudioRate) continue;
+
+    const fromLive = live.has(conn.fromNodeId);
+    const toLive = live.has(conn.toNodeId) || conn.toNodeId === outNode.id;
+    if (!fromLive || !toLive) continue;
+
+    if (conn.toParam) {
+      connBus[conn.id] = paramModBus(conn);
+    } else if (conn.toNodeId === outNode.id) {
+      connBus[conn.id] = conn.toPortIndex;
+    } else if (feedbackIds.has(conn.id)) {
+      const channels = getPortChannels(nodes[conn.toNodeId], 'input', conn.toPortIndex);
+      connBus[conn.id] = allocBus(channels);
+      feedbackReturns.push({
+        key: `fb:${conn.id}`,
+        synthDef: feedbackDefName(channels),
+        params: {
+          in_bus: connBus[conn.id],
+          out_bus: inputPortBus(conn),
+          gain: conn.feedbackGain ?? FEEDBACK_GAIN,
+        },
+      });
+    } else {
+      connBus[conn.id] = inputPortBus(conn);
+    }
+  }
+
+  // Unpatched inputs read a bus nothing writes to, never the output
+  const silentBus = allocBus(2);
+
+  // ── 2. Compute per-node routing ──
+  // A node feeding a single cable of its own width writes straight
+  // onto that cable's bus. Otherwise it writes onto a private tap
+  // bus and sends copy the tap onto each cable: a stereo copy, or
+  // one mono route per channel when the widths differ (see
+  // planSends). A stereo node patched into both Output ports just
+  // writes onto buses 0–1. An audio-rate modulator always writes
+  // onto a tap, and each param it modulates gets a send scaled by
+  // that cable's depth (planModSends).
+  const nodeRouting = {};
+  for (const id of live) {
+    const node = nodes[id];
+    const schema = NODE_SCHEMA[node.type];
+    const isFx = schema.category === 'fx';
+    const isModulator = modulatorIds.has(id);
+
+    const modConns = audioRateModConns.filter((c) => c.fromNodeId === id && connBus[c.id] != null);
+
+    // A synth writes all its audio with a single Out.ar
+    const outChannels = getPortChannels(node, 'output', 0);
+    let outs = [];
+    for (const conn of connections) {
+      if (conn.fromNodeId !== id || conn.toParam || connBus[conn.id] == null) continue;
+      if (outs.some((o) => o.bus === connBus[conn.id])) continue;
+      const toOutput = conn.toNodeId === outNode.id;
+      outs.push({
+        connId: conn.id,
+        bus: connBus[conn.id],
+        channels: getPortChannels(nodes[conn.toNodeId], 'input', conn.toPortIndex),
+        // Output L/R take the matching channel, other mono inputs a downmix
+        pick: toOutput ? conn.toPortIndex : null,
+      });
+    }
+    const outL = outs.find((o) => o.pick === 0);
+    const outR = outs.find((o) => o.pick === 1);
+    if (outL && outR && outChannels === 2) {
+      outs = [{ connId: outL.connId, bus: 0, channels: 2, pick: null }, ...outs.filter((o) => o !== outL && o !== outR)];
+    }
+
+    let inBus;
+    let inBuses;
+    if (isFx) {
+      inBuses = schema.inputs.map((_, port) => portBus[`${id}:${port}`] ?? silentBus);
+      inBus = inBuses[0] ?? silentBus;
+    }
+
+    let effectiveOutBus = outs[0]?.bus ?? 0;
+    let sends = [];
+    let modSends = [];
+    if (outs.length > 1 || (outs.length === 1 && outs[0].channels !== outChannels) || modConns.length > 0) {
+      effectiveOutBus = allocBus(outChannels);
+      sends = planSends(id, effectiveOutBus, outChannels, outs);
+      modSends = planModSends(effectiveOutBus, modConns, connBus);
+    }
+    const outBus = effectiveOutBus;
+
+    nodeRouting[id] = { outBus, effectiveOutBus, inBus, inBuses, isFx, isModulator, sends, modSends };
+  }
+
+  // ── 3. Pan ──
+  // Sources play centred: placing them is the Pan module's job.
+  // Audio-rate modulators pan hard left so the modulating signal
+  // sits at full level on the first channel, the one /n_mapa reads.
+  for (const id of live) {
+    const routing = nodeRouting[id];
+    if (routing.isFx) continue;
+    routing.pan = routing.isModulator ? -1 : 0;
+  }
+
+  // ── 4. Build topological play order ──
+  const sourceCarriers = [];
+  const sourceModulators = [];
+  const fxSet = new Set();
+  for (const id of live) {
+    if (nodeRouting[id].isFx) {
+      fxSet.add(id);
+    } else if (nodeRouting[id].isModulator) {
+      sourceModulators.push(id);
+    } else {
+      sourceCarriers.push(id);
+    }
+  }
+  const sources = [...sourceCarriers, ...sourceModulators];
+
+  const fxOrder = [];
+  const remaining = new Set(fxSet);
+  const placed = new Set(sources);
+  placed.add(outNode.id);
+  let safety = remaining.size + 1;
+  while (remaining.size > 0 && safety-- > 0) {
+    for (const id of remaining) {
+      // Ready once everything feeding any of its inputs has run;
+      // feedback cables arrive a block late, so they don't count
+      const ready = connections.every(
+        (c) => c.toNodeId !== id || c.toParam || feedbackIds.has(c.id) ||
+          !live.has(c.fromNodeId) || placed.has(c.fromNodeId)
+      );
+      if (ready) {
+        fxOrder.push(id);
+        remaining.delete(id);
+        placed.add(id);
+      }
+    }
+  }
+
+  // ── 4b. Pre-compute control-rate modulated params ──
+  const controlMappedParams = new Set();
+  for (const conn of connections) {
+    if (!conn.toParam || conn.isAudioRate) continue;
+    const sourceNode = nodes[conn.fromNodeId];
+    const sourceSchema = NODE_SCHEMA[sourceNode?.type];
+    if (sourceSchema?.category === 'control' || sourceSchema?.category === 'script') {
+      controlMappedParams.add(`${conn.toNodeId}:${conn.toParam}`);
+    }
+  }
+
+  // ── 5. Stop nodes that should not be playing ──
+  for (const id of Object.keys(nodes)) {
+    const nid = parseInt(id);
+    if (!live.has(nid) && engine.isPlaying(nid)) {
+      if (nodes[id].type === 'print') {
+        engine.stopPrintModule(nid);
+      }
+      if (nodes[id].type === 'scope') {
+        engine.stopScope(nid);
+        scopeBuffers?.delete(nid);
+      }
+      engine.stop(nid);
+    }
+  }
+
+  // ── 6. Stop FX whose routing changed ──
+  const prevRouting = state.prevRouting;
+  for (const id of fxOrder) {
+    if (engine.isPlaying(id)) {
+      const prev = prevRouting[id];
+      const cur = nodeRouting[id];
+      if (!prev || prev.inBus !== cur.inBus || prev.outBus !== cur.outBus) {
+        if (nodes[id]?.type === 'scope') {
+          scopeBuffers?.delete(id);
+        }
+        engine.stop(id);
+      }
+    }
+  }
+
+  // ── 7. Play / update source nodes ──
+  for (const id of sources) {
+    const node = nodes[id];
+    const schema = NODE_SCHEMA[node.type];
+    if (!schema?.synthDef) continue;
+
+    const routing = nodeRouting[id];
+    const pan = routing.pan ?? 0;
+
+    if (!engine.isPlaying(id)) {
+      const playParams = { ...node.params, pan, out_bus: routing.effectiveOutBus };
+      const bufNum = engine.getBuffer(id);
+      if (bufNum != null) playParams.buf = bufNum;
+      if (node.quantize && playParams.freq != null) {
+        playParams.freq = quantizeFreq(playParams.freq);
+      }
+      engine.play(id, schema.synthDef, playParams);
+    } else {
+      engine.setParam(id, 'pan', pan);
+      engine.setParam(id, 'out_bus', routing.effectiveOutBus);
+    }
+  }
+
+  // ── 7b. Configure poly voice allocators ──
+  if (polyVoice) configurePolyVoices(polyVoice, nodes, connections, nodeRouting);
+
+  // ── 8. Play / update FX nodes (in chain order) ──
+  for (const id of fxOrder) {
+    const node = nodes[id];
+    const schema = NODE_SCHEMA[node.type];
+    if (!schema?.synthDef) continue;
+
+    const routing = nodeRouting[id];
+
+    if (!engine.isPlaying(id)) {
+      if (node.type === 'print') {
+        const printBus = engine.startPrintModule(id);
+        engine.playFx(id, schema.synthDef, {
+          in_bus: routing.inBus,
+          out_c_bus: printBus,
+        });
+      } else if (node.type === 'scope') {
+        const scopeBuf = engine.startScope(id);
+        engine.playFx(id, schema.synthDef, {
+          in_bus: routing.inBus,
+          bufnum: scopeBuf,
+        });
+      } else {
+        engine.playFx(id, schema.synthDef, {
+          ...node.params,
+          ...portInBuses(routing),
+          in_bus: routing.inBus,
+          out_bus: routing.effectiveOutBus,
+        });
+      }
+    } else {
+      for (const [k, bus] of Object.entries(portInBuses(routing))) {
+        engine.setParam(id, k, bus);
+      }
+      if (routing.inBus != null) {
+        engine.setParam(id, 'in_bus', routing.inBus);
+      }
+      if (routing.effectiveOutBus != null) {
+        engine.setParam(id, 'out_bus', routing.effectiveOutBus);
+      }
+    }
+  }
+
+  // ── 8b. Start / update / stop sends and feedback returns ──
+  const currentSends = {};
+  const syncSend = (send, options) => {
+    currentSends[send.key] = send.params;
+    if (!engine.isPlaying(send.key)) {
+      engine.playSend(send.key, send.synthDef, send.params, options);
+    } else {
+      for (const [k, v] of Object.entries(send.params)) engine.setParam(send.key, k, v);
+    }
+  };
+  for (const id of live) {
+    const routing = nodeRouting[id];
+    for (const send of routing.sends) syncSend(send, { fx: routing.isFx });
+    // Right behind the modulator, so the modulated synths (later in
+    // group 1) read this block's signal
+    for (const send of routing.modSends) syncSend(send, { after: id });
+  }
+  for (const ret of feedbackReturns) syncSend(ret, { head: true });
+  // Sends no longer planned stop after step 10, which adds the
+  // cables' range mappings
+
+  // ── 9. Reorder FX in scsynth node tree ──
+  // Each FX's sends follow it, ahead of the FX that read them
+  const chain = fxOrder.flatMap((id) => [
+    id,
+    ...nodeRouting[id].sends.map((send) => send.key),
+  ]);
+  if (chain.length > 1) {
+    engine.reorderFx(chain);
+  }
+
+  // ── 10. Apply modulation ──
+  const prevMod = state.prevMod;
+  const currentMod = {};
+  const currentRanges = {};
+
+  for (const conn of connections) {
+    if (!conn.toParam) continue;
+    const sourceNode = nodes[conn.fromNodeId];
+    const targetNode = nodes[conn.toNodeId];
+    if (!sourceNode || !targetNode) continue;
+    // Note events are delivered by the poly voice allocator, not a bus
+    if (targetNode.type === 'poly_voice' && conn.toParam === 'notes') continue;
+    // MIDI Out reads its inputs on the main thread (useMidiOut)
+    if (targetNode.type === 'midi_out') continue;
+
+    const sourceSchema = NODE_SCHEMA[sourceNode.type];
+    const modKey = `${conn.toNodeId}:${conn.toParam}`;
+
+    if (conn.isAudioRate) {
+      const audioBus = connBus[conn.id];
+      if (audioBus == null || modKey in currentMod) continue;
+
+      const modParam = `${conn.toParam}_mod`;
+
+      if (engine.isPlaying(conn.toNodeId)) {
+        engine.mapParamToAudioBus(conn.toNodeId, modParam, audioBus);
+      }
+
+      currentMod[modKey] = { busIndex: audioBus, isAudioRate: true, modParam };
+    } else {
+      if (sourceSchema?.category !== 'control' && sourceSchema?.category !== 'script') continue;
+
+      // The values pass below sets the bus
+      const busIndex = engine.allocControlBus(modKey);
+
+      if (engine.isPlaying(conn.toNodeId)) {
+        engine.mapParam(conn.toNodeId, conn.toParam, busIndex);
+      }
+
+      currentMod[modKey] = { busIndex, isAudioRate: false };
+
+      // A cable with a range writes onto a bus of its own, which its
+      // ora_cmap maps onto the param's. Out.kr sums, so several
+      // ranged cables into one param add up.
+      if (conn.range && canMapRange(conn, nodes)) {
+        const key = controlBusKey(conn);
+        const inBus = engine.allocControlBus(key);
+        syncSend({
+          key,
+          synthDef: 'ora_cmap',
+          params: { in_bus: inBus, out_bus: busIndex, ...rangeParams(conn.range) },
+        });
+        currentRanges[conn.id] = { busIndex: inBus, isAudioRate: false };
+      }
+    }
+  }
+
+  // Stop sends and range mappings that are gone
+  for (const key of Object.keys(state.prevSends)) {
+    if (key in currentSends) continue;
+    engine.stop(key);
+    if (key.startsWith('cmap:')) engine.freeControlBus(key);
+  }
+  state.prevSends = currentSends;
+
+  // Unmap params that are no longer modulated
+  for (const [modKey, info] of Object.entries(prevMod)) {
+    if (!(modKey in currentMod)) {
+      const sepIdx = modKey.indexOf(':');
+      const nodeId = parseInt(modKey.slice(0, sepIdx));
+      const param = modKey.slice(sepIdx + 1);
+      const baseValue = nodes[nodeId]?.params[param] ?? 0;
+
+      if (info.isAudioRate) {
+        engine.unmapParamFromAudioBus(nodeId, info.modParam, 0);
+      } else {
+        engine.unmapParam(nodeId, param, baseValue);
+        engine.freeControlBus(modKey);
+      }
+    }
+  }
+
+  state.prevMod = currentMod;
+  state.prevRanges = currentRanges;
+
+  // Save routing state for next sync
+  state.prevRouting = nodeRouting;
+  state.controlMapped = controlMappedParams;
+
+  applyValues(engine, nodes, connections, state, { polyVoice: null });
+  return true;
+}
@@ -0,0 +1,88 @@
+import { CABLE_SLEW_MAX } from '../constants';
+
+// Popover editing the range mapping of a control-rate cable
+// (conn.range, see canMapRange): scale and offset bring the
+// source's values into 0–1, which then spread over min–max
+export default function CableRangeEditor({ conn, defaultRange, onChange, onClose, style }) {
+  const range = conn.range;
+  const num = (v, fallback) => (Number.isFinite(parseFloat(v)) ? parseFloat(v) : fallback);
+  const set = (changes) => onChange({ ...range, ...changes });
+  const expOk = range && range.min * range.max > 0;
+
+  const field = (key, label, title, props = {}) => (
+    <label className="take-trim" title={title}>
+      {label}
+      <input
+        type="number"
+        step="any"
+        value={range[key]}
+        onChange={(e) => set({ [key]: num(e.target.value, range[key]) })}
+        {...props}
+      />
+    </label>
+  );
+
+  return (
+    <div className="cable-range-editor" style={style} onMouseDown={(e) => e.stopPropagation()}>
+      <div className="cable-range-header">
+        <span>Cable range</span>
+        <button className="take-btn" onClick={onClose} title="Close">×</button>
+      </div>
+      {!range ? (
+        <>
+          <div className="midi-hint">Source values go to the param unchanged.</div>
+          <button className="take-btn" onClick={() => onChange(defaultRange)}>Map range</button>
+        </>
+      ) : (
+        <>
+          <div className="cable-range-row">
+            {field('scale', 'scale', 'Source value × scale + offset, clipped to 0–1')}
+            {field('offset', 'offset', 'Added after scaling')}
+          </div>
+          <div className="cable-range-row">
+            {field('min', 'min', 'Param value at 0')}
+            {field('max', 'max', 'Param value at 1')}
+          </div>
+          <div className="cable-range-row">
+            <div className="midi-mode-toggle-group">
+              {['lin', 'exp'].map((curve) => (
+                <button
+                  key={curve}
+                  className={`midi-mode-choice${(range.curve === 'exp' && expOk ? 'exp' : 'lin') === curve ? ' active' : ''}`}
+                  disabled={curve === 'exp' && !expOk}
+                  title={curve === 'exp' && !expOk ? 'Exponential needs min and max on the same side of zero' : undefined}
+                  onClick={() => set({ curve })}
+                >
+                  {curve}
+                </button>
+              ))}
+            </div>
+            <label className="take-trim" title="Swap the ends of the range">
+              <input type="checkbox" checked={!!range.invert} onChange={(e) => set({ invert: e.target.checked })} />
+              invert
+            </label>
+          </div>
+          <div className="cable-range-row">
+            <label className="take-trim" title="Seconds to follow a change of the source">
+              slew
+              <input
+                type="number"
+                min="0"
+                max={CABLE_SLEW_MAX}
+                step="0.01"
+                value={range.slew}
+                onChange={(e) => set({ slew: Math.max(0, Math.min(CABLE_SLEW_MAX, num(e.target.value, 0))) })}
+              />
+            </label>
+            <button className="take-btn" onClick={() => onChange(defaultRange)} title="Source's full range onto the param's">
+              Reset
+            </button>
+            <button className="take-btn delete" onClick={() => onChange(null)} title="Send source values unchanged">
+              Remove
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
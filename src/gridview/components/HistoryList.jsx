@@ -0,0 +1,33 @@
+export default function HistoryList({ past, future, travel }) {
+  return (
+    <div className="history-panel">
+      <div
+        className={`history-entry${past.length === 0 ? ' current' : ''}`}
+        onClick={() => travel(-past.length)}
+      >
+        <span className="history-index">0</span>
+        Initial state
+      </div>
+      {past.map((entry, i) => (
+        <div
+          key={`p${i}`}
+          className={`history-entry${i === past.length - 1 ? ' current' : ''}`}
+          onClick={() => travel(i + 1 - past.length)}
+        >
+          <span className="history-index">{i + 1}</span>
+          {entry.label}
+        </div>
+      ))}
+      {future.map((entry, i) => (
+        <div
+          key={`f${i}`}
+          className="history-entry redo"
+          onClick={() => travel(i + 1)}
+        >
+          <span className="history-index">{past.length + i + 1}</span>
+          {entry.label}
+        </div>
+      ))}
+    </div>
+  );
+}
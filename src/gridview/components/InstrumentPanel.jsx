@@ -1,9 +1,16 @@
-import { useState, useMemo, useCallback } from 'react';
+import { useState, useMemo, useCallback, useRef } from 'react';
 import { NODE_SCHEMA, MODULE_CATEGORIES } from '../nodeSchema';
 
-export default function InstrumentPanel({ panelOpen, setPanelOpen, onAddModule }) {
+const moduleDesc = (entry) => {
+  const macro = entry.module.nodes.find((n) => n.type === 'macro')?.macro;
+  const count = entry.module.nodes.length - 1;
+  return `${count} module${count === 1 ? '' : 's'} · ${macro?.inputs.length ?? 0} in · ${macro?.outputs.length ?? 0} out`;
+};
+
+export default function InstrumentPanel({ panelOpen, setPanelOpen, onAddModule, macros }) {
   const [panelSearch, setPanelSearch] = useState('');
   const [collapsedSections, setCollapsedSections] = useState({});
+  const moduleInputRef = useRef(null);
 
   const toggleSection = useCallback((sectionId) => {
     setCollapsedSections((prev) => ({
@@ -12,21 +19,39 @@ export default function InstrumentPanel({ panelOpen, setPanelOpen, onAddModule }
     }));
   }, []);
 
+  // Built-in types and saved macro modules as one list of items per category
+  const categories = useMemo(() => MODULE_CATEGORIES.map((cat) => ({
+    ...cat,
+    items: cat.userModules
+      ? macros.modules.map((entry) => ({
+          key: entry.id,
+          label: entry.name,
+          desc: moduleDesc(entry),
+          accent: NODE_SCHEMA.macro.accent,
+          onAdd: () => macros.addModule(entry.id),
+          onDelete: () => macros.deleteModule(entry.id),
+        }))
+      : cat.types.map((type) => ({
+          key: type,
+          label: NODE_SCHEMA[type].label,
+          desc: NODE_SCHEMA[type].desc,
+          accent: NODE_SCHEMA[type].accent,
+          onAdd: () => onAddModule(type),
+        })),
+  })), [macros, onAddModule]);
+
   const filteredCategories = useMemo(() => {
     const q = panelSearch.toLowerCase().trim();
-    if (!q) return MODULE_CATEGORIES;
-    return MODULE_CATEGORIES.map((cat) => ({
+    if (!q) return categories;
+    return categories.map((cat) => ({
       ...cat,
-      types: cat.types.filter((type) => {
-        const schema = NODE_SCHEMA[type];
-        return (
-          schema.label.toLowerCase().includes(q) ||
-          schema.desc.toLowerCase().includes(q) ||
-          cat.label.toLowerCase().includes(q)
-        );
-      }),
-    })).filter((cat) => cat.types.length > 0);
-  }, [panelSearch]);
+      items: cat.items.filter((item) => (
+        item.label.toLowerCase().includes(q) ||
+        item.desc.toLowerCase().includes(q) ||
+        cat.label.toLowerCase().includes(q)
+      )),
+    })).filter((cat) => cat.items.length > 0);
+  }, [categories, panelSearch]);
 
   return (
     <div className={`instrument-panel${panelOpen ? ' open' : ''}`}>
@@ -70,31 +95,44 @@ export default function InstrumentPanel({ panelOpen, setPanelOpen, onAddModule }
               </span>
               <span className="section-label">{cat.label}</span>
               <span className="section-desc">{cat.desc}</span>
-              <span className="section-count">{cat.types.length}</span>
+              <span className="section-count">{cat.items.length}</span>
             </button>
 
             {!collapsedSections[cat.id] && (
               <div className="panel-section-items">
-                {cat.types.map((type) => {
-                  const schema = NODE_SCHEMA[type];
-                  return (
+                {cat.items.map((item) => (
+                  <div key={item.key} className="panel-module-row">
                     <button
-                      key={type}
                       className="panel-module-item"
-                      style={{ '--item-accent': schema.accent }}
-                      onClick={() => onAddModule(type)}
+                      style={{ '--item-accent': item.accent }}
+                      onClick={item.onAdd}
                     >
                       <span
                         className="module-item-dot"
                       />
                       <span className="module-item-info">
-                        <span className="module-item-label">{schema.label}</span>
-                        <span className="module-item-desc">{schema.desc}</span>
+                        <span className="module-item-label">{item.label}</span>
+                        <span className="module-item-desc">{item.desc}</span>
                       </span>
                       <span className="module-item-add">+</span>
                     </button>
-                  );
-                })}
+                    {item.onDelete && (
+                      <button className="module-item-remove" onClick={item.onDelete} title="Remove from Macros">
+                        &times;
+                      </button>
+                    )}
+                  </div>
+                ))}
+                {cat.userModules && (
+                  <div className="panel-user-modules">
+                    {cat.items.length === 0 && (
+                      <span>Select modules and press Ctrl+G to make a macro, then save it here.</span>
+                    )}
+                    <button className="take-btn" onClick={() => moduleInputRef.current?.click()}>
+                      Import module file
+                    </button>
+                  </div>
+                )}
               </div>
             )}
           </div>
@@ -104,6 +142,18 @@ export default function InstrumentPanel({ panelOpen, setPanelOpen, onAddModule }
           <div className="panel-empty">No modules match "{panelSearch}"</div>
         )}
       </div>
+
+      <input
+        ref={moduleInputRef}
+        type="file"
+        accept=".json"
+        style={{ display: 'none' }}
+        onChange={(e) => {
+          const file = e.target.files?.[0];
+          e.target.value = '';
+          if (file) macros.importModuleFile(file);
+        }}
+      />
     </div>
   );
 }
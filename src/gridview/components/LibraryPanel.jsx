@@ -0,0 +1,136 @@
+import { useState, useRef } from 'react';
+
+const parseTags = (text) => text.split(',').map((t) => t.trim()).filter(Boolean);
+
+function formatDate(iso) {
+  const d = new Date(iso);
+  return `${d.toLocaleDateString()} ${d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+}
+
+export default function LibraryPanel({ library, patchMeta, setPatchMeta, booted }) {
+  const [filter, setFilter] = useState('');
+  const [tagText, setTagText] = useState(null); // draft while the tags field is focused
+  const importInputRef = useRef(null);
+
+  const query = filter.trim().toLowerCase();
+  const entries = query
+    ? library.entries.filter((e) =>
+        e.name.toLowerCase().includes(query) || e.tags?.some((t) => t.toLowerCase().includes(query)))
+    : library.entries;
+
+  return (
+    <div className="library-panel">
+      <div className="library-current">
+        <input
+          className="library-name"
+          value={patchMeta.name}
+          onChange={(e) => setPatchMeta((m) => ({ ...m, name: e.target.value }))}
+          placeholder="Patch name"
+          title="Patch name"
+        />
+        <input
+          className="library-tags"
+          value={tagText ?? patchMeta.tags.join(', ')}
+          onFocus={() => setTagText(patchMeta.tags.join(', '))}
+          onChange={(e) => setTagText(e.target.value)}
+          onBlur={() => {
+            setPatchMeta((m) => ({ ...m, tags: parseTags(tagText ?? '') }));
+            setTagText(null);
+          }}
+          placeholder="tags, comma separated"
+          title="Tags"
+        />
+        <button
+          className="take-btn"
+          onClick={() => library.saveToLibrary(false)}
+          disabled={!booted}
+          title={patchMeta.libraryId ? 'Update this patch in the library' : 'Add this patch to the library'}
+        >
+          {patchMeta.libraryId ? 'Save' : 'Save to library'}
+        </button>
+        {patchMeta.libraryId && (
+          <button
+            className="take-btn"
+            onClick={() => library.saveToLibrary(true)}
+            disabled={!booted}
+            title="Save a copy as a new library entry"
+          >
+            Save copy
+          </button>
+        )}
+      </div>
+
+      <div className="library-tools">
+        <input
+          className="library-filter"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          placeholder="Filter by name or tag"
+        />
+        <button className="take-btn" onClick={library.handleExportLibrary} title="Download the whole library as one file">
+          Export all
+        </button>
+        <button className="take-btn" onClick={() => importInputRef.current?.click()} title="Merge a library archive or patch file">
+          Import
+        </button>
+      </div>
+
+      {entries.length === 0 && (
+        <div className="takes-empty">
+          {library.entries.length === 0 ? 'Library is empty — save a patch to add it' : 'No matching patches'}
+        </div>
+      )}
+
+      <div className="library-entries">
+        {entries.map((entry) => (
+          <div
+            key={entry.id}
+            className={`library-entry${entry.id === patchMeta.libraryId ? ' current' : ''}`}
+          >
+            {entry.thumbnail
+              ? <img className="library-thumb" src={entry.thumbnail} alt="" />
+              : <div className="library-thumb" />}
+            <div className="library-info">
+              <div className="library-entry-name">{entry.name}</div>
+              {entry.tags?.length > 0 && (
+                <div className="library-entry-tags">
+                  {entry.tags.map((t) => <span key={t} className="library-tag">{t}</span>)}
+                </div>
+              )}
+              <div className="library-entry-date">{formatDate(entry.modifiedAt)}</div>
+            </div>
+            <div className="library-actions">
+              <button
+                className="take-btn"
+                onClick={() => library.openEntry(entry.id)}
+                disabled={!booted}
+                title="Open (replaces the current patch)"
+              >
+                Open
+              </button>
+              <button
+                className="take-btn delete"
+                onClick={() => library.deleteEntry(entry.id)}
+                title="Delete from library"
+              >
+                ✕
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <input
+        ref={importInputRef}
+        type="file"
+        accept=".json"
+        style={{ display: 'none' }}
+        onChange={(e) => {
+          const file = e.target.files?.[0];
+          e.target.value = '';
+          if (file) library.handleImportLibrary(file);
+        }}
+      />
+    </div>
+  );
+}
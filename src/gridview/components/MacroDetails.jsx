@@ -0,0 +1,91 @@
+import { NODE_SCHEMA } from '../nodeSchema';
+import { getNodeInputs, getNodeOutputs } from '../utils';
+import { exposableEndpoints } from '../macros';
+
+const SECTIONS = [
+  { kind: 'inputs', title: 'Inputs' },
+  { kind: 'outputs', title: 'Outputs' },
+  { kind: 'params', title: 'Params' },
+];
+
+// Where a candidate endpoint lives: "<module> · <port>"
+function endpointOrigin(node, kind, entry) {
+  const schema = NODE_SCHEMA[node.type];
+  const port = kind === 'params'
+    ? schema.params[entry.param]?.label ?? entry.param
+    : (kind === 'inputs' ? getNodeInputs(node) : getNodeOutputs(node))[entry.port];
+  return `${schema.label} ${node.id} · ${port}`;
+}
+
+const endpointKey = (kind, e) => `${e.nodeId}:${kind === 'params' ? e.param : e.port}`;
+
+// Details panel body for a macro: name, exposed ports, ungroup and
+// saving it as a reusable module
+export default function MacroDetails({ node, nodes, macros }) {
+  const candidates = exposableEndpoints(nodes, node.id);
+
+  return (
+    <div className="details-body">
+      <div className="macro-details">
+        <div className="midi-option">
+          <span className="midi-label">Name</span>
+          <input
+            type="text"
+            className="macro-name-input"
+            value={node.macro.name}
+            onChange={(e) => macros.renameMacro(node.id, e.target.value)}
+          />
+        </div>
+
+        <div className="macro-actions">
+          <button className="take-btn" onClick={() => macros.enterMacro(node.id)}>Open</button>
+          <button className="take-btn" onClick={() => macros.expandMacro(node.id)} title="Ctrl+Shift+G">Ungroup</button>
+          <button className="take-btn" onClick={() => macros.saveModule(node.id)} title="List it under Macros in the module panel">
+            Save to Macros
+          </button>
+          <button className="take-btn" onClick={() => macros.exportModule(node.id)} title="Download a standalone module file">
+            Export
+          </button>
+        </div>
+
+        {SECTIONS.map(({ kind, title }) => (
+          <div key={kind} className="macro-section">
+            <div className="macro-section-title">
+              {title} <span className="macro-section-count">{node.macro[kind].length}</span>
+            </div>
+            {candidates[kind].length === 0 && <div className="midi-hint">None inside</div>}
+            {candidates[kind].map((entry) => {
+              const key = endpointKey(kind, entry);
+              const index = node.macro[kind].findIndex((e) => endpointKey(kind, e) === key);
+              const exposed = index !== -1;
+              return (
+                <div key={key} className={`macro-port-row${exposed ? ' exposed' : ''}`}>
+                  <input
+                    type="checkbox"
+                    checked={exposed}
+                    onChange={(e) => macros.setExposure(node.id, kind, exposed ? node.macro[kind][index] : entry, e.target.checked)}
+                  />
+                  <span className="macro-port-origin">{endpointOrigin(nodes[entry.nodeId], kind, entry)}</span>
+                  {exposed && (
+                    <input
+                      type="text"
+                      className="macro-port-label"
+                      value={node.macro[kind][index].label}
+                      onChange={(e) => macros.relabelExposure(node.id, kind, index, e.target.value)}
+                      title="Label on the macro"
+                    />
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        ))}
+
+        <div className="midi-hint">
+          Exposed ports and params appear on the macro. Hiding a port disconnects
+          whatever was patched into it from outside.
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,150 @@
+import { NODE_SCHEMA } from '../nodeSchema';
+import { getPortChannels, midiLearnState } from '../utils';
+import { NODE_W, PORT_SECTION_Y, PORT_SPACING, PARAM_START_Y, PARAM_ROW_H } from '../constants';
+
+// Collapsed macro on the canvas. Its ports and knobs act directly on
+// the inner modules they expose, so connecting, disconnecting and
+// param changes go through the ordinary handlers.
+export default function MacroNode({
+  node,
+  nodes,
+  connections,
+  connecting,
+  selected,
+  isLive,
+  startDrag,
+  handlePortClick,
+  handleParamPortClick,
+  handleParamChange,
+  midiLearning,
+  handleMidiLearn,
+  removeNode,
+  enterMacro,
+}) {
+  const schema = NODE_SCHEMA.macro;
+  const { name, inputs, outputs, params } = node.macro;
+  const innerCount = Object.values(nodes).filter((n) => n.macroId === node.id).length;
+
+  const modConn = (p) => connections.find((c) => c.toNodeId === p.nodeId && c.toParam === p.param);
+
+  // Ports stack down the sides; keep the body tall enough for them
+  const portRows = Math.max(inputs.length, outputs.length);
+
+  return (
+    <div
+      data-node-id={node.id}
+      className={`sense-node macro${isLive ? ' live' : ''}${selected ? ' selected' : ''}`}
+      style={{
+        left: node.x,
+        top: node.y,
+        width: NODE_W,
+        minHeight: PORT_SECTION_Y + portRows * PORT_SPACING + 30,
+        '--accent': schema.accent,
+      }}
+      onMouseDown={(e) => startDrag(e, node.id)}
+    >
+      {inputs.map((p, i) => (
+        <div
+          key={`in-${i}`}
+          className={`node-port input${getPortChannels(nodes[p.nodeId], 'input', p.port) === 1 ? ' mono' : ''}${connecting ? ' connectable' : ''}`}
+          style={{ top: PORT_SECTION_Y + 11 + i * PORT_SPACING - 6 }}
+          onClick={(e) => handlePortClick(e, p.nodeId, 'input', p.port)}
+          title={p.label}
+        >
+          <span className="port-label port-label-in">{p.label}</span>
+        </div>
+      ))}
+
+      {outputs.map((p, i) => (
+        <div
+          key={`out-${i}`}
+          className="node-port output"
+          style={{ top: PORT_SECTION_Y + 11 + i * PORT_SPACING - 6 }}
+          onClick={(e) => handlePortClick(e, p.nodeId, 'output', p.port)}
+          title={p.label}
+        >
+          <span className="port-label port-label-out">{p.label}</span>
+        </div>
+      ))}
+
+      {/* Modulation inputs of the exposed params */}
+      {params.map((p, i) => {
+        const conn = modConn(p);
+        if (!connecting && !conn) return null;
+        return (
+          <div
+            key={`mod-${i}`}
+            className={`node-port mod-input${connecting ? ' connectable' : ''}${conn ? ' modulated' : ''}${conn?.isAudioRate ? ' audio-rate' : ''}`}
+            style={{ top: PARAM_START_Y + i * PARAM_ROW_H + PARAM_ROW_H / 2 - 4 }}
+            onClick={(e) => handleParamPortClick(e, p.nodeId, p.param)}
+            title={`mod: ${p.label}`}
+          />
+        );
+      })}
+
+      <div className="node-header" onDoubleClick={() => enterMacro(node.id)}>
+        <span className="node-type-label">{name}</span>
+        <span className="node-desc">{innerCount} module{innerCount === 1 ? '' : 's'}</span>
+        <button
+          className="node-remove"
+          onClick={() => removeNode(node.id)}
+          title="Remove macro and its modules"
+        >
+          &times;
+        </button>
+      </div>
+
+      {params.length > 0 && (
+        <div className="node-params">
+          {params.map((p, i) => {
+            const inner = nodes[p.nodeId];
+            const def = NODE_SCHEMA[inner?.type]?.params[p.param];
+            if (!def) return null;
+            const value = inner.params[p.param] ?? def.val;
+            const conn = modConn(p);
+            const locked = conn && !conn.isAudioRate;
+            const learn = midiLearnState(inner, p.param, midiLearning);
+            return (
+              <div
+                className={`node-param${conn ? ' modulated' : ''}${learn.className}`}
+                key={i}
+                title={learn.title}
+                onContextMenu={(e) => {
+                  e.preventDefault();
+                  handleMidiLearn(p.nodeId, p.param);
+                }}
+              >
+                <span className="param-label" title={p.label}>{p.label}</span>
+                {def.hidden ? <span /> : (
+                  <input
+                    type="range"
+                    min={def.min}
+                    max={def.max}
+                    step={def.step}
+                    value={value}
+                    disabled={locked}
+                    onChange={(e) => handleParamChange(p.nodeId, p.param, parseFloat(e.target.value))}
+                  />
+                )}
+                <span className="param-val">
+                  {def.hidden ? '' : value >= 100 ? Math.round(value) : value.toFixed(def.step < 0.1 ? 2 : def.step < 1 ? 1 : 0)}
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <button
+        className="macro-open-btn"
+        onMouseDown={(e) => e.stopPropagation()}
+        onClick={() => enterMacro(node.id)}
+        title="Edit the modules inside (or double-click the header)"
+      >
+        open ›
+      </button>
+
+      {isLive && <div className="node-live-dot" />}
+    </div>
+  );
+}
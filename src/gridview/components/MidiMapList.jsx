@@ -0,0 +1,74 @@
+// Table of the MIDI Learn bindings in the patch: CC and channel,
+// the range the CC sweeps and its curve, re-learn and remove
+export default function MidiMapList({ midiLearn }) {
+  const { mappings, learning, startLearn, cancelLearn, updateMapping, removeMapping } = midiLearn;
+  const num = (v, fallback) => (Number.isFinite(parseFloat(v)) ? parseFloat(v) : fallback);
+
+  return (
+    <div className="takes-panel">
+      {learning && (
+        <div className="midi-map-learning">
+          Move a controller to map it…
+          <button className="take-btn" onClick={cancelLearn}>Cancel</button>
+        </div>
+      )}
+      {mappings.length === 0 && !learning && (
+        <div className="midi-hint">
+          No mappings. Right-click a parameter slider to MIDI Learn it.
+        </div>
+      )}
+      {mappings.map(({ nodeId, param, mapping, label }) => {
+        const armed = learning?.nodeId === nodeId && learning.param === param;
+        return (
+          <div key={`${nodeId}:${param}`} className="take-row">
+            <span className="take-name midi-map-target">{label}</span>
+            <span className="midi-map-source">
+              CC {mapping.cc} · ch {mapping.channel || 'all'}
+            </span>
+            <label className="take-trim" title="Value at CC 0">
+              min
+              <input
+                type="number"
+                value={mapping.min}
+                onChange={(e) => updateMapping(nodeId, param, { min: num(e.target.value, mapping.min) })}
+              />
+            </label>
+            <label className="take-trim" title="Value at CC 127">
+              max
+              <input
+                type="number"
+                value={mapping.max}
+                onChange={(e) => updateMapping(nodeId, param, { max: num(e.target.value, mapping.max) })}
+              />
+            </label>
+            <label className="take-trim" title="Curve: 0 = linear, > 0 slow start, < 0 fast start">
+              curve
+              <input
+                type="number"
+                min="-8"
+                max="8"
+                step="0.5"
+                value={mapping.curve ?? 0}
+                onChange={(e) => updateMapping(nodeId, param, { curve: Math.max(-8, Math.min(8, num(e.target.value, 0))) })}
+              />
+            </label>
+            <button
+              className={`take-btn${armed ? ' learning' : ''}`}
+              onClick={() => startLearn(nodeId, param)}
+              title="Bind to the next CC received"
+            >
+              {armed ? 'Learning…' : 'Learn'}
+            </button>
+            <button
+              className="take-btn delete"
+              onClick={() => removeMapping(nodeId, param)}
+              title="Remove mapping"
+            >
+              ×
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
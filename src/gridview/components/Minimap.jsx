@@ -0,0 +1,101 @@
+import { useRef, useEffect, useCallback } from 'react';
+import { measureNodeBounds } from '../utils';
+
+const MAP_W = 180;
+const MAP_H = 120;
+const MAP_PAD = 6;
+
+// Overview of the whole patch with the visible viewport outlined.
+// Click or drag inside it to move the viewport.
+export default function Minimap({ canvasRef, nodes, selectedIds, view, centerOn }) {
+  const mapRef = useRef(null);
+  const transformRef = useRef(null); // { scale, ox, oy } world → minimap
+
+  useEffect(() => {
+    const map = mapRef.current;
+    const canvas = canvasRef.current;
+    if (!map || !canvas) return;
+
+    const draw = () => {
+      const dpr = window.devicePixelRatio || 1;
+      map.width = MAP_W * dpr;
+      map.height = MAP_H * dpr;
+      const ctx = map.getContext('2d');
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      ctx.clearRect(0, 0, MAP_W, MAP_H);
+
+      // Visible viewport in world coordinates
+      const vp = {
+        x: -view.x / view.zoom,
+        y: -view.y / view.zoom,
+        w: canvas.clientWidth / view.zoom,
+        h: canvas.clientHeight / view.zoom,
+      };
+      const bounds = measureNodeBounds(canvas);
+      const minX = Math.min(vp.x, bounds?.minX ?? vp.x);
+      const minY = Math.min(vp.y, bounds?.minY ?? vp.y);
+      const maxX = Math.max(vp.x + vp.w, bounds?.maxX ?? 0);
+      const maxY = Math.max(vp.y + vp.h, bounds?.maxY ?? 0);
+      const scale = Math.min(
+        (MAP_W - MAP_PAD * 2) / (maxX - minX),
+        (MAP_H - MAP_PAD * 2) / (maxY - minY)
+      );
+      const ox = MAP_PAD - minX * scale;
+      const oy = MAP_PAD - minY * scale;
+      transformRef.current = { scale, ox, oy };
+
+      const els = canvas.querySelectorAll('.sense-node[data-node-id]');
+      for (const el of els) {
+        const selected = selectedIds?.has(Number(el.dataset.nodeId));
+        ctx.fillStyle = selected ? 'rgba(200, 176, 96, 0.7)' : 'rgba(122, 117, 112, 0.45)';
+        ctx.fillRect(
+          ox + el.offsetLeft * scale,
+          oy + el.offsetTop * scale,
+          Math.max(2, el.offsetWidth * scale),
+          Math.max(2, el.offsetHeight * scale)
+        );
+      }
+
+      ctx.strokeStyle = 'rgba(184, 154, 106, 0.8)';
+      ctx.lineWidth = 1;
+      ctx.strokeRect(ox + vp.x * scale + 0.5, oy + vp.y * scale + 0.5, vp.w * scale, vp.h * scale);
+    };
+
+    draw();
+    const observer = new ResizeObserver(draw);
+    observer.observe(canvas);
+    return () => observer.disconnect();
+  }, [canvasRef, nodes, selectedIds, view]);
+
+  const navigate = useCallback((e) => {
+    const t = transformRef.current;
+    if (!t) return;
+    const rect = mapRef.current.getBoundingClientRect();
+    centerOn(
+      (e.clientX - rect.left - t.ox) / t.scale,
+      (e.clientY - rect.top - t.oy) / t.scale
+    );
+  }, [centerOn]);
+
+  const handleMouseDown = useCallback((e) => {
+    e.stopPropagation();
+    e.preventDefault();
+    navigate(e);
+    const onUp = () => {
+      window.removeEventListener('mousemove', navigate);
+      window.removeEventListener('mouseup', onUp);
+    };
+    window.addEventListener('mousemove', navigate);
+    window.addEventListener('mouseup', onUp);
+  }, [navigate]);
+
+  return (
+    <canvas
+      ref={mapRef}
+      className="minimap"
+      style={{ width: MAP_W, height: MAP_H }}
+      onMouseDown={handleMouseDown}
+      title="Click or drag to move the view"
+    />
+  );
+}
@@ -1,8 +1,17 @@
 import CodeMirror from '@uiw/react-codemirror';
 import { javascript } from '@codemirror/lang-javascript';
 import { oraTheme } from '../constants';
-import { NODE_SCHEMA } from '../nodeSchema';
+import { NODE_SCHEMA, POLY_VOICE_TYPES } from '../nodeSchema';
 import { NOTE_NAMES, quantizeFreq, freqToNoteName } from '../utils';
+import { getOutputDevices, MIDI_OUT_MODES, MIDI_IN_MODES, MPE_OUTPUTS } from '../../audio/midiListener';
+import MacroDetails from './MacroDetails';
+
+const MIDI_IN_MODE_LABELS = {
+  cc: 'CC', note: 'Note', bend: 'Bend', aftertouch: 'AT', poly_at: 'Poly AT',
+  program: 'Prog', cc14: 'CC 14', nrpn: 'NRPN', mpe: 'MPE',
+};
+// Modes with 14-bit resolution, shown with fractions
+const MIDI_IN_FINE = new Set(['bend', 'cc14', 'nrpn']);
 
 export default function ModuleDetailsPanel({
   selectedNodeId,
@@ -18,6 +27,8 @@ export default function ModuleDetailsPanel({
   handleRunScript,
   handleStopScript,
   handleQuantizeToggle,
+  handleMidiModeChange,
+  midiLearn,
   handlePrintPrefix,
   handlePrintColor,
   // Sample player props
@@ -25,10 +36,15 @@ export default function ModuleDetailsPanel({
   sampleFileInputRef,
   sampleLoadTargetRef,
   handleLoadBuiltinSample,
+  macros,
 }) {
   const selNode = selectedNodeId != null ? nodes[selectedNodeId] : null;
   const selSchema = selNode ? NODE_SCHEMA[selNode.type] : null;
   const isOpen = selNode != null;
+  // Sliders that can be MIDI learned (macros map their inner modules')
+  const learnable = selNode && selNode.type !== 'macro'
+    ? Object.entries(selSchema?.params ?? {}).filter(([, def]) => !def.hidden)
+    : [];
 
   return (
     <div className={`module-details-panel${isOpen ? ' open' : ''}`}>
@@ -40,7 +56,7 @@ export default function ModuleDetailsPanel({
                 className="details-accent-dot"
                 style={{ background: selSchema.accent }}
               />
-              <span className="details-title">{selSchema.label}</span>
+              <span className="details-title">{selNode.macro?.name ?? selSchema.label}</span>
               <span className="details-desc">{selSchema.desc}</span>
             </div>
             <button
@@ -51,7 +67,9 @@ export default function ModuleDetailsPanel({
             </button>
           </div>
 
-          {selNode.type === 'envelope' ? (
+          {selNode.type === 'macro' ? (
+            <MacroDetails node={selNode} nodes={nodes} macros={macros} />
+          ) : selNode.type === 'envelope' ? (
             <div className="details-body">
               <div className="details-placeholder">
                 Edit the envelope directly on the canvas.
@@ -312,130 +330,299 @@ export default function ModuleDetailsPanel({
                 </div>
               </div>
             </div>
-          ) : selNode.type === 'midi_in' ? (
+          ) : selNode.type === 'poly_voice' ? (
             <div className="details-body">
               <div className="midi-details">
-                {/* Mode selector: CC or Note */}
-                <div className="midi-option">
-                  <span className="midi-label">Mode</span>
-                  <div className="midi-mode-toggle-group">
-                    <button
-                      className={`midi-mode-choice${(selNode.midiMode || 'cc') === 'cc' ? ' active' : ''}`}
-                      onClick={() => setNodes((prev) => ({
-                        ...prev,
-                        [selNode.id]: { ...prev[selNode.id], midiMode: 'cc' },
-                      }))}
-                    >
-                      CC
-                    </button>
-                    <button
-                      className={`midi-mode-choice${(selNode.midiMode || 'cc') === 'note' ? ' active' : ''}`}
-                      onClick={() => setNodes((prev) => ({
-                        ...prev,
-                        [selNode.id]: { ...prev[selNode.id], midiMode: 'note' },
-                      }))}
-                    >
-                      Note
-                    </button>
-                  </div>
-                </div>
-
-                {/* CC Number (only in CC mode) */}
-                {(selNode.midiMode || 'cc') === 'cc' && (
-                  <div className="midi-option">
-                    <span className="midi-label">CC #</span>
-                    <input
-                      type="number"
-                      className="midi-cc-input"
-                      min={0}
-                      max={127}
-                      value={selNode.midiCcNumber ?? 1}
-                      onChange={(e) => {
-                        const v = Math.max(0, Math.min(127, parseInt(e.target.value) || 0));
-                        setNodes((prev) => ({
-                          ...prev,
-                          [selNode.id]: { ...prev[selNode.id], midiCcNumber: v },
-                        }));
-                      }}
-                    />
-                  </div>
-                )}
-
-                {/* Channel selector */}
+                {/* Wrapped instrument */}
                 <div className="midi-option">
-                  <span className="midi-label">Channel</span>
+                  <span className="midi-label">Voice</span>
                   <select
-                    className="midi-channel-select"
-                    value={selNode.midiChannel ?? 0}
+                    className="midi-device-select"
+                    value={selNode.polyVoiceType || 'pluck'}
                     onChange={(e) => {
-                      const v = parseInt(e.target.value);
+                      const v = e.target.value;
                       setNodes((prev) => ({
                         ...prev,
-                        [selNode.id]: { ...prev[selNode.id], midiChannel: v },
+                        [selNode.id]: { ...prev[selNode.id], polyVoiceType: v },
                       }));
                     }}
                   >
-                    <option value={0}>Omni (all)</option>
-                    {Array.from({ length: 16 }, (_, i) => (
-                      <option key={i + 1} value={i + 1}>
-                        Channel {i + 1}
+                    {POLY_VOICE_TYPES.map((t) => (
+                      <option key={t} value={t}>
+                        {NODE_SCHEMA[t].label} — {NODE_SCHEMA[t].desc}
                       </option>
                     ))}
                   </select>
                 </div>
 
-                {/* Device selector */}
+                {/* Voice stealing policy */}
                 <div className="midi-option">
-                  <span className="midi-label">Device</span>
-                  <select
-                    className="midi-device-select"
-                    value={selNode.midiDeviceId || ''}
-                    onChange={(e) => {
-                      const v = e.target.value || null;
-                      setNodes((prev) => ({
-                        ...prev,
-                        [selNode.id]: { ...prev[selNode.id], midiDeviceId: v },
-                      }));
-                    }}
-                  >
-                    <option value="">Any device</option>
-                    {midiDevices.map((d) => (
-                      <option key={d.id} value={d.id}>
-                        {d.name}
-                      </option>
+                  <span className="midi-label">Steal</span>
+                  <div className="midi-mode-toggle-group">
+                    {['oldest', 'quietest', 'none'].map((policy) => (
+                      <button
+                        key={policy}
+                        className={`midi-mode-choice${(selNode.polySteal || 'oldest') === policy ? ' active' : ''}`}
+                        onClick={() => setNodes((prev) => ({
+                          ...prev,
+                          [selNode.id]: { ...prev[selNode.id], polySteal: policy },
+                        }))}
+                      >
+                        {policy}
+                      </button>
                     ))}
-                  </select>
+                  </div>
                 </div>
 
-                {/* Current value display */}
-                <div className="midi-value-display">
-                  <span className="midi-value-label">Output</span>
-                  <span className="midi-value-num">
-                    {(selNode.params.value ?? 0).toFixed(0)}
-                  </span>
-                  {selNode.midiMode === 'note' && selNode.midiLastNote != null && (
-                    <span className="midi-note-info">
-                      {NOTE_NAMES[((selNode.midiLastNote % 12) + 12) % 12]}
-                      {Math.floor(selNode.midiLastNote / 12) - 1}
-                      {selNode.midiGate ? ' ON' : ' OFF'}
-                    </span>
-                  )}
+                <div className="midi-hint">
+                  Patch a MIDI In (note mode) or a Script into the notes port.
+                  Each note spawns its own voice; note-off fades it over the release time.
+                  When all voices are held, the steal policy decides which one gives way
+                  ("none" drops the new note). Scripts send notes with noteOn(), noteOff()
+                  and playNote().
                 </div>
+              </div>
+            </div>
+          ) : selNode.type === 'midi_in' ? (() => {
+            const mode = selNode.midiMode || 'cc';
+            const ccMax = mode === 'cc14' ? 31 : 127;
+            const setField = (field, v) => setNodes((prev) => ({
+              ...prev,
+              [selNode.id]: { ...prev[selNode.id], [field]: v },
+            }));
+            return (
+              <div className="details-body">
+                <div className="midi-details">
+                  {/* Message type */}
+                  <div className="midi-option">
+                    <span className="midi-label">Mode</span>
+                    <div className="midi-mode-toggle-group wrap">
+                      {MIDI_IN_MODES.map((m) => (
+                        <button
+                          key={m}
+                          className={`midi-mode-choice${mode === m ? ' active' : ''}`}
+                          onClick={() => mode !== m && handleMidiModeChange(selNode.id, m)}
+                        >
+                          {MIDI_IN_MODE_LABELS[m]}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
 
-                <div className="midi-hint">
-                  {(selNode.midiMode || 'cc') === 'cc'
-                    ? `Outputs CC ${selNode.midiCcNumber ?? 1} values (0\u2013127). Connect the output to modulate any parameter.`
-                    : 'Outputs the MIDI note number (0\u2013127) on note-on events. Connect the output to control pitch or other parameters.'}
+                  {/* CC Number (CC and 14-bit CC modes) */}
+                  {(mode === 'cc' || mode === 'cc14') && (
+                    <div className="midi-option">
+                      <span className="midi-label">{mode === 'cc14' ? 'MSB CC #' : 'CC #'}</span>
+                      <input
+                        type="number"
+                        className="midi-cc-input"
+                        min={0}
+                        max={ccMax}
+                        value={selNode.midiCcNumber ?? 1}
+                        onChange={(e) => setField('midiCcNumber', Math.max(0, Math.min(ccMax, parseInt(e.target.value) || 0)))}
+                      />
+                    </div>
+                  )}
+
+                  {/* NRPN parameter number (only in NRPN mode) */}
+                  {mode === 'nrpn' && (
+                    <div className="midi-option">
+                      <span className="midi-label">NRPN #</span>
+                      <input
+                        type="number"
+                        className="midi-cc-input"
+                        min={0}
+                        max={16383}
+                        value={selNode.midiNrpnNumber ?? 0}
+                        onChange={(e) => setField('midiNrpnNumber', Math.max(0, Math.min(16383, parseInt(e.target.value) || 0)))}
+                      />
+                    </div>
+                  )}
+
+                  {/* Channel selector (MPE listens on the whole zone) */}
+                  {mode !== 'mpe' && (
+                    <div className="midi-option">
+                      <span className="midi-label">Channel</span>
+                      <select
+                        className="midi-channel-select"
+                        value={selNode.midiChannel ?? 0}
+                        onChange={(e) => setField('midiChannel', parseInt(e.target.value))}
+                      >
+                        <option value={0}>Omni (all)</option>
+                        {Array.from({ length: 16 }, (_, i) => (
+                          <option key={i + 1} value={i + 1}>
+                            Channel {i + 1}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+
+                  {/* Device selector */}
+                  <div className="midi-option">
+                    <span className="midi-label">Device</span>
+                    <select
+                      className="midi-device-select"
+                      value={selNode.midiDeviceId || ''}
+                      onChange={(e) => setField('midiDeviceId', e.target.value || null)}
+                    >
+                      <option value="">Any device</option>
+                      {midiDevices.map((d) => (
+                        <option key={d.id} value={d.id}>
+                          {d.name}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+
+                  {/* Current value display */}
+                  {mode === 'mpe' ? (
+                    MPE_OUTPUTS.map((label, i) => (
+                      <div key={label} className="midi-value-display">
+                        <span className="midi-value-label">{label}</span>
+                        <span className="midi-value-num">
+                          {(selNode.params[`out_${i}`] ?? 0).toFixed(i === 0 ? 2 : 0)}
+                        </span>
+                      </div>
+                    ))
+                  ) : (
+                    <div className="midi-value-display">
+                      <span className="midi-value-label">Output</span>
+                      <span className="midi-value-num">
+                        {(selNode.params.value ?? 0).toFixed(MIDI_IN_FINE.has(mode) ? 2 : 0)}
+                      </span>
+                      {mode === 'note' && selNode.midiLastNote != null && (
+                        <span className="midi-note-info">
+                          {NOTE_NAMES[((selNode.midiLastNote % 12) + 12) % 12]}
+                          {Math.floor(selNode.midiLastNote / 12) - 1}
+                          {selNode.midiGate ? ' ON' : ' OFF'}
+                        </span>
+                      )}
+                    </div>
+                  )}
+
+                  <div className="midi-hint">
+                    {mode === 'cc'
+                      ? `Outputs CC ${selNode.midiCcNumber ?? 1} values (0\u2013127). Connect the output to modulate any parameter.`
+                      : mode === 'note'
+                        ? 'Outputs the MIDI note number (0\u2013127) on note-on events. Connect the output to control pitch or other parameters.'
+                        : mode === 'bend'
+                          ? 'Outputs pitch bend as 0\u2013127 with 64 at centre, at full 14-bit resolution.'
+                          : mode === 'aftertouch'
+                            ? 'Outputs channel pressure (0\u2013127).'
+                            : mode === 'poly_at'
+                              ? 'Outputs the key pressure (0\u2013127) of whichever key last changed.'
+                              : mode === 'program'
+                                ? 'Outputs the program number (0\u2013127) on each program change.'
+                                : mode === 'cc14'
+                                  ? `Outputs the 14-bit pair CC ${selNode.midiCcNumber ?? 1} / ${(selNode.midiCcNumber ?? 1) + 32}, scaled to 0\u2013127 with fractions.`
+                                  : mode === 'nrpn'
+                                    ? `Outputs NRPN ${selNode.midiNrpnNumber ?? 0} data (CC 6/38), scaled to 0\u2013127 with fractions.`
+                                    : 'Outputs pitch (note + per-note bend, \u00b148 semitones), pressure, timbre (CC 74) and gate of the latest note held on an MPE controller. Notes also drive any Poly Voice patched from it.'}
+                  </div>
+
+                  {midiDevices.length === 0 && (
+                    <div className="midi-no-devices">
+                      No MIDI devices detected. Connect a MIDI controller and refresh.
+                    </div>
+                  )}
                 </div>
+              </div>
+            );
+          })() : selNode.type === 'midi_out' ? (() => {
+            const mode = selNode.midiMode || 'note';
+            const outputs = getOutputDevices();
+            const setField = (field, v) => setNodes((prev) => ({
+              ...prev,
+              [selNode.id]: { ...prev[selNode.id], [field]: v },
+            }));
+            return (
+              <div className="details-body">
+                <div className="midi-details">
+                  {/* Message type */}
+                  <div className="midi-option">
+                    <span className="midi-label">Mode</span>
+                    <div className="midi-mode-toggle-group">
+                      {MIDI_OUT_MODES.map((m) => (
+                        <button
+                          key={m}
+                          className={`midi-mode-choice${mode === m ? ' active' : ''}`}
+                          onClick={() => setField('midiMode', m)}
+                        >
+                          {m === 'cc' ? 'CC' : m}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
 
-                {midiDevices.length === 0 && (
-                  <div className="midi-no-devices">
-                    No MIDI devices detected. Connect a MIDI controller and refresh.
+                  {/* CC Number (only in CC mode) */}
+                  {mode === 'cc' && (
+                    <div className="midi-option">
+                      <span className="midi-label">CC #</span>
+                      <input
+                        type="number"
+                        className="midi-cc-input"
+                        min={0}
+                        max={127}
+                        value={selNode.midiCcNumber ?? 1}
+                        onChange={(e) => setField('midiCcNumber', Math.max(0, Math.min(127, parseInt(e.target.value) || 0)))}
+                      />
+                    </div>
+                  )}
+
+                  {/* Channel selector */}
+                  <div className="midi-option">
+                    <span className="midi-label">Channel</span>
+                    <select
+                      className="midi-channel-select"
+                      value={selNode.midiChannel || 1}
+                      onChange={(e) => setField('midiChannel', parseInt(e.target.value))}
+                    >
+                      {Array.from({ length: 16 }, (_, i) => (
+                        <option key={i + 1} value={i + 1}>
+                          Channel {i + 1}
+                        </option>
+                      ))}
+                    </select>
                   </div>
-                )}
+
+                  {/* Device selector */}
+                  <div className="midi-option">
+                    <span className="midi-label">Device</span>
+                    <select
+                      className="midi-device-select"
+                      value={selNode.midiDeviceId || ''}
+                      onChange={(e) => setField('midiDeviceId', e.target.value || null)}
+                    >
+                      <option value="">First output</option>
+                      {outputs.map((d) => (
+                        <option key={d.id} value={d.id}>
+                          {d.name}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div className="midi-hint">
+                    {mode === 'note'
+                      ? 'Gate on sends a note-on for the value input (note number) at the vel input; gate off sends its note-off. Changing the note while the gate is on moves to the new note.'
+                      : mode === 'cc'
+                        ? `Sends the value input (0\u2013127) as CC ${selNode.midiCcNumber ?? 1} whenever it changes.`
+                        : mode === 'bend'
+                          ? 'Sends the value input as pitch bend: 0 is full down, 64 centre, 127 full up.'
+                          : 'Sends the value input (0\u2013127) as a program change whenever it changes.'}
+                    {' '}Values from Pulsers, Sequencers, Envelopes and Scripts go out timestamped, on time.
+                  </div>
+
+                  {outputs.length === 0 && (
+                    <div className="midi-no-devices">
+                      No MIDI outputs detected. Connect a device and refresh.
+                    </div>
+                  )}
+                </div>
               </div>
-            </div>
-          ) : (
+            );
+          })() : (
             <div className="details-body">
               <div className="details-placeholder">
                 Select a Script module to edit code,
@@ -443,6 +630,41 @@ export default function ModuleDetailsPanel({
               </div>
             </div>
           )}
+
+          {/* MIDI Learn for the module's sliders */}
+          {learnable.length > 0 && (
+            <div className="macro-section midi-learn-section">
+              <div className="macro-section-title">MIDI Learn</div>
+              {learnable.map(([key, def]) => {
+                const mapping = selNode.midiMap?.[key];
+                const armed = midiLearn.learning?.nodeId === selNode.id && midiLearn.learning.param === key;
+                return (
+                  <div key={key} className={`macro-port-row${mapping ? ' exposed' : ''}`}>
+                    <span className="macro-port-origin">{def.label}</span>
+                    <span className="midi-map-source">
+                      {mapping ? `CC ${mapping.cc} · ch ${mapping.channel || 'all'}` : '—'}
+                    </span>
+                    <button
+                      className={`take-btn${armed ? ' learning' : ''}`}
+                      onClick={() => midiLearn.startLearn(selNode.id, key)}
+                      title="Bind to the next CC received"
+                    >
+                      {armed ? 'Learning…' : 'Learn'}
+                    </button>
+                    {mapping && (
+                      <button
+                        className="take-btn delete"
+                        onClick={() => midiLearn.removeMapping(selNode.id, key)}
+                        title="Remove mapping"
+                      >
+                        ×
+                      </button>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
         </>
       )}
     </div>
@@ -1,21 +1,48 @@
 import { NODE_SCHEMA } from '../nodeSchema';
 import { HEADER_H, PORT_SECTION_Y, PORT_SPACING, PARAM_START_Y, PARAM_ROW_H } from '../constants';
-import { getNodeWidth, getNodeOutputs, freqToNoteName } from '../utils';
+import { getNodeWidth, getNodeOutputs, getOutputValue, getPortChannels, freqToNoteName, midiLearnState } from '../utils';
 import ScopeCanvas from '../ScopeCanvas';
 import BreakpointEditor from '../../BreakpointEditor';
 import WaveformDisplay from './WaveformDisplay';
 
+// Audio In status line, by useAudioInput state
+const AUDIO_IN_STATUS = {
+  off: 'engine off',
+  pending: 'waiting for permission…',
+  on: 'input open',
+  denied: 'permission denied',
+  unavailable: 'no input device',
+};
+
+// Mode badge of a MIDI In module
+function midiInBadge(node) {
+  switch (node.midiMode) {
+    case 'cc': return `CC ${node.midiCcNumber}`;
+    case 'cc14': return `CC ${node.midiCcNumber}/${node.midiCcNumber + 32}`;
+    case 'nrpn': return `NRPN ${node.midiNrpnNumber ?? 0}`;
+    case 'poly_at': return 'POLY AT';
+    case 'aftertouch': return 'AT';
+    default: return (node.midiMode || 'cc').toUpperCase();
+  }
+}
+
 export default function NodeRenderer({
   node,
   nodes,
   connections,
   connecting,
   selectedNodeId,
+  selectedIds,
   runningScripts,
   runningEnvelopes,
   runningPulsers,
   runningSequencers,
   midiActivity,
+  polyVoiceCounts,
+  audioInput,
+  retryAudioInput,
+  synthDefStatus,
+  retrySynthDefs,
   midiListenersRef,
   scopeBuffersRef,
   scopeBufferSize,
@@ -24,6 +51,8 @@ export default function NodeRenderer({
   handlePortClick,
   handleParamPortClick,
   handleParamChange,
+  midiLearning,
+  handleMidiLearn,
   handleBang,
   handleBangResizeStart,
   handleScriptResizeStart,
@@ -32,6 +61,7 @@ export default function NodeRenderer({
   handleEnvelopeStop,
   handleEnvelopeDuration,
   handleEnvelopeLoop,
+  handleSyncToggle,
   getEnvelopeProgress,
   removeNode,
   setSelectedNodeId,
@@ -54,7 +84,10 @@ export default function NodeRenderer({
   const isEnvelope = node.type === 'envelope';
   const isBang = node.type === 'bang';
   const isMidiIn = node.type === 'midi_in';
+  // MIDI In / Out flash for 300 ms after each message
+  const midiActive = (isMidiIn || node.type === 'midi_out') && Date.now() - (midiActivity[node.id] || 0) < 300;
   const isSampler = node.type === 'sample_player';
+  const isPolyVoice = node.type === 'poly_voice';
   const nodeWidth = getNodeWidth(node);
 
   // Check if this module has any modulation output connections
@@ -75,10 +108,7 @@ export default function NodeRenderer({
       modulatedParams[conn.toParam] = 'audio';
       audioRateModulatedParams.add(conn.toParam);
     } else if (src && (srcCat === 'control' || srcCat === 'script')) {
-      const srcValue = srcCat === 'script'
-        ? (src.params[`out_${conn.fromPortIndex}`] ?? src.params.value ?? 0)
-        : (src.params.value ?? 0);
-      modulatedParams[conn.toParam] = srcValue;
+      modulatedParams[conn.toParam] = getOutputValue(src, conn.fromPortIndex);
     }
   }
 
@@ -86,7 +116,7 @@ export default function NodeRenderer({
     <div
       key={node.id}
       data-node-id={node.id}
-      className={`sense-node${isLive ? ' live' : ''}${isAudioOut ? ' audio-out' : ''}${isFx ? ' fx' : ''}${isControl && !isEnvelope && !isBang && !isMidiIn ? ' control' : ''}${isScript ? ' script' : ''}${isEnvelope ? ' envelope' : ''}${isBang ? ' bang' : ''}${isMidiIn ? ' midi-in' : ''}${isSampler ? ' sampler' : ''}${node.type === 'scope' ? ' scope scope-classic' : ''}${hasModOutput ? ' live' : ''}${selectedNodeId === node.id ? ' selected' : ''}${runningScripts.has(node.id) || runningEnvelopes.has(node.id) || runningPulsers.has(node.id) || runningSequencers.has(node.id) ? ' running' : ''}${isMidiIn && midiListenersRef.current.has(node.id) ? ' listening' : ''}`}
+      className={`sense-node${isLive ? ' live' : ''}${isAudioOut ? ' audio-out' : ''}${isFx ? ' fx' : ''}${isControl && !isEnvelope && !isBang && !isMidiIn ? ' control' : ''}${isScript ? ' script' : ''}${isEnvelope ? ' envelope' : ''}${isBang ? ' bang' : ''}${isMidiIn ? ' midi-in' : ''}${isSampler ? ' sampler' : ''}${isPolyVoice ? ' poly-voice' : ''}${node.type === 'scope' ? ' scope scope-classic' : ''}${hasModOutput ? ' live' : ''}${selectedNodeId === node.id || selectedIds?.has(node.id) ? ' selected' : ''}${runningScripts.has(node.id) || runningEnvelopes.has(node.id) || runningPulsers.has(node.id) || runningSequencers.has(node.id) ? ' running' : ''}${isMidiIn && midiListenersRef.current.has(node.id) ? ' listening' : ''}`}
       style={{
         left: node.x,
         top: node.y,
@@ -96,17 +126,20 @@ export default function NodeRenderer({
       onMouseDown={(e) => startDrag(e, node.id)}
     >
       {/* Audio input ports */}
-      {schema.inputs.map((name, i) => (
-        <div
-          key={`in-${i}`}
-          className={`node-port input${connecting ? ' connectable' : ''}`}
-          style={{ top: PORT_SECTION_Y + 11 + i * PORT_SPACING - 6 }}
-          onClick={(e) => handlePortClick(e, node.id, 'input', i)}
-          title={name}
-        >
-          <span className="port-label port-label-in">{name}</span>
-        </div>
-      ))}
+      {schema.inputs.map((name, i) => {
+        const mono = getPortChannels(node, 'input', i) === 1;
+        return (
+          <div
+            key={`in-${i}`}
+            className={`node-port input${mono ? ' mono' : ''}${connecting ? ' connectable' : ''}`}
+            style={{ top: PORT_SECTION_Y + 11 + i * PORT_SPACING - 6 }}
+            onClick={(e) => handlePortClick(e, node.id, 'input', i)}
+            title={mono ? `${name} (mono)` : name}
+          >
+            <span className="port-label port-label-in">{name}</span>
+          </div>
+        );
+      })}
 
       {/* Output ports */}
       {getNodeOutputs(node).map((name, i) => (
@@ -159,12 +192,24 @@ export default function NodeRenderer({
         </div>
       )}
 
+      {/* Poly voice note input port */}
+      {isPolyVoice && (
+        <div
+          className={`node-port mod-input trig-port${connecting ? ' connectable' : ''}${connections.some((c) => c.toNodeId === node.id && c.toParam === 'notes') ? ' modulated' : ''}`}
+          style={{ top: HEADER_H + 10 - 4 }}
+          onClick={(e) => handleParamPortClick(e, node.id, 'notes')}
+          title="note input (MIDI In in note mode, or a script using noteOn/noteOff)"
+        >
+          <span className="port-label port-label-in">notes</span>
+        </div>
+      )}
+
       {/* Parameter modulation input ports */}
       {!isControl && !isScript && !isAudioOut && Object.keys(schema.params).map((key, i) => {
         const isModulated = key in modulatedParams;
         const isAudioRateMod = audioRateModulatedParams.has(key);
         const showPort = connecting || isModulated;
-        if (!showPort) return null;
+        if (!showPort || (isPolyVoice && key === 'notes')) return null;
 
         return (
           <div
@@ -254,7 +299,7 @@ export default function NodeRenderer({
                   handleEnvelopeDuration(node.id, parseFloat(e.target.value) || 2)
                 }
               />
-              <span className="env-dur-unit">s</span>
+              <span className="env-dur-unit">{node.sync ? 'beats' : 's'}</span>
             </label>
             <label className="env-loop">
               <input
@@ -264,6 +309,14 @@ export default function NodeRenderer({
               />
               <span className="env-loop-label">loop</span>
             </label>
+            <label className="env-loop" title="Duration in beats of the transport">
+              <input
+                type="checkbox"
+                checked={node.sync || false}
+                onChange={(e) => handleSyncToggle(node.id, e.target.checked)}
+              />
+              <span className="env-loop-label">sync</span>
+            </label>
             <span className="env-out-val">
               {(node.params.value ?? 0).toFixed(2)}
             </span>
@@ -297,6 +350,23 @@ export default function NodeRenderer({
         </div>
       )}
 
+      {/* Transport sync toggle */}
+      {(node.type === 'pulser' || node.type === 'sequencer') && (
+        <label
+          className="env-loop node-sync"
+          title={node.type === 'pulser'
+            ? 'Pulse on the transport\'s beat grid (rate in pulses per beat)'
+            : 'Also step on every transport beat'}
+        >
+          <input
+            type="checkbox"
+            checked={node.sync || false}
+            onChange={(e) => handleSyncToggle(node.id, e.target.checked)}
+          />
+          <span className="env-loop-label">sync to transport</span>
+        </label>
+      )}
+
       {/* Scope (oscilloscope) display */}
       {node.type === 'scope' && (
         <ScopeCanvas
@@ -315,17 +385,30 @@ export default function NodeRenderer({
           title="Click to configure MIDI input"
         >
           <div className="midi-in-mode-badge">
-            {node.midiMode === 'note' ? 'NOTE' : `CC ${node.midiCcNumber}`}
+            {midiInBadge(node)}
           </div>
           <div className="midi-in-value">
             {(node.params.value ?? 0).toFixed(0)}
           </div>
           <div className="midi-in-channel">
-            {node.midiChannel === 0 ? 'omni' : `ch ${node.midiChannel}`}
+            {node.midiMode === 'mpe' ? 'zone' : node.midiChannel === 0 ? 'omni' : `ch ${node.midiChannel}`}
           </div>
-          {(Date.now() - (midiActivity[node.id] || 0)) < 300 && (
-            <div className="midi-in-activity" />
-          )}
+          {midiActive && <div className="midi-in-activity" />}
+        </div>
+      )}
+
+      {/* MIDI output display */}
+      {node.type === 'midi_out' && (
+        <div
+          className="midi-in-body"
+          onClick={() => setSelectedNodeId(node.id)}
+          title="Click to configure MIDI output"
+        >
+          <div className="midi-in-mode-badge">
+            {node.midiMode === 'cc' ? `CC ${node.midiCcNumber}` : (node.midiMode || 'note').toUpperCase()}
+          </div>
+          <div className="midi-in-channel">ch {node.midiChannel || 1}</div>
+          {midiActive && <div className="midi-in-activity" />}
         </div>
       )}
 
@@ -339,8 +422,9 @@ export default function NodeRenderer({
         // Compute playhead position from JS-side timing
         let phPos = null;
         const ph = samplePlayheads?.[node.id];
-        if (ph && sd) {
-          const elapsed = (performance.now() - ph.trigTime) / 1000;
+        const elapsed = ph ? (performance.now() - ph.trigTime) / 1000 : 0;
+        // A scheduled trigger may still be a few ms ahead
+        if (ph && sd && elapsed >= 0) {
           const regionDur = (ph.endPos - ph.startPos) * ph.duration / Math.abs(ph.rate || 1);
           if (regionDur > 0) {
             if (ph.loop) {
@@ -426,10 +510,21 @@ export default function NodeRenderer({
                 ? modulatedParams[key]
                 : (node.params[key] ?? def.val);
 
+            const learn = midiLearnState(node, key, midiLearning);
+            const onLearn = (e) => {
+              e.preventDefault();
+              handleMidiLearn(node.id, key);
+            };
+
             if (def.type === 'button') {
               const isOn = (node.params[key] ?? def.val) >= 0.5;
               return (
-                <div className={`node-param${isModulated ? ' modulated' : ''}${isAudioRateMod ? ' audio-rate-mod' : ''}`} key={key}>
+                <div
+                  className={`node-param${isModulated ? ' modulated' : ''}${isAudioRateMod ? ' audio-rate-mod' : ''}${learn.className}`}
+                  key={key}
+                  title={learn.title}
+                  onContextMenu={onLearn}
+                >
                   <span className="param-label">{def.label}</span>
                   <button
                     className={`param-toggle-btn${isOn ? ' active' : ''}`}
@@ -446,8 +541,15 @@ export default function NodeRenderer({
             }
 
             return (
-              <div className={`node-param${isModulated ? ' modulated' : ''}${isAudioRateMod ? ' audio-rate-mod' : ''}`} key={key}>
-                <span className="param-label">{def.label}</span>
+              <div
+                className={`node-param${isModulated ? ' modulated' : ''}${isAudioRateMod ? ' audio-rate-mod' : ''}${learn.className}`}
+                key={key}
+                title={learn.title}
+                onContextMenu={onLearn}
+              >
+                <span className="param-label">
+                  {node.type === 'pulser' && key === 'rate' && node.sync ? 'per beat' : def.label}
+                </span>
                 <input
                   type="range"
                   min={def.min}
@@ -479,6 +581,68 @@ export default function NodeRenderer({
         </div>
       )}
 
+      {/* Poly voice status */}
+      {isPolyVoice && (() => {
+        const maxVoices = Math.max(1, Math.round(node.params.voices ?? 8));
+        const held = polyVoiceCounts?.[node.id] ?? 0;
+        return (
+          <div
+            className="poly-voice-body"
+            onClick={() => setSelectedNodeId(node.id)}
+            title="Click to choose instrument and voice stealing"
+          >
+            <div className="poly-voice-badge">
+              {NODE_SCHEMA[node.polyVoiceType]?.label ?? '—'} · {node.polySteal || 'oldest'}
+            </div>
+            <div className="poly-voice-meter">
+              {Array.from({ length: maxVoices }, (_, i) => (
+                <span key={i} className={`poly-voice-slot${i < held ? ' held' : ''}`} />
+              ))}
+            </div>
+          </div>
+        );
+      })()}
+
+      {/* Live input status */}
+      {node.type === 'audio_in' && (
+        <div
+          className={`audio-in-status ${audioInput}`}
+          title="Uses the browser's default input; wear headphones to avoid feedback"
+        >
+          <span className="audio-in-dot" />
+          {AUDIO_IN_STATUS[audioInput]}
+          {(audioInput === 'denied' || audioInput === 'unavailable') && (
+            <button
+              className="take-btn"
+              onMouseDown={(e) => e.stopPropagation()}
+              onClick={retryAudioInput}
+            >
+              retry
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* SynthDef still loading, or failed to */}
+      {synthDefStatus && (
+        <div
+          className={`synthdef-status ${synthDefStatus.status}`}
+          title={synthDefStatus.error ? `${synthDefStatus.names.join(', ')}: ${synthDefStatus.error}` : synthDefStatus.names.join(', ')}
+        >
+          <span className="synthdef-dot" />
+          {synthDefStatus.status === 'failed' ? 'failed to load' : 'loading…'}
+          {synthDefStatus.status === 'failed' && (
+            <button
+              className="take-btn"
+              onMouseDown={(e) => e.stopPropagation()}
+              onClick={() => retrySynthDefs(node.id)}
+            >
+              retry
+            </button>
+          )}
+        </div>
+      )}
+
       {/* Script code preview */}
       {isScript && (
         <div
@@ -0,0 +1,36 @@
+const ACTION_LABELS = {
+  dropped: 'dropped',
+  clamped: 'clamped',
+  defaulted: 'reset',
+  fixed: 'fixed',
+  migrated: 'migrated',
+};
+
+// Issues found by migratePatch() while loading the last patch
+export default function PatchReport({ report, onDismiss }) {
+  return (
+    <div className="patch-report">
+      <div className="patch-report-header">
+        <span>
+          {report.fatal
+            ? `Patch not loaded: ${report.fatal}`
+            : `Patch loaded with ${report.issues.length} issue${report.issues.length > 1 ? 's' : ''}`}
+          {report.fromVersion != null && report.fromVersion < report.toVersion &&
+            ` · upgraded v${report.fromVersion} → v${report.toVersion}`}
+        </span>
+        <button className="take-btn" onClick={onDismiss} title="Dismiss">✕</button>
+      </div>
+      {report.issues.length > 0 && (
+        <div className="patch-report-list">
+          {report.issues.map((issue, i) => (
+            <div key={i} className={`patch-report-row ${issue.action}`}>
+              <span className="patch-report-action">{ACTION_LABELS[issue.action] ?? issue.action}</span>
+              <span className="patch-report-target">{issue.target}</span>
+              <span className="patch-report-reason">{issue.reason}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
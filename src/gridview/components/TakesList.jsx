@@ -0,0 +1,113 @@
+function formatTime(sec) {
+  const m = Math.floor(sec / 60);
+  const s = (sec % 60).toFixed(1).padStart(4, '0');
+  return `${m}:${s}`;
+}
+
+export default function TakesList({
+  takes,
+  auditionId,
+  samplerIds,
+  handleAuditionTake,
+  handleUpdateTake,
+  handleDeleteTake,
+  handleDownloadTake,
+  handleTakeToSampler,
+}) {
+  return (
+    <div className="takes-panel">
+      {takes.map((take) => (
+        <div key={take.id} className="take-row">
+          <button
+            className={`take-btn audition${auditionId === take.id ? ' playing' : ''}`}
+            onClick={() => handleAuditionTake(take.id)}
+            title={auditionId === take.id ? 'Stop' : 'Play trimmed take'}
+          >
+            {auditionId === take.id ? '■' : '▶'}
+          </button>
+
+          <input
+            className="take-name"
+            value={take.name}
+            onChange={(e) => handleUpdateTake(take.id, { name: e.target.value })}
+            title="Rename take"
+          />
+
+          <span className="take-duration">
+            {formatTime(take.trimEnd - take.trimStart)}
+          </span>
+
+          <label className="take-trim" title="Trim start (seconds)">
+            in
+            <input
+              type="number"
+              min="0"
+              max={take.duration}
+              step="0.1"
+              value={Number(take.trimStart.toFixed(2))}
+              onChange={(e) => handleUpdateTake(take.id, { trimStart: Number(e.target.value) || 0 })}
+            />
+          </label>
+          <label className="take-trim" title="Trim end (seconds)">
+            out
+            <input
+              type="number"
+              min="0"
+              max={take.duration}
+              step="0.1"
+              value={Number(take.trimEnd.toFixed(2))}
+              onChange={(e) => handleUpdateTake(take.id, { trimEnd: Number(e.target.value) || 0 })}
+            />
+          </label>
+
+          <select
+            className="take-format"
+            value={take.format}
+            onChange={(e) => handleUpdateTake(take.id, { format: e.target.value })}
+            title="Download format"
+          >
+            <option value="wav">WAV</option>
+            <option value="flac">FLAC</option>
+          </select>
+
+          <button
+            className="take-btn download"
+            onClick={() => handleDownloadTake(take.id)}
+            title="Download take"
+          >
+            ↓
+          </button>
+
+          <select
+            className="take-sampler"
+            value=""
+            onChange={(e) => {
+              const v = e.target.value;
+              if (v) handleTakeToSampler(take.id, v === 'new' ? 'new' : Number(v));
+            }}
+            title="Load take into a Sampler"
+          >
+            <option value="">→ sampler</option>
+            {samplerIds.map((id) => (
+              <option key={id} value={id}>Sampler {id}</option>
+            ))}
+            <option value="new">+ new sampler</option>
+          </select>
+
+          <button
+            className="take-btn delete"
+            onClick={() => handleDeleteTake(take.id)}
+            title="Delete take"
+          >
+            &times;
+          </button>
+        </div>
+      ))}
+      {takes.length === 0 && (
+        <div className="takes-empty">
+          Record in WAV or FLAC mode to collect takes here
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,4 +1,13 @@
+import { useState } from 'react';
 import { useTheme } from '../../ThemeProvider';
+import { WAV_BIT_DEPTHS } from '../../audio/wavEncoder';
+import { REC_FORMATS } from '../hooks/useRecording';
+import TakesList from './TakesList';
+import HistoryList from './HistoryList';
+import LibraryPanel from './LibraryPanel';
+import PatchReport from './PatchReport';
+import TransportControls from './TransportControls';
+import MidiMapList from './MidiMapList';
 
 export default function Toolbar({
   booted,
@@ -8,6 +17,22 @@ export default function Toolbar({
   daphneOpen,
   recording,
   recordingTime,
+  recFormat,
+  takes,
+  auditionId,
+  samplerIds,
+  bouncing,
+  bounceSeconds,
+  bounceBitDepth,
+  history,
+  library,
+  midiLearn,
+  patchMeta,
+  setPatchMeta,
+  patchReport,
+  setPatchReport,
+  transport,
+  midiDevices,
   fileInputRef,
   handleBoot,
   setPanelOpen,
@@ -17,8 +42,21 @@ export default function Toolbar({
   handleLoadPatch,
   handleFileSelect,
   handleToggleRecording,
+  setRecFormat,
+  handleAuditionTake,
+  handleUpdateTake,
+  handleDeleteTake,
+  handleDownloadTake,
+  handleTakeToSampler,
+  setBounceSeconds,
+  setBounceBitDepth,
+  handleBounce,
 }) {
   const { theme, toggleTheme } = useTheme();
+  const [takesOpen, setTakesOpen] = useState(false);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [libraryOpen, setLibraryOpen] = useState(false);
+  const [midiMapOpen, setMidiMapOpen] = useState(false);
   return (
     <div className="sense-toolbar">
       <button
@@ -49,6 +87,34 @@ export default function Toolbar({
 
       <div className="toolbar-divider" />
 
+      <button
+        className="toolbar-btn undo-btn"
+        onClick={history.undo}
+        disabled={!history.canUndo}
+        title={history.canUndo ? `Undo ${history.past[history.past.length - 1].label} (Ctrl/Cmd+Z)` : 'Nothing to undo'}
+      >
+        ↶ Undo
+      </button>
+
+      <button
+        className="toolbar-btn redo-btn"
+        onClick={history.redo}
+        disabled={!history.canRedo}
+        title={history.canRedo ? `Redo ${history.future[0].label} (Ctrl/Cmd+Shift+Z)` : 'Nothing to redo'}
+      >
+        ↷ Redo
+      </button>
+
+      <button
+        className={`toolbar-btn history-toggle${historyOpen ? ' active' : ''}`}
+        onClick={() => setHistoryOpen((o) => !o)}
+        title="Edit history"
+      >
+        History
+      </button>
+
+      <div className="toolbar-divider" />
+
       <button
         className="toolbar-btn save-btn"
         onClick={handleSavePatch}
@@ -67,6 +133,26 @@ export default function Toolbar({
         Load
       </button>
 
+      <button
+        className={`toolbar-btn library-toggle${libraryOpen ? ' active' : ''}`}
+        onClick={() => setLibraryOpen((o) => !o)}
+        title="Local patch library"
+      >
+        Library{library.entries.length > 0 ? ` (${library.entries.length})` : ''}
+      </button>
+
+      <div className="toolbar-divider" />
+
+      <TransportControls transport={transport} midiDevices={midiDevices} />
+
+      <button
+        className={`toolbar-btn midi-map-toggle${midiMapOpen || midiLearn.learning ? ' active' : ''}`}
+        onClick={() => setMidiMapOpen((o) => !o)}
+        title="MIDI Learn mappings"
+      >
+        MIDI Map{midiLearn.mappings.length > 0 ? ` (${midiLearn.mappings.length})` : ''}
+      </button>
+
       <div className="toolbar-divider" />
 
       <button
@@ -80,6 +166,60 @@ export default function Toolbar({
           : 'Rec'}
       </button>
 
+      <select
+        className="toolbar-input rec-format"
+        value={recFormat}
+        onChange={(e) => setRecFormat(e.target.value)}
+        disabled={!booted || recording}
+        title="Recording format — WAV/FLAC collect takes, WebM downloads directly"
+      >
+        {REC_FORMATS.map((f) => (
+          <option key={f} value={f}>{f.toUpperCase()}</option>
+        ))}
+      </select>
+
+      <button
+        className={`toolbar-btn takes-toggle${takesOpen ? ' active' : ''}`}
+        onClick={() => setTakesOpen((o) => !o)}
+        title="Recorded takes"
+      >
+        Takes{takes.length > 0 ? ` (${takes.length})` : ''}
+      </button>
+
+      <button
+        className={`toolbar-btn bounce-btn${bouncing ? ' bouncing' : ''}`}
+        onClick={handleBounce}
+        disabled={!booted || bouncing}
+        title="Render the patch offline to a WAV file"
+      >
+        {bouncing ? 'Bouncing…' : 'Export'}
+      </button>
+
+      <input
+        className="toolbar-input bounce-seconds"
+        type="number"
+        min="0.1"
+        max="600"
+        step="1"
+        value={bounceSeconds}
+        onChange={(e) => setBounceSeconds(e.target.value)}
+        disabled={!booted || bouncing}
+        title="Seconds to export"
+      />
+      <span className="toolbar-unit">s</span>
+
+      <select
+        className="toolbar-input bounce-depth"
+        value={bounceBitDepth}
+        onChange={(e) => setBounceBitDepth(Number(e.target.value))}
+        disabled={!booted || bouncing}
+        title="WAV bit depth"
+      >
+        {WAV_BIT_DEPTHS.map((d) => (
+          <option key={d} value={d}>{d === 32 ? '32f' : d}-bit</option>
+        ))}
+      </select>
+
       <div className="toolbar-divider" />
 
       <button
@@ -100,6 +240,51 @@ export default function Toolbar({
         {theme === 'dark' ? '☀ Light' : '☽ Dark'}
       </button>
 
+      {booted && library.recovery && (
+        <div className="recovery-banner">
+          Unsaved patch “{library.recovery.name || 'Untitled Patch'}” from{' '}
+          {new Date(library.recovery.savedAt).toLocaleString()} was recovered.
+          <button className="take-btn" onClick={library.restoreRecovery}>Restore</button>
+          <button className="take-btn" onClick={library.discardRecovery}>Discard</button>
+        </div>
+      )}
+
+      {patchReport && (
+        <PatchReport report={patchReport} onDismiss={() => setPatchReport(null)} />
+      )}
+
+      {libraryOpen && (
+        <LibraryPanel
+          library={library}
+          patchMeta={patchMeta}
+          setPatchMeta={setPatchMeta}
+          booted={booted}
+        />
+      )}
+
+      {historyOpen && (
+        <HistoryList
+          past={history.past}
+          future={history.future}
+          travel={history.travel}
+        />
+      )}
+
+      {(midiMapOpen || midiLearn.learning) && <MidiMapList midiLearn={midiLearn} />}
+
+      {takesOpen && (
+        <TakesList
+          takes={takes}
+          auditionId={auditionId}
+          samplerIds={samplerIds}
+          handleAuditionTake={handleAuditionTake}
+          handleUpdateTake={handleUpdateTake}
+          handleDeleteTake={handleDeleteTake}
+          handleDownloadTake={handleDownloadTake}
+          handleTakeToSampler={handleTakeToSampler}
+        />
+      )}
+
       <input
         ref={fileInputRef}
         type="file"
@@ -0,0 +1,84 @@
+import { useTransport, METERS } from '../hooks/useTransport';
+import { BPM_MIN, BPM_MAX } from '../../audio/transport';
+
+export default function TransportControls({ transport, midiDevices }) {
+  const t = useTransport({ transport });
+  const slaved = t.source === 'midi';
+
+  return (
+    <div className="transport-controls">
+      <button
+        className={`toolbar-btn transport-play${t.playing ? ' playing' : ''}`}
+        onClick={t.togglePlay}
+        title={t.playing ? 'Stop the transport' : 'Start the transport'}
+      >
+        {t.playing ? '■ Stop' : '▶ Play'}
+      </button>
+
+      <button
+        className="toolbar-btn transport-rewind"
+        onClick={t.rewind}
+        title="Back to bar 1"
+      >
+        ⏮
+      </button>
+
+      <span className="transport-position" title="Bar . beat">
+        {t.position.bar}.{t.position.beat}
+      </span>
+
+      <input
+        key={t.bpm}
+        className="toolbar-input transport-bpm"
+        type="number"
+        min={BPM_MIN}
+        max={BPM_MAX}
+        step="0.1"
+        defaultValue={t.bpm}
+        disabled={slaved}
+        onBlur={(e) => t.setBpm(parseFloat(e.target.value))}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') e.currentTarget.blur();
+        }}
+        title={slaved ? 'Tempo follows the MIDI clock' : 'Tempo (beats per minute)'}
+      />
+      <span className="toolbar-unit">bpm</span>
+
+      <select
+        className="toolbar-input transport-meter"
+        value={`${t.beatsPerBar}/${t.beatUnit}`}
+        onChange={(e) => t.setMeter(e.target.value)}
+        title="Time signature"
+      >
+        {METERS.map((m) => (
+          <option key={m} value={m}>{m}</option>
+        ))}
+      </select>
+
+      <select
+        className="toolbar-input transport-source"
+        value={slaved ? (t.clockInDevice ?? '*') : ''}
+        onChange={(e) => t.setClockSource(e.target.value)}
+        title="Clock source — internal, or slave to incoming MIDI clock"
+      >
+        <option value="">int clock</option>
+        <option value="*">MIDI clock (any)</option>
+        {midiDevices.map((d) => (
+          <option key={d.id} value={d.id}>MIDI: {d.name}</option>
+        ))}
+      </select>
+
+      <select
+        className="toolbar-input transport-clock-out"
+        value={t.clockOutDevice ?? ''}
+        onChange={(e) => t.setClockOut(e.target.value)}
+        title="Send MIDI clock and start/stop to an output"
+      >
+        <option value="">clock out: off</option>
+        {t.outputDevices.map((d) => (
+          <option key={d.id} value={d.id}>out: {d.name}</option>
+        ))}
+      </select>
+    </div>
+  );
+}
@@ -50,7 +50,20 @@ export const SCOPE_H = 140;
 export const SCOPE_DISPLAY_SAMPLES = 512;
 export const SCOPE_BUFFER_SIZE = 1024;
 
-// ── Default scaling factors for audio-rate modulation depth ──
+// ── Feedback cables ──────────────────────────────────────
+// Gain where a feedback cable re-enters its loop; kept below 1 so
+// the loop dies away instead of running up to the limiter
+export const FEEDBACK_GAIN = 0.5;
+export const FEEDBACK_GAIN_MAX = 0.98;
+
+// ── Audio-rate modulation depth ──────────────────────────
+// Each cable has an attenuverter: -1 inverts, 0 mutes, 1 is the
+// full deviation below
+export const MOD_DEPTH_DEFAULT = 1;
+export const MOD_DEPTH_MAX = 1;
+
+// Scaling per param at depth 1: a modulator's amp times this is
+// the deviation it causes
 export const MOD_DEPTH_SCALES = {
   freq:     400,    // amp 0.5 → ±200 Hz frequency deviation (audible FM)
   amp:      1,      // amp 0.5 → ±0.5 amplitude modulation (full-depth AM)
@@ -65,3 +78,8 @@ export const MOD_DEPTH_SCALES = {
   level:    1,      // amp 0.5 → ±0.5 gate level modulation (full range)
   gate:     1,      // amp 0.5 → ±0.5 gate CV modulation (full range)
 };
+
+// ── Control-rate cable ranges ────────────────────────────
+// Longest slew a cable's range mapping takes to follow its
+// source, in seconds
+export const CABLE_SLEW_MAX = 10;
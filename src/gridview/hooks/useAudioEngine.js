@@ -2,6 +2,7 @@ import { useState, useRef, useCallback, useEffect } from 'react';
 import { GridEngine } from '../../audio/gridEngine';
 import { ScriptRunner } from '../../audio/scriptRunner';
 import { EnvelopeRunner } from '../../audio/envelopeRunner';
+import { PolyVoiceAllocator } from '../../audio/polyVoiceAllocator';
 import { initMidi, getInputDevices, onDeviceChange } from '../../audio/midiListener';
 import { NODE_SCHEMA } from '../nodeSchema';
 
@@ -17,13 +18,18 @@ export function useAudioEngine({
   setRunningSequencers,
   setScriptLogs,
   setMidiDevices,
+  setPolyVoiceCounts,
   midiListenersRef,
   pulserRunnerRef,
   sequencerRunnerRef,
+  scheduler,
+  transport,
+  controlOutRef,
 }) {
   const engineRef = useRef(null);
   const scriptRunnerRef = useRef(null);
   const envelopeRunnerRef = useRef(null);
+  const polyVoiceRef = useRef(null);
 
   const [status, setStatus] = useState('Boot the engine to begin');
   const [booted, setBooted] = useState(false);
@@ -61,25 +67,15 @@ export function useAudioEngine({
       scopeBuffersRef.current.set(nodeId, samples);
     };
 
+    polyVoiceRef.current = new PolyVoiceAllocator(engineRef.current, (nodeId, count) => {
+      setPolyVoiceCounts((prev) => (prev[nodeId] === count ? prev : { ...prev, [nodeId]: count }));
+    });
+
     scriptRunnerRef.current = new ScriptRunner({
-      onOutput: (nodeId, outputIndex, value) => {
-        setNodes((prev) => {
-          const node = prev[nodeId];
-          if (!node) return prev;
-          const paramKey = `out_${outputIndex}`;
-          return {
-            ...prev,
-            [nodeId]: {
-              ...node,
-              params: {
-                ...node.params,
-                [paramKey]: value,
-                // Keep 'value' in sync with output 0 for backward compat
-                ...(outputIndex === 0 ? { value } : {}),
-              },
-            },
-          };
-        });
+      scheduler,
+      transport,
+      onOutput: (nodeId, outputIndex, value, time) => {
+        controlOutRef.current?.(nodeId, outputIndex, value, time);
       },
       onLog: (nodeId, ...args) => {
         const line = args.map((a) =>
@@ -106,21 +102,16 @@ export function useAudioEngine({
           prev.filter((c) => !(c.fromNodeId === nodeId && c.fromPortIndex >= count))
         );
       },
+      onNote: (nodeId, note, velocity) => {
+        polyVoiceRef.current?.dispatch(nodeId, note, velocity);
+      },
     });
 
-    envelopeRunnerRef.current = new EnvelopeRunner((nodeId, value) => {
-      setNodes((prev) => {
-        const node = prev[nodeId];
-        if (!node) return prev;
-        return {
-          ...prev,
-          [nodeId]: {
-            ...node,
-            params: { ...node.params, value },
-          },
-        };
-      });
-    });
+    envelopeRunnerRef.current = new EnvelopeRunner(
+      (nodeId, value, time) => controlOutRef.current?.(nodeId, 0, value, time),
+      scheduler,
+      transport,
+    );
 
     // Initialize MIDI access
     initMidi().then((ok) => {
@@ -131,7 +122,8 @@ export function useAudioEngine({
     return () => {
       engineRef.current?.stopAll();
       scriptRunnerRef.current?.stopAll();
-      envelopeRunnerRef.current?.stopAll();
+      envelopeRunnerRef.current?.dispose();
+      polyVoiceRef.current?.stopAll();
       // Stop all MIDI listeners
       for (const listener of midiListenersRef.current.values()) {
         listener.stop();
@@ -141,6 +133,25 @@ export function useAudioEngine({
     };
   }, []);
 
+  // ── OSC diagnostics ───────────────────────────────────
+  // Outgoing message rates, sampled once a second for the status bar
+  const [oscRate, setOscRate] = useState(null);
+  useEffect(() => {
+    if (!booted) return;
+    let last = engineRef.current.getDiagnostics();
+    const timer = setInterval(() => {
+      const cur = engineRef.current.getDiagnostics();
+      setOscRate({
+        messages: cur.messages - last.messages,
+        bundles: cur.bundles - last.bundles,
+        skipped: cur.skipped - last.skipped,
+        synths: cur.synths,
+      });
+      last = cur;
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [booted]);
+
   // ── Boot engine ───────────────────────────────────────
   const nextId = useRef(1);
 
@@ -201,13 +212,20 @@ export function useAudioEngine({
       node.bangSize = 60;
     }
     if (type === 'midi_in') {
-      node.midiMode = 'cc';       // 'cc' or 'note'
+      node.midiMode = 'cc';       // one of MIDI_IN_MODES
       node.midiChannel = 0;       // 0 = omni, 1-16 = specific
-      node.midiCcNumber = 1;      // CC number (0-127)
+      node.midiCcNumber = 1;      // CC number (0-127), CC and 14-bit CC modes
+      node.midiNrpnNumber = 0;    // NRPN parameter (0-16383), NRPN mode
       node.midiDeviceId = null;   // null = any device
       node.midiLastNote = null;   // last received note number
       node.midiGate = 0;          // note on/off state
     }
+    if (type === 'midi_out') {
+      node.midiMode = 'note';     // 'note' | 'cc' | 'bend' | 'program'
+      node.midiChannel = 1;       // 1-16
+      node.midiCcNumber = 1;      // CC number (0-127), CC mode only
+      node.midiDeviceId = null;   // null = first output
+    }
     if (type === 'print') {
       node.printPrefix = 'print';
       node.printColor = '#e07050';
@@ -215,6 +233,10 @@ export function useAudioEngine({
     if (type === 'sequencer') {
       node.seqCurrentStep = 0;
     }
+    if (type === 'poly_voice') {
+      node.polyVoiceType = 'pluck';  // wrapped instrument (see POLY_VOICE_TYPES)
+      node.polySteal = 'oldest';     // 'oldest' | 'quietest' | 'none'
+    }
     setNodes((prev) => {
       const count = Object.keys(prev).length;
       const col = Math.max(0, count - 1) % 3;
@@ -223,16 +245,21 @@ export function useAudioEngine({
       node.y = 40 + row * 220;
       return { ...prev, [id]: node };
     });
+    return id;
   }, []);
 
-  // ── Remove node ───────────────────────────────────────
-  const removeNode = useCallback(
+  // ── Release node ──────────────────────────────────────
+  // Stops everything a node owns (synth, runners, listeners) without
+  // touching graph state. Used by removeNode and by undo/redo when a
+  // restored snapshot no longer contains the node.
+  const releaseNode = useCallback(
     (id) => {
       engineRef.current?.stop(id);
       engineRef.current?.stopScope(id);
       engineRef.current?.freeBuffer(id);
       scriptRunnerRef.current?.stop(id);
       envelopeRunnerRef.current?.stop(id);
+      polyVoiceRef.current?.remove(id);
       pulserRunnerRef?.current?.stop(id);
       sequencerRunnerRef?.current?.stop(id);
       scopeBuffersRef.current.delete(id);
@@ -262,6 +289,14 @@ export function useAudioEngine({
         next.delete(id);
         return next;
       });
+    },
+    []
+  );
+
+  // ── Remove node ───────────────────────────────────────
+  const removeNode = useCallback(
+    (id) => {
+      releaseNode(id);
       setNodes((prev) => {
         const next = { ...prev };
         delete next[id];
@@ -271,19 +306,22 @@ export function useAudioEngine({
         prev.filter((c) => c.fromNodeId !== id && c.toNodeId !== id)
       );
     },
-    []
+    [releaseNode, setNodes, setConnections]
   );
 
   return {
     engineRef,
     scriptRunnerRef,
     envelopeRunnerRef,
+    polyVoiceRef,
     nextId,
     status,
     booted,
     booting,
+    oscRate,
     handleBoot,
     addNode,
+    releaseNode,
     removeNode,
     setStatus,
   };
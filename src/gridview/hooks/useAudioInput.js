@@ -0,0 +1,46 @@
+import { useState, useEffect, useCallback } from 'react';
+
+/**
+ * Hook opening the live audio input for Audio In modules.
+ *
+ * The microphone / line in is requested once the engine is booted
+ * and an audio_in node is on the grid, and released when the last
+ * one goes. Returns the input's state for display:
+ *   'off'          no Audio In module (or engine not booted)
+ *   'pending'      waiting for the browser's permission prompt
+ *   'on'           streaming into scsynth's input buses
+ *   'denied'       permission refused
+ *   'unavailable'  no input device, or no getUserMedia
+ * and retryAudioInput(), which asks again after a failure.
+ */
+export function useAudioInput({ nodes, engineRef, booted }) {
+  const [result, setResult] = useState(null); // { attempt, state } of the latest request
+  const [attempt, setAttempt] = useState(0);
+
+  const wanted = booted && Object.values(nodes).some((n) => n.type === 'audio_in');
+
+  useEffect(() => {
+    const engine = engineRef.current;
+    if (!wanted || !engine) return;
+    let cancelled = false;
+    engine.startAudioInput().then(
+      () => !cancelled && setResult({ attempt, state: 'on' }),
+      (err) => {
+        if (cancelled) return;
+        console.warn('[AudioIn]', err);
+        setResult({ attempt, state: err?.name === 'NotAllowedError' ? 'denied' : 'unavailable' });
+      },
+    );
+    return () => {
+      cancelled = true;
+      engine.stopAudioInput();
+    };
+  }, [wanted, attempt, engineRef]);
+
+  const retryAudioInput = useCallback(() => setAttempt((n) => n + 1), []);
+
+  let audioInput = 'off';
+  if (wanted) audioInput = result?.attempt === attempt ? result.state : 'pending';
+
+  return { audioInput, retryAudioInput };
+}
@@ -0,0 +1,54 @@
+import { useState, useCallback } from 'react';
+import { bounceToWav } from '../offlineBounce';
+
+export function useBounce({ nodes, connections, engineRef, setStatus }) {
+  const [bouncing, setBouncing] = useState(false);
+  const [bounceSeconds, setBounceSeconds] = useState(10);
+  const [bounceBitDepth, setBounceBitDepth] = useState(24);
+
+  const handleBounce = useCallback(async () => {
+    const engine = engineRef.current;
+    if (!engine?.booted || bouncing) return;
+
+    const seconds = Math.max(0.1, Math.min(600, Number(bounceSeconds) || 0));
+    setBouncing(true);
+    const t0 = performance.now();
+
+    try {
+      const { wav } = await bounceToWav({
+        nodes,
+        connections,
+        seconds,
+        bitDepth: bounceBitDepth,
+        liveEngine: engine,
+        onStatus: setStatus,
+      });
+
+      const blob = new Blob([wav], { type: 'audio/wav' });
+      const ts = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `ora-bounce-${ts}-${bounceBitDepth}bit.wav`;
+      a.click();
+      URL.revokeObjectURL(url);
+
+      const elapsed = ((performance.now() - t0) / 1000).toFixed(1);
+      setStatus(`Bounced ${seconds}s to WAV in ${elapsed}s`);
+    } catch (err) {
+      console.error('[Bounce] Failed:', err);
+      setStatus(`Bounce failed: ${err.message}`);
+    } finally {
+      setBouncing(false);
+    }
+  }, [nodes, connections, engineRef, setStatus, bouncing, bounceSeconds, bounceBitDepth]);
+
+  return {
+    bouncing,
+    bounceSeconds,
+    setBounceSeconds,
+    bounceBitDepth,
+    setBounceBitDepth,
+    handleBounce,
+  };
+}
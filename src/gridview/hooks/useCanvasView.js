@@ -0,0 +1,214 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { isTextField, measureNodeBounds } from '../utils';
+
+// ════════════════════════════════════════════════════════════
+//  CANVAS VIEW (zoom / pan)
+//
+//  Nodes, cables and the selection band live in a "world" layer
+//  positioned with translate(x, y) scale(zoom). Everything stored
+//  in the graph — node positions, port positions, cable paths — is
+//  in unscaled world pixels; only pointer input is converted, via
+//  toWorld().
+// ════════════════════════════════════════════════════════════
+
+// Focusable elements space activates or toggles
+const SPACE_CONTROLS = 'button, a[href], select, summary, input[type="checkbox"], input[type="radio"], input[type="button"], input[type="submit"], input[type="file"], input[type="color"], [role="button"]';
+
+export const MIN_ZOOM = 0.2;
+export const MAX_ZOOM = 2.5;
+const FIT_PADDING = 40;
+
+const clampZoom = (z) => Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, z));
+
+export function useCanvasView({ canvasRef }) {
+  const [view, setView] = useState({ x: 0, y: 0, zoom: 1 });
+  const [spaceHeld, setSpaceHeld] = useState(false);
+  const [panning, setPanning] = useState(false);
+  const pinchRef = useRef(null); // { dist, cx, cy } of an active two-finger gesture
+
+  /** Convert a client-space point to world (graph) coordinates. */
+  const toWorld = useCallback((clientX, clientY) => {
+    const canvas = canvasRef.current;
+    if (!canvas) return { x: 0, y: 0 };
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: (clientX - rect.left - view.x) / view.zoom,
+      y: (clientY - rect.top - view.y) / view.zoom,
+    };
+  }, [canvasRef, view]);
+
+  /** Scale by `factor`, keeping the point under (clientX, clientY) fixed. */
+  const zoomAt = useCallback((factor, clientX, clientY) => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const rect = canvas.getBoundingClientRect();
+    const px = clientX - rect.left;
+    const py = clientY - rect.top;
+    setView((v) => {
+      const zoom = clampZoom(v.zoom * factor);
+      const k = zoom / v.zoom;
+      return { x: px - (px - v.x) * k, y: py - (py - v.y) * k, zoom };
+    });
+  }, [canvasRef]);
+
+  // Zoom about the canvas center (toolbar buttons)
+  const zoomBy = useCallback((factor) => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const rect = canvas.getBoundingClientRect();
+    zoomAt(factor, rect.left + rect.width / 2, rect.top + rect.height / 2);
+  }, [canvasRef, zoomAt]);
+
+  const resetZoom = useCallback(() => {
+    setView({ x: 0, y: 0, zoom: 1 });
+  }, []);
+
+  // Fit every node in view; never zooms in past 100%
+  const zoomToFit = useCallback(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const bounds = measureNodeBounds(canvas);
+    if (!bounds) {
+      resetZoom();
+      return;
+    }
+    const w = bounds.maxX - bounds.minX;
+    const h = bounds.maxY - bounds.minY;
+    const zoom = clampZoom(Math.min(
+      (canvas.clientWidth - FIT_PADDING * 2) / w,
+      (canvas.clientHeight - FIT_PADDING * 2) / h,
+      1
+    ));
+    setView({
+      x: (canvas.clientWidth - w * zoom) / 2 - bounds.minX * zoom,
+      y: (canvas.clientHeight - h * zoom) / 2 - bounds.minY * zoom,
+      zoom,
+    });
+  }, [canvasRef, resetZoom]);
+
+  // Center the viewport on a world point (minimap navigation)
+  const centerOn = useCallback((wx, wy) => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    setView((v) => ({
+      ...v,
+      x: canvas.clientWidth / 2 - wx * v.zoom,
+      y: canvas.clientHeight / 2 - wy * v.zoom,
+    }));
+  }, [canvasRef]);
+
+  // Space-drag or middle-button drag pans. Runs in the capture phase
+  // so it takes precedence over node drags and port clicks.
+  const onPanMouseDownCapture = useCallback((e) => {
+    if (!(spaceHeld && e.button === 0) && e.button !== 1) return;
+    e.preventDefault();
+    e.stopPropagation();
+    setPanning(true);
+    let lastX = e.clientX;
+    let lastY = e.clientY;
+    const onMove = (me) => {
+      const dx = me.clientX - lastX;
+      const dy = me.clientY - lastY;
+      lastX = me.clientX;
+      lastY = me.clientY;
+      setView((v) => ({ ...v, x: v.x + dx, y: v.y + dy }));
+    };
+    const onUp = () => {
+      setPanning(false);
+      window.removeEventListener('mousemove', onMove);
+      window.removeEventListener('mouseup', onUp);
+    };
+    window.addEventListener('mousemove', onMove);
+    window.addEventListener('mouseup', onUp);
+  }, [spaceHeld]);
+
+  // Wheel pans; Ctrl/Cmd+wheel (and trackpad pinch, which browsers
+  // report as a ctrl-wheel) zooms. Touch pinch zooms and pans.
+  // Registered natively because React wheel/touch listeners are passive.
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const onWheel = (e) => {
+      if (e.target.closest('.cm-editor')) return; // let code editors scroll
+      e.preventDefault();
+      if (e.ctrlKey || e.metaKey) {
+        zoomAt(Math.exp(-e.deltaY * 0.01), e.clientX, e.clientY);
+      } else {
+        setView((v) => ({ ...v, x: v.x - e.deltaX, y: v.y - e.deltaY }));
+      }
+    };
+
+    const pinchState = (touches) => {
+      const [a, b] = touches;
+      return {
+        dist: Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY),
+        cx: (a.clientX + b.clientX) / 2,
+        cy: (a.clientY + b.clientY) / 2,
+      };
+    };
+    const onTouchStart = (e) => {
+      if (e.touches.length === 2) pinchRef.current = pinchState(e.touches);
+    };
+    const onTouchMove = (e) => {
+      const prev = pinchRef.current;
+      if (!prev || e.touches.length !== 2) return;
+      e.preventDefault();
+      const next = pinchState(e.touches);
+      setView((v) => ({ ...v, x: v.x + next.cx - prev.cx, y: v.y + next.cy - prev.cy }));
+      if (prev.dist > 0) zoomAt(next.dist / prev.dist, next.cx, next.cy);
+      pinchRef.current = next;
+    };
+    const onTouchEnd = (e) => {
+      if (e.touches.length < 2) pinchRef.current = null;
+    };
+
+    canvas.addEventListener('wheel', onWheel, { passive: false });
+    canvas.addEventListener('touchstart', onTouchStart, { passive: true });
+    canvas.addEventListener('touchmove', onTouchMove, { passive: false });
+    canvas.addEventListener('touchend', onTouchEnd);
+    canvas.addEventListener('touchcancel', onTouchEnd);
+    return () => {
+      canvas.removeEventListener('wheel', onWheel);
+      canvas.removeEventListener('touchstart', onTouchStart);
+      canvas.removeEventListener('touchmove', onTouchMove);
+      canvas.removeEventListener('touchend', onTouchEnd);
+      canvas.removeEventListener('touchcancel', onTouchEnd);
+    };
+  }, [canvasRef, zoomAt]);
+
+  // Hold space to pan — unless a text field or control has focus,
+  // where space types or activates it. Sliders keep focus after a
+  // drag but do nothing with space, so they don't block panning.
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.code !== 'Space' || isTextField(e.target) || e.target.closest?.(SPACE_CONTROLS)) return;
+      e.preventDefault();
+      setSpaceHeld(true);
+    };
+    const onKeyUp = (e) => {
+      if (e.code === 'Space') setSpaceHeld(false);
+    };
+    const onBlur = () => setSpaceHeld(false);
+    window.addEventListener('keydown', onKeyDown);
+    window.addEventListener('keyup', onKeyUp);
+    window.addEventListener('blur', onBlur);
+    return () => {
+      window.removeEventListener('keydown', onKeyDown);
+      window.removeEventListener('keyup', onKeyUp);
+      window.removeEventListener('blur', onBlur);
+    };
+  }, []);
+
+  return {
+    view,
+    spaceHeld,
+    panning,
+    toWorld,
+    zoomBy,
+    resetZoom,
+    zoomToFit,
+    centerOn,
+    onPanMouseDownCapture,
+  };
+}
@@ -0,0 +1,178 @@
+import { useRef, useCallback, useEffect } from 'react';
+import { NODE_SCHEMA } from '../nodeSchema';
+import { FRAGMENT_FORMAT, buildFragment, deserializeNode, deserializeConnection } from '../patchFormat';
+import { isTextField } from '../utils';
+import { migratePatch } from '../patchSchema';
+import { remapMacro } from '../macros';
+
+// Offset applied to pasted / duplicated modules so they don't
+// land exactly on top of the originals
+const PASTE_OFFSET = 30;
+
+// Claim the next id from a shared counter ref
+const takeId = (counterRef) => counterRef.current++;
+
+export function useClipboard({
+  nodes,
+  connections,
+  selectedIds,
+  setSelectedIds,
+  scope,
+  setSelectedNodeId,
+  nextId,
+  connId,
+  setNodes,
+  setConnections,
+  record,
+  restoreSample,
+  setStatus,
+}) {
+  const pasteCountRef = useRef(0); // consecutive pastes of the same fragment
+  const lastFragmentRef = useRef(null);
+
+  // Insert a fragment with fresh node/connection ids; returns the ids
+  // of the new top-level modules. Those are shifted by (dx, dy) and
+  // land in the macro being edited, if any; modules inside a pasted
+  // macro keep their layout.
+  const insertFragment = useCallback((fragment, { dx = 0, dy = 0, label = null } = {}) => {
+    const source = (fragment.nodes ?? []).filter((n) => NODE_SCHEMA[n.type]);
+    if (scope != null && source.some((n) => n.type === 'macro')) {
+      setStatus("Macros can't be placed inside another macro");
+      return [];
+    }
+    if (source.length === 0) return [];
+
+    const idMap = new Map();
+    for (const n of source) idMap.set(n.id, takeId(nextId));
+    const added = {};
+    const roots = [];
+    for (const n of source) {
+      const node = deserializeNode(n);
+      node.id = idMap.get(n.id);
+      if (idMap.has(n.macroId)) {
+        node.macroId = idMap.get(n.macroId);
+      } else {
+        if (scope != null) node.macroId = scope;
+        else delete node.macroId;
+        node.x = (node.x ?? 0) + dx;
+        node.y = (node.y ?? 0) + dy;
+        roots.push(node.id);
+      }
+      if (node.macro) node.macro = remapMacro(node.macro, idMap);
+      added[node.id] = node;
+    }
+
+    const addedConns = [];
+    for (const c of fragment.connections ?? []) {
+      if (!idMap.has(c.from) || !idMap.has(c.to)) continue;
+      const conn = deserializeConnection(c);
+      conn.id = takeId(connId);
+      conn.fromNodeId = idMap.get(c.from);
+      conn.toNodeId = idMap.get(c.to);
+      addedConns.push(conn);
+    }
+
+    const count = roots.length;
+    record(label ?? (count > 1 ? `Paste ${count} modules` : `Paste ${NODE_SCHEMA[added[roots[0]].type].label}`));
+    setNodes((prev) => ({ ...prev, ...added }));
+    setConnections((prev) => [...prev, ...addedConns]);
+
+    // Sample players: built-in samples reload by name, custom ones
+    // if the fragment carries them or this tab has loaded the file
+    const missing = [];
+    for (const node of Object.values(added)) {
+      if (node.type !== 'sample_player') continue;
+      if (!restoreSample(node.id, node, fragment.samples?.[node.sampleHash])) missing.push(node.sampleName);
+    }
+    if (missing.length > 0) setStatus(`Sample not available in this tab: ${missing.join(', ')}`);
+
+    setSelectedIds(new Set(roots));
+    setSelectedNodeId(roots.length === 1 ? roots[0] : null);
+    return roots;
+  }, [scope, nextId, connId, record, setNodes, setConnections, setSelectedIds, setSelectedNodeId, restoreSample, setStatus]);
+
+  const copySelection = useCallback(() => {
+    const ids = [...selectedIds].filter((id) => nodes[id]);
+    if (ids.length === 0) return null;
+    const fragment = buildFragment(nodes, connections, ids);
+    lastFragmentRef.current = fragment;
+    pasteCountRef.current = 0;
+    return fragment;
+  }, [nodes, connections, selectedIds]);
+
+  const pasteFragment = useCallback((fragment) => {
+    if (fragment !== lastFragmentRef.current) {
+      lastFragmentRef.current = fragment;
+      pasteCountRef.current = 0;
+    }
+    pasteCountRef.current += 1;
+    const offset = PASTE_OFFSET * pasteCountRef.current;
+    const ids = insertFragment(fragment, { dx: offset, dy: offset });
+    if (ids.length > 0) setStatus(`Pasted ${ids.length} module${ids.length > 1 ? 's' : ''}`);
+  }, [insertFragment, setStatus]);
+
+  const handleDuplicate = useCallback(() => {
+    const ids = [...selectedIds].filter((id) => nodes[id]);
+    if (ids.length === 0) return;
+    insertFragment(buildFragment(nodes, connections, ids), { dx: PASTE_OFFSET, dy: PASTE_OFFSET });
+  }, [nodes, connections, selectedIds, insertFragment]);
+
+  // Copy / paste go through the system clipboard as JSON text so
+  // fragments travel between tabs. Text fields keep native behavior.
+  useEffect(() => {
+    const onCopy = (e) => {
+      if (isTextField(e.target) || window.getSelection()?.toString()) return;
+      const fragment = copySelection();
+      if (!fragment) return;
+      e.clipboardData.setData('text/plain', JSON.stringify(fragment));
+      e.preventDefault();
+      setStatus(`Copied ${fragment.nodes.length} module${fragment.nodes.length > 1 ? 's' : ''}`);
+    };
+
+    const onPaste = (e) => {
+      if (isTextField(e.target)) return;
+      const text = e.clipboardData.getData('text/plain');
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch {
+        return; // not ours
+      }
+      // Accept fragments and whole patch files alike
+      if (data?.format !== FRAGMENT_FORMAT && !(Array.isArray(data?.nodes) && Array.isArray(data?.connections))) return;
+      e.preventDefault();
+      // Re-pasting the same text keeps stepping the offset
+      const same = lastFragmentRef.current && JSON.stringify(lastFragmentRef.current) === text;
+      if (same) {
+        pasteFragment(lastFragmentRef.current);
+        return;
+      }
+      // Text from elsewhere gets the same upgrade / validation as a loaded patch
+      const { patch, report } = migratePatch(data);
+      if (report.fatal) {
+        setStatus(`Can't paste: ${report.fatal}`);
+        return;
+      }
+      pasteFragment(patch);
+    };
+
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || isTextField(e.target)) return;
+      if (e.key.toLowerCase() === 'd') {
+        e.preventDefault();
+        handleDuplicate();
+      }
+    };
+
+    window.addEventListener('copy', onCopy);
+    window.addEventListener('paste', onPaste);
+    window.addEventListener('keydown', onKeyDown);
+    return () => {
+      window.removeEventListener('copy', onCopy);
+      window.removeEventListener('paste', onPaste);
+      window.removeEventListener('keydown', onKeyDown);
+    };
+  }, [copySelection, pasteFragment, handleDuplicate, setStatus]);
+
+  return { copySelection, pasteFragment, handleDuplicate, insertFragment };
+}
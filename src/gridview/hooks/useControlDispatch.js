@@ -0,0 +1,90 @@
+import { useRef, useEffect } from 'react';
+import { NODE_SCHEMA } from '../nodeSchema';
+import { controlBusKey } from '../utils';
+
+// Modules with a 'trig' param driven by control values
+const TRIGGERED = new Set(['sequencer', 'envelope', 'sample_player']);
+
+/**
+ * Hook delivering the output of the scheduled control runners
+ * (Pulser, Sequencer, Envelope, Script) through `controlOutRef`.
+ *
+ * Each value comes with the time it's due on the lookahead
+ * scheduler's clock, up to LOOKAHEAD seconds early. Straight away
+ * it's written to the control bus of every param it modulates as a
+ * timestamped bundle, and handed on with the same time to the
+ * sequencers, envelopes and sample players it triggers, and to
+ * the MIDI Out modules it feeds. When the time arrives the node's
+ * value in graph state follows, for display.
+ */
+export function useControlDispatch({
+  scheduler,
+  controlOutRef,
+  nodes,
+  connections,
+  setNodes,
+  engineRef,
+  sequencerRunnerRef,
+  midiOutsRef,
+  triggerEnvelope,
+  handleSampleTrigger,
+}) {
+  const graphRef = useRef({ nodes, connections });
+  const prevTrigRef = useRef({}); // connId → last value (rising-edge detection)
+
+  useEffect(() => {
+    graphRef.current = { nodes, connections };
+  }, [nodes, connections]);
+
+  useEffect(() => () => scheduler.stopAll(), [scheduler]);
+
+  useEffect(() => {
+    controlOutRef.current = (nodeId, outputIndex, value, time = scheduler.now()) => {
+      const { nodes: graph, connections: conns } = graphRef.current;
+      const node = graph[nodeId];
+      if (!node) return;
+      const engine = engineRef.current;
+
+      for (const conn of conns) {
+        if (conn.fromNodeId !== nodeId || (conn.fromPortIndex ?? 0) !== outputIndex) continue;
+        if (!conn.toParam || conn.isAudioRate) continue;
+        const target = graph[conn.toNodeId];
+        if (!target) continue;
+
+        if (conn.toParam === 'trig' && TRIGGERED.has(target.type)) {
+          const prev = prevTrigRef.current[conn.id] ?? 0;
+          prevTrigRef.current[conn.id] = value;
+          if (target.type === 'sequencer') {
+            sequencerRunnerRef.current?.updateTrigger(target.id, value, time);
+          } else if (value >= 0.5 && prev < 0.5) {
+            if (target.type === 'envelope') triggerEnvelope(target.id, target, time);
+            else handleSampleTrigger(target.id, time);
+          }
+          continue;
+        }
+
+        if (target.type === 'midi_out') {
+          midiOutsRef.current.get(target.id)?.set(conn.toParam, value, time);
+          continue;
+        }
+
+        // Buses are allocated by the routing pass; unrouted params wait for it
+        const bus = engine?.getControlBus(controlBusKey(conn));
+        if (bus == null) continue;
+        engine.setControlBusAt(bus, value, time);
+      }
+
+      // Scripts keep 'value' in sync with output 0 for backward compat
+      const params = NODE_SCHEMA[node.type]?.category === 'script'
+        ? { [`out_${outputIndex}`]: value, ...(outputIndex === 0 ? { value } : {}) }
+        : { value };
+      scheduler.at(`out:${nodeId}`, time, () => {
+        setNodes((prev) => {
+          const n = prev[nodeId];
+          if (!n || Object.entries(params).every(([k, v]) => n.params[k] === v)) return prev;
+          return { ...prev, [nodeId]: { ...n, params: { ...n.params, ...params } } };
+        });
+      });
+    };
+  }, [scheduler, controlOutRef, setNodes, engineRef, sequencerRunnerRef, midiOutsRef, triggerEnvelope, handleSampleTrigger]);
+}
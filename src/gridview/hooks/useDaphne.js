@@ -25,6 +25,10 @@ The grid view is a modular synthesis environment. Users create nodes, connect th
 - pad — dark ambience pad (params: note, amp, attack, sustain, release)
 - hollow — hollow resonant texture (params: note, amp, attack, sustain, release)
 - noise — brown 1/f² noise (params: amp, attack, sustain, release)
+- poly_voice — polyphonic voice allocator wrapping one instrument above (params: voices, amp, attack, release, cutoff; node fields: polyVoiceType, polySteal). Patch midi_in (note mode) or a script into its "notes" param
+
+**Live input**:
+- audio_in — microphone / line in from the browser's default input, stereo (params: amp). Patch it into FX like any source
 
 **Filters** (frequency shaping, category: fx):
 - fx_lpf — low-pass (params: freq, in_amp)
@@ -41,12 +45,40 @@ The grid view is a modular synthesis environment. Users create nodes, connect th
 - fx_distortion — waveshaping (params: drive, mix, in_amp)
 - fx_flanger — flanger (params: rate, depth, mix, feedback, in_amp)
 - comb — comb filter (params: freq, decay, in_amp)
+- fx_gverb — large space reverb; room is fixed when the synth starts (params: room, release, damp, spread, ref_level, tail_level, dry, mix)
+- fx_ping_pong — stereo bouncing echo (params: phase, feedback, pan_start, mix)
+
+**Tone** (category: fx; pitches are MIDI notes):
+- fx_eq — 5-band EQ, gains -1..1 (params: low_shelf, low, low_note, mid, mid_note, high, high_note, high_shelf, mix)
+- fx_band_eq — single band boost / cut (params: freq, res, db, mix)
+- fx_vowel — formant filter (params: vowel_sound 1-5 = a e i o u, voice 0-4, mix)
+
+**Drive & Dynamics** (category: fx):
+- fx_krush — crunchy overdrive (params: gain, cutoff, res, mix)
+- fx_tanh — soft saturation (params: krunch, mix)
+- fx_bitcrusher — sample rate & bit reduction (params: sample_rate, bits, cutoff, mix)
+- fx_compressor — compressor (params: threshold, slope_above, slope_below, clamp_time, relax_time, mix)
+- fx_normaliser — level normaliser (params: level, mix)
+
+**Pitch** (category: fx):
+- fx_pitch_shift — granular pitch shifter (params: pitch in semitones, window_size, pitch_dis, time_dis, mix)
+- fx_whammy — pitch shift pedal (params: transpose, deltime, grainsize, mix)
+- fx_octaver — octave up & down (params: super_amp, sub_amp, subsub_amp, mix)
+- fx_autotuner — pitch correction to note, 0 = nearest semitone (params: note, transpose, formant_ratio, mix)
+- fx_ring_mod — ring modulator (params: freq as MIDI note, mod_amp, mix)
+
+**Rhythmic** (category: fx; wave 0 saw, 1 pulse, 2 triangle, 3 sine; phase = cycle length in seconds):
+- fx_slicer — rhythmic volume gate (params: phase, wave, pulse_width, amp_min, amp_max, smooth, probability, mix)
+- fx_panslicer — rhythmic auto-pan (params: phase, wave, pulse_width, pan_min, pan_max, smooth, probability, mix)
+- fx_tremolo — volume wobble (params: phase, depth, mix)
+- fx_wobble — swept resonant filter (params: phase, wave, cutoff_min, cutoff_max, res, filter 0 lpf / 1 hpf, mix)
 
 **Control** (modulation sources):
 - constant — fixed value output (params: value)
 - envelope — breakpoint envelope with trigger input (params: value, trig)
 - bang — manual trigger button (params: value)
-- midi_in — MIDI controller input (params: value)
+- midi_in — MIDI controller input (params: value; node fields: midiMode 'cc'|'note'|'bend'|'aftertouch'|'poly_at'|'program'|'cc14'|'nrpn'|'mpe', midiChannel 0-16 (0 = omni), midiCcNumber, midiNrpnNumber). MPE mode has four outputs: pitch, press, timbre, gate (set numOutputs: 4)
+- midi_out — sends to a MIDI device (params: value, gate, velocity; node fields: midiMode 'note'|'cc'|'bend'|'program', midiChannel 1-16, midiCcNumber). Note mode: gate rising = note on for note number value
 
 **Utility**:
 - multiply — signal multiplier (params: factor)
@@ -85,7 +117,9 @@ When asked to create a preset/patch, output valid JSON in this exact format:
       "to": <target node id>,
       "toPort": <target port index for audio, or -1 for param modulation>,
       "toParam": "<param name if modulating a param>",
-      "isAudioRate": <true if audio-rate modulation>
+      "isAudioRate": <true if audio-rate modulation>,
+      "modDepth": <audio-rate only: -1 to 1, default 1; negative inverts>,
+      "range": <control-rate only, optional: { "min", "max", "offset", "scale", "curve": "lin"|"exp", "invert", "slew" }>
     }
   ]
 }
@@ -94,8 +128,8 @@ When asked to create a preset/patch, output valid JSON in this exact format:
 ### Connection Rules
 - Audio routing: fromPort 0 → toPort 0 (audio input)
 - Parameter modulation: fromPort 0 → toPort -1, with toParam set to the parameter name
-- Audio-rate modulation (oscillator→param): set isAudioRate: true
-- Control-rate modulation (envelope/constant/script→param): omit isAudioRate or set false
+- Audio-rate modulation (oscillator→param): set isAudioRate: true. Several modulators into one param sum; one modulator can feed many params, each cable with its own modDepth
+- Control-rate modulation (envelope/constant/script→param): omit isAudioRate or set false. Without a range the raw source value (0–127 for scripts, constants and sequencers, 0–1 for envelopes) becomes the param value; with one, value × scale + offset is clipped to 0–1 (optionally inverted) and spread over min–max, e.g. an envelope into freq with { "min": 200, "max": 2000, "scale": 1, "offset": 0, "curve": "exp" }; slew is in seconds
 - Every patch needs exactly one audioOut node
 - Source nodes connect to fx nodes which connect to audioOut
 - Place nodes with ~200px spacing for readability
@@ -105,10 +139,12 @@ Scripts run in a sandbox. Available functions:
 - out(value) — set output value
 - pattern(values, durations) — cycling pattern
 - tuplet(divisions, duration) — nested rhythmic subdivisions
+- pattern/tuplet(…, { sync: true }) — durations in beats of the global transport; bpm(), beats(n) → seconds
 - routine(function*() {...}) — generator-based sequencer
 - lfo(rate, min, max) — sine LFO
 - ramp(from, to, duration) — linear interpolation
 - random(min, max), randomInt(min, max)
+- noteOn(note, vel), noteOff(note), playNote(note, dur, vel) — note events for connected poly_voice nodes
 - Note constants: C4, Cs4, D4, etc.
 - r (rest), _ (tie), w(weight, content) for tuplets
 
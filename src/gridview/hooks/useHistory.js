@@ -0,0 +1,134 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { isTextField } from '../utils';
+
+// ════════════════════════════════════════════════════════════
+//  EDIT HISTORY (undo / redo)
+//
+//  Each entry is a snapshot of { nodes, connections } taken just
+//  before an edit, labelled with what the edit did. Graph state is
+//  only ever replaced immutably, so a snapshot is two references.
+//
+//  Continuous edits (slider drags, node moves, typing) pass a
+//  coalesce key: repeated records with the same key collapse into
+//  one entry until the mouse is released, a different edit is
+//  recorded, or COALESCE_MS pass without a change.
+// ════════════════════════════════════════════════════════════
+
+const MAX_ENTRIES = 200;
+const COALESCE_MS = 1000;
+
+export function useHistory({ nodes, connections, setNodes, setConnections, onRestore }) {
+  const [past, setPast] = useState([]);     // [{ label, nodes, connections }] oldest first
+  const [future, setFuture] = useState([]); // [{ label, nodes, connections }] next redo first
+  const stateRef = useRef({ nodes, connections });
+  const gestureRef = useRef(null);          // { key, time } of the entry still coalescing
+
+  /**
+   * Snapshot the current graph before an edit. `key` coalesces
+   * continuous edits (e.g. `param:3:freq`) into a single entry.
+   */
+  const record = useCallback((label, key = null) => {
+    const now = performance.now();
+    const gesture = gestureRef.current;
+    if (key && gesture?.key === key && now - gesture.time < COALESCE_MS) {
+      gesture.time = now;
+      return;
+    }
+    gestureRef.current = key ? { key, time: now } : null;
+
+    const { nodes: n, connections: c } = stateRef.current;
+    setPast((prev) => [...prev, { label, nodes: n, connections: c }].slice(-MAX_ENTRIES));
+    setFuture([]);
+  }, []);
+
+  const restore = useCallback((entry) => {
+    const current = stateRef.current;
+    onRestore?.(current.nodes, entry.nodes);
+    setNodes(entry.nodes);
+    setConnections(entry.connections);
+  }, [onRestore, setNodes, setConnections]);
+
+  // Step `steps` entries back (negative) or forward (positive)
+  const travel = useCallback((steps) => {
+    if (steps === 0) return;
+    gestureRef.current = null;
+    const current = stateRef.current;
+
+    if (steps < 0) {
+      const n = Math.min(-steps, past.length);
+      if (n === 0) return;
+      const target = past[past.length - n];
+      // Every skipped state becomes a redo step, labelled with the edit that left it
+      const redo = [];
+      for (let i = past.length - n; i < past.length; i++) {
+        const next = i + 1 < past.length ? past[i + 1] : current;
+        redo.push({ label: past[i].label, nodes: next.nodes, connections: next.connections });
+      }
+      setPast(past.slice(0, past.length - n));
+      setFuture([...redo.reverse(), ...future]);
+      restore(target);
+    } else {
+      const n = Math.min(steps, future.length);
+      if (n === 0) return;
+      const target = future[n - 1];
+      const undo = [];
+      for (let i = 0; i < n; i++) {
+        const prev = i === 0 ? current : future[i - 1];
+        undo.push({ label: future[i].label, nodes: prev.nodes, connections: prev.connections });
+      }
+      setPast([...past, ...undo]);
+      setFuture(future.slice(n));
+      restore(target);
+    }
+  }, [past, future, restore]);
+
+  const undo = useCallback(() => travel(-1), [travel]);
+  const redo = useCallback(() => travel(1), [travel]);
+
+  const clearHistory = useCallback(() => {
+    gestureRef.current = null;
+    setPast([]);
+    setFuture([]);
+  }, []);
+
+  useEffect(() => {
+    stateRef.current = { nodes, connections };
+  }, [nodes, connections]);
+
+  // Releasing the mouse ends a coalescing drag
+  useEffect(() => {
+    const endGesture = () => { gestureRef.current = null; };
+    window.addEventListener('mouseup', endGesture);
+    return () => window.removeEventListener('mouseup', endGesture);
+  }, []);
+
+  // Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z (or Ctrl+Y) redo. Text fields
+  // keep their own native undo.
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || isTextField(e.target)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [undo, redo]);
+
+  return {
+    past,
+    future,
+    canUndo: past.length > 0,
+    canRedo: future.length > 0,
+    record,
+    undo,
+    redo,
+    travel,
+    clearHistory,
+  };
+}
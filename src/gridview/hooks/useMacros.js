@@ -0,0 +1,233 @@
+import { useState, useCallback, useEffect } from 'react';
+import { MODULE_FORMAT, buildModule } from '../patchFormat';
+import { collectSamples, embedSamples } from '../sampleBundle';
+import { migratePatch } from '../patchSchema';
+import { newEntryId, listModules, putModule, deleteModule as deleteStoredModule } from '../patchLibrary';
+import { planCollapse, innerNodeIds, setExposed, boundaryConnections } from '../macros';
+import { isTextField } from '../utils';
+
+// Claim the next id from a shared counter ref
+const takeId = (counterRef) => counterRef.current++;
+
+const fileSlug = (name) => name.replace(/\s+/g, '-').toLowerCase() || 'macro';
+
+// Macro collapse / ungroup / drill-in, exposure editing and the
+// saved-module store shown in the instrument panel (see macros.js)
+export function useMacros({
+  nodes,
+  connections,
+  setNodes,
+  setConnections,
+  nextId,
+  engineRef,
+  canvasRef,
+  toWorld,
+  scope,
+  setMacroScope,
+  selectedIds,
+  setSelectedIds,
+  setSelectedNodeId,
+  insertFragment,
+  record,
+  setStatus,
+}) {
+  const [modules, setModules] = useState([]);
+
+  const refreshModules = useCallback(async () => {
+    try {
+      setModules(await listModules());
+    } catch (err) {
+      setStatus(`Module store unavailable: ${err.message}`);
+    }
+  }, [setStatus]);
+
+  useEffect(() => {
+    listModules().then(setModules, () => {});
+  }, []);
+
+  // ── Collapse / ungroup ──────────────────────────────────
+  const collapseSelection = useCallback(() => {
+    const plan = planCollapse(nodes, connections, [...selectedIds]);
+    if (!plan) {
+      setStatus(scope != null ? "Macros can't be nested" : 'Select modules to collapse into a macro');
+      return;
+    }
+    const id = takeId(nextId);
+    record(`Collapse ${plan.ids.length} module${plan.ids.length > 1 ? 's' : ''} into macro`);
+    setNodes((prev) => {
+      const next = { ...prev, [id]: { id, type: 'macro', x: plan.x, y: plan.y, params: {}, macro: plan.macro } };
+      for (const inner of plan.ids) next[inner] = { ...prev[inner], macroId: id };
+      return next;
+    });
+    setSelectedIds(new Set([id]));
+    setSelectedNodeId(id);
+  }, [nodes, connections, selectedIds, scope, nextId, record, setNodes, setSelectedIds, setSelectedNodeId, setStatus]);
+
+  // Dissolve a macro back into its modules, laid out from the
+  // macro's position
+  const expandMacro = useCallback((id) => {
+    const macro = nodes[id];
+    if (macro?.type !== 'macro') return;
+    const ids = innerNodeIds(nodes, id);
+    const dx = ids.length ? macro.x - Math.min(...ids.map((i) => nodes[i].x)) : 0;
+    const dy = ids.length ? macro.y - Math.min(...ids.map((i) => nodes[i].y)) : 0;
+    record(`Ungroup ${macro.macro.name}`);
+    setNodes((prev) => {
+      const next = { ...prev };
+      delete next[id];
+      for (const inner of ids) {
+        const { macroId: _macroId, ...node } = prev[inner];
+        next[inner] = { ...node, x: node.x + dx, y: node.y + dy };
+      }
+      return next;
+    });
+    setMacroScope(null);
+    setSelectedIds(new Set(ids));
+    setSelectedNodeId(null);
+  }, [nodes, record, setNodes, setMacroScope, setSelectedIds, setSelectedNodeId]);
+
+  // ── Drill in / out ──────────────────────────────────────
+  const enterMacro = useCallback((id) => {
+    setMacroScope(id);
+    setSelectedIds(new Set());
+    setSelectedNodeId(null);
+  }, [setMacroScope, setSelectedIds, setSelectedNodeId]);
+
+  const exitMacro = useCallback(() => {
+    if (scope == null) return;
+    setMacroScope(null);
+    setSelectedIds(new Set([scope]));
+    setSelectedNodeId(scope);
+  }, [scope, setMacroScope, setSelectedIds, setSelectedNodeId]);
+
+  // ── Editing the definition ──────────────────────────────
+  const updateMacro = useCallback((id, fn) => {
+    setNodes((prev) => (prev[id]?.type === 'macro' ? { ...prev, [id]: { ...prev[id], macro: fn(prev[id].macro) } } : prev));
+  }, [setNodes]);
+
+  const renameMacro = useCallback((id, name) => {
+    record('Rename macro', `macro-name:${id}`);
+    updateMacro(id, (m) => ({ ...m, name }));
+  }, [record, updateMacro]);
+
+  // Hiding a port also disconnects whatever reached it from outside
+  const setExposure = useCallback((id, kind, entry, exposed) => {
+    record(`${exposed ? 'Expose' : 'Hide'} macro ${entry.label}`);
+    updateMacro(id, (m) => setExposed(m, kind, entry, exposed));
+    if (!exposed) {
+      const cut = new Set(boundaryConnections(nodes, connections, id, kind, entry).map((c) => c.id));
+      if (cut.size > 0) setConnections((prev) => prev.filter((c) => !cut.has(c.id)));
+    }
+  }, [nodes, connections, record, updateMacro, setConnections]);
+
+  const relabelExposure = useCallback((id, kind, index, label) => {
+    record('Rename macro port', `macro-label:${id}:${kind}:${index}`);
+    updateMacro(id, (m) => ({
+      ...m,
+      [kind]: m[kind].map((e, i) => (i === index ? { ...e, label } : e)),
+    }));
+  }, [record, updateMacro]);
+
+  // ── Module files ────────────────────────────────────────
+  // A module file is self-contained: user samples are embedded
+  const moduleFor = useCallback((id) => {
+    const module = buildModule(nodes, connections, id);
+    const engine = engineRef.current;
+    return embedSamples(module, collectSamples(module.nodes, (nodeId) => engine?.getSampleData(nodeId)));
+  }, [nodes, connections, engineRef]);
+
+  const exportModule = useCallback((id) => {
+    const module = moduleFor(id);
+    const blob = new Blob([JSON.stringify(module, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${fileSlug(module.name)}.module.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+    setStatus(`Exported module: ${module.name}`);
+  }, [moduleFor, setStatus]);
+
+  const storeModule = useCallback(async (module) => {
+    await putModule({ id: newEntryId(), name: module.name, savedAt: new Date().toISOString(), module });
+    await refreshModules();
+  }, [refreshModules]);
+
+  const saveModule = useCallback(async (id) => {
+    try {
+      const module = moduleFor(id);
+      await storeModule(module);
+      setStatus(`Added ${module.name} to Macros`);
+    } catch (err) {
+      setStatus(`Error saving module: ${err.message}`);
+    }
+  }, [moduleFor, storeModule, setStatus]);
+
+  // Accepts module files only — patches and fragments have no macro
+  // to stand for them in the panel
+  const importModuleFile = useCallback(async (file) => {
+    try {
+      const data = JSON.parse(await file.text());
+      if (data?.format !== MODULE_FORMAT) throw new Error('Not a module file');
+      const { patch, report } = migratePatch(data);
+      if (report.fatal) throw new Error(report.fatal);
+      if (!patch.nodes.some((n) => n.type === 'macro')) throw new Error('Module has no macro');
+      await storeModule(patch);
+      setStatus(`Imported module: ${patch.name}`);
+    } catch (err) {
+      setStatus(`Error importing module: ${err.message}`);
+    }
+  }, [storeModule, setStatus]);
+
+  const deleteModule = useCallback(async (entryId) => {
+    await deleteStoredModule(entryId);
+    await refreshModules();
+  }, [refreshModules]);
+
+  // Place a saved module in the middle of the visible canvas
+  const addModule = useCallback((entryId) => {
+    const entry = modules.find((m) => m.id === entryId);
+    const rect = canvasRef.current?.getBoundingClientRect();
+    if (!entry || !rect) return;
+    const at = toWorld(rect.left + rect.width / 2, rect.top + rect.height / 3);
+    insertFragment(entry.module, { dx: Math.round(at.x), dy: Math.round(at.y), label: `Add ${entry.name}` });
+  }, [modules, canvasRef, toWorld, insertFragment]);
+
+  // Ctrl+G collapses the selection, Ctrl+Shift+G ungroups the
+  // selected macro, Escape leaves the macro being edited
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (isTextField(e.target)) return;
+      if (e.key === 'Escape' && scope != null) {
+        exitMacro();
+        return;
+      }
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'g') return;
+      e.preventDefault();
+      if (!e.shiftKey) {
+        collapseSelection();
+        return;
+      }
+      const macroId = [...selectedIds].find((id) => nodes[id]?.type === 'macro');
+      if (macroId != null) expandMacro(macroId);
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [scope, nodes, selectedIds, exitMacro, collapseSelection, expandMacro]);
+
+  return {
+    modules,
+    collapseSelection,
+    expandMacro,
+    enterMacro,
+    exitMacro,
+    renameMacro,
+    setExposure,
+    relabelExposure,
+    exportModule,
+    saveModule,
+    importModuleFile,
+    deleteModule,
+    addModule,
+  };
+}
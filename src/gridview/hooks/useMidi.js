@@ -1,7 +1,7 @@
 import { useEffect } from 'react';
 import { MidiListener } from '../../audio/midiListener';
 
-export function useMidi({ nodes, setNodes, setMidiActivity, midiListenersRef }) {
+export function useMidi({ nodes, setNodes, setMidiActivity, midiListenersRef, polyVoiceRef }) {
   // ── MIDI listener lifecycle ──────────────────────────────
   // Create/update/destroy MidiListeners as midi_in nodes change
   useEffect(() => {
@@ -20,6 +20,7 @@ export function useMidi({ nodes, setNodes, setMidiActivity, midiListenersRef })
           mode: node.midiMode || 'cc',
           channel: node.midiChannel ?? 0,
           ccNumber: node.midiCcNumber ?? 1,
+          nrpnNumber: node.midiNrpnNumber ?? 0,
           deviceId: node.midiDeviceId || null,
           onValue: (value) => {
             setNodes((prev) => {
@@ -33,6 +34,8 @@ export function useMidi({ nodes, setNodes, setMidiActivity, midiListenersRef })
             setMidiActivity((prev) => ({ ...prev, [nodeId]: Date.now() }));
           },
           onNote: (note, velocity) => {
+            // Forward to any Poly Voice patched from this node
+            polyVoiceRef?.current?.dispatch(nodeId, note, velocity);
             setNodes((prev) => {
               const n = prev[nodeId];
               if (!n) return prev;
@@ -48,6 +51,24 @@ export function useMidi({ nodes, setNodes, setMidiActivity, midiListenersRef })
             });
             setMidiActivity((prev) => ({ ...prev, [nodeId]: Date.now() }));
           },
+          onOutputs: (values) => {
+            // MPE: one param per output port, 'value' follows port 0
+            // like a script's
+            const outs = Object.fromEntries(values.map((v, i) => [`out_${i}`, v]));
+            setNodes((prev) => {
+              const n = prev[nodeId];
+              if (!n) return prev;
+              return {
+                ...prev,
+                [nodeId]: {
+                  ...n,
+                  params: { ...n.params, ...outs, value: values[0] },
+                  midiGate: values[values.length - 1],
+                },
+              };
+            });
+            setMidiActivity((prev) => ({ ...prev, [nodeId]: Date.now() }));
+          },
         });
         listeners.set(nodeId, listener);
         listener.start();
@@ -56,6 +77,7 @@ export function useMidi({ nodes, setNodes, setMidiActivity, midiListenersRef })
         listener.setMode(node.midiMode || 'cc');
         listener.setChannel(node.midiChannel ?? 0);
         listener.setCcNumber(node.midiCcNumber ?? 1);
+        listener.setNrpnNumber(node.midiNrpnNumber ?? 0);
         listener.setDeviceId(node.midiDeviceId || null);
       }
     }
@@ -0,0 +1,153 @@
+import { useState, useRef, useEffect, useCallback, useMemo } from 'react';
+import { MidiListener, learnNextCc } from '../../audio/midiListener';
+import { curveInterp } from '../../audio/envelopeRunner';
+import { NODE_SCHEMA } from '../nodeSchema';
+
+// Incoming CC value (0–127) → param value through the mapping's
+// range and curve, snapped to the param's step
+function mapCc(value, mapping, def) {
+  const v = curveInterp(value / 127, mapping.min, mapping.max, mapping.curve ?? 0);
+  const snapped = def.step ? Math.round(v / def.step) * def.step : v;
+  return Math.max(def.min, Math.min(def.max, snapped));
+}
+
+const mapKey = (nodeId, param) => `${nodeId}:${param}`;
+
+/**
+ * Hook for MIDI Learn: binding controller CCs straight to params.
+ *
+ * Each node keeps its bindings in node.midiMap, keyed by param:
+ * { channel, cc, min, max, curve }, so they're saved with the patch
+ * and follow undo. startLearn() arms a param; the next CC from any
+ * device binds to it over the param's full range. Every binding
+ * gets a MidiListener whose values go through handleParamChange,
+ * like moving the slider by hand.
+ */
+export function useMidiLearn({ nodes, setNodes, handleParamChange, record, nodeLabel }) {
+  const [learning, setLearning] = useState(null); // { nodeId, param } armed for learn
+  const listenersRef = useRef(new Map());          // mapKey → { listener, mapping }
+  const graphRef = useRef({ nodes, handleParamChange });
+
+  useEffect(() => {
+    graphRef.current = { nodes, handleParamChange };
+  }, [nodes, handleParamChange]);
+
+  const paramLabel = useCallback((nodeId, param) => {
+    const node = graphRef.current.nodes[nodeId];
+    return `${nodeLabel(nodeId)} ${NODE_SCHEMA[node?.type]?.params[param]?.label ?? param}`;
+  }, [nodeLabel]);
+
+  // ── Learn ──────────────────────────────────────────────
+  const startLearn = useCallback((nodeId, param) => {
+    setLearning((prev) => (prev?.nodeId === nodeId && prev.param === param ? null : { nodeId, param }));
+  }, []);
+
+  const cancelLearn = useCallback(() => setLearning(null), []);
+
+  useEffect(() => {
+    if (!learning) return;
+    const { nodeId, param } = learning;
+    return learnNextCc(({ channel, ccNumber }) => {
+      setLearning(null);
+      const def = NODE_SCHEMA[graphRef.current.nodes[nodeId]?.type]?.params[param];
+      if (!def) return;
+      record(`Map CC ${ccNumber} to ${paramLabel(nodeId, param)}`);
+      setNodes((prev) => {
+        const node = prev[nodeId];
+        if (!node) return prev;
+        const mapping = { channel, cc: ccNumber, min: def.min, max: def.max, curve: 0 };
+        return { ...prev, [nodeId]: { ...node, midiMap: { ...node.midiMap, [param]: mapping } } };
+      });
+    });
+  }, [learning, record, paramLabel, setNodes]);
+
+  // ── Edit / remove ──────────────────────────────────────
+  const updateMapping = useCallback((nodeId, param, changes) => {
+    record(`Edit ${paramLabel(nodeId, param)} mapping`, `midimap:${nodeId}:${param}`);
+    setNodes((prev) => {
+      const node = prev[nodeId];
+      if (!node?.midiMap?.[param]) return prev;
+      const midiMap = { ...node.midiMap, [param]: { ...node.midiMap[param], ...changes } };
+      return { ...prev, [nodeId]: { ...node, midiMap } };
+    });
+  }, [record, paramLabel, setNodes]);
+
+  const removeMapping = useCallback((nodeId, param) => {
+    record(`Unmap ${paramLabel(nodeId, param)}`);
+    setNodes((prev) => {
+      const node = prev[nodeId];
+      if (!node?.midiMap?.[param]) return prev;
+      const { [param]: _removed, ...rest } = node.midiMap;
+      const next = { ...node };
+      if (Object.keys(rest).length > 0) next.midiMap = rest;
+      else delete next.midiMap;
+      return { ...prev, [nodeId]: next };
+    });
+  }, [record, paramLabel, setNodes]);
+
+  // Every binding in the graph, for the mappings table, labelled
+  // "<module> <id> · <param>"
+  const mappings = useMemo(() => {
+    const list = [];
+    for (const node of Object.values(nodes)) {
+      const schema = NODE_SCHEMA[node.type];
+      for (const [param, mapping] of Object.entries(node.midiMap ?? {})) {
+        const label = `${schema?.label ?? node.type} ${node.id} · ${schema?.params[param]?.label ?? param}`;
+        list.push({ nodeId: node.id, param, mapping, label });
+      }
+    }
+    return list;
+  }, [nodes]);
+
+  // ── Listener lifecycle ─────────────────────────────────
+  // One CC listener per binding, created / updated / released as
+  // bindings change
+  useEffect(() => {
+    const listeners = listenersRef.current;
+    const live = new Set();
+
+    for (const { nodeId, param, mapping } of mappings) {
+      const key = mapKey(nodeId, param);
+      live.add(key);
+      const entry = listeners.get(key);
+      if (entry) {
+        entry.mapping = mapping;
+        entry.listener.setChannel(mapping.channel ?? 0);
+        entry.listener.setCcNumber(mapping.cc);
+        continue;
+      }
+      const created = { mapping, listener: null };
+      created.listener = new MidiListener({
+        mode: 'cc',
+        channel: mapping.channel ?? 0,
+        ccNumber: mapping.cc,
+        onValue: (value) => {
+          const { nodes: graph, handleParamChange: setParam } = graphRef.current;
+          const def = NODE_SCHEMA[graph[nodeId]?.type]?.params[param];
+          if (!def) return;
+          const next = mapCc(value, created.mapping, def);
+          if (graph[nodeId].params[param] !== next) setParam(nodeId, param, next);
+        },
+      });
+      listeners.set(key, created);
+      created.listener.start().catch(() => { /* no Web MIDI */ });
+    }
+
+    for (const [key, entry] of listeners) {
+      if (!live.has(key)) {
+        entry.listener.stop();
+        listeners.delete(key);
+      }
+    }
+  }, [mappings]);
+
+  useEffect(() => {
+    const listeners = listenersRef.current;
+    return () => {
+      for (const { listener } of listeners.values()) listener.stop();
+      listeners.clear();
+    };
+  }, []);
+
+  return { learning, startLearn, cancelLearn, mappings, updateMapping, removeMapping };
+}
@@ -0,0 +1,79 @@
+import { useRef, useEffect } from 'react';
+import { MidiOutput } from '../../audio/midiListener';
+import { NODE_SCHEMA } from '../nodeSchema';
+import { isScheduledSource, getOutputValue } from '../utils';
+
+// Inputs in the order they're applied, so a note number and the
+// gate arriving with it play the new note
+const INPUTS = ['velocity', 'value', 'gate'];
+
+/**
+ * Hook managing the MidiOutput of each MIDI Out module.
+ *
+ * Creates, updates and releases outputs as midi_out nodes change,
+ * and feeds each input the value of the control source patched
+ * into it (or the module's own setting when nothing is). Values
+ * from scheduled sources (Pulser, Sequencer, Envelope, Script)
+ * arrive timestamped through useControlDispatch instead.
+ */
+export function useMidiOut({ nodes, connections, setMidiActivity }) {
+  const midiOutsRef = useRef(new Map()); // nodeId → MidiOutput
+
+  useEffect(() => {
+    const outputs = midiOutsRef.current;
+    const midiOutIds = new Set();
+
+    for (const node of Object.values(nodes)) {
+      if (node.type !== 'midi_out') continue;
+      midiOutIds.add(node.id);
+
+      const config = {
+        mode: node.midiMode || 'note',
+        channel: node.midiChannel || 1,
+        ccNumber: node.midiCcNumber ?? 1,
+        deviceId: node.midiDeviceId || null,
+      };
+      let output = outputs.get(node.id);
+      if (!output) {
+        const nodeId = node.id;
+        output = new MidiOutput(config);
+        output.onSend = () => setMidiActivity((prev) => ({ ...prev, [nodeId]: Date.now() }));
+        outputs.set(nodeId, output);
+        output.start().catch(() => { /* no Web MIDI — stays silent */ });
+      } else {
+        output.setMode(config.mode);
+        output.setChannel(config.channel);
+        output.setCcNumber(config.ccNumber);
+        output.setDeviceId(config.deviceId);
+      }
+
+      for (const input of INPUTS) {
+        const conn = connections.find((c) => c.toNodeId === node.id && c.toParam === input);
+        const source = conn ? nodes[conn.fromNodeId] : null;
+        if (source && isScheduledSource(source.type)) continue;
+        const value = source
+          ? getOutputValue(source, conn.fromPortIndex)
+          : (node.params[input] ?? NODE_SCHEMA.midi_out.params[input].val);
+        output.set(input, value);
+      }
+    }
+
+    // Release outputs of deleted nodes (notes still held get a note-off)
+    for (const [nodeId, output] of outputs) {
+      if (!midiOutIds.has(nodeId)) {
+        output.stop();
+        outputs.delete(nodeId);
+      }
+    }
+  }, [nodes, connections, setMidiActivity]);
+
+  useEffect(() => {
+    const outputs = midiOutsRef.current;
+    return () => {
+      for (const output of outputs.values()) output.stop();
+      outputs.clear();
+    };
+  }, []);
+
+  return { midiOutsRef };
+}
@@ -1,60 +1,141 @@
 import { useState, useRef, useCallback } from 'react';
 
-export function useNodeDrag({ canvasRef, setNodes, setSelectedNodeId, connecting, setMousePos }) {
+// Drags shorter than this are treated as clicks
+const BAND_MIN_PX = 4;
+
+export function useNodeDrag({
+  canvasRef,
+  toWorld,
+  setNodes,
+  setSelectedNodeId,
+  selectedIds,
+  setSelectedIds,
+  connecting,
+  setMousePos,
+  onMove,
+}) {
   const [dragId, setDragId] = useState(null);
+  const [band, setBand] = useState(null); // { x0, y0, x1, y1, additive } in world coords
   const dragOffset = useRef({ x: 0, y: 0 });
+  const dragGroupRef = useRef(new Map()); // nodeId → { x, y } at drag start
+  const dragShiftRef = useRef(false);
   const didDragRef = useRef(false);
 
   const startDrag = useCallback((e, nodeId) => {
     if (e.target.closest('.node-port') || e.target.closest('button') || e.target.closest('input') || e.target.closest('.script-code-preview') || e.target.closest('.bp-editor-wrap') || e.target.closest('.bang-circle') || e.target.closest('.bang-resize-handle') || e.target.closest('.script-resize-handle')) return;
     didDragRef.current = false;
-    const canvas = canvasRef.current;
-    if (!canvas) return;
-    const rect = canvas.getBoundingClientRect();
-    const canvasX = e.clientX - rect.left + canvas.scrollLeft;
-    const canvasY = e.clientY - rect.top + canvas.scrollTop;
+    dragShiftRef.current = e.shiftKey;
+    if (!canvasRef.current) return;
+    const { x: canvasX, y: canvasY } = toWorld(e.clientX, e.clientY);
+
+    // Dragging a selected node moves the whole selection
+    const ids = selectedIds.has(nodeId) ? [...selectedIds] : [nodeId];
     setNodes((prev) => {
       const n = prev[nodeId];
       dragOffset.current = { x: canvasX - n.x, y: canvasY - n.y };
+      dragGroupRef.current = new Map(
+        ids.filter((id) => prev[id]).map((id) => [id, { x: prev[id].x, y: prev[id].y }])
+      );
       return prev;
     });
     setDragId(nodeId);
-  }, []);
+  }, [canvasRef, toWorld, setNodes, selectedIds]);
+
+  // Rubber-band selection from empty canvas
+  const onCanvasMouseDown = useCallback((e) => {
+    if (e.button !== 0 || connecting) return;
+    const canvas = canvasRef.current;
+    if (!canvas || (e.target !== canvas && !e.target.closest('.sense-cables'))) return;
+    const { x, y } = toWorld(e.clientX, e.clientY);
+    setBand({ x0: x, y0: y, x1: x, y1: y, additive: e.shiftKey });
+  }, [canvasRef, toWorld, connecting]);
 
   const onCanvasMouseMove = useCallback(
     (e) => {
-      const canvas = canvasRef.current;
-      if (!canvas) return;
-      const rect = canvas.getBoundingClientRect();
-      const cx = e.clientX - rect.left + canvas.scrollLeft;
-      const cy = e.clientY - rect.top + canvas.scrollTop;
+      if (!canvasRef.current) return;
+      const { x: cx, y: cy } = toWorld(e.clientX, e.clientY);
 
       if (dragId != null) {
         didDragRef.current = true;
-        const x = Math.max(0, cx - dragOffset.current.x);
-        const y = Math.max(0, cy - dragOffset.current.y);
-        setNodes((prev) => ({
-          ...prev,
-          [dragId]: { ...prev[dragId], x, y },
-        }));
+        const group = dragGroupRef.current;
+        onMove?.([...group.keys()]);
+        const origin = group.get(dragId);
+        const dx = Math.max(0, cx - dragOffset.current.x) - origin.x;
+        const dy = Math.max(0, cy - dragOffset.current.y) - origin.y;
+        setNodes((prev) => {
+          const next = { ...prev };
+          for (const [id, start] of group) {
+            if (!prev[id]) continue;
+            next[id] = { ...prev[id], x: Math.max(0, start.x + dx), y: Math.max(0, start.y + dy) };
+          }
+          return next;
+        });
+      }
+
+      if (band) {
+        setBand((b) => b && { ...b, x1: cx, y1: cy });
       }
 
       if (connecting) {
         setMousePos({ x: cx, y: cy });
       }
     },
-    [dragId, connecting]
+    [canvasRef, toWorld, setNodes, setMousePos, dragId, band, connecting, onMove]
   );
 
+  // Select every node the band rectangle touches
+  const finishBand = useCallback(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const left = Math.min(band.x0, band.x1);
+    const top = Math.min(band.y0, band.y1);
+    const right = Math.max(band.x0, band.x1);
+    const bottom = Math.max(band.y0, band.y1);
+
+    const hits = [];
+    if (right - left >= BAND_MIN_PX || bottom - top >= BAND_MIN_PX) {
+      for (const el of canvas.querySelectorAll('.sense-node[data-node-id]')) {
+        const x = el.offsetLeft;
+        const y = el.offsetTop;
+        if (x < right && x + el.offsetWidth > left && y < bottom && y + el.offsetHeight > top) {
+          hits.push(Number(el.dataset.nodeId));
+        }
+      }
+    }
+
+    if (band.additive) {
+      setSelectedIds((prev) => new Set([...prev, ...hits]));
+    } else {
+      setSelectedIds(new Set(hits));
+      setSelectedNodeId(hits.length === 1 ? hits[0] : null);
+    }
+  }, [canvasRef, band, setSelectedIds, setSelectedNodeId]);
+
   const onCanvasMouseUp = useCallback(() => {
     if (dragId != null) {
       if (!didDragRef.current) {
-        // Click without drag — select the node
-        setSelectedNodeId(dragId);
+        // Click without drag — select the node (shift toggles it)
+        if (dragShiftRef.current) {
+          const adding = !selectedIds.has(dragId);
+          setSelectedIds((prev) => {
+            const next = new Set(prev);
+            if (adding) next.add(dragId);
+            else next.delete(dragId);
+            return next;
+          });
+          setSelectedNodeId(adding ? dragId : null);
+        } else {
+          setSelectedIds(new Set([dragId]));
+          setSelectedNodeId(dragId);
+        }
       }
       setDragId(null);
     }
-  }, [dragId]);
+    if (band) {
+      finishBand();
+      setBand(null);
+    }
+  }, [dragId, band, selectedIds, finishBand, setSelectedIds, setSelectedNodeId]);
 
-  return { dragId, startDrag, onCanvasMouseMove, onCanvasMouseUp };
+  return { dragId, band, startDrag, onCanvasMouseDown, onCanvasMouseMove, onCanvasMouseUp };
 }
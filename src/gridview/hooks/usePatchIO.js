@@ -1,5 +1,7 @@
-import { useRef, useCallback } from 'react';
-import { NODE_SCHEMA } from '../nodeSchema';
+import { useState, useRef, useCallback } from 'react';
+import { serializePatch, deserializeNode, deserializeConnection } from '../patchFormat';
+import { collectSamples, embedSamples } from '../sampleBundle';
+import { migratePatch } from '../patchSchema';
 
 export function usePatchIO({
   nodes,
@@ -11,6 +13,7 @@ export function usePatchIO({
   envelopeRunnerRef,
   pulserRunnerRef,
   sequencerRunnerRef,
+  polyVoiceRef,
   midiListenersRef,
   scopeBuffersRef,
   setNodes,
@@ -23,57 +26,29 @@ export function usePatchIO({
   setSelectedNodeId,
   setMidiActivity,
   setStatus,
-  handleLoadBuiltinSample,
+  restoreSample,
+  clearHistory,
+  setSelectedIds,
+  setMacroScope,
+  patchMeta,
+  setPatchMeta,
+  transport,
 }) {
   const fileInputRef = useRef(null);
+  const [patchReport, setPatchReport] = useState(null); // migratePatch report of the last load, if it had issues
 
   // ── Save patch to JSON file ─────────────────────────────
+  // User-loaded samples are embedded (base64, one copy per file)
+  // so the patch opens anywhere.
   const handleSavePatch = useCallback(() => {
-    const patch = {
-      name: 'Untitled Patch',
-      version: 1,
-      createdAt: new Date().toISOString(),
+    const graph = serializePatch(nodes, connections, {
+      ...patchMeta,
       nextId: nextId.current,
       connId: connId.current,
-      nodes: Object.values(nodes).map((node) => {
-        const entry = {
-          id: node.id,
-          type: node.type,
-          x: Math.round(node.x),
-          y: Math.round(node.y),
-          params: { ...node.params },
-        };
-        if (node.code != null) entry.code = node.code;
-        if (node.numOutputs != null && node.numOutputs > 1) entry.numOutputs = node.numOutputs;
-        if (node.scriptWidth != null) entry.scriptWidth = node.scriptWidth;
-        if (node.quantize) entry.quantize = true;
-        if (node.breakpoints) entry.breakpoints = node.breakpoints;
-        if (node.curves) entry.curves = node.curves;
-        if (node.duration != null) entry.duration = node.duration;
-        if (node.loop) entry.loop = true;
-        if (node.printPrefix != null) entry.printPrefix = node.printPrefix;
-        if (node.printColor != null) entry.printColor = node.printColor;
-        if (node.bangSize != null) entry.bangSize = node.bangSize;
-        if (node.midiMode != null) entry.midiMode = node.midiMode;
-        if (node.midiChannel != null) entry.midiChannel = node.midiChannel;
-        if (node.midiCcNumber != null) entry.midiCcNumber = node.midiCcNumber;
-        if (node.midiDeviceId != null) entry.midiDeviceId = node.midiDeviceId;
-        if (node.sampleName != null) entry.sampleName = node.sampleName;
-        return entry;
-      }),
-      connections: connections.map((c) => {
-        const entry = {
-          id: c.id,
-          from: c.fromNodeId,
-          fromPort: c.fromPortIndex,
-          to: c.toNodeId,
-          toPort: c.toPortIndex,
-        };
-        if (c.toParam) entry.toParam = c.toParam;
-        if (c.isAudioRate) entry.isAudioRate = true;
-        return entry;
-      }),
-    };
+      transport: transport.toJSON(),
+    });
+    const engine = engineRef.current;
+    const patch = embedSamples(graph, collectSamples(graph.nodes, (id) => engine?.getSampleData(id)));
 
     const json = JSON.stringify(patch, null, 2);
     const blob = new Blob([json], { type: 'application/json' });
@@ -83,15 +58,22 @@ export function usePatchIO({
     a.download = `${patch.name.replace(/\s+/g, '-').toLowerCase()}.json`;
     a.click();
     URL.revokeObjectURL(url);
-    setStatus('Patch saved');
-  }, [nodes, connections]);
+    const embedded = Object.keys(patch.samples ?? {}).length;
+    setStatus(embedded > 0 ? `Patch saved with ${embedded} sample${embedded > 1 ? 's' : ''}` : 'Patch saved');
+  }, [nodes, connections, patchMeta, transport]);
 
   // ── Core patch restore logic (reusable) ─────────────────
-  const applyPatchData = useCallback((patch) => {
-    if (!patch.nodes || !patch.connections) {
-      setStatus('Error: Invalid patch — missing nodes or connections');
+  // `meta` ({ name, tags, libraryId }) is set when the patch comes
+  // from the library; otherwise it is taken from the patch itself.
+  // The patch is upgraded and validated first (see patchSchema.js).
+  const applyPatchData = useCallback((input, meta = null) => {
+    const { patch, report } = migratePatch(input);
+    if (report.fatal) {
+      setStatus(`Error: ${report.fatal}`);
+      setPatchReport(report);
       return;
     }
+    setPatchReport(report.issues.length > 0 ? report : null);
 
     // Stop all running audio, scripts, envelopes
     const engine = engineRef.current;
@@ -104,6 +86,7 @@ export function usePatchIO({
     envelopeRunnerRef.current?.stopAll?.();
     pulserRunnerRef?.current?.stopAll?.();
     sequencerRunnerRef?.current?.stopAll?.();
+    polyVoiceRef?.current?.stopAll?.();
     for (const listener of midiListenersRef.current.values()) {
       listener.stop();
     }
@@ -114,66 +97,45 @@ export function usePatchIO({
     setRunningSequencers(new Set());
     setPrintLogs([]);
     setSelectedNodeId(null);
+    setSelectedIds?.(new Set());
+    setMacroScope?.(null);
     setMidiActivity({});
     scopeBuffersRef.current.clear();
 
     // Restore nodes
     const restoredNodes = {};
     for (const n of patch.nodes) {
-      if (!NODE_SCHEMA[n.type]) {
-        setStatus(`Warning: Unknown node type "${n.type}" — skipped`);
-        continue;
-      }
-      restoredNodes[n.id] = {
-        id: n.id,
-        type: n.type,
-        x: n.x ?? 0,
-        y: n.y ?? 0,
-        params: { ...n.params },
-      };
-      if (n.code != null) restoredNodes[n.id].code = n.code;
-      if (n.numOutputs != null) restoredNodes[n.id].numOutputs = n.numOutputs;
-      if (n.scriptWidth != null) restoredNodes[n.id].scriptWidth = n.scriptWidth;
-      if (n.quantize) restoredNodes[n.id].quantize = true;
-      if (n.breakpoints) restoredNodes[n.id].breakpoints = n.breakpoints;
-      if (n.curves) restoredNodes[n.id].curves = n.curves;
-      if (n.duration != null) restoredNodes[n.id].duration = n.duration;
-      if (n.loop) restoredNodes[n.id].loop = true;
-      if (n.printPrefix != null) restoredNodes[n.id].printPrefix = n.printPrefix;
-      if (n.printColor != null) restoredNodes[n.id].printColor = n.printColor;
-      if (n.bangSize != null) restoredNodes[n.id].bangSize = n.bangSize;
-      if (n.midiMode != null) restoredNodes[n.id].midiMode = n.midiMode;
-      if (n.midiChannel != null) restoredNodes[n.id].midiChannel = n.midiChannel;
-      if (n.midiCcNumber != null) restoredNodes[n.id].midiCcNumber = n.midiCcNumber;
-      if (n.midiDeviceId != null) restoredNodes[n.id].midiDeviceId = n.midiDeviceId;
-      if (n.sampleName != null) restoredNodes[n.id].sampleName = n.sampleName;
+      restoredNodes[n.id] = deserializeNode(n);
     }
 
     // Restore connections
-    const restoredConns = patch.connections.map((c) => ({
-      id: c.id,
-      fromNodeId: c.from,
-      fromPortIndex: c.fromPort,
-      toNodeId: c.to,
-      toPortIndex: c.toPort,
-      toParam: c.toParam || null,
-      isAudioRate: c.isAudioRate || false,
-    }));
+    const restoredConns = patch.connections.map(deserializeConnection);
 
     // Restore ID counters
-    if (patch.nextId) nextId.current = patch.nextId;
-    if (patch.connId) connId.current = patch.connId;
+    nextId.current = patch.nextId;
+    connId.current = patch.connId;
+
+    // Patches from before the transport keep the current tempo
+    transport.load(patch.transport);
 
     setNodes(restoredNodes);
     setConnections(restoredConns);
-    setStatus(`Loaded: ${patch.name || 'patch'}`);
+    setPatchMeta?.(meta ?? { name: patch.name || 'Untitled Patch', tags: patch.tags || [], libraryId: null });
+    // Snapshots from the previous patch can't be restored over this one
+    clearHistory?.();
+    const issueCount = report.issues.length;
+    setStatus(`Loaded: ${patch.name || 'patch'}${issueCount > 0 ? ` — ${issueCount} issue${issueCount > 1 ? 's' : ''} (see report)` : ''}`);
 
-    // Re-load samples for sample_player nodes (built-in samples only)
-    if (handleLoadBuiltinSample) {
+    // Re-load samples for sample_player nodes: built-in ones by name,
+    // user-loaded ones from the patch's embedded `samples`
+    if (restoreSample) {
+      const missing = [];
       for (const n of Object.values(restoredNodes)) {
-        if (n.type === 'sample_player' && n.sampleName) {
-          handleLoadBuiltinSample(n.id, n.sampleName);
-        }
+        if (n.type !== 'sample_player') continue;
+        if (!restoreSample(n.id, n, patch.samples?.[n.sampleHash])) missing.push(n.sampleName);
+      }
+      if (missing.length > 0) {
+        setStatus(`Loaded: ${patch.name || 'patch'} — missing samples: ${missing.join(', ')}`);
       }
     }
   }, [nodes]);
@@ -202,5 +164,5 @@ export function usePatchIO({
     e.target.value = '';
   }, [applyPatchData]);
 
-  return { fileInputRef, handleSavePatch, handleLoadPatch, handleFileSelect, applyPatchData };
+  return { fileInputRef, handleSavePatch, handleLoadPatch, handleFileSelect, applyPatchData, patchReport, setPatchReport };
 }
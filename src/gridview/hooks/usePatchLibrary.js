@@ -0,0 +1,222 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { serializePatch } from '../patchFormat';
+import { collectSamples } from '../sampleBundle';
+import {
+  newEntryId,
+  listPatches,
+  getPatch,
+  putPatch,
+  deletePatch,
+  readAutosave,
+  writeAutosave,
+  clearAutosave,
+  putSamples,
+  withSamples,
+  pruneSamples,
+  exportLibrary,
+  importLibrary,
+  renderThumbnail,
+} from '../patchLibrary';
+
+// Quiet period before the working patch is written to the autosave slot
+const AUTOSAVE_DELAY_MS = 1000;
+// Longest a change waits for that quiet period: running pulsers,
+// sequencers, scripts and MIDI In rewrite node values many times a
+// second, so the patch may never settle while they play
+const AUTOSAVE_MAX_WAIT_MS = 5000;
+
+// Graph content only — names, dates and id counters don't make a
+// patch "different" for recovery purposes
+const graphKey = (patch) => JSON.stringify([patch.nodes, patch.connections]);
+
+export function usePatchLibrary({
+  nodes,
+  connections,
+  nextId,
+  connId,
+  engineRef,
+  canvasRef,
+  patchMeta,
+  setPatchMeta,
+  applyPatchData,
+  setStatus,
+  transport,
+}) {
+  const [entries, setEntries] = useState([]);
+  const [recovery, setRecovery] = useState(null); // autosave record offered for restore
+  const autosavePendingRef = useRef(null); // time of the oldest change not yet autosaved
+
+  const refreshEntries = useCallback(async () => {
+    try {
+      setEntries(await listPatches());
+    } catch (err) {
+      setStatus(`Library unavailable: ${err.message}`);
+    }
+  }, [setStatus]);
+
+  // On startup: load the library list and check the autosave slot for
+  // work that never made it into the library (crash / closed tab)
+  useEffect(() => {
+    listPatches().then(setEntries, (err) => setStatus(`Library unavailable: ${err.message}`));
+    (async () => {
+      try {
+        const saved = await readAutosave();
+        if (!saved?.patch || saved.patch.nodes.length <= 1) return;
+        if (saved.libraryId) {
+          const entry = await getPatch(saved.libraryId);
+          if (entry && graphKey(entry.patch) === graphKey(saved.patch)) return;
+        }
+        setRecovery(saved);
+      } catch {
+        // No IndexedDB (private mode etc.) — nothing to recover
+      }
+    })();
+  }, [setStatus]);
+
+  const currentPatch = useCallback(() => serializePatch(nodes, connections, {
+    ...patchMeta,
+    nextId: nextId.current,
+    connId: connId.current,
+    transport: transport.toJSON(),
+  }), [nodes, connections, patchMeta, nextId, connId, transport]);
+
+  // Write the bytes of the patch's user-loaded samples to the sample
+  // store; the patch itself only keeps their hashes
+  const storeSamples = useCallback((patch) => putSamples(
+    collectSamples(patch.nodes, (id) => engineRef.current?.getSampleData(id))
+  ), [engineRef]);
+
+  // ── Continuous autosave ─────────────────────────────────
+  useEffect(() => {
+    const count = Object.keys(nodes).length;
+    // Nothing booted yet, or a bare AudioOut that would overwrite a
+    // pending recovery before the user has chosen
+    if (count === 0 || (recovery && count <= 1)) return;
+    const now = Date.now();
+    autosavePendingRef.current ??= now;
+    const delay = Math.min(AUTOSAVE_DELAY_MS, autosavePendingRef.current + AUTOSAVE_MAX_WAIT_MS - now);
+    const timer = setTimeout(() => {
+      autosavePendingRef.current = null;
+      const patch = currentPatch();
+      storeSamples(patch)
+        .then(() => writeAutosave({
+          savedAt: new Date().toISOString(),
+          libraryId: patchMeta.libraryId,
+          name: patchMeta.name,
+          tags: patchMeta.tags,
+          patch,
+        }))
+        .catch(() => {});
+    }, Math.max(0, delay));
+    return () => clearTimeout(timer);
+  }, [nodes, patchMeta, recovery, currentPatch, storeSamples]);
+
+  const restoreRecovery = useCallback(async () => {
+    if (!recovery) return;
+    try {
+      applyPatchData(await withSamples(recovery.patch), {
+        name: recovery.name || recovery.patch.name || 'Untitled Patch',
+        tags: recovery.tags || [],
+        libraryId: recovery.libraryId ?? null,
+      });
+      setRecovery(null);
+      setStatus('Recovered unsaved patch');
+    } catch (err) {
+      setStatus(`Error recovering patch: ${err.message}`);
+    }
+  }, [recovery, applyPatchData, setStatus]);
+
+  const discardRecovery = useCallback(() => {
+    setRecovery(null);
+    clearAutosave().then(pruneSamples).catch(() => {});
+  }, []);
+
+  // ── Library entries ─────────────────────────────────────
+  // Save the working patch over its library entry, or as a new entry
+  const saveToLibrary = useCallback(async (asNew = false) => {
+    const now = new Date().toISOString();
+    try {
+      const existing = !asNew && patchMeta.libraryId ? await getPatch(patchMeta.libraryId) : null;
+      const entry = {
+        id: existing?.id ?? newEntryId(),
+        name: patchMeta.name || 'Untitled Patch',
+        tags: patchMeta.tags,
+        thumbnail: renderThumbnail(canvasRef.current, nodes, connections),
+        createdAt: existing?.createdAt ?? now,
+        modifiedAt: now,
+        patch: currentPatch(),
+      };
+      await storeSamples(entry.patch);
+      await putPatch(entry);
+      setPatchMeta((m) => ({ ...m, libraryId: entry.id }));
+      await refreshEntries();
+      setStatus(`Saved to library: ${entry.name}`);
+    } catch (err) {
+      setStatus(`Error saving to library: ${err.message}`);
+    }
+  }, [patchMeta, canvasRef, nodes, connections, currentPatch, storeSamples, setPatchMeta, refreshEntries, setStatus]);
+
+  const openEntry = useCallback(async (id) => {
+    try {
+      const entry = await getPatch(id);
+      if (!entry) return;
+      applyPatchData(await withSamples(entry.patch), { name: entry.name, tags: entry.tags || [], libraryId: entry.id });
+      setRecovery(null);
+    } catch (err) {
+      setStatus(`Error opening patch: ${err.message}`);
+    }
+  }, [applyPatchData, setStatus]);
+
+  const deleteEntry = useCallback(async (id) => {
+    try {
+      await deletePatch(id);
+    } catch (err) {
+      setStatus(`Error deleting patch: ${err.message}`);
+      return;
+    }
+    if (patchMeta.libraryId === id) setPatchMeta((m) => ({ ...m, libraryId: null }));
+    await refreshEntries();
+    pruneSamples().catch(() => {});
+  }, [patchMeta.libraryId, setPatchMeta, refreshEntries, setStatus]);
+
+  // ── Archive import / export ─────────────────────────────
+  const handleExportLibrary = useCallback(async () => {
+    let archive;
+    try {
+      archive = await exportLibrary();
+    } catch (err) {
+      setStatus(`Error exporting library: ${err.message}`);
+      return;
+    }
+    const blob = new Blob([JSON.stringify(archive)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `ora-library-${new Date().toISOString().slice(0, 10)}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+    setStatus(`Exported ${archive.patches.length} patches`);
+  }, [setStatus]);
+
+  const handleImportLibrary = useCallback(async (file) => {
+    try {
+      const count = await importLibrary(JSON.parse(await file.text()));
+      await refreshEntries();
+      setStatus(`Imported ${count} patch${count === 1 ? '' : 'es'} into the library`);
+    } catch (err) {
+      setStatus(`Error importing library: ${err.message}`);
+    }
+  }, [refreshEntries, setStatus]);
+
+  return {
+    entries,
+    recovery,
+    saveToLibrary,
+    openEntry,
+    deleteEntry,
+    restoreRecovery,
+    discardRecovery,
+    handleExportLibrary,
+    handleImportLibrary,
+  };
+}
@@ -5,13 +5,16 @@ import { PulserRunner } from '../../audio/pulserRunner';
  * Hook managing PulserRunner lifecycle.
  *
  * Auto-starts pulsers when they have output connections,
- * updates rate when params change, and stops them when
- * disconnected or deleted.
+ * updates rate and transport sync when they change, and stops
+ * them when disconnected or deleted. Pulses go out through
+ * `controlOutRef` (see useControlDispatch).
  */
 export function usePulser({
   nodes,
   connections,
-  setNodes,
+  scheduler,
+  transport,
+  controlOutRef,
   runningPulsers,
   setRunningPulsers,
 }) {
@@ -19,24 +22,16 @@ export function usePulser({
 
   // Initialize runner once
   useEffect(() => {
-    pulserRunnerRef.current = new PulserRunner((nodeId, value) => {
-      setNodes((prev) => {
-        const node = prev[nodeId];
-        if (!node) return prev;
-        return {
-          ...prev,
-          [nodeId]: {
-            ...node,
-            params: { ...node.params, value },
-          },
-        };
-      });
-    });
+    pulserRunnerRef.current = new PulserRunner(
+      (nodeId, value, time) => controlOutRef.current?.(nodeId, 0, value, time),
+      scheduler,
+      transport,
+    );
 
     return () => {
-      pulserRunnerRef.current?.stopAll();
+      pulserRunnerRef.current?.dispose();
     };
-  }, []);
+  }, [scheduler, transport, controlOutRef]);
 
   // Auto-start/stop pulsers based on connections
   useEffect(() => {
@@ -54,9 +49,10 @@ export function usePulser({
 
       if (hasOutput) {
         if (!pulser.isRunning(nodeId)) {
-          pulser.start(nodeId, node.params.rate || 2);
+          pulser.start(nodeId, node.params.rate || 2, !!node.sync);
           setRunningPulsers((prev) => new Set(prev).add(nodeId));
         } else {
+          pulser.setSync(nodeId, !!node.sync);
           pulser.setRate(nodeId, node.params.rate || 2);
         }
       } else if (pulser.isRunning(nodeId)) {
@@ -1,35 +1,53 @@
 import { useState, useRef, useCallback, useEffect } from 'react';
+import { PcmRecorder } from '../../audio/pcmRecorder';
+import { encodeWav } from '../../audio/wavEncoder';
+import { encodeFlac } from '../../audio/flacEncoder';
 
-export function useRecording({ engineRef, setStatus }) {
+// Recording formats: lossless modes collect takes, webm downloads at once
+export const REC_FORMATS = ['wav', 'flac', 'webm'];
+
+const TAKE_BIT_DEPTH = 24;
+
+function timestamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// The take's audio between its trim points
+function trimmedChannels(take) {
+  const from = Math.round(take.trimStart * take.sampleRate);
+  const to = Math.round(take.trimEnd * take.sampleRate);
+  return take.channels.map((ch) => ch.slice(from, Math.max(from, to)));
+}
+
+function takeToWavBlob(take) {
+  return new Blob([encodeWav(trimmedChannels(take), take.sampleRate, TAKE_BIT_DEPTH)], { type: 'audio/wav' });
+}
+
+export function useRecording({ engineRef, setStatus, addNode, loadSampleFile }) {
   const [recording, setRecording] = useState(false);
   const [recordingTime, setRecordingTime] = useState(0);
+  const [recFormat, setRecFormat] = useState('wav');
+  const [takes, setTakes] = useState([]); // [{ id, name, format, channels, sampleRate, duration, trimStart, trimEnd }]
+  const [auditionId, setAuditionId] = useState(null);
   const recorderRef = useRef(null);
+  const pcmRecorderRef = useRef(null);
   const recChunksRef = useRef([]);
   const recTimerRef = useRef(null);
   const recStreamDestRef = useRef(null);
+  const takeIdRef = useRef(1);
+  const auditionRef = useRef(null); // { audio, url }
 
-  const handleToggleRecording = useCallback(() => {
-    const engine = engineRef.current;
-    if (!engine) return;
-
-    if (recording) {
-      // ── Stop recording ──
-      recorderRef.current?.stop();
-      clearInterval(recTimerRef.current);
-      recTimerRef.current = null;
-      setRecording(false);
-      setRecordingTime(0);
-      return;
-    }
-
-    // ── Start recording ──
-    const ctx = engine.getAudioContext();
-    const outputNode = engine.getOutputNode();
-    if (!ctx || !outputNode) {
-      setStatus('Cannot record — audio engine not ready');
-      return;
-    }
-
+  // ── WebM (MediaRecorder) capture — downloads as soon as it stops ──
+  const startWebm = useCallback((ctx, outputNode) => {
     // Create (or reuse) a MediaStreamDestination
     if (!recStreamDestRef.current) {
       recStreamDestRef.current = ctx.createMediaStreamDestination();
@@ -51,35 +69,185 @@ export function useRecording({ engineRef, setStatus }) {
     recorder.onstop = () => {
       const blob = new Blob(recChunksRef.current, { type: mimeType });
       const ext = mimeType.includes('webm') ? 'webm' : 'ogg';
-      const ts = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `ora-recording-${ts}.${ext}`;
-      a.click();
-      URL.revokeObjectURL(url);
+      downloadBlob(blob, `ora-recording-${timestamp()}.${ext}`);
       setStatus('Recording saved');
     };
 
     recorder.start(250);
+  }, [setStatus]);
+
+  // ── Lossless (AudioWorklet PCM) capture — stopping adds a take ──
+  const stopPcm = useCallback(async (format) => {
+    const pcm = pcmRecorderRef.current;
+    pcmRecorderRef.current = null;
+    if (!pcm) return;
+
+    const { channels, sampleRate } = await pcm.stop();
+    const duration = (channels[0]?.length ?? 0) / sampleRate;
+    if (duration === 0) {
+      setStatus('Recording was empty');
+      return;
+    }
+
+    const id = takeIdRef.current++;
+    setTakes((prev) => [...prev, {
+      id,
+      name: `Take ${id}`,
+      format,
+      channels,
+      sampleRate,
+      duration,
+      trimStart: 0,
+      trimEnd: duration,
+    }]);
+    setStatus(`Take ${id} recorded (${duration.toFixed(1)}s) — see Takes`);
+  }, [setStatus]);
+
+  const handleToggleRecording = useCallback(async () => {
+    const engine = engineRef.current;
+    if (!engine) return;
+
+    if (recording) {
+      // ── Stop recording ──
+      clearInterval(recTimerRef.current);
+      recTimerRef.current = null;
+      setRecording(false);
+      setRecordingTime(0);
+      if (recorderRef.current) {
+        recorderRef.current.stop();
+        recorderRef.current = null;
+      } else {
+        await stopPcm(recFormat);
+      }
+      return;
+    }
+
+    // ── Start recording ──
+    const ctx = engine.getAudioContext();
+    const outputNode = engine.getOutputNode();
+    if (!ctx || !outputNode) {
+      setStatus('Cannot record — audio engine not ready');
+      return;
+    }
+
+    try {
+      if (recFormat === 'webm') {
+        startWebm(ctx, outputNode);
+      } else {
+        const pcm = new PcmRecorder(ctx, outputNode);
+        await pcm.start();
+        pcmRecorderRef.current = pcm;
+      }
+    } catch (err) {
+      console.error('[Recording] Failed to start:', err);
+      setStatus(`Cannot record — ${err.message}`);
+      return;
+    }
+
     setRecording(true);
     setRecordingTime(0);
-    setStatus('Recording…');
+    setStatus(`Recording ${recFormat.toUpperCase()}…`);
 
     // Elapsed-time timer (ticks every second)
     const t0 = Date.now();
     recTimerRef.current = setInterval(() => {
       setRecordingTime(Math.floor((Date.now() - t0) / 1000));
     }, 1000);
-  }, [recording]);
+  }, [engineRef, setStatus, recording, recFormat, startWebm, stopPcm]);
+
+  // ── Take management ──────────────────────────────────────
+
+  const stopAudition = useCallback(() => {
+    const current = auditionRef.current;
+    if (current) {
+      current.audio.pause();
+      URL.revokeObjectURL(current.url);
+      auditionRef.current = null;
+    }
+    setAuditionId(null);
+  }, []);
+
+  // Play a take's trimmed region (or stop it if it is already playing)
+  const handleAuditionTake = useCallback((id) => {
+    const wasPlaying = auditionId === id;
+    stopAudition();
+    if (wasPlaying) return;
+
+    const take = takes.find((t) => t.id === id);
+    if (!take) return;
+    const url = URL.createObjectURL(takeToWavBlob(take));
+    const audio = new Audio(url);
+    audio.onended = stopAudition;
+    auditionRef.current = { audio, url };
+    setAuditionId(id);
+    audio.play().catch((err) => {
+      console.error('[Recording] Audition failed:', err);
+      stopAudition();
+    });
+  }, [takes, auditionId, stopAudition]);
+
+  // Rename, re-trim or change a take's download format
+  const handleUpdateTake = useCallback((id, changes) => {
+    setTakes((prev) => prev.map((t) => {
+      if (t.id !== id) return t;
+      const next = { ...t, ...changes };
+      next.trimStart = Math.max(0, Math.min(next.trimStart, t.duration));
+      next.trimEnd = Math.max(next.trimStart, Math.min(next.trimEnd, t.duration));
+      return next;
+    }));
+  }, []);
+
+  const handleDeleteTake = useCallback((id) => {
+    if (auditionId === id) stopAudition();
+    setTakes((prev) => prev.filter((t) => t.id !== id));
+  }, [auditionId, stopAudition]);
+
+  const handleDownloadTake = useCallback((id) => {
+    const take = takes.find((t) => t.id === id);
+    if (!take) return;
+    const base = take.name.trim().replace(/[^\w.-]+/g, '_') || `take-${id}`;
+    if (take.format === 'flac') {
+      const flac = encodeFlac(trimmedChannels(take), take.sampleRate, TAKE_BIT_DEPTH);
+      downloadBlob(new Blob([flac], { type: 'audio/flac' }), `${base}.flac`);
+    } else {
+      downloadBlob(takeToWavBlob(take), `${base}.wav`);
+    }
+    setStatus(`Saved ${take.name}`);
+  }, [takes, setStatus]);
+
+  // Load a take into a sample_player node ('new' adds one first)
+  const handleTakeToSampler = useCallback((id, target) => {
+    const take = takes.find((t) => t.id === id);
+    if (!take || !loadSampleFile) return;
+    const nodeId = target === 'new' ? addNode?.('sample_player') : target;
+    if (nodeId == null) return;
+    const file = new File([takeToWavBlob(take)], `${take.name}.wav`, { type: 'audio/wav' });
+    loadSampleFile(nodeId, file);
+    setStatus(`${take.name} → Sampler ${nodeId}`);
+  }, [takes, addNode, loadSampleFile, setStatus]);
 
   // Clean up recording on unmount
   useEffect(() => {
     return () => {
       recorderRef.current?.stop();
+      pcmRecorderRef.current?.stop();
+      auditionRef.current?.audio.pause();
       clearInterval(recTimerRef.current);
     };
   }, []);
 
-  return { recording, recordingTime, handleToggleRecording };
+  return {
+    recording,
+    recordingTime,
+    recFormat,
+    setRecFormat,
+    takes,
+    auditionId,
+    handleToggleRecording,
+    handleAuditionTake,
+    handleUpdateTake,
+    handleDeleteTake,
+    handleDownloadTake,
+    handleTakeToSampler,
+  };
 }
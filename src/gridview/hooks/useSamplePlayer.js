@@ -1,4 +1,5 @@
 import { useState, useRef, useCallback } from 'react';
+import { hashBytes, sampleBytes } from '../sampleBundle';
 
 export function useSamplePlayer({ engineRef, setNodes, setStatus }) {
   // Sample player state
@@ -6,14 +7,12 @@ export function useSamplePlayer({ engineRef, setNodes, setStatus }) {
   const [samplePlayheads, setSamplePlayheads] = useState({}); // nodeId -> { trigTime, rate, startPos, endPos, loop, duration }
   const sampleFileInputRef = useRef(null);
   const sampleLoadTargetRef = useRef(null); // nodeId being loaded for
+  const sampleCacheRef = useRef(new Map()); // sampleHash -> { name, bytes } of every file loaded this session
 
-  // Handle file selection for sample loading
-  const handleSampleFileSelect = useCallback(async (e) => {
-    const file = e.target.files?.[0];
-    const nodeId = sampleLoadTargetRef.current;
-    if (!file || nodeId == null) return;
-    e.target.value = ''; // reset input
-
+  // Load an audio File (or Blob with a name) into a sample player.
+  // `name` overrides the name taken from the file; `resetRegion: false`
+  // keeps the node's start/end (restoring a saved patch).
+  const loadSampleFile = useCallback(async (nodeId, file, { name, resetRegion = true } = {}) => {
     const engine = engineRef.current;
     if (!engine?.booted) return;
 
@@ -42,13 +41,17 @@ export function useSamplePlayer({ engineRef, setNodes, setStatus }) {
       // Load into engine buffer
       const data = new Uint8Array(arrayBuf);
       const bufNum = engine.loadSampleBuffer(nodeId, data);
+      const sampleName = name ?? file.name.replace(/\.[^.]+$/, '');
+      // Identifies the file when the patch is saved with its samples
+      const sampleHash = await hashBytes(data);
+      sampleCacheRef.current.set(sampleHash, { name: sampleName, bytes: data });
 
       // Store waveform data
       setSampleData((prev) => ({
         ...prev,
         [nodeId]: {
           audioData: mono,
-          name: file.name.replace(/\.[^.]+$/, ''),
+          name: sampleName,
           duration: decoded.duration,
           channels: decoded.numberOfChannels,
           bufNum,
@@ -68,8 +71,9 @@ export function useSamplePlayer({ engineRef, setNodes, setStatus }) {
           ...prev,
           [nodeId]: {
             ...node,
-            params: { ...node.params, start_pos: 0, end_pos: 1 },
-            sampleName: file.name.replace(/\.[^.]+$/, ''),
+            params: resetRegion ? { ...node.params, start_pos: 0, end_pos: 1 } : node.params,
+            sampleName,
+            sampleHash,
           },
         };
       });
@@ -79,8 +83,17 @@ export function useSamplePlayer({ engineRef, setNodes, setStatus }) {
     }
   }, [engineRef, setNodes, setStatus]);
 
-  // Load a built-in sample
-  const handleLoadBuiltinSample = useCallback(async (nodeId, sampleName) => {
+  // Handle file selection for sample loading
+  const handleSampleFileSelect = useCallback((e) => {
+    const file = e.target.files?.[0];
+    const nodeId = sampleLoadTargetRef.current;
+    if (!file || nodeId == null) return;
+    e.target.value = ''; // reset input
+    loadSampleFile(nodeId, file);
+  }, [loadSampleFile]);
+
+  // Load a built-in sample (`resetRegion` as for loadSampleFile)
+  const handleLoadBuiltinSample = useCallback(async (nodeId, sampleName, { resetRegion = true } = {}) => {
     const engine = engineRef.current;
     if (!engine?.booted) return;
 
@@ -125,14 +138,13 @@ export function useSamplePlayer({ engineRef, setNodes, setStatus }) {
       setNodes((prev) => {
         const node = prev[nodeId];
         if (!node) return prev;
-        return {
-          ...prev,
-          [nodeId]: {
-            ...node,
-            params: { ...node.params, start_pos: 0, end_pos: 1 },
-            sampleName,
-          },
+        const next = {
+          ...node,
+          params: resetRegion ? { ...node.params, start_pos: 0, end_pos: 1 } : node.params,
+          sampleName,
         };
+        delete next.sampleHash; // built-in, nothing to bundle
+        return { ...prev, [nodeId]: next };
       });
     } catch (err) {
       console.error(`[SamplePlayer] Failed to load builtin sample "${sampleName}":`, err);
@@ -140,6 +152,21 @@ export function useSamplePlayer({ engineRef, setNodes, setStatus }) {
     }
   }, [engineRef, setNodes, setStatus]);
 
+  // Reload a saved sample_player's sample, keeping its region. Custom
+  // samples come from this session's cache or the patch's embedded
+  // `samples` entry; returns false when their bytes aren't available.
+  const restoreSample = useCallback((nodeId, { sampleName, sampleHash }, embedded = null) => {
+    if (!sampleName) return true;
+    if (!sampleHash) {
+      handleLoadBuiltinSample(nodeId, sampleName, { resetRegion: false });
+      return true;
+    }
+    const bytes = sampleCacheRef.current.get(sampleHash)?.bytes ?? (embedded && sampleBytes(embedded));
+    if (!bytes) return false;
+    loadSampleFile(nodeId, new File([bytes], sampleName), { name: sampleName, resetRegion: false });
+    return true;
+  }, [loadSampleFile, handleLoadBuiltinSample]);
+
   // Handle region change on waveform
   const handleSampleRegionChange = useCallback((nodeId, start, end) => {
     setNodes((prev) => {
@@ -157,11 +184,11 @@ export function useSamplePlayer({ engineRef, setNodes, setStatus }) {
     engineRef.current?.setParam(nodeId, 'end_pos', end);
   }, [engineRef, setNodes]);
 
-  // Trigger sample playback
-  const handleSampleTrigger = useCallback((nodeId) => {
+  // Trigger sample playback, now or at `time` (lookahead scheduler clock)
+  const handleSampleTrigger = useCallback((nodeId, time = null) => {
     const engine = engineRef.current;
     if (!engine?.booted) return;
-    engine.triggerSample(nodeId);
+    engine.triggerSample(nodeId, time);
 
     // Track playhead animation
     setNodes((prev) => {
@@ -177,7 +204,7 @@ export function useSamplePlayer({ engineRef, setNodes, setStatus }) {
       setSamplePlayheads((ph) => ({
         ...ph,
         [nodeId]: {
-          trigTime: performance.now(),
+          trigTime: time != null ? time * 1000 : performance.now(),
           rate,
           startPos,
           endPos,
@@ -226,8 +253,10 @@ export function useSamplePlayer({ engineRef, setNodes, setStatus }) {
     samplePlayheads,
     sampleFileInputRef,
     sampleLoadTargetRef,
+    loadSampleFile,
     handleSampleFileSelect,
     handleLoadBuiltinSample,
+    restoreSample,
     handleSampleRegionChange,
     handleSampleTrigger,
     handleSampleLoopToggle,
@@ -1,17 +1,24 @@
 import { useRef, useEffect } from 'react';
 import { SequencerRunner } from '../../audio/sequencerRunner';
+import { isScheduledSource } from '../utils';
 
 /**
  * Hook managing SequencerRunner lifecycle.
  *
  * Auto-starts sequencers, propagates trigger values from
- * connected sources (e.g. Pulser), and updates step values
- * and visual indicators when params change.
+ * connected sources, and updates step values and visual
+ * indicators when params change. Triggers from scheduled
+ * sources (e.g. Pulser) and the steps they advance to go
+ * through `controlOutRef` instead (see useControlDispatch).
+ * Synced sequencers also step on the transport's beats.
  */
 export function useSequencer({
   nodes,
   connections,
   setNodes,
+  scheduler,
+  transport,
+  controlOutRef,
   runningSequencers,
   setRunningSequencers,
 }) {
@@ -19,24 +26,16 @@ export function useSequencer({
 
   // Initialize runner once
   useEffect(() => {
-    sequencerRunnerRef.current = new SequencerRunner((nodeId, value) => {
-      setNodes((prev) => {
-        const node = prev[nodeId];
-        if (!node) return prev;
-        return {
-          ...prev,
-          [nodeId]: {
-            ...node,
-            params: { ...node.params, value },
-          },
-        };
-      });
-    });
+    sequencerRunnerRef.current = new SequencerRunner(
+      (nodeId, value, time) => controlOutRef.current?.(nodeId, 0, value, time),
+      scheduler,
+      transport,
+    );
 
     return () => {
-      sequencerRunnerRef.current?.stopAll();
+      sequencerRunnerRef.current?.dispose();
     };
-  }, []);
+  }, [scheduler, transport, controlOutRef]);
 
   // Auto-start sequencers, propagate triggers, update step display
   useEffect(() => {
@@ -59,11 +58,12 @@ export function useSequencer({
       const length = node.params.length ?? 5;
 
       if (!sequencer.isRunning(nodeId)) {
-        sequencer.start(nodeId, steps, length);
+        sequencer.start(nodeId, steps, length, !!node.sync);
         setRunningSequencers((prev) => new Set(prev).add(nodeId));
       } else {
         sequencer.setSteps(nodeId, steps);
         sequencer.setLength(nodeId, length);
+        sequencer.setSync(nodeId, !!node.sync);
       }
 
       // Propagate trigger from connected source
@@ -72,7 +72,7 @@ export function useSequencer({
       );
       if (trigConn) {
         const sourceNode = nodes[trigConn.fromNodeId];
-        if (sourceNode) {
+        if (sourceNode && !isScheduledSource(sourceNode.type)) {
           const trigValue = sourceNode.params?.value ?? 0;
           sequencer.updateTrigger(nodeId, trigValue);
         }
@@ -0,0 +1,58 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { graphSynthDefs, nodeSynthDefs, nodeSynthDefStatus } from '../synthDefRegistry';
+
+/**
+ * Hook loading the SynthDefs of the modules on the grid.
+ *
+ * Once the engine is booted, every module's SynthDefs (see
+ * synthDefRegistry) are requested as soon as it appears, all in
+ * parallel; the engine keeps each one for the rest of the session.
+ * Returns:
+ *   synthDefs        name → { status, error } as the engine reports
+ *                    them; changes whenever one arrives, so the
+ *                    routing can start the modules waiting for it
+ *   synthDefStatus   nodeId → { status: 'loading' | 'failed', names,
+ *                    error } for modules that can't play yet
+ *   retrySynthDefs   (nodeId) → loads a module's failed SynthDefs again
+ */
+export function useSynthDefs({ nodes, engineRef, booted }) {
+  const [synthDefs, setSynthDefs] = useState({});
+
+  useEffect(() => {
+    const engine = engineRef.current;
+    if (!engine) return;
+    engine.onSynthDefStatus = (name, def) => setSynthDefs((prev) => ({ ...prev, [name]: def }));
+    return () => {
+      engine.onSynthDefStatus = null;
+    };
+  }, [engineRef]);
+
+  // Joined so the effect only runs when the set of names changes
+  const wanted = booted ? graphSynthDefs(nodes).join(' ') : '';
+
+  useEffect(() => {
+    if (!wanted) return;
+    engineRef.current?.loadSynthDefs(wanted.split(' ')).catch(() => {}); // failures land in synthDefs
+  }, [wanted, engineRef]);
+
+  const synthDefStatus = useMemo(() => {
+    const byNode = {};
+    if (!booted) return byNode;
+    for (const node of Object.values(nodes)) {
+      const status = nodeSynthDefStatus(node, synthDefs);
+      if (status) byNode[node.id] = status;
+    }
+    return byNode;
+  }, [nodes, synthDefs, booted]);
+
+  const retrySynthDefs = useCallback((nodeId) => {
+    const engine = engineRef.current;
+    const node = nodes[nodeId];
+    if (!engine || !node) return;
+    for (const name of nodeSynthDefs(node)) {
+      if (engine.synthDefStatus(name) === 'failed') engine.retrySynthDef(name).catch(() => {});
+    }
+  }, [nodes, engineRef]);
+
+  return { synthDefs, synthDefStatus, retrySynthDefs };
+}
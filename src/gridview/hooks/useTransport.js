@@ -0,0 +1,76 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getOutputDevices } from '../../audio/midiListener';
+
+// Time signatures offered in the toolbar
+export const METERS = ['2/4', '3/4', '4/4', '5/4', '6/8', '7/8', '12/8'];
+
+/**
+ * Hook exposing the global Transport to the toolbar: a snapshot
+ * of its state, the bar/beat position (refreshed on each beat
+ * while playing) and the handlers behind its controls.
+ */
+export function useTransport({ transport }) {
+  const [state, setState] = useState(() => transport.getState());
+  const [position, setPosition] = useState(() => transport.position());
+
+  // Keep the same object while the bar and beat hold, so the
+  // display only re-renders once a beat
+  const refreshPosition = useCallback(() => {
+    const next = transport.position();
+    setPosition((prev) => (prev.bar === next.bar && prev.beat === next.beat ? prev : next));
+  }, [transport]);
+
+  useEffect(() => transport.subscribe(() => {
+    setState(transport.getState());
+    refreshPosition();
+  }), [transport, refreshPosition]);
+
+  useEffect(() => {
+    if (!state.playing) return;
+    const id = setInterval(refreshPosition, 30);
+    return () => clearInterval(id);
+  }, [state.playing, refreshPosition]);
+
+  useEffect(() => () => transport.dispose(), [transport]);
+
+  // Read on every render: the toolbar re-renders on device changes
+  const outputDevices = getOutputDevices();
+
+  const togglePlay = useCallback(() => {
+    if (transport.playing) transport.stop();
+    else transport.play();
+  }, [transport]);
+
+  const rewind = useCallback(() => transport.setPosition(0), [transport]);
+
+  const setBpm = useCallback((bpm) => transport.setBpm(bpm), [transport]);
+
+  const setMeter = useCallback((meter) => {
+    const [beatsPerBar, beatUnit] = meter.split('/').map(Number);
+    transport.setMeter(beatsPerBar, beatUnit);
+  }, [transport]);
+
+  // '' = internal clock, '*' = MIDI clock from any input,
+  // otherwise the id of the MIDI input to follow
+  const setClockSource = useCallback((value) => {
+    if (!value) transport.setSource('internal');
+    else transport.setSource('midi', value === '*' ? null : value);
+  }, [transport]);
+
+  // '' = clock out off
+  const setClockOut = useCallback((deviceId) => {
+    transport.setClockOut(deviceId || null);
+  }, [transport]);
+
+  return {
+    ...state,
+    position,
+    outputDevices,
+    togglePlay,
+    rewind,
+    setBpm,
+    setMeter,
+    setClockSource,
+    setClockOut,
+  };
+}
@@ -0,0 +1,191 @@
+import { NODE_SCHEMA } from './nodeSchema';
+import { PARAM_START_Y, PARAM_ROW_H } from './constants';
+import { getPortPos, getParamPortPos, getNodeInputs, getNodeOutputs } from './utils';
+
+// ════════════════════════════════════════════════════════════
+//  MACROS (SUBPATCHES)
+//
+//  A macro is a `macro` node standing in for a group of modules.
+//  The inner modules stay ordinary nodes in the graph, tagged with
+//  `macroId`, so routing, the engine and the runners never need to
+//  know about macros — only the canvas does. Connections crossing
+//  the boundary are stored between the real modules and drawn to
+//  the macro's exposed ports:
+//
+//    node.macro = {
+//      name,
+//      inputs:  [{ nodeId, port,  label }],
+//      outputs: [{ nodeId, port,  label }],
+//      params:  [{ nodeId, param, label }],   knob + mod input
+//    }
+//
+//  Every port used by a boundary connection is exposed. Macros
+//  don't nest: the modules inside a macro are never macros.
+//
+//  `scope` is the macro being edited (drilled into), or null for
+//  the top level.
+// ════════════════════════════════════════════════════════════
+
+export const EXPOSURE_KINDS = ['inputs', 'outputs', 'params'];
+
+// Exposure list for each port side used by the canvas
+const SIDE_KIND = { input: 'inputs', output: 'outputs', param: 'params' };
+
+export const inScope = (node, scope) => (node.macroId ?? null) === scope;
+
+export function innerNodeIds(nodes, macroId) {
+  return Object.values(nodes).filter((n) => n.macroId === macroId).map((n) => n.id);
+}
+
+const endpointKey = (kind, e) => (kind === 'params' ? e.param : e.port);
+
+const sameEndpoint = (kind, a, b) =>
+  a.nodeId === b.nodeId && endpointKey(kind, a) === endpointKey(kind, b);
+
+export function isExposed(macro, kind, entry) {
+  return macro[kind].some((e) => sameEndpoint(kind, e, entry));
+}
+
+// Default label for an inner port: the module name, plus the port
+// name when the module has several
+function endpointLabel(node, kind, key) {
+  const schema = NODE_SCHEMA[node.type];
+  if (kind === 'params') return schema.params[key]?.label ?? key;
+  const names = kind === 'inputs' ? getNodeInputs(node) : getNodeOutputs(node);
+  const label = schema.label.toLowerCase();
+  return names.length > 1 ? `${label} ${names[key] ?? key}` : label;
+}
+
+function macroParamPos(node, index) {
+  return { x: node.x, y: node.y + PARAM_START_Y + index * PARAM_ROW_H + PARAM_ROW_H / 2 };
+}
+
+/**
+ * Where a port appears on the canvas at `scope`: on its own module
+ * when that is visible, otherwise on the macro exposing it. `side`
+ * is 'output' | 'input' | 'param' and `key` the port index or param
+ * name. Returns { node, pos }, or null when it isn't visible.
+ */
+export function portEnd(nodes, nodeId, side, key, scope) {
+  const node = nodes[nodeId];
+  if (!node) return null;
+  if (inScope(node, scope)) {
+    const pos = side === 'param'
+      ? getParamPortPos(node, NODE_SCHEMA[node.type], key)
+      : getPortPos(node, side, key);
+    return { node, pos };
+  }
+  const macro = scope == null ? nodes[node.macroId] : null;
+  if (!macro) return null;
+  const kind = SIDE_KIND[side];
+  const index = macro.macro[kind].findIndex((e) => e.nodeId === nodeId && endpointKey(kind, e) === key);
+  if (index === -1) return null;
+  return {
+    node: macro,
+    pos: side === 'param' ? macroParamPos(macro, index) : getPortPos(macro, side, index),
+  };
+}
+
+/** Canvas endpoints of a connection at `scope`, or null if it isn't drawn there. */
+export function cableEnds(nodes, conn, scope) {
+  const from = nodes[conn.fromNodeId];
+  const to = nodes[conn.toNodeId];
+  if (!from || !to) return null;
+  // Wiring inside a collapsed macro
+  if (from.macroId != null && from.macroId === to.macroId && !inScope(from, scope)) return null;
+  const a = portEnd(nodes, conn.fromNodeId, 'output', conn.fromPortIndex, scope);
+  const b = conn.toParam
+    ? portEnd(nodes, conn.toNodeId, 'param', conn.toParam, scope)
+    : portEnd(nodes, conn.toNodeId, 'input', conn.toPortIndex, scope);
+  return a && b ? { from: a.pos, to: b.pos } : null;
+}
+
+// Exposures listed top to bottom in the order their modules sit on
+// the canvas, so the macro's ports roughly follow the layout inside
+const byLayout = (nodes) => (a, b) =>
+  (nodes[a.nodeId].y - nodes[b.nodeId].y) || (nodes[a.nodeId].x - nodes[b.nodeId].x);
+
+/**
+ * Plan collapsing the selection `ids` into a new macro. Only
+ * top-level modules can be collapsed (AudioOut stays outside).
+ * Returns { ids, macro, x, y } with the macro placed at the group's
+ * top-left corner, or null when nothing can be collapsed.
+ */
+export function planCollapse(nodes, connections, ids, name = 'Macro') {
+  const inside = new Set(ids.filter((id) => {
+    const n = nodes[id];
+    return n && n.macroId == null && n.type !== 'macro' && n.type !== 'audioOut';
+  }));
+  if (inside.size === 0) return null;
+
+  const macro = { name, inputs: [], outputs: [], params: [] };
+  const expose = (kind, nodeId, key) => {
+    const entry = kind === 'params' ? { nodeId, param: key } : { nodeId, port: key };
+    if (isExposed(macro, kind, entry)) return;
+    macro[kind].push({ ...entry, label: endpointLabel(nodes[nodeId], kind, key) });
+  };
+  for (const c of connections) {
+    const fromIn = inside.has(c.fromNodeId);
+    if (fromIn === inside.has(c.toNodeId)) continue;
+    if (fromIn) expose('outputs', c.fromNodeId, c.fromPortIndex);
+    else if (c.toParam) expose('params', c.toNodeId, c.toParam);
+    else expose('inputs', c.toNodeId, c.toPortIndex);
+  }
+  for (const kind of EXPOSURE_KINDS) macro[kind].sort(byLayout(nodes));
+
+  const xs = [...inside].map((id) => nodes[id].x);
+  const ys = [...inside].map((id) => nodes[id].y);
+  return { ids: [...inside], macro, x: Math.min(...xs), y: Math.min(...ys) };
+}
+
+/** Every port of the macro's modules that could be exposed, by kind. */
+export function exposableEndpoints(nodes, macroId) {
+  const all = { inputs: [], outputs: [], params: [] };
+  const inner = Object.values(nodes).filter((n) => n.macroId === macroId).sort((a, b) => a.id - b.id);
+  for (const node of inner) {
+    getNodeInputs(node).forEach((_, port) =>
+      all.inputs.push({ nodeId: node.id, port, label: endpointLabel(node, 'inputs', port) }));
+    getNodeOutputs(node).forEach((_, port) =>
+      all.outputs.push({ nodeId: node.id, port, label: endpointLabel(node, 'outputs', port) }));
+    for (const param of Object.keys(NODE_SCHEMA[node.type].params)) {
+      all.params.push({ nodeId: node.id, param, label: endpointLabel(node, 'params', param) });
+    }
+  }
+  return all;
+}
+
+/** Macro definition with `entry` exposed (appended) or hidden. */
+export function setExposed(macro, kind, entry, exposed) {
+  const rest = macro[kind].filter((e) => !sameEndpoint(kind, e, entry));
+  return { ...macro, [kind]: exposed ? [...rest, entry] : rest };
+}
+
+/** Connections crossing the macro's boundary through one inner endpoint. */
+export function boundaryConnections(nodes, connections, macroId, kind, entry) {
+  const outside = (id) => nodes[id]?.macroId !== macroId;
+  return connections.filter((c) => {
+    if (kind === 'outputs') {
+      return c.fromNodeId === entry.nodeId && c.fromPortIndex === entry.port && outside(c.toNodeId);
+    }
+    if (c.toNodeId !== entry.nodeId || !outside(c.fromNodeId)) return false;
+    return kind === 'params' ? c.toParam === entry.param : !c.toParam && c.toPortIndex === entry.port;
+  });
+}
+
+/** Macro definition without the exposures of module `nodeId`. */
+export function withoutNode(macro, nodeId) {
+  const next = { ...macro };
+  for (const kind of EXPOSURE_KINDS) next[kind] = macro[kind].filter((e) => e.nodeId !== nodeId);
+  return next;
+}
+
+/** Macro definition with node ids mapped through `idMap`; unmapped entries are dropped. */
+export function remapMacro(macro, idMap) {
+  const next = { ...macro };
+  for (const kind of EXPOSURE_KINDS) {
+    next[kind] = macro[kind]
+      .filter((e) => idMap.has(e.nodeId))
+      .map((e) => ({ ...e, nodeId: idMap.get(e.nodeId) }));
+  }
+  return next;
+}
@@ -1,4 +1,6 @@
 // ── Node type definitions ─────────────────────────────────
+// Audio ports carry a stereo pair unless `inputChannels` /
+// `outputChannels` list them as mono (1) — see getPortChannels.
 export const NODE_SCHEMA = {
   sine: {
     label: 'Sine',
@@ -332,6 +334,25 @@ export const NODE_SCHEMA = {
       release: { label: 'rel',  min: 0,  max: 5,  step: 0.1,  val: 1 },
     },
   },
+  // ── Poly voice ─────────────────────────────────────────
+  // Wraps one of the note-based instruments above (node.polyVoiceType)
+  // and spawns a synth per note received on the notes port.
+  poly_voice: {
+    label: 'Poly Voice',
+    desc: 'voice allocator',
+    accent: '#8ab0c8',
+    synthDef: null,
+    inputs: [],
+    outputs: ['out'],
+    params: {
+      voices:  { label: 'voices', min: 1,  max: 16,  step: 1,    val: 8 },
+      amp:     { label: 'amp',    min: 0,  max: 1,   step: 0.01, val: 0.4 },
+      attack:  { label: 'atk',    min: 0,  max: 5,   step: 0.01, val: 0.01 },
+      release: { label: 'rel',    min: 0,  max: 10,  step: 0.1,  val: 1 },
+      cutoff:  { label: 'cut',    min: 30, max: 130, step: 1,    val: 100 },
+      notes:   { label: 'notes',  min: 0,  max: 127, step: 1,    val: 0, hidden: true },
+    },
+  },
   // ── Sample player ──────────────────────────────────────
   sample_player: {
     label: 'Sampler',
@@ -350,6 +371,21 @@ export const NODE_SCHEMA = {
       loop:      { label: 'loop',  min: 0, max: 1, step: 1, val: 1, hidden: true },
     },
   },
+  // ── Live input ─────────────────────────────────────────
+  // Microphone / line in (GridEngine.startAudioInput), open while
+  // any Audio In module is on the grid (useAudioInput)
+  audio_in: {
+    label: 'Audio In',
+    desc: 'mic / line in',
+    accent: '#c89a60',
+    synthDef: 'sonic-pi-sound_in_stereo',
+    inputs: [],
+    outputs: ['out'],
+    params: {
+      amp:     { label: 'amp', min: 0,   max: 2,    step: 0.01, val: 1 },
+      sustain: { label: 'sus', min: 0.1, max: 9999, step: 1,    val: 9999, hidden: true },
+    },
+  },
   // ── FX modules ─────────────────────────────────────────
   fx_reverb: {
     label: 'Reverb',
@@ -649,6 +685,316 @@ export const NODE_SCHEMA = {
       mix:   { label: 'mix',   min: 0,   max: 1, step: 0.01, val: 1 },
     },
   },
+  // ── More Sonic Pi FX ───────────────────────────────────
+  // Pitches (cutoff, freq, *_note) are MIDI notes, times seconds
+  fx_bitcrusher: {
+    label: 'Bitcrusher',
+    desc: 'sample rate & bit depth',
+    accent: '#bf7a7a',
+    synthDef: 'sonic-pi-fx_bitcrusher',
+    category: 'fx',
+    inputs: ['in'],
+    outputs: ['out'],
+    params: {
+      sample_rate: { label: 'rate', min: 100, max: 48000, step: 100, val: 10000 },
+      bits:        { label: 'bits', min: 1,   max: 16,    step: 1,   val: 8 },
+      cutoff:      { label: 'cut',  min: 0,   max: 130,   step: 1,   val: 0 },  // 0 = no filter
+      mix:         { label: 'mix',  min: 0,   max: 1,     step: 0.01, val: 1 },
+    },
+  },
+  fx_krush: {
+    label: 'Krush',
+    desc: 'crunchy overdrive',
+    accent: '#bf7a7a',
+    synthDef: 'sonic-pi-fx_krush',
+    category: 'fx',
+    inputs: ['in'],
+    outputs: ['out'],
+    params: {
+      gain:   { label: 'gain', min: 0.1, max: 20,  step: 0.1,  val: 5 },
+      cutoff: { label: 'cut',  min: 0,   max: 130, step: 1,    val: 100 },
+      res:    { label: 'res',  min: 0,   max: 1,   step: 0.01, val: 0 },
+      mix:    { label: 'mix',  min: 0,   max: 1,   step: 0.01, val: 1 },
+    },
+  },
+  fx_tanh: {
+    label: 'Tanh',
+    desc: 'soft saturation',
+    accent: '#bf7a7a',
+    synthDef: 'sonic-pi-fx_tanh',
+    category: 'fx',
+    inputs: ['in'],
+    outputs: ['out'],
+    params: {
+      krunch: { label: 'krnch', min: 0.1, max: 20, step: 0.1,  val: 5 },
+      mix:    { label: 'mix',   min: 0,   max: 1,  step: 0.01, val: 1 },
+    },
+  },
+  fx_compressor: {
+    label: 'Compressor',
+    desc: 'dynamics compressor',
+    accent: '#b0a070',
+    synthDef: 'sonic-pi-fx_compressor',
+    category: 'fx',
+    inputs: ['in'],
+    outputs: ['out'],
+    params: {
+      threshold:   { label: 'thrsh', min: 0,     max: 1, step: 0.01,  val: 0.2 },
+      slope_above: { label: 'above', min: 0,     max: 1, step: 0.01,  val: 0.5 },
+      slope_below: { label: 'below', min: 0,     max: 5, step: 0.01,  val: 1 },
+      clamp_time:  { label: 'atk',   min: 0.001, max: 1, step: 0.001, val: 0.01 },
+      relax_time:  { label: 'rel',   min: 0.001, max: 1, step: 0.001, val: 0.01 },
+      mix:         { label: 'mix',   min: 0,     max: 1, step: 0.01,  val: 1 },
+    },
+  },
+  fx_normaliser: {
+    label: 'Normaliser',
+    desc: 'level normaliser',
+    accent: '#b0a070',
+    synthDef: 'sonic-pi-fx_normaliser',
+    category: 'fx',
+    inputs: ['in'],
+    outputs: ['out'],
+    params: {
+      level: { label: 'level', min: 0, max: 1, step: 0.01, val: 1 },
+      mix:   { label: 'mix',   min: 0, max: 1, step: 0.01, val: 1 },
+    },
+  },
+  // Gains are -1 (cut) to 1 (boost); shelf corners and Qs keep
+  // Sonic Pi's defaults
+  fx_eq: {
+    label: 'EQ',
+    desc: '5-band equaliser',
+    accent: '#bf9b7a',
+    synthDef: 'sonic-pi-fx_eq',
+    category: 'fx',
+    inputs: ['in'],
+    outputs: ['out'],
+    params: {
+      low_shelf:  { label: 'lo sh', min: -1, max: 1,   step: 0.01, val: 0 },
+      low:        { label: 'low',   min: -1, max: 1,   step: 0.01, val: 0 },
+      low_note:   { label: 'lo f',  min: 0,  max: 130, step: 0.1,  val: 59.2 },
+      mid:        { label: 'mid',   min: -1, max: 1,   step: 0.01, val: 0 },
+      mid_note:   { label: 'mid f', min: 0,  max: 130, step: 0.1,  val: 83.2 },
+      high:       { label: 'high',  min: -1, max: 1,   step: 0.01, val: 0 },
+      high_note:  { label: 'hi f',  min: 0,  max: 130, step: 0.1,  val: 104.9 },
+      high_shelf: { label: 'hi sh', min: -1, max: 1,   step: 0.01, val: 0 },
+      mix:        { label: 'mix',   min: 0,  max: 1,   step: 0.01, val: 1 },
+    },
+  },
+  fx_band_eq: {
+    label: 'Band EQ',
+    desc: 'single band boost / cut',
+    accent: '#bf9b7a',
+    synthDef: 'sonic-pi-fx_band_eq',
+    category: 'fx',
+    inputs: ['in'],
+    outputs: ['out'],
+    params: {
+      freq: { label: 'freq', min: 0,    max: 130, step: 1,    val: 100 },
+      res:  { label: 'res',  min: 0.01, max: 1,   step: 0.01, val: 0.6 },
+      db:   { label: 'dB',   min: -24,  max: 24,  step: 0.1,  val: 0.6 },
+      mix:  { label: 'mix',  min: 0,    max: 1,   step: 0.01, val: 1 },
+    },
+  },
+  fx_vowel: {
+    label: 'Vowel',
+    desc: 'formant filter',
+    accent: '#bf9b7a',
+    synthDef: 'sonic-pi-fx_vowel',
+    category: 'fx',
+    inputs: ['in'],
+    outputs: ['out'],
+    params: {
+      vowel_sound: { label: 'vowel', min: 1, max: 5, step: 1,    val: 1 },  // a e i o u
+      voice:       { label: 'voice', min: 0, max: 4, step: 1,    val: 0 },  // soprano … bass
+      mix:         { label: 'mix',   min: 0, max: 1, step: 0.01, val: 1 },
+    },
+  },
+  fx_ring_mod: {
+    label: 'Ring Mod',
+    desc: 'ring modulator',
+    accent: '#7abfbf',
+    synthDef: 'sonic-pi-fx_ring_mod',
+    category: 'fx',
+    inputs: ['in'],
+    outputs: ['out'],
+    params: {
+      freq:    { label: 'freq',  min: 0, max: 130, step: 0.1,  val: 30 },
+      mod_amp: { label: 'depth', min: 0, max: 1,   step: 0.01, val: 1 },
+      mix:     { label: 'mix',   min: 0, max: 1,   step: 0.01, val: 1 },
+    },
+  },
+  fx_octaver: {
+    label: 'Octaver',
+    desc: 'octave up & down',
+    accent: '#7abfbf',
+    synthDef: 'sonic-pi-fx_octaver',
+    category: 'fx',
+    inputs: ['in'],
+    outputs: ['out'],
+    params: {
+      super_amp:  { label: '+1 oct', min: 0, max: 1, step: 0.01, val: 1 },
+      sub_amp:    { label: '-1 oct', min: 0, max: 1, step: 0.01, val: 1 },
+      subsub_amp: { label: '-2 oct', min: 0, max: 1, step: 0.01, val: 1 },
+      mix:        { label: 'mix',    min: 0, max: 1, step: 0.01, val: 1 },
+    },
+  },
+  fx_pitch_shift: {
+    label: 'Pitch Shift',
+    desc: 'granular pitch shifter',
+    accent: '#7abfbf',
+    synthDef: 'sonic-pi-fx_pitch_shift',
+    category: 'fx',
+    inputs: ['in'],
+    outputs: ['out'],
+    params: {
+      pitch:       { label: 'semi',  min: -24,  max: 24, step: 0.1,  val: 0 },
+      window_size: { label: 'win',   min: 0.01, max: 1,  step: 0.01, val: 0.2 },
+      pitch_dis:   { label: 'p dis', min: 0,    max: 1,  step: 0.01, val: 0 },
+      time_dis:    { label: 't dis', min: 0,    max: 1,  step: 0.01, val: 0 },
+      mix:         { label: 'mix',   min: 0,    max: 1,  step: 0.01, val: 1 },
+    },
+  },
+  fx_whammy: {
+    label: 'Whammy',
+    desc: 'pitch shift pedal',
+    accent: '#7abfbf',
+    synthDef: 'sonic-pi-fx_whammy',
+    category: 'fx',
+    inputs: ['in'],
+    outputs: ['out'],
+    params: {
+      transpose: { label: 'semi',  min: -24,   max: 24,  step: 0.1,   val: 12 },
+      deltime:   { label: 'delay', min: 0,     max: 1,   step: 0.01,  val: 0.05 },
+      grainsize: { label: 'grain', min: 0.001, max: 0.5, step: 0.001, val: 0.075 },
+      mix:       { label: 'mix',   min: 0,     max: 1,   step: 0.01,  val: 1 },
+    },
+  },
+  // note 0 follows the input's pitch to the nearest semitone
+  fx_autotuner: {
+    label: 'Autotuner',
+    desc: 'pitch correction',
+    accent: '#7abfbf',
+    synthDef: 'sonic-pi-fx_autotuner',
+    category: 'fx',
+    inputs: ['in'],
+    outputs: ['out'],
+    params: {
+      note:          { label: 'note',  min: 0,   max: 127, step: 1,    val: 0 },
+      transpose:     { label: 'semi',  min: -24, max: 24,  step: 1,    val: 0 },
+      formant_ratio: { label: 'frmnt', min: 0.1, max: 10,  step: 0.01, val: 1 },
+      mix:           { label: 'mix',   min: 0,   max: 1,   step: 0.01, val: 1 },
+    },
+  },
+  // Rhythmic FX: wave 0 saw, 1 pulse, 2 triangle, 3 sine; phase is
+  // the length of one cycle
+  fx_slicer: {
+    label: 'Slicer',
+    desc: 'rhythmic volume gate',
+    accent: '#e0a050',
+    synthDef: 'sonic-pi-fx_slicer',
+    category: 'fx',
+    inputs: ['in'],
+    outputs: ['out'],
+    params: {
+      phase:       { label: 'phase', min: 0.01, max: 4, step: 0.01, val: 0.25 },
+      wave:        { label: 'wave',  min: 0,    max: 3, step: 1,    val: 1 },
+      pulse_width: { label: 'width', min: 0,    max: 1, step: 0.01, val: 0.5 },
+      amp_min:     { label: 'min',   min: 0,    max: 1, step: 0.01, val: 0 },
+      amp_max:     { label: 'max',   min: 0,    max: 1, step: 0.01, val: 1 },
+      smooth:      { label: 'smth',  min: 0,    max: 1, step: 0.01, val: 0 },
+      probability: { label: 'prob',  min: 0,    max: 1, step: 0.01, val: 0 },
+      mix:         { label: 'mix',   min: 0,    max: 1, step: 0.01, val: 1 },
+    },
+  },
+  fx_panslicer: {
+    label: 'Pan Slicer',
+    desc: 'rhythmic auto-pan',
+    accent: '#e0a050',
+    synthDef: 'sonic-pi-fx_panslicer',
+    category: 'fx',
+    inputs: ['in'],
+    outputs: ['out'],
+    params: {
+      phase:       { label: 'phase', min: 0.01, max: 4, step: 0.01, val: 0.25 },
+      wave:        { label: 'wave',  min: 0,    max: 3, step: 1,    val: 1 },
+      pulse_width: { label: 'width', min: 0,    max: 1, step: 0.01, val: 0.5 },
+      pan_min:     { label: 'min',   min: -1,   max: 1, step: 0.01, val: -1 },
+      pan_max:     { label: 'max',   min: -1,   max: 1, step: 0.01, val: 1 },
+      smooth:      { label: 'smth',  min: 0,    max: 1, step: 0.01, val: 0 },
+      probability: { label: 'prob',  min: 0,    max: 1, step: 0.01, val: 0 },
+      mix:         { label: 'mix',   min: 0,    max: 1, step: 0.01, val: 1 },
+    },
+  },
+  fx_tremolo: {
+    label: 'Tremolo',
+    desc: 'volume wobble',
+    accent: '#e0a050',
+    synthDef: 'sonic-pi-fx_tremolo',
+    category: 'fx',
+    inputs: ['in'],
+    outputs: ['out'],
+    params: {
+      phase: { label: 'phase', min: 0.01, max: 8, step: 0.01, val: 4 },
+      depth: { label: 'depth', min: 0,    max: 1, step: 0.01, val: 0.5 },
+      mix:   { label: 'mix',   min: 0,    max: 1, step: 0.01, val: 1 },
+    },
+  },
+  fx_wobble: {
+    label: 'Wobble',
+    desc: 'swept resonant filter',
+    accent: '#e0a050',
+    synthDef: 'sonic-pi-fx_wobble',
+    category: 'fx',
+    inputs: ['in'],
+    outputs: ['out'],
+    params: {
+      phase:      { label: 'phase', min: 0.01, max: 4,    step: 0.01, val: 0.5 },
+      wave:       { label: 'wave',  min: 0,    max: 3,    step: 1,    val: 0 },
+      cutoff_min: { label: 'min',   min: 0,    max: 130,  step: 1,    val: 60 },
+      cutoff_max: { label: 'max',   min: 0,    max: 130,  step: 1,    val: 120 },
+      res:        { label: 'res',   min: 0,    max: 0.99, step: 0.01, val: 0.8 },
+      filter:     { label: 'hpf',   min: 0,    max: 1,    step: 1,    val: 0 },  // 0 low-pass, 1 high-pass
+      mix:        { label: 'mix',   min: 0,    max: 1,    step: 0.01, val: 1 },
+    },
+  },
+  // phase can't exceed max_phase (1 s), fixed when the synth starts
+  fx_ping_pong: {
+    label: 'Ping Pong',
+    desc: 'stereo bouncing echo',
+    accent: '#9b7abf',
+    synthDef: 'sonic-pi-fx_ping_pong',
+    category: 'fx',
+    inputs: ['in'],
+    outputs: ['out'],
+    params: {
+      phase:     { label: 'time', min: 0.01, max: 1, step: 0.01, val: 0.25 },
+      feedback:  { label: 'fb',   min: 0,    max: 1, step: 0.01, val: 0.5 },
+      pan_start: { label: 'pan',  min: -1,   max: 1, step: 0.01, val: 1 },
+      mix:       { label: 'mix',  min: 0,    max: 1, step: 0.01, val: 1 },
+    },
+  },
+  // GVerb reads room when the synth starts; the rest follow live
+  fx_gverb: {
+    label: 'GVerb',
+    desc: 'large space reverb',
+    accent: '#9b7abf',
+    synthDef: 'sonic-pi-fx_gverb',
+    category: 'fx',
+    inputs: ['in'],
+    outputs: ['out'],
+    params: {
+      room:       { label: 'room', min: 1, max: 300, step: 1,    val: 10 },
+      release:    { label: 'tail', min: 0, max: 20,  step: 0.1,  val: 3 },
+      damp:       { label: 'damp', min: 0, max: 1,   step: 0.01, val: 0.5 },
+      spread:     { label: 'sprd', min: 0, max: 1,   step: 0.01, val: 0.5 },
+      ref_level:  { label: 'refl', min: 0, max: 1,   step: 0.01, val: 0.7 },
+      tail_level: { label: 'tl lv', min: 0, max: 1,  step: 0.01, val: 0.5 },
+      dry:        { label: 'dry',  min: 0, max: 1,   step: 0.01, val: 1 },
+      mix:        { label: 'mix',  min: 0, max: 1,   step: 0.01, val: 1 },
+    },
+  },
   // ── Utility modules ─────────────────────────────────────
   multiply: {
     label: 'Multiply',
@@ -686,6 +1032,61 @@ export const NODE_SCHEMA = {
       level: { label: 'level', min: 0, max: 1, step: 0.01, val: 1.0 },
     },
   },
+  mixer: {
+    label: 'Mixer',
+    desc: '4-channel mixer',
+    accent: '#b0a070',
+    synthDef: 'ora_mixer',  // built at boot (buildMixerDef.js)
+    category: 'fx',  // Uses FX routing, one in_bus_N per input
+    inputs: ['1', '2', '3', '4'],
+    outputs: ['out'],
+    params: {
+      level_1: { label: 'lvl 1',  min: 0,  max: 2, step: 0.01, val: 1 },
+      pan_1:   { label: 'pan 1',  min: -1, max: 1, step: 0.01, val: 0 },
+      mute_1:  { label: 'mute 1', min: 0,  max: 1, step: 1,    val: 0, type: 'button' },
+      solo_1:  { label: 'solo 1', min: 0,  max: 1, step: 1,    val: 0, type: 'button' },
+      level_2: { label: 'lvl 2',  min: 0,  max: 2, step: 0.01, val: 1 },
+      pan_2:   { label: 'pan 2',  min: -1, max: 1, step: 0.01, val: 0 },
+      mute_2:  { label: 'mute 2', min: 0,  max: 1, step: 1,    val: 0, type: 'button' },
+      solo_2:  { label: 'solo 2', min: 0,  max: 1, step: 1,    val: 0, type: 'button' },
+      level_3: { label: 'lvl 3',  min: 0,  max: 2, step: 0.01, val: 1 },
+      pan_3:   { label: 'pan 3',  min: -1, max: 1, step: 0.01, val: 0 },
+      mute_3:  { label: 'mute 3', min: 0,  max: 1, step: 1,    val: 0, type: 'button' },
+      solo_3:  { label: 'solo 3', min: 0,  max: 1, step: 1,    val: 0, type: 'button' },
+      level_4: { label: 'lvl 4',  min: 0,  max: 2, step: 0.01, val: 1 },
+      pan_4:   { label: 'pan 4',  min: -1, max: 1, step: 0.01, val: 0 },
+      mute_4:  { label: 'mute 4', min: 0,  max: 1, step: 1,    val: 0, type: 'button' },
+      solo_4:  { label: 'solo 4', min: 0,  max: 1, step: 1,    val: 0, type: 'button' },
+      amp:     { label: 'master', min: 0,  max: 2, step: 0.01, val: 1 },
+    },
+  },
+  pan: {
+    label: 'Pan',
+    desc: 'mono to stereo',
+    accent: '#9ab0a0',
+    synthDef: 'ora_pan',  // built at boot (buildStereoDefs.js)
+    category: 'fx',
+    inputs: ['in'],
+    inputChannels: [1],
+    outputs: ['out'],
+    params: {
+      pan: { label: 'pan', min: -1, max: 1, step: 0.01, val: 0 },
+      amp: { label: 'amp', min: 0,  max: 2, step: 0.01, val: 1 },
+    },
+  },
+  width: {
+    label: 'Width',
+    desc: 'stereo width',
+    accent: '#90a8b8',
+    synthDef: 'ora_width',  // built at boot (buildStereoDefs.js)
+    category: 'fx',
+    inputs: ['in'],
+    outputs: ['out'],
+    params: {
+      width: { label: 'width', min: 0, max: 2, step: 0.01, val: 1 },
+      amp:   { label: 'amp',   min: 0, max: 2, step: 0.01, val: 1 },
+    },
+  },
   print: {
     label: 'Print',
     desc: 'debug logger',
@@ -745,6 +1146,10 @@ export const NODE_SCHEMA = {
       value: { label: 'val', min: 0, max: 1, step: 1, val: 0, hidden: true },
     },
   },
+  // Listens for one kind of MIDI message (see MidiListener). In MPE
+  // mode node.numOutputs opens a port per outputLabels entry;
+  // outputRanges gives each port's value range (params.value is
+  // port 0's).
   midi_in: {
     label: 'MIDI In',
     desc: 'midi controller',
@@ -753,10 +1158,28 @@ export const NODE_SCHEMA = {
     category: 'control',
     inputs: [],
     outputs: ['out'],
+    outputLabels: ['pitch', 'press', 'timbre', 'gate'],
+    outputRanges: [{ min: 0, max: 127 }, { min: 0, max: 127 }, { min: 0, max: 127 }, { min: 0, max: 1 }],
     params: {
       value: { label: 'val', min: 0, max: 127, step: 1, val: 0, hidden: true },
     },
   },
+  // Sends its inputs to a MIDI device (see MidiOutput): note, CC,
+  // pitch bend or program change depending on node.midiMode
+  midi_out: {
+    label: 'MIDI Out',
+    desc: 'midi to external gear',
+    accent: '#7a9fc8',
+    synthDef: null,
+    category: 'control',
+    inputs: [],
+    outputs: [],
+    params: {
+      value:    { label: 'value', min: 0, max: 127, step: 1, val: 60 },
+      gate:     { label: 'gate',  min: 0, max: 1,   step: 1, val: 0, type: 'button' },
+      velocity: { label: 'vel',   min: 1, max: 127, step: 1, val: 100 },
+    },
+  },
   envelope: {
     label: 'Envelope',
     desc: 'breakpoint editor',
@@ -810,11 +1233,28 @@ export const NODE_SCHEMA = {
     accent: '#7a7570',
     synthDef: null,
     inputs: ['L', 'R'],
+    inputChannels: [1, 1],  // hardware buses 0 and 1
+    outputs: [],
+    params: {},
+  },
+  // Stand-in for a collapsed group of modules. Its ports and params
+  // are the ones exposed in `node.macro` (see macros.js); the inner
+  // modules keep running as ordinary nodes tagged with `macroId`.
+  macro: {
+    label: 'Macro',
+    desc: 'subpatch',
+    accent: '#a08cc0',
+    category: 'macro',
+    synthDef: null,
+    inputs: [],
     outputs: [],
     params: {},
   },
 };
 
+// ── Instruments a Poly Voice module can wrap ─────────────
+export const POLY_VOICE_TYPES = ['sine', 'saw', 'bell', 'blade', 'pluck', 'pad', 'hollow'];
+
 // ── Module categories for the instrument panel ───────────
 export const MODULE_CATEGORIES = [
   {
@@ -826,14 +1266,14 @@ export const MODULE_CATEGORIES = [
   {
     id: 'samplers',
     label: 'Samplers',
-    desc: 'sample playback',
-    types: ['sample_player'],
+    desc: 'samples & live input',
+    types: ['sample_player', 'audio_in'],
   },
   {
     id: 'instruments',
     label: 'Instruments',
     desc: 'melodic voices',
-    types: ['bell', 'blade', 'pluck'],
+    types: ['bell', 'blade', 'pluck', 'poly_voice'],
   },
   {
     id: 'textures',
@@ -847,17 +1287,41 @@ export const MODULE_CATEGORIES = [
     desc: 'frequency shaping',
     types: ['fx_lpf', 'fx_hpf', 'fx_bpf', 'fx_rlpf', 'fx_rhpf', 'fx_rbpf', 'fx_moog', 'fx_moogff', 'fx_nlpf', 'fx_nhpf', 'fx_nbpf', 'fx_nrlpf', 'fx_nrhpf', 'fx_nrbpf', 'resonz', 'lowpass_gate'],
   },
+  {
+    id: 'tone',
+    label: 'Tone',
+    desc: 'eq & formants',
+    types: ['fx_eq', 'fx_band_eq', 'fx_vowel'],
+  },
   {
     id: 'fx',
     label: 'Effects',
     desc: 'time & space',
-    types: ['fx_reverb', 'fx_echo', 'fx_distortion', 'fx_flanger', 'comb', 'spectral_freeze'],
+    types: ['fx_reverb', 'fx_gverb', 'fx_echo', 'fx_ping_pong', 'fx_flanger', 'comb', 'spectral_freeze'],
+  },
+  {
+    id: 'drive',
+    label: 'Drive & Dynamics',
+    desc: 'saturation & level',
+    types: ['fx_distortion', 'fx_krush', 'fx_tanh', 'fx_bitcrusher', 'fx_compressor', 'fx_normaliser'],
+  },
+  {
+    id: 'pitch',
+    label: 'Pitch',
+    desc: 'shifting & tuning',
+    types: ['fx_pitch_shift', 'fx_whammy', 'fx_octaver', 'fx_autotuner', 'fx_ring_mod'],
+  },
+  {
+    id: 'rhythmic',
+    label: 'Rhythmic',
+    desc: 'slicers & wobbles',
+    types: ['fx_slicer', 'fx_panslicer', 'fx_tremolo', 'fx_wobble'],
   },
   {
     id: 'utility',
     label: 'Utility',
     desc: 'signal tools',
-    types: ['gain', 'attenuator', 'multiply', 'print', 'scope'],
+    types: ['gain', 'attenuator', 'multiply', 'mixer', 'pan', 'width', 'print', 'scope'],
   },
   {
     id: 'scripting',
@@ -875,6 +1339,14 @@ export const MODULE_CATEGORIES = [
     id: 'control',
     label: 'Control',
     desc: 'modulation sources',
-    types: ['constant', 'envelope', 'pulser', 'sequencer', 'bang', 'midi_in'],
+    types: ['constant', 'envelope', 'pulser', 'sequencer', 'bang', 'midi_in', 'midi_out'],
+  },
+  {
+    id: 'macros',
+    label: 'Macros',
+    desc: 'saved subpatches',
+    // Filled at runtime from the module store (patchLibrary.js)
+    types: [],
+    userModules: true,
   },
 ];
@@ -0,0 +1,111 @@
+// ════════════════════════════════════════════════════════════
+//  OFFLINE BOUNCE
+//
+//  Renders the current patch to a WAV file faster than realtime.
+//  A private GridEngine boots scsynth inside an OfflineAudioContext,
+//  the same routing pass as the live engine builds the graph, and
+//  the context renders as fast as the CPU allows.
+//
+//  The render is stepped with suspend() while the graph is built
+//  with every group paused. Once scsynth has synced (synthdefs,
+//  samples and routing all processed) the groups are unpaused on a
+//  block boundary and everything before it is trimmed, so the file
+//  always starts on the first processed sample.
+//
+//  Control sources (scripts, pulsers, sequencers, envelopes, MIDI)
+//  run in JS on the live page, so the bounce freezes them at their
+//  current values. Noise UGens are seeded by scsynth at boot and
+//  differ between renders; everything else is sample-identical.
+// ════════════════════════════════════════════════════════════
+
+import { GridEngine } from '../audio/gridEngine';
+import { encodeWav } from '../audio/wavEncoder';
+import { applyRouting, createRoutingState } from './applyRouting';
+import { graphSynthDefs } from './synthDefRegistry';
+
+const DEFAULT_SAMPLE_RATE = 48000;
+const STEP_FRAMES = 2048;       // suspend granularity while setting up (16 blocks)
+const MAX_SETUP_SECONDS = 4;    // rendered (paused) audio allowed for setup
+const STEP_WAIT_MS = 50;        // wall-clock wait per setup step
+const SETTLE_MS = 100;          // lets the unpause reach the worklet
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Render `seconds` of the patch and encode it as a WAV.
+ *
+ * liveEngine supplies the sample rate and any loaded sample files.
+ * Returns { wav: ArrayBuffer, sampleRate, frames }.
+ */
+export async function bounceToWav({ nodes, connections, seconds, bitDepth, liveEngine, onStatus }) {
+  const sampleRate = liveEngine?.getAudioContext()?.sampleRate ?? DEFAULT_SAMPLE_RATE;
+  const frames = Math.round(seconds * sampleRate);
+  if (frames <= 0) throw new Error('Nothing to render');
+
+  const setupFrames = Math.ceil(MAX_SETUP_SECONDS * sampleRate / STEP_FRAMES) * STEP_FRAMES;
+  const ctx = new OfflineAudioContext({
+    numberOfChannels: 2,
+    length: setupFrames + frames,
+    sampleRate,
+  });
+
+  const engine = new GridEngine({ audioContext: ctx, offline: true });
+  engine.onStatus = (msg) => onStatus?.(`Bounce: ${msg}`);
+
+  try {
+    await engine.boot();
+    engine.setGroupsRunning(false);
+
+    // Re-load sample files into the private engine's buffers
+    for (const node of Object.values(nodes)) {
+      if (node.type !== 'sample_player') continue;
+      const data = liveEngine?.getSampleData(node.id);
+      if (data) engine.loadSampleBuffer(node.id, data);
+    }
+
+    // Module SynthDefs load on first use; the single routing pass
+    // can't wait for them
+    await engine.loadSynthDefs(graphSynthDefs(nodes));
+    applyRouting(engine, nodes, connections, createRoutingState());
+
+    let synced = false;
+    let syncError = null;
+    engine.sync().then(
+      () => { synced = true; },
+      (e) => { syncError = e; },
+    );
+
+    // Step through the paused setup until scsynth has caught up
+    let startFrame = null;
+    const step = (frame) => {
+      ctx.suspend(frame / sampleRate).then(async () => {
+        if (!synced && !syncError) await delay(STEP_WAIT_MS);
+        if (synced) {
+          startFrame = frame;
+          engine.setGroupsRunning(true);
+          await delay(SETTLE_MS);
+        } else if (!syncError && frame + STEP_FRAMES < setupFrames) {
+          step(frame + STEP_FRAMES);
+        }
+        ctx.resume();
+      });
+    };
+    step(STEP_FRAMES);
+
+    onStatus?.(`Bounce: rendering ${seconds}s…`);
+    const rendered = await ctx.startRendering();
+
+    if (startFrame == null) {
+      throw syncError ?? new Error('Engine setup timed out');
+    }
+
+    const channels = [];
+    for (let ch = 0; ch < rendered.numberOfChannels; ch++) {
+      channels.push(rendered.getChannelData(ch).slice(startFrame, startFrame + frames));
+    }
+
+    return { wav: encodeWav(channels, sampleRate, bitDepth), sampleRate, frames };
+  } finally {
+    await engine.shutdown();
+  }
+}
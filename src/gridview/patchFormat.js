@@ -0,0 +1,167 @@
+// ════════════════════════════════════════════════════════════
+//  PATCH FORMAT
+//
+//  Conversion between in-memory graph objects and the JSON shapes
+//  written to patch files and clipboard fragments. Saving, loading
+//  and copy/paste all go through these so a node field added here
+//  survives every one of them.
+// ════════════════════════════════════════════════════════════
+
+import { PATCH_VERSION } from './patchSchema';
+
+export const FRAGMENT_FORMAT = 'ora-fm/fragment';
+export const MODULE_FORMAT = 'ora-fm/module';
+
+export function serializeNode(node) {
+  const entry = {
+    id: node.id,
+    type: node.type,
+    x: Math.round(node.x),
+    y: Math.round(node.y),
+    params: { ...node.params },
+  };
+  if (node.code != null) entry.code = node.code;
+  if (node.numOutputs != null && node.numOutputs > 1) entry.numOutputs = node.numOutputs;
+  if (node.scriptWidth != null) entry.scriptWidth = node.scriptWidth;
+  if (node.quantize) entry.quantize = true;
+  if (node.breakpoints) entry.breakpoints = node.breakpoints;
+  if (node.curves) entry.curves = node.curves;
+  if (node.duration != null) entry.duration = node.duration;
+  if (node.loop) entry.loop = true;
+  if (node.sync) entry.sync = true;
+  if (node.printPrefix != null) entry.printPrefix = node.printPrefix;
+  if (node.printColor != null) entry.printColor = node.printColor;
+  if (node.bangSize != null) entry.bangSize = node.bangSize;
+  if (node.midiMode != null) entry.midiMode = node.midiMode;
+  if (node.midiChannel != null) entry.midiChannel = node.midiChannel;
+  if (node.midiCcNumber != null) entry.midiCcNumber = node.midiCcNumber;
+  if (node.midiNrpnNumber != null) entry.midiNrpnNumber = node.midiNrpnNumber;
+  if (node.midiDeviceId != null) entry.midiDeviceId = node.midiDeviceId;
+  if (node.midiMap) entry.midiMap = structuredClone(node.midiMap);
+  if (node.sampleName != null) entry.sampleName = node.sampleName;
+  if (node.sampleHash != null) entry.sampleHash = node.sampleHash;
+  if (node.polyVoiceType != null) entry.polyVoiceType = node.polyVoiceType;
+  if (node.polySteal != null) entry.polySteal = node.polySteal;
+  if (node.macroId != null) entry.macroId = node.macroId;
+  if (node.macro) entry.macro = structuredClone(node.macro);
+  return entry;
+}
+
+export function deserializeNode(n) {
+  const node = {
+    id: n.id,
+    type: n.type,
+    x: n.x ?? 0,
+    y: n.y ?? 0,
+    params: { ...n.params },
+  };
+  if (n.code != null) node.code = n.code;
+  if (n.numOutputs != null) node.numOutputs = n.numOutputs;
+  if (n.scriptWidth != null) node.scriptWidth = n.scriptWidth;
+  if (n.quantize) node.quantize = true;
+  if (n.breakpoints) node.breakpoints = n.breakpoints;
+  if (n.curves) node.curves = n.curves;
+  if (n.duration != null) node.duration = n.duration;
+  if (n.loop) node.loop = true;
+  if (n.sync) node.sync = true;
+  if (n.printPrefix != null) node.printPrefix = n.printPrefix;
+  if (n.printColor != null) node.printColor = n.printColor;
+  if (n.bangSize != null) node.bangSize = n.bangSize;
+  if (n.midiMode != null) node.midiMode = n.midiMode;
+  if (n.midiChannel != null) node.midiChannel = n.midiChannel;
+  if (n.midiCcNumber != null) node.midiCcNumber = n.midiCcNumber;
+  if (n.midiNrpnNumber != null) node.midiNrpnNumber = n.midiNrpnNumber;
+  if (n.midiDeviceId != null) node.midiDeviceId = n.midiDeviceId;
+  if (n.midiMap) node.midiMap = structuredClone(n.midiMap);
+  if (n.sampleName != null) node.sampleName = n.sampleName;
+  if (n.sampleHash != null) node.sampleHash = n.sampleHash;
+  if (n.polyVoiceType != null) node.polyVoiceType = n.polyVoiceType;
+  if (n.polySteal != null) node.polySteal = n.polySteal;
+  if (n.macroId != null) node.macroId = n.macroId;
+  if (n.macro) node.macro = structuredClone(n.macro);
+  return node;
+}
+
+export function serializeConnection(c) {
+  const entry = {
+    id: c.id,
+    from: c.fromNodeId,
+    fromPort: c.fromPortIndex,
+    to: c.toNodeId,
+    toPort: c.toPortIndex,
+  };
+  if (c.toParam) entry.toParam = c.toParam;
+  if (c.isAudioRate) entry.isAudioRate = true;
+  if (c.feedbackGain != null) entry.feedbackGain = c.feedbackGain;
+  if (c.modDepth != null) entry.modDepth = c.modDepth;
+  if (c.range) entry.range = { ...c.range };
+  return entry;
+}
+
+export function deserializeConnection(c) {
+  const conn = {
+    id: c.id,
+    fromNodeId: c.from,
+    fromPortIndex: c.fromPort,
+    toNodeId: c.to,
+    toPortIndex: c.toPort,
+    toParam: c.toParam || null,
+    isAudioRate: c.isAudioRate || false,
+  };
+  if (c.feedbackGain != null) conn.feedbackGain = c.feedbackGain;
+  if (c.modDepth != null) conn.modDepth = c.modDepth;
+  if (c.range) conn.range = { offset: 0, scale: 1, curve: 'lin', invert: false, slew: 0, ...c.range };
+  return conn;
+}
+
+/**
+ * Serialize the whole graph as a patch file object. `meta` carries
+ * the patch name / tags, the current id counters and the transport's
+ * tempo and meter.
+ */
+export function serializePatch(nodes, connections, { name, tags, nextId, connId, transport }) {
+  const patch = {
+    name: name || 'Untitled Patch',
+    version: PATCH_VERSION,
+    createdAt: new Date().toISOString(),
+    nextId,
+    connId,
+    nodes: Object.values(nodes).map(serializeNode),
+    connections: connections.map(serializeConnection),
+  };
+  if (tags?.length) patch.tags = tags;
+  if (transport) patch.transport = transport;
+  return patch;
+}
+
+/**
+ * Serialize a subset of the graph as a clipboard fragment. Macros
+ * bring their inner modules along. Only connections with both ends
+ * inside the subset are kept.
+ */
+export function buildFragment(nodes, connections, ids) {
+  const idSet = new Set(ids.filter((id) => nodes[id]));
+  for (const node of Object.values(nodes)) {
+    if (node.macroId != null && idSet.has(node.macroId)) idSet.add(node.id);
+  }
+  return {
+    format: FRAGMENT_FORMAT,
+    version: PATCH_VERSION,
+    nodes: [...idSet].map((id) => serializeNode(nodes[id])),
+    connections: connections
+      .filter((c) => idSet.has(c.fromNodeId) && idSet.has(c.toNodeId))
+      .map(serializeConnection),
+  };
+}
+
+/**
+ * Serialize a macro as a standalone module file: a fragment holding
+ * the macro at the origin and its modules, plus the macro's name.
+ */
+export function buildModule(nodes, connections, macroId) {
+  const fragment = buildFragment(nodes, connections, [macroId]);
+  const root = fragment.nodes.find((n) => n.id === macroId);
+  root.x = 0;
+  root.y = 0;
+  return { ...fragment, format: MODULE_FORMAT, name: nodes[macroId].macro.name };
+}
@@ -0,0 +1,283 @@
+import { NODE_SCHEMA } from './nodeSchema';
+import { getPortPos, getParamPortPos, measureNodeBounds } from './utils';
+import { bytesToBase64, sampleBytes } from './sampleBundle';
+
+// ════════════════════════════════════════════════════════════
+//  PATCH LIBRARY (IndexedDB)
+//
+//  Four object stores:
+//    patches  — library entries keyed by id:
+//               { id, name, tags, thumbnail, createdAt, modifiedAt, patch }
+//               where `patch` is a patch-file object (serializePatch)
+//    autosave — a single record ("current") holding the working patch:
+//               { savedAt, libraryId, name, tags, patch }
+//    samples  — user-loaded sample files keyed by sampleHash:
+//               { name, bytes }, shared by every patch that uses them
+//    modules  — saved macros listed in the instrument panel, keyed by id:
+//               { id, name, savedAt, module } where `module` is a
+//               module file (buildModule) with its samples embedded
+//
+//  Patches in the database reference samples by hash only; the bytes
+//  are attached (withSamples) when a patch is opened and embedded as
+//  base64 when the library is exported.
+//
+//  Dates are ISO strings so entries survive a JSON export unchanged.
+// ════════════════════════════════════════════════════════════
+
+const DB_NAME = 'ora-fm';
+const DB_VERSION = 3;
+const PATCHES = 'patches';
+const AUTOSAVE = 'autosave';
+const SAMPLES = 'samples';
+const MODULES = 'modules';
+const AUTOSAVE_KEY = 'current';
+
+export const LIBRARY_FORMAT = 'ora-fm/library';
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(PATCHES)) db.createObjectStore(PATCHES, { keyPath: 'id' });
+        if (!db.objectStoreNames.contains(AUTOSAVE)) db.createObjectStore(AUTOSAVE);
+        if (!db.objectStoreNames.contains(SAMPLES)) db.createObjectStore(SAMPLES);
+        if (!db.objectStoreNames.contains(MODULES)) db.createObjectStore(MODULES, { keyPath: 'id' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        dbPromise = null;
+        reject(req.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+// Run `fn(store)` in a transaction; resolves with the request's
+// result once the transaction commits
+async function withStore(name, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode);
+    const req = fn(tx.objectStore(name));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export function newEntryId() {
+  return crypto.randomUUID();
+}
+
+// ── Library entries ───────────────────────────────────────
+export async function listPatches() {
+  const entries = await withStore(PATCHES, 'readonly', (s) => s.getAll());
+  return entries.sort((a, b) => (a.modifiedAt < b.modifiedAt ? 1 : -1));
+}
+
+export function getPatch(id) {
+  return withStore(PATCHES, 'readonly', (s) => s.get(id));
+}
+
+export function putPatch(entry) {
+  return withStore(PATCHES, 'readwrite', (s) => s.put(entry));
+}
+
+export function deletePatch(id) {
+  return withStore(PATCHES, 'readwrite', (s) => s.delete(id));
+}
+
+// ── Autosave slot ─────────────────────────────────────────
+export function readAutosave() {
+  return withStore(AUTOSAVE, 'readonly', (s) => s.get(AUTOSAVE_KEY));
+}
+
+export function writeAutosave(record) {
+  return withStore(AUTOSAVE, 'readwrite', (s) => s.put(record, AUTOSAVE_KEY));
+}
+
+export function clearAutosave() {
+  return withStore(AUTOSAVE, 'readwrite', (s) => s.delete(AUTOSAVE_KEY));
+}
+
+// ── Sample store ──────────────────────────────────────────
+export function getSample(hash) {
+  return withStore(SAMPLES, 'readonly', (s) => s.get(hash));
+}
+
+/** Store `{ [hash]: { name, bytes } }`, skipping hashes already stored. */
+export async function putSamples(samples) {
+  for (const [hash, { name, bytes }] of Object.entries(samples)) {
+    const exists = await withStore(SAMPLES, 'readonly', (s) => s.getKey(hash));
+    if (exists === undefined) await withStore(SAMPLES, 'readwrite', (s) => s.put({ name, bytes }, hash));
+  }
+}
+
+const referencedHashes = (patch) =>
+  new Set((patch?.nodes ?? []).map((n) => n.sampleHash).filter(Boolean));
+
+/** Copy of `patch` with the stored bytes of its samples attached. */
+export async function withSamples(patch) {
+  const samples = {};
+  for (const hash of referencedHashes(patch)) {
+    const stored = await getSample(hash);
+    if (stored) samples[hash] = { name: stored.name, data: stored.bytes };
+  }
+  return { ...patch, samples };
+}
+
+// Move a patch's embedded samples into the sample store
+async function storeEmbeddedSamples(patch) {
+  if (!patch.samples) return patch;
+  const samples = {};
+  for (const [hash, entry] of Object.entries(patch.samples)) {
+    samples[hash] = { name: entry.name, bytes: sampleBytes(entry) };
+  }
+  await putSamples(samples);
+  const { samples: _embedded, ...rest } = patch;
+  return rest;
+}
+
+/** Delete stored samples no library entry or autosave refers to. */
+export async function pruneSamples() {
+  const used = new Set();
+  for (const entry of await listPatches()) {
+    for (const h of referencedHashes(entry.patch)) used.add(h);
+  }
+  for (const h of referencedHashes((await readAutosave())?.patch)) used.add(h);
+  const keys = await withStore(SAMPLES, 'readonly', (s) => s.getAllKeys());
+  for (const key of keys) {
+    if (!used.has(key)) await withStore(SAMPLES, 'readwrite', (s) => s.delete(key));
+  }
+}
+
+// ── Saved macro modules ───────────────────────────────────
+export async function listModules() {
+  const entries = await withStore(MODULES, 'readonly', (s) => s.getAll());
+  return entries.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export function putModule(entry) {
+  return withStore(MODULES, 'readwrite', (s) => s.put(entry));
+}
+
+export function deleteModule(id) {
+  return withStore(MODULES, 'readwrite', (s) => s.delete(id));
+}
+
+// ── Archive import / export ───────────────────────────────
+// Archive: { format, version, exportedAt, patches, samples } where
+// `samples` holds every referenced file once, as base64.
+export async function exportLibrary() {
+  const patches = await listPatches();
+  const samples = {};
+  for (const entry of patches) {
+    for (const hash of referencedHashes(entry.patch)) {
+      if (samples[hash]) continue;
+      const stored = await getSample(hash);
+      if (stored) samples[hash] = { name: stored.name, data: bytesToBase64(stored.bytes) };
+    }
+  }
+  return {
+    format: LIBRARY_FORMAT,
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    patches,
+    samples,
+  };
+}
+
+/**
+ * Merge an exported archive (or a single patch file) into the
+ * library. Entries whose id already exists are kept if the stored
+ * copy is newer. Returns the number of entries written.
+ */
+export async function importLibrary(data) {
+  const now = new Date().toISOString();
+  let incoming;
+  if (data?.format === LIBRARY_FORMAT && Array.isArray(data.patches)) {
+    await storeEmbeddedSamples({ samples: data.samples });
+    incoming = data.patches.filter((e) => e?.id && Array.isArray(e.patch?.nodes));
+  } else if (Array.isArray(data?.nodes) && Array.isArray(data?.connections)) {
+    incoming = [{
+      id: newEntryId(),
+      name: data.name || 'Imported Patch',
+      tags: data.tags || [],
+      thumbnail: null,
+      createdAt: data.createdAt || now,
+      modifiedAt: now,
+      patch: data,
+    }];
+  } else {
+    throw new Error('Not a patch library or patch file');
+  }
+
+  let written = 0;
+  for (const entry of incoming) {
+    const existing = await getPatch(entry.id);
+    if (existing && existing.modifiedAt >= entry.modifiedAt) continue;
+    await putPatch({ ...entry, patch: await storeEmbeddedSamples(entry.patch) });
+    written++;
+  }
+  return written;
+}
+
+// ── Thumbnails ────────────────────────────────────────────
+const THUMB_W = 160;
+const THUMB_H = 100;
+const THUMB_PAD = 6;
+
+/**
+ * Draw a small PNG preview of the patch from the rendered grid
+ * canvas (node sizes come from the DOM). Returns a data URL, or null
+ * when there is nothing to draw.
+ */
+export function renderThumbnail(gridCanvas, nodes, connections) {
+  const bounds = gridCanvas && measureNodeBounds(gridCanvas);
+  if (!bounds) return null;
+
+  const thumb = document.createElement('canvas');
+  thumb.width = THUMB_W;
+  thumb.height = THUMB_H;
+  const ctx = thumb.getContext('2d');
+  ctx.fillStyle = '#111010';
+  ctx.fillRect(0, 0, THUMB_W, THUMB_H);
+
+  const scale = Math.min(
+    (THUMB_W - THUMB_PAD * 2) / (bounds.maxX - bounds.minX),
+    (THUMB_H - THUMB_PAD * 2) / (bounds.maxY - bounds.minY),
+    1
+  );
+  const ox = (THUMB_W - (bounds.maxX - bounds.minX) * scale) / 2 - bounds.minX * scale;
+  const oy = (THUMB_H - (bounds.maxY - bounds.minY) * scale) / 2 - bounds.minY * scale;
+
+  ctx.strokeStyle = 'rgba(184, 154, 106, 0.6)';
+  ctx.lineWidth = 1;
+  // Only cables between modules on screen (not those inside macros)
+  const shown = new Set(bounds.rects.map((r) => r.id));
+  for (const conn of connections) {
+    const from = nodes[conn.fromNodeId];
+    const to = nodes[conn.toNodeId];
+    if (!from || !to || !shown.has(from.id) || !shown.has(to.id)) continue;
+    const a = getPortPos(from, 'output', conn.fromPortIndex);
+    const b = conn.toParam
+      ? getParamPortPos(to, NODE_SCHEMA[to.type], conn.toParam)
+      : getPortPos(to, 'input', conn.toPortIndex);
+    ctx.beginPath();
+    ctx.moveTo(ox + a.x * scale, oy + a.y * scale);
+    ctx.lineTo(ox + b.x * scale, oy + b.y * scale);
+    ctx.stroke();
+  }
+
+  ctx.fillStyle = 'rgba(122, 117, 112, 0.5)';
+  for (const r of bounds.rects) {
+    ctx.fillRect(ox + r.x * scale, oy + r.y * scale, Math.max(2, r.w * scale), Math.max(2, r.h * scale));
+  }
+
+  return thumb.toDataURL('image/png');
+}
@@ -0,0 +1,530 @@
+import { NODE_SCHEMA, POLY_VOICE_TYPES } from './nodeSchema';
+import { FEEDBACK_GAIN_MAX, MOD_DEPTH_MAX, CABLE_SLEW_MAX } from './constants';
+import { BPM_MIN, BPM_MAX } from '../audio/transport';
+
+// ════════════════════════════════════════════════════════════
+//  PATCH SCHEMA & MIGRATION
+//
+//  migratePatch() takes any parsed patch file, upgrades it through
+//  the MIGRATIONS chain to PATCH_VERSION and validates the result
+//  against PATCH_JSON_SCHEMA and NODE_SCHEMA. Anything it can't keep
+//  is dropped and listed in the returned report; the input object is
+//  never modified. No React or DOM here — only plain data.
+//
+//  Version history:
+//    1 — original format
+//    2 — user samples (sampleHash on nodes, embedded `samples`),
+//        tags; param connections always carry toPort -1.
+//    3 — macros (`macro` nodes, `macroId` on their modules),
+//        `feedbackGain`, `modDepth` and `range` on connections,
+//        `midiMap` and `midiNrpnNumber` on nodes, `sync` on
+//        time-based modules and the patch's `transport`. A v2 build
+//        would drop the macro node and ignore the rest, so it has to
+//        see a newer version and refuse the file instead.
+// ════════════════════════════════════════════════════════════
+
+export const PATCH_VERSION = 3;
+
+// ── JSON Schema (draft 2020-12 subset) ────────────────────
+const INTEGER_ID = { type: 'integer', minimum: 0 };
+
+const EXPOSED_PORT = {
+  type: 'object',
+  required: ['nodeId', 'port'],
+  properties: { nodeId: INTEGER_ID, port: { type: 'integer', minimum: 0 }, label: { type: 'string' } },
+};
+
+// MIDI Learn binding of one param (node.midiMap[param])
+const MIDI_MAPPING = {
+  type: 'object',
+  required: ['cc', 'min', 'max'],
+  properties: {
+    channel: { type: 'integer', minimum: 0, maximum: 16 },
+    cc: { type: 'integer', minimum: 0, maximum: 127 },
+    min: { type: 'number' },
+    max: { type: 'number' },
+    curve: { type: 'number', minimum: -8, maximum: 8 },
+  },
+};
+
+// Range mapping of a control-rate cable (conn.range)
+const CABLE_RANGE = {
+  type: 'object',
+  required: ['min', 'max'],
+  properties: {
+    min: { type: 'number' },
+    max: { type: 'number' },
+    offset: { type: 'number' },
+    scale: { type: 'number' },
+    curve: { type: 'string', enum: ['lin', 'exp'] },
+    invert: { type: 'boolean' },
+    slew: { type: 'number', minimum: 0 },
+  },
+};
+
+const EXPOSED_PARAM = {
+  type: 'object',
+  required: ['nodeId', 'param'],
+  properties: { nodeId: INTEGER_ID, param: { type: 'string' }, label: { type: 'string' } },
+};
+
+export const NODE_JSON_SCHEMA = {
+  type: 'object',
+  required: ['id', 'type'],
+  properties: {
+    id: INTEGER_ID,
+    type: { type: 'string' },
+    x: { type: 'number' },
+    y: { type: 'number' },
+    params: { type: 'object', additionalProperties: { type: 'number' } },
+    code: { type: 'string' },
+    numOutputs: { type: 'integer', minimum: 1 },
+    scriptWidth: { type: 'number', minimum: 0 },
+    quantize: { type: 'boolean' },
+    breakpoints: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['time', 'value'],
+        properties: { time: { type: 'number' }, value: { type: 'number' } },
+      },
+    },
+    curves: { type: 'array', items: { type: 'number' } },
+    duration: { type: 'number', minimum: 0 },
+    loop: { type: 'boolean' },
+    sync: { type: 'boolean' },
+    printPrefix: { type: 'string' },
+    printColor: { type: 'string' },
+    bangSize: { type: 'number', minimum: 0 },
+    midiMode: { type: 'string' },
+    midiChannel: { type: 'integer', minimum: 0, maximum: 16 },
+    midiCcNumber: { type: 'integer', minimum: 0, maximum: 127 },
+    midiNrpnNumber: { type: 'integer', minimum: 0, maximum: 16383 },
+    midiDeviceId: { type: ['string', 'null'] },
+    midiMap: { type: 'object', additionalProperties: MIDI_MAPPING },
+    sampleName: { type: 'string' },
+    sampleHash: { type: 'string' },
+    polyVoiceType: { type: 'string', enum: POLY_VOICE_TYPES },
+    polySteal: { type: 'string', enum: ['oldest', 'quietest', 'none'] },
+    macroId: INTEGER_ID,
+    macro: {
+      type: 'object',
+      required: ['name', 'inputs', 'outputs', 'params'],
+      properties: {
+        name: { type: 'string' },
+        inputs: { type: 'array', items: EXPOSED_PORT },
+        outputs: { type: 'array', items: EXPOSED_PORT },
+        params: { type: 'array', items: EXPOSED_PARAM },
+      },
+    },
+  },
+};
+
+export const CONNECTION_JSON_SCHEMA = {
+  type: 'object',
+  required: ['from', 'to'],
+  properties: {
+    id: INTEGER_ID,
+    from: INTEGER_ID,
+    fromPort: { type: 'integer', minimum: 0 },
+    to: INTEGER_ID,
+    toPort: { type: 'integer', minimum: -1 },
+    toParam: { type: ['string', 'null'] },
+    isAudioRate: { type: 'boolean' },
+    feedbackGain: { type: 'number' },
+    modDepth: { type: 'number' },
+    range: CABLE_RANGE,
+  },
+};
+
+export const PATCH_JSON_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  title: 'ORA-FM patch',
+  type: 'object',
+  required: ['nodes', 'connections'],
+  properties: {
+    format: { type: 'string' },
+    name: { type: 'string' },
+    version: { type: 'integer', minimum: 1 },
+    createdAt: { type: 'string' },
+    tags: { type: 'array', items: { type: 'string' } },
+    nextId: { type: 'integer', minimum: 1 },
+    connId: { type: 'integer', minimum: 1 },
+    transport: {
+      type: 'object',
+      properties: {
+        bpm: { type: 'number', minimum: BPM_MIN, maximum: BPM_MAX },
+        beatsPerBar: { type: 'integer', minimum: 1, maximum: 16 },
+        beatUnit: { type: 'integer', enum: [2, 4, 8, 16] },
+      },
+    },
+    nodes: { type: 'array', items: NODE_JSON_SCHEMA },
+    connections: { type: 'array', items: CONNECTION_JSON_SCHEMA },
+    samples: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        required: ['name', 'data'],
+        properties: { name: { type: 'string' } },
+      },
+    },
+  },
+};
+
+// ── Minimal validator for the schema subset above ─────────
+// Returns [{ path, message }]; an empty list means valid.
+const typeOf = (v) => {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  return typeof v;
+};
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+export function validateValue(value, schema, path = '', issues = []) {
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => matchesType(value, t))) {
+      issues.push({ path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+      return issues;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    issues.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+  if (schema.minimum != null && value < schema.minimum) {
+    issues.push({ path, message: `must be ≥ ${schema.minimum}` });
+  }
+  if (schema.maximum != null && value > schema.maximum) {
+    issues.push({ path, message: `must be ≤ ${schema.maximum}` });
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required ?? []) {
+      if (!(key in value)) issues.push({ path: `${path}.${key}`, message: 'is required' });
+    }
+    for (const [key, v] of Object.entries(value)) {
+      const sub = schema.properties?.[key] ?? (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+      if (sub) validateValue(v, sub, `${path}.${key}`, issues);
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => validateValue(item, schema.items, `${path}[${i}]`, issues));
+  }
+  return issues;
+}
+
+// ── Migration chain ───────────────────────────────────────
+// MIGRATIONS[n] upgrades a version-n patch to n + 1. Each step gets
+// its own copy of the patch and may log changes via `note(reason)`.
+const toIntId = (v) => (typeof v === 'string' && /^\d+$/.test(v) ? Number(v) : v);
+
+export const MIGRATIONS = {
+  // v1 → v2: v1 files written by hand or by the assistant sometimes
+  // use string ids and omit toPort on param connections
+  1: (patch, note) => {
+    for (const n of patch.nodes ?? []) {
+      if (n && typeof n === 'object') n.id = toIntId(n.id);
+    }
+    for (const c of patch.connections ?? []) {
+      if (!c || typeof c !== 'object') continue;
+      c.id = toIntId(c.id);
+      c.from = toIntId(c.from);
+      c.to = toIntId(c.to);
+      if (c.toParam) {
+        if (c.toPort !== -1) note(`connection ${c.id ?? '?'}: param connection toPort set to -1`);
+        c.toPort = -1;
+      }
+      if (c.isAudioRate != null && typeof c.isAudioRate !== 'boolean') c.isAudioRate = !!c.isAudioRate;
+    }
+    return patch;
+  },
+  // v2 → v3: only adds optional fields; a v2 patch is already valid
+  2: (patch) => patch,
+};
+
+// ── Report ────────────────────────────────────────────────
+// { fromVersion, toVersion, fatal, issues: [{ kind, target, action, reason }] }
+//   kind:   'patch' | 'node' | 'connection' | 'param' | 'field'
+//   action: 'dropped' | 'clamped' | 'defaulted' | 'fixed' | 'migrated'
+function createReport(fromVersion) {
+  return { fromVersion, toVersion: PATCH_VERSION, fatal: null, issues: [] };
+}
+
+const nodeTarget = (n) => `node ${n.id} (${n.type ?? '?'})`;
+const connTarget = (c) => `connection ${c.id ?? '?'} (${c.from ?? '?'} → ${c.to ?? '?'})`;
+
+function outputCount(node, schema) {
+  if (node.numOutputs > 1) return node.numOutputs;
+  return schema.outputs.length;
+}
+
+// Whether an inner module has the port a macro exposure points at
+function hasEndpoint(node, kind, entry) {
+  const schema = NODE_SCHEMA[node.type];
+  if (kind === 'params') return !!schema.params[entry.param];
+  if (kind === 'inputs') return entry.port < schema.inputs.length;
+  return entry.port < outputCount(node, schema);
+}
+
+const endpointName = (node, kind, key) => {
+  const schema = NODE_SCHEMA[node.type];
+  if (kind === 'params') return schema.params[key].label;
+  return (kind === 'inputs' ? schema.inputs : schema.outputs)[key] ?? `out ${key}`;
+};
+
+/**
+ * Upgrade and validate a parsed patch file.
+ * Returns { patch, report }; `patch` is null when report.fatal is set.
+ */
+export function migratePatch(input) {
+  if (typeOf(input) !== 'object') {
+    const report = createReport(null);
+    report.fatal = 'Patch is not a JSON object';
+    return { patch: null, report };
+  }
+
+  const fromVersion = Number.isInteger(input.version) ? input.version : 1;
+  const report = createReport(fromVersion);
+  const add = (kind, target, action, reason) => report.issues.push({ kind, target, action, reason });
+
+  if (fromVersion > PATCH_VERSION) {
+    report.fatal = `Patch format v${fromVersion} is newer than this build supports (v${PATCH_VERSION})`;
+    return { patch: null, report };
+  }
+  if (!Array.isArray(input.nodes) || !Array.isArray(input.connections)) {
+    report.fatal = 'Invalid patch — missing nodes or connections';
+    return { patch: null, report };
+  }
+
+  // ── Upgrade ──
+  let patch = structuredClone(input);
+  for (let v = fromVersion; v < PATCH_VERSION; v++) {
+    patch = MIGRATIONS[v](patch, (reason) => add('patch', `v${v} → v${v + 1}`, 'migrated', reason));
+  }
+  patch.version = PATCH_VERSION;
+
+  // ── Top-level fields ──
+  for (const [key, sub] of Object.entries(PATCH_JSON_SCHEMA.properties)) {
+    if (key === 'nodes' || key === 'connections' || !(key in patch)) continue;
+    const issues = validateValue(patch[key], sub, key);
+    if (issues.length > 0) {
+      delete patch[key];
+      add('field', key, 'dropped', issues[0].message);
+    }
+  }
+
+  // ── Nodes ──
+  const nodes = [];
+  const byId = new Map();
+  for (const node of patch.nodes) {
+    if (typeOf(node) !== 'object') {
+      add('node', '?', 'dropped', 'not an object');
+      continue;
+    }
+    const issues = validateValue(node, NODE_JSON_SCHEMA);
+    const broken = issues.find((i) => i.path === '.id' || i.path === '.type');
+    if (broken) {
+      add('node', nodeTarget(node), 'dropped', `${broken.path.slice(1)} ${broken.message}`);
+      continue;
+    }
+    const schema = NODE_SCHEMA[node.type];
+    if (!schema) {
+      add('node', nodeTarget(node), 'dropped', `unknown module type "${node.type}"`);
+      continue;
+    }
+    if (byId.has(node.id)) {
+      add('node', nodeTarget(node), 'dropped', 'duplicate node id');
+      continue;
+    }
+
+    // Malformed optional fields are removed (the module uses its default)
+    for (const issue of issues) {
+      const field = issue.path.slice(1).split(/[.[]/)[0];
+      if (field === 'params' && issue.path !== '.params') continue; // handled per param below
+      if (field in node) {
+        delete node[field];
+        add('field', `${nodeTarget(node)} ${field}`, 'dropped', issue.message);
+      }
+    }
+
+    const params = {};
+    for (const [key, value] of Object.entries(node.params ?? {})) {
+      const def = schema.params[key];
+      const target = `${nodeTarget(node)} param ${key}`;
+      if (!def) {
+        add('param', target, 'dropped', `not a parameter of ${node.type}`);
+      } else if (!matchesType(value, 'number')) {
+        add('param', target, 'defaulted', `invalid value ${JSON.stringify(value)}`);
+      } else if (value < def.min || value > def.max) {
+        params[key] = Math.min(def.max, Math.max(def.min, value));
+        add('param', target, 'clamped', `${value} outside ${def.min}–${def.max}`);
+      } else {
+        params[key] = value;
+      }
+    }
+    // Missing params silently take their defaults
+    for (const [key, def] of Object.entries(schema.params)) {
+      if (!(key in params)) params[key] = def.val;
+    }
+    node.params = params;
+    for (const key of Object.keys(node.midiMap ?? {})) {
+      if (schema.params[key]) continue;
+      delete node.midiMap[key];
+      add('field', `${nodeTarget(node)} midiMap`, 'dropped', `"${key}" is not a parameter of ${node.type}`);
+    }
+    node.x = node.x ?? 0;
+    node.y = node.y ?? 0;
+
+    nodes.push(node);
+    byId.set(node.id, node);
+  }
+
+  // ── Macros ──
+  // Inner modules must belong to a macro in this patch (macros don't
+  // nest); exposures must name a port of one of the macro's modules
+  for (const node of nodes) {
+    if (node.macroId == null) continue;
+    const macro = byId.get(node.macroId);
+    if (macro?.type !== 'macro' || node.type === 'macro' || node.type === 'audioOut') {
+      const reason = macro?.type === 'macro' ? `${node.type} can't be inside a macro` : `macro ${node.macroId} missing`;
+      add('field', `${nodeTarget(node)} macroId`, 'dropped', reason);
+      delete node.macroId;
+    }
+  }
+  for (const node of nodes) {
+    if (node.type !== 'macro') continue;
+    if (!node.macro) {
+      node.macro = { name: 'Macro', inputs: [], outputs: [], params: [] };
+      add('field', `${nodeTarget(node)} macro`, 'defaulted', 'missing macro definition');
+    }
+    for (const kind of ['inputs', 'outputs', 'params']) {
+      node.macro[kind] = node.macro[kind].filter((entry) => {
+        const inner = byId.get(entry.nodeId);
+        let reason = null;
+        if (inner?.macroId !== node.id) reason = `module ${entry.nodeId} is not inside the macro`;
+        else if (!hasEndpoint(inner, kind, entry)) reason = `${inner.type} has no ${kind.slice(0, -1)} ${entry.param ?? entry.port}`;
+        if (reason) {
+          add('field', `${nodeTarget(node)} ${kind}`, 'dropped', reason);
+          return false;
+        }
+        entry.label = entry.label ?? endpointName(inner, kind, entry.param ?? entry.port);
+        return true;
+      });
+    }
+  }
+
+  // ── Connections ──
+  const connections = [];
+  const connIds = new Set();
+  const endpoints = new Set();
+  let nextConnId = Math.max(0, ...patch.connections.map((c) => (Number.isInteger(c?.id) ? c.id : 0))) + 1;
+  for (const conn of patch.connections) {
+    if (typeOf(conn) !== 'object') {
+      add('connection', '?', 'dropped', 'not an object');
+      continue;
+    }
+    const target = connTarget(conn);
+    let issues = validateValue(conn, CONNECTION_JSON_SCHEMA).filter((i) => i.path !== '.id');
+    // A broken range costs the cable its range, not the cable
+    const rangeIssue = issues.find((i) => i.path.startsWith('.range'));
+    if (rangeIssue) {
+      add('field', `${target} range`, 'dropped', `${rangeIssue.path.slice(1)} ${rangeIssue.message}`);
+      delete conn.range;
+      issues = issues.filter((i) => !i.path.startsWith('.range'));
+    }
+    if (issues.length > 0) {
+      add('connection', target, 'dropped', `${issues[0].path.slice(1)} ${issues[0].message}`);
+      continue;
+    }
+    const from = byId.get(conn.from);
+    const to = byId.get(conn.to);
+    if (!from || !to) {
+      add('connection', target, 'dropped', `${from ? 'target' : 'source'} module missing`);
+      continue;
+    }
+    const fromPort = conn.fromPort ?? 0;
+    if (fromPort >= outputCount(from, NODE_SCHEMA[from.type])) {
+      add('connection', target, 'dropped', `${from.type} has no output ${fromPort}`);
+      continue;
+    }
+    const toSchema = NODE_SCHEMA[to.type];
+    if (conn.toParam) {
+      if (!toSchema.params[conn.toParam]) {
+        add('connection', target, 'dropped', `${to.type} has no parameter "${conn.toParam}"`);
+        continue;
+      }
+    } else if ((conn.toPort ?? 0) < 0 || (conn.toPort ?? 0) >= toSchema.inputs.length) {
+      add('connection', target, 'dropped', `${to.type} has no input ${conn.toPort ?? 0}`);
+      continue;
+    }
+
+    const key = `${conn.from}:${fromPort}>${conn.to}:${conn.toParam || conn.toPort || 0}`;
+    if (endpoints.has(key)) {
+      add('connection', target, 'dropped', 'duplicate of another connection');
+      continue;
+    }
+    endpoints.add(key);
+
+    if (!Number.isInteger(conn.id) || connIds.has(conn.id)) {
+      const id = nextConnId++;
+      add('connection', target, 'fixed', `${conn.id == null ? 'missing' : 'duplicate'} id → ${id}`);
+      conn.id = id;
+    }
+    connIds.add(conn.id);
+    if (conn.feedbackGain != null && (conn.feedbackGain < 0 || conn.feedbackGain > FEEDBACK_GAIN_MAX)) {
+      const gain = Math.min(FEEDBACK_GAIN_MAX, Math.max(0, conn.feedbackGain));
+      add('connection', target, 'clamped', `feedback gain ${conn.feedbackGain} outside 0–${FEEDBACK_GAIN_MAX}`);
+      conn.feedbackGain = gain;
+    }
+    if (conn.modDepth != null && Math.abs(conn.modDepth) > MOD_DEPTH_MAX) {
+      const depth = Math.min(MOD_DEPTH_MAX, Math.max(-MOD_DEPTH_MAX, conn.modDepth));
+      add('connection', target, 'clamped', `modulation depth ${conn.modDepth} outside ±${MOD_DEPTH_MAX}`);
+      conn.modDepth = depth;
+    }
+    if (conn.range?.slew > CABLE_SLEW_MAX) {
+      add('connection', target, 'clamped', `range slew ${conn.range.slew}s over ${CABLE_SLEW_MAX}s`);
+      conn.range.slew = CABLE_SLEW_MAX;
+    }
+    conn.fromPort = fromPort;
+    conn.toPort = conn.toParam ? -1 : (conn.toPort ?? 0);
+    connections.push(conn);
+  }
+
+  // Connections into or out of a macro must run through an exposed
+  // port, otherwise they'd be invisible on the canvas
+  for (const conn of connections) {
+    const from = byId.get(conn.from);
+    const to = byId.get(conn.to);
+    if (from.macroId === to.macroId) continue;
+    const ends = [
+      [from, 'outputs', { nodeId: from.id, port: conn.fromPort }],
+      conn.toParam
+        ? [to, 'params', { nodeId: to.id, param: conn.toParam }]
+        : [to, 'inputs', { nodeId: to.id, port: conn.toPort }],
+    ];
+    for (const [node, kind, entry] of ends) {
+      const macro = byId.get(node.macroId)?.macro;
+      if (!macro) continue;
+      const key = entry.param ?? entry.port;
+      if (macro[kind].some((e) => e.nodeId === node.id && (e.param ?? e.port) === key)) continue;
+      macro[kind].push({ ...entry, label: endpointName(node, kind, key) });
+      add('field', `${nodeTarget(byId.get(node.macroId))} ${kind}`, 'fixed', `exposed ${node.type} ${key} used by ${connTarget(conn)}`);
+    }
+  }
+
+  // ── Id counters must stay ahead of every id in use ──
+  const minNextId = Math.max(0, ...nodes.map((n) => n.id)) + 1;
+  const minConnId = Math.max(0, ...connections.map((c) => c.id)) + 1;
+  if (patch.nextId != null && patch.nextId < minNextId) add('field', 'nextId', 'fixed', `raised to ${minNextId}`);
+  if (patch.connId != null && patch.connId < minConnId) add('field', 'connId', 'fixed', `raised to ${minConnId}`);
+  patch.nextId = Math.max(patch.nextId ?? 0, minNextId);
+  patch.connId = Math.max(patch.connId ?? 0, minConnId);
+
+  patch.nodes = nodes;
+  patch.connections = connections;
+  return { patch, report };
+}
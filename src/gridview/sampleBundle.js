@@ -0,0 +1,68 @@
+// ════════════════════════════════════════════════════════════
+//  SAMPLE BUNDLING
+//
+//  User-loaded samples are identified by the SHA-256 of their file
+//  bytes, stored on the node as `sampleHash`. Built-in samples have
+//  no hash and are restored by name.
+//
+//  A bundled patch file carries the bytes next to the graph:
+//
+//    samples: { [sampleHash]: { name, data } }
+//
+//  where `data` is base64 in JSON files and a Uint8Array when the
+//  patch comes straight from IndexedDB. Identical files loaded into
+//  several players share one entry.
+// ════════════════════════════════════════════════════════════
+
+export async function hashBytes(bytes) {
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Chunked so large samples don't overflow String.fromCharCode's argument list
+export function bytesToBase64(bytes) {
+  let binary = '';
+  const CHUNK = 0x8000;
+  for (let i = 0; i < bytes.length; i += CHUNK) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+  }
+  return btoa(binary);
+}
+
+export function base64ToBytes(str) {
+  const binary = atob(str);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+// Bytes of a `samples` entry, whichever encoding it arrived in
+export function sampleBytes(entry) {
+  return typeof entry.data === 'string' ? base64ToBytes(entry.data) : entry.data;
+}
+
+/**
+ * Collect the custom samples referenced by serialized patch nodes.
+ * `getBytes(nodeId)` returns the bytes loaded into that node, or null.
+ * Returns { [sampleHash]: { name, bytes } }, one entry per distinct file.
+ */
+export function collectSamples(patchNodes, getBytes) {
+  const samples = {};
+  for (const n of patchNodes) {
+    if (!n.sampleHash || samples[n.sampleHash]) continue;
+    const bytes = getBytes(n.id);
+    if (bytes) samples[n.sampleHash] = { name: n.sampleName, bytes };
+  }
+  return samples;
+}
+
+// Attach collected samples to a patch as base64 (for JSON files)
+export function embedSamples(patch, samples) {
+  const hashes = Object.keys(samples);
+  if (hashes.length === 0) return patch;
+  const embedded = {};
+  for (const hash of hashes) {
+    embedded[hash] = { name: samples[hash].name, data: bytesToBase64(samples[hash].bytes) };
+  }
+  return { ...patch, samples: embedded };
+}
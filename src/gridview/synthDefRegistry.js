@@ -0,0 +1,43 @@
+import { NODE_SCHEMA } from './nodeSchema';
+
+// ════════════════════════════════════════════════════════════
+//  SYNTHDEF REGISTRY
+//
+//  Which SynthDefs the grid's modules play, derived from
+//  NODE_SCHEMA: a new module type only needs its `synthDef`. The
+//  engine loads each one the first time it's asked for
+//  (GridEngine.ensureSynthDef) and keeps it; useSynthDefs asks as
+//  soon as a module is on the grid, so the load has usually
+//  finished by the time the module is patched to the output.
+//
+//  A Poly Voice plays the SynthDef of the instrument it wraps.
+// ════════════════════════════════════════════════════════════
+
+export function nodeSynthDefs(node) {
+  const defs = [];
+  const own = NODE_SCHEMA[node.type]?.synthDef;
+  if (own) defs.push(own);
+  if (node.type === 'poly_voice') {
+    const voice = NODE_SCHEMA[node.polyVoiceType]?.synthDef;
+    if (voice) defs.push(voice);
+  }
+  return defs;
+}
+
+// Every SynthDef the nodes need, once each, sorted (stable as an
+// effect dependency once joined)
+export function graphSynthDefs(nodes) {
+  return [...new Set(Object.values(nodes).flatMap(nodeSynthDefs))].sort();
+}
+
+// Where a node's SynthDefs stand, given the engine's statuses
+// (name → { status, error }, see GridEngine.onSynthDefStatus):
+// { status: 'failed', names, error } if any failed, else
+// { status: 'loading', names } while any is on its way, else null.
+export function nodeSynthDefStatus(node, defs) {
+  const names = nodeSynthDefs(node);
+  const failed = names.filter((n) => defs[n]?.status === 'failed');
+  if (failed.length) return { status: 'failed', names: failed, error: defs[failed[0]].error };
+  const loading = names.filter((n) => defs[n]?.status !== 'loaded');
+  return loading.length ? { status: 'loading', names: loading } : null;
+}
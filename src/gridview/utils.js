@@ -25,17 +25,44 @@ export function getNodeWidth(node) {
   return NODE_SCHEMA[node.type]?.width || NODE_W;
 }
 
-// Script modules can dynamically set their number of outputs via setOutputs(n).
+// Script modules can dynamically set their number of outputs via setOutputs(n),
+// and MIDI In opens one port per MPE dimension; both set node.numOutputs.
 // This helper returns the effective outputs array for rendering and port positioning.
 export function getNodeOutputs(node) {
+  if (node.type === 'macro') return node.macro.outputs.map((p) => p.label);
   const schema = NODE_SCHEMA[node.type];
   if (!schema) return [];
-  if (schema.category === 'script' && node.numOutputs > 1) {
-    return Array.from({ length: node.numOutputs }, (_, i) => `out ${i}`);
+  if (node.numOutputs > 1) {
+    return Array.from({ length: node.numOutputs }, (_, i) => schema.outputLabels?.[i] ?? `out ${i}`);
   }
   return schema.outputs;
 }
 
+// Current value of a control source's output port. Multi-output
+// modules keep each port's value in params.out_N.
+export function getOutputValue(node, portIndex = 0) {
+  return node.params[`out_${portIndex}`] ?? node.params.value ?? 0;
+}
+
+// Class suffix and tooltip of a param row for MIDI Learn: armed to
+// learn, bound to a CC (node.midiMap) or neither
+export function midiLearnState(node, param, learning) {
+  if (learning?.nodeId === node?.id && learning.param === param) {
+    return { className: ' midi-learning', title: 'Move a controller to map it (right-click to cancel)' };
+  }
+  const mapping = node?.midiMap?.[param];
+  if (mapping) {
+    return { className: ' midi-mapped', title: `CC ${mapping.cc} · ch ${mapping.channel || 'all'} (right-click to re-learn)` };
+  }
+  return { className: '', title: 'Right-click to MIDI Learn' };
+}
+
+// Macros expose a user-chosen subset of their inner modules' inputs
+export function getNodeInputs(node) {
+  if (node.type === 'macro') return node.macro.inputs.map((p) => p.label);
+  return NODE_SCHEMA[node.type]?.inputs ?? [];
+}
+
 export function getPortPos(node, portType, portIndex) {
   if (node.type === 'bang') {
     const size = node.bangSize || 60;
@@ -62,6 +89,10 @@ export function getParamPortPos(node, schema, paramKey) {
   if (node.type === 'sequencer' && paramKey === 'trig') {
     return { x: node.x, y: node.y + HEADER_H + 10 };
   }
+  // Poly voice notes port: top of the port section (no audio inputs)
+  if (node.type === 'poly_voice' && paramKey === 'notes') {
+    return { x: node.x, y: node.y + HEADER_H + 10 };
+  }
   const paramKeys = Object.keys(schema.params);
   const idx = paramKeys.indexOf(paramKey);
   if (idx === -1) return { x: node.x, y: node.y };
@@ -94,14 +125,144 @@ export function computeLiveNodes(nodes, connections) {
   return live;
 }
 
+// ── Feedback cables ───────────────────────────────────────
+// Audio cables that close a loop. A depth-first walk from the
+// modules without audio inputs (then everything else, by id) marks
+// each cable leading back into the current path, so a loop's
+// feedback cable is the one patched "backwards" against the flow.
+// Returns a Set of connection ids.
+export function findFeedbackConnections(nodes, connections) {
+  const audio = connections.filter((c) => !c.toParam && nodes[c.fromNodeId] && nodes[c.toNodeId]);
+  const outgoing = new Map();
+  for (const conn of audio) {
+    if (!outgoing.has(conn.fromNodeId)) outgoing.set(conn.fromNodeId, []);
+    outgoing.get(conn.fromNodeId).push(conn);
+  }
+  const fed = new Set(audio.map((c) => c.toNodeId));
+  const ids = Object.values(nodes).map((n) => n.id).sort((a, b) => a - b);
+  const roots = [...ids.filter((id) => !fed.has(id)), ...ids.filter((id) => fed.has(id))];
+
+  const feedback = new Set();
+  const state = new Map(); // id → 'open' while on the path, 'done' after
+  for (const root of roots) {
+    if (state.has(root)) continue;
+    state.set(root, 'open');
+    const stack = [{ id: root, next: 0 }];
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1];
+      const conn = outgoing.get(frame.id)?.[frame.next++];
+      if (!conn) {
+        state.set(frame.id, 'done');
+        stack.pop();
+        continue;
+      }
+      const seen = state.get(conn.toNodeId);
+      if (seen === 'open') {
+        feedback.add(conn.id);
+      } else if (!seen) {
+        state.set(conn.toNodeId, 'open');
+        stack.push({ id: conn.toNodeId, next: 0 });
+      }
+    }
+  }
+  return feedback;
+}
+
+// ── Scheduled control sources ─────────────────────────────
+// Modules whose output is timed by the lookahead scheduler and
+// delivered by useControlDispatch, ahead of graph state. Other
+// control sources (knobs, bangs, MIDI) act through graph state.
+export function isScheduledSource(type) {
+  return type === 'pulser' || type === 'sequencer' || type === 'envelope' ||
+    NODE_SCHEMA[type]?.category === 'script';
+}
+
+// ── Control cable ranges ──────────────────────────────────
+// A control-rate cable into a synth param can carry conn.range:
+// { min, max, offset, scale, curve: 'lin' | 'exp', invert, slew }.
+// Its source value times scale plus offset lands in 0–1 (clipped),
+// optionally inverted, then spreads over min–max and follows
+// changes over `slew` seconds (ora_cmap, see applyRouting).
+export function canMapRange(conn, nodes) {
+  if (!conn.toParam || conn.isAudioRate || conn.toParam === 'trig') return false;
+  const category = NODE_SCHEMA[nodes[conn.fromNodeId]?.type]?.category;
+  if (category !== 'control' && category !== 'script') return false;
+  return !!NODE_SCHEMA[nodes[conn.toNodeId]?.type]?.synthDef;
+}
+
+// A range that maps the source's full output onto the target
+// param's full range. The source's range is its output port's
+// (outputRanges) where the schema gives one, else params.value's.
+export function defaultCableRange(conn, nodes) {
+  const schema = NODE_SCHEMA[nodes[conn.fromNodeId]?.type];
+  const source = schema?.outputRanges?.[conn.fromPortIndex ?? 0] ?? schema?.params.value ?? { min: 0, max: 1 };
+  const target = NODE_SCHEMA[nodes[conn.toNodeId]?.type]?.params[conn.toParam] ?? { min: 0, max: 1 };
+  const span = source.max - source.min || 1;
+  return {
+    min: target.min,
+    max: target.max,
+    offset: -source.min / span,
+    scale: 1 / span,
+    curve: 'lin',
+    invert: false,
+    slew: 0,
+  };
+}
+
+// The control bus a control-rate cable's source values go to: the
+// param's own, or the cable's own when it has a range to map
+export function controlBusKey(conn) {
+  return conn.range ? `cmap:${conn.id}` : `${conn.toNodeId}:${conn.toParam}`;
+}
+
 // ── Cable SVG path (cubic Bézier) ─────────────────────────
 export function cablePath(x1, y1, x2, y2) {
   const dx = Math.max(Math.abs(x2 - x1) * 0.45, 40);
   return `M ${x1},${y1} C ${x1 + dx},${y1} ${x2 - dx},${y2} ${x2},${y2}`;
 }
 
-// ── Pan value for AudioOut port ───────────────────────────
-export function panForPort(portIndex) {
-  // 0 = L → pan -0.8,  1 = R → pan 0.8
-  return portIndex === 0 ? -0.8 : 0.8;
+// ── Channel count of an audio port (1 = mono, 2 = stereo) ─
+export function getPortChannels(node, side, portIndex) {
+  const schema = NODE_SCHEMA[node?.type];
+  const channels = side === 'input' ? schema?.inputChannels : schema?.outputChannels;
+  return channels?.[portIndex] ?? 2;
+}
+
+// Input types that take typed text
+const TEXT_INPUT_TYPES = new Set(['text', 'search', 'number', 'email', 'url', 'tel', 'password']);
+
+// True for elements that handle their own keyboard shortcuts
+// (undo, copy, paste) — editor shortcuts stand down for them.
+// Sliders and checkboxes keep focus after a drag or click but take
+// no text, so they don't count.
+export function isTextField(el) {
+  if (!el) return false;
+  const tag = el.tagName;
+  if (tag === 'INPUT') return TEXT_INPUT_TYPES.has(el.type);
+  return tag === 'TEXTAREA' || el.isContentEditable;
+}
+
+// ── Rendered node rectangles (canvas coordinates) ────────
+// Node heights depend on their contents, so they are read from the
+// DOM rather than estimated. Returns null when there are no nodes.
+export function measureNodeBounds(canvas) {
+  const rects = [];
+  for (const el of canvas.querySelectorAll('.sense-node[data-node-id]')) {
+    rects.push({
+      id: Number(el.dataset.nodeId),
+      x: el.offsetLeft,
+      y: el.offsetTop,
+      w: el.offsetWidth,
+      h: el.offsetHeight,
+    });
+  }
+  if (rects.length === 0) return null;
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const r of rects) {
+    minX = Math.min(minX, r.x);
+    minY = Math.min(minY, r.y);
+    maxX = Math.max(maxX, r.x + r.w);
+    maxY = Math.max(maxY, r.y + r.h);
+  }
+  return { minX, minY, maxX, maxY, rects };
 }